@@ -26,4 +26,11 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // The command-line tool runs under Node
+    files: ['bin/**/*.js', 'src/cli/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
@@ -0,0 +1,204 @@
+/**
+ * Command-line arguments of the signature-refiner tool.
+ * Flags map onto the same pipeline options the web app's controls set, so a result tuned
+ * in the browser can be reproduced from a script.
+ */
+import { parseArgs } from 'node:util';
+import { ORIGINAL_INK, parseHexColor } from '../processing/color.js';
+
+// Flags that set one pipeline option: the option key and how the value is read
+const SETTING_FLAGS = {
+  mode: { key: 'thresholdMode', values: ['manual', 'otsu', 'adaptive'] },
+  luminance: { key: 'luminanceThreshold', min: 0, max: 255 },
+  alpha: { key: 'alphaThreshold', min: 0, max: 255 },
+  window: { key: 'adaptiveWindowSize', min: 3, max: 255 },
+  sensitivity: { key: 'adaptiveK', min: 0, max: 1, decimal: true },
+  flatten: { key: 'flattenStrength', min: 0, max: 100 },
+  edges: { key: 'edgeMode', values: ['binary', 'soft'] },
+  ramp: { key: 'rampWidth', min: 1, max: 255 },
+  despeckle: { key: 'minSpeckArea', min: 0, max: 100000 },
+  'max-distance': { key: 'isolationDistance', min: 0, max: 10000 },
+  rotate: { key: 'rotation', min: -360, max: 360, decimal: true },
+};
+
+// Output formats by name and file extension
+const FORMATS = { png: 'png', jpeg: 'jpeg', jpg: 'jpeg' };
+
+export const USAGE = `Usage: signature-refiner <input...> [-o <output>] [options]
+
+Refines signature images (PNG or JPEG) into transparent PNGs with the same
+pipeline as the web app. Inputs may be files, directories or glob patterns
+such as "scans/*.jpg". With one input, -o names the output file; with several,
+-o is a directory. Without -o, results are written next to the inputs as
+<name>_refined.png.
+
+Options:
+  -o, --output <path>        Output file or directory
+      --preset <name>        Start from a preset: clean-scan, phone-photo,
+                             faint-pencil, already-transparent, or one from
+                             --preset-file (names are not case-sensitive)
+      --preset-file <file>   Presets JSON file shared from the web app; a file
+                             with a single preset needs no --preset
+      --mode <mode>          Threshold mode: manual, otsu or adaptive
+      --luminance <0-255>    Background removal threshold (default 200)
+      --alpha <0-255>        Edge sharpening: pixels more transparent are
+                             dropped (default 50)
+      --window <px>          Adaptive window size (default 31)
+      --sensitivity <0-1>    Adaptive sensitivity (default 0.2)
+      --flatten <0-100>      Flatten lighting strength in percent (default 0)
+      --edges <mode>         binary or soft (anti-aliased) edges
+      --ramp <1-255>         Soft edge ramp width (default 40)
+      --ink <color>          Ink color as #rrggbb, or "original"
+      --despeckle <px>       Remove ink specks smaller than this area
+      --remove-isolated      Remove marks far from the signature
+      --max-distance <px>    Largest gap to the signature still kept (default 50)
+      --rotate <degrees>     Clockwise rotation (write negative angles as
+                             --rotate=-2)
+      --flip-horizontal      Mirror left to right
+      --flip-vertical        Mirror top to bottom
+      --crop <x,y,w,h>       Crop rectangle in pixels of the rotated image
+      --trim                 Trim to the ink after cropping
+      --padding <n|n%>       Padding kept around the ink by --trim (default 10)
+      --format <format>      png or jpeg; by default taken from the output name
+      --background <color>   Background of JPEG output (default #ffffff)
+      --quality <1-100>      JPEG quality (default 92)
+      --dpi <n>              Print resolution stored in the output
+  -q, --quiet                Only print errors
+  -h, --help                 Show this help`;
+
+/**
+ * Reads a number flag.
+ * @param {string} flag - Flag name, for error messages.
+ * @param {string} text - Value as typed.
+ * @param {Object} rule - { min, max, decimal }.
+ * @returns {number} The value.
+ * @throws {Error} If it is not a number in range.
+ */
+const parseNumber = (flag, text, { min, max, decimal = false }) => {
+  const value = Number(text);
+  if (text.trim() === '' || !Number.isFinite(value) || (!decimal && !Number.isInteger(value)) || value < min || value > max) {
+    throw new Error(`--${flag} must be ${decimal ? 'a number' : 'a whole number'} from ${min} to ${max}.`);
+  }
+  return value;
+};
+
+/**
+ * Reads a --crop value.
+ * @param {string} text - 'x,y,width,height'.
+ * @returns {Object} Crop rectangle.
+ * @throws {Error} If it is not four numbers with a positive size.
+ */
+const parseCrop = (text) => {
+  const parts = text.split(',').map(Number);
+  if (parts.length !== 4 || parts.some((part) => !Number.isInteger(part)) || parts[0] < 0 || parts[1] < 0 || parts[2] <= 0 || parts[3] <= 0) {
+    throw new Error('--crop must be x,y,width,height in whole pixels, e.g. 10,20,300,120.');
+  }
+  const [x, y, width, height] = parts;
+  return { x, y, width, height };
+};
+
+/**
+ * Reads a --padding value.
+ * @param {string} text - Pixels, or a percentage of the ink size such as '5%'.
+ * @returns {Object} { padding, unit } as used by the trim option.
+ * @throws {Error} If it is not a non-negative number.
+ */
+const parsePadding = (text) => {
+  const unit = text.endsWith('%') ? '%' : 'px';
+  return { padding: parseNumber('padding', unit === '%' ? text.slice(0, -1) : text, { min: 0, max: 10000 }), unit };
+};
+
+/**
+ * Reads a color flag.
+ * @param {string} flag - Flag name, for error messages.
+ * @param {string} text - Value as typed.
+ * @returns {string} The color.
+ * @throws {Error} If it is not a hex color.
+ */
+const parseColor = (flag, text) => {
+  try {
+    parseHexColor(text);
+  } catch {
+    throw new Error(`--${flag} must be a color such as #1e3a8a.`);
+  }
+  return text.startsWith('#') ? text : `#${text}`;
+};
+
+/**
+ * Parses the command line.
+ * @param {Array<string>} argv - Arguments after the program name.
+ * @returns {Object} { help, inputs, output, preset, presetFile, settings, format, background, quality, dpi, quiet },
+ *   where settings holds only the pipeline options given on the command line.
+ * @throws {Error} If a flag is unknown or has an invalid value.
+ */
+export const parseCliArgs = (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      preset: { type: 'string' },
+      'preset-file': { type: 'string' },
+      ...Object.fromEntries(Object.keys(SETTING_FLAGS).map((flag) => [flag, { type: 'string' }])),
+      ink: { type: 'string' },
+      'remove-isolated': { type: 'boolean' },
+      'flip-horizontal': { type: 'boolean' },
+      'flip-vertical': { type: 'boolean' },
+      crop: { type: 'string' },
+      trim: { type: 'boolean' },
+      padding: { type: 'string' },
+      format: { type: 'string' },
+      background: { type: 'string' },
+      quality: { type: 'string' },
+      dpi: { type: 'string' },
+      quiet: { type: 'boolean', short: 'q' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  const settings = {};
+  Object.entries(SETTING_FLAGS).forEach(([flag, rule]) => {
+    const text = values[flag];
+    if (text === undefined) return;
+    if (rule.values && !rule.values.includes(text)) {
+      throw new Error(`--${flag} must be one of: ${rule.values.join(', ')}.`);
+    }
+    settings[rule.key] = rule.values ? text : parseNumber(flag, text, rule);
+  });
+  if (values.ink !== undefined) {
+    settings.inkColor = values.ink === ORIGINAL_INK ? ORIGINAL_INK : parseColor('ink', values.ink);
+  }
+  if (values['remove-isolated']) settings.removeIsolated = true;
+  if (values['flip-horizontal']) settings.flipHorizontal = true;
+  if (values['flip-vertical']) settings.flipVertical = true;
+  if (values.crop !== undefined) settings.crop = parseCrop(values.crop);
+  if (values.padding !== undefined && !values.trim) {
+    throw new Error('--padding only applies together with --trim.');
+  }
+  if (values.trim) settings.trim = parsePadding(values.padding ?? '10');
+
+  if (values.format !== undefined && !FORMATS[values.format]) {
+    throw new Error('--format must be png or jpeg.');
+  }
+
+  return {
+    help: Boolean(values.help),
+    inputs: positionals,
+    output: values.output ?? null,
+    preset: values.preset ?? null,
+    presetFile: values['preset-file'] ?? null,
+    settings,
+    format: values.format ? FORMATS[values.format] : null,
+    background: values.background === undefined ? '#ffffff' : parseColor('background', values.background),
+    quality: values.quality === undefined ? undefined : parseNumber('quality', values.quality, { min: 1, max: 100 }),
+    dpi: values.dpi === undefined ? null : parseNumber('dpi', values.dpi, { min: 1, max: 65535 }),
+    quiet: Boolean(values.quiet),
+  };
+};
+
+/**
+ * Works out the output format from a file name.
+ * @param {string} fileName - Output file name.
+ * @returns {string|null} 'png', 'jpeg', or null for other extensions.
+ */
+export const getFormatFromName = (fileName) => FORMATS[/\.([a-z]+)$/i.exec(fileName)?.[1].toLowerCase()] || null;
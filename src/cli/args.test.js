@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getFormatFromName, parseCliArgs } from './args.js';
+
+test('flags map onto pipeline options', () => {
+  const args = parseCliArgs([
+    'in.jpg', '-o', 'out.png', '--luminance', '200', '--alpha', '50', '--trim', '--mode', 'adaptive',
+    '--sensitivity', '0.3', '--edges', 'soft', '--ink', '1e3a8a', '--rotate=-2.5', '--crop', '1,2,30,40', '--remove-isolated',
+  ]);
+  assert.deepEqual(args.inputs, ['in.jpg']);
+  assert.equal(args.output, 'out.png');
+  assert.deepEqual(args.settings, {
+    luminanceThreshold: 200,
+    alphaThreshold: 50,
+    thresholdMode: 'adaptive',
+    adaptiveK: 0.3,
+    edgeMode: 'soft',
+    inkColor: '#1e3a8a',
+    rotation: -2.5,
+    crop: { x: 1, y: 2, width: 30, height: 40 },
+    removeIsolated: true,
+    trim: { padding: 10, unit: 'px' },
+  });
+});
+
+test('only options given on the command line are set', () => {
+  const args = parseCliArgs(['a.png', 'b.png']);
+  assert.deepEqual(args.inputs, ['a.png', 'b.png']);
+  assert.deepEqual(args.settings, {});
+  assert.equal(args.output, null);
+  assert.equal(args.format, null);
+  assert.equal(args.background, '#ffffff');
+  assert.equal(args.quality, undefined);
+});
+
+test('trim padding can be a percentage', () => {
+  assert.deepEqual(parseCliArgs(['a.png', '--trim', '--padding', '5%']).settings.trim, { padding: 5, unit: '%' });
+  assert.throws(() => parseCliArgs(['a.png', '--padding', '5']), /only applies together with --trim/);
+});
+
+test('invalid values are rejected with the flag name', () => {
+  assert.throws(() => parseCliArgs(['a.png', '--luminance', '256']), /--luminance must be a whole number from 0 to 255/);
+  assert.throws(() => parseCliArgs(['a.png', '--alpha', '4.5']), /--alpha/);
+  assert.throws(() => parseCliArgs(['a.png', '--luminance', '']), /--luminance/);
+  assert.throws(() => parseCliArgs(['a.png', '--mode', 'auto']), /--mode must be one of: manual, otsu, adaptive/);
+  assert.throws(() => parseCliArgs(['a.png', '--crop', '0,0,0,5']), /--crop/);
+  assert.throws(() => parseCliArgs(['a.png', '--ink', 'navy']), /--ink must be a color/);
+  assert.throws(() => parseCliArgs(['a.png', '--format', 'gif']), /--format must be png or jpeg/);
+  assert.throws(() => parseCliArgs(['a.png', '--unknown']), /Unknown option/);
+});
+
+test('getFormatFromName reads the extension', () => {
+  assert.equal(getFormatFromName('out.PNG'), 'png');
+  assert.equal(getFormatFromName('dir/out.jpg'), 'jpeg');
+  assert.equal(getFormatFromName('out.jpeg'), 'jpeg');
+  assert.equal(getFormatFromName('out.webp'), null);
+  assert.equal(getFormatFromName('out'), null);
+});
@@ -0,0 +1,145 @@
+/**
+ * PNG and JPEG decoding and encoding for the command-line tool, in plain JavaScript.
+ * Decoded images are the { width, height, data } RGBA buffers the pipeline works on.
+ * PNGs go through the web app's own decoder and encoder; JPEGs through jpeg-js, whose
+ * rounding can differ slightly from a browser's JPEG decoder.
+ */
+import jpeg from 'jpeg-js';
+import { createImage } from '../processing/image.js';
+import { flipImage, rotateImage } from '../processing/geometry.js';
+import { parseHexColor } from '../processing/color.js';
+import { setJpegDpi, setPngDpi } from '../utils/imageMetadata.js';
+import { decodePng, encodePng, isPng } from '../utils/png.js';
+
+// Quality (1-100) of written JPEGs, matching the web app's exports
+export const DEFAULT_JPEG_QUALITY = 92;
+
+// Largest image the JPEG decoder may allocate, in megabytes
+const MAX_JPEG_MEMORY_MB = 1024;
+
+// Flips and clockwise rotation that bring each EXIF orientation upright
+const ORIENTATIONS = {
+  2: { horizontal: true, vertical: false, rotation: 0 },
+  3: { horizontal: false, vertical: false, rotation: 180 },
+  4: { horizontal: false, vertical: true, rotation: 0 },
+  5: { horizontal: true, vertical: false, rotation: 270 },
+  6: { horizontal: false, vertical: false, rotation: 90 },
+  7: { horizontal: true, vertical: false, rotation: 90 },
+  8: { horizontal: false, vertical: false, rotation: 270 },
+};
+
+/**
+ * Tells PNG and JPEG files apart by their first bytes.
+ * @param {Uint8Array} bytes - File contents.
+ * @returns {string|null} 'png', 'jpeg', or null for anything else.
+ */
+export const detectImageFormat = (bytes) => {
+  if (isPng(bytes)) return 'png';
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'jpeg';
+  return null;
+};
+
+/**
+ * Reads the EXIF orientation of a JPEG.
+ * @param {Uint8Array} bytes - Encoded JPEG.
+ * @returns {number} Orientation 1-8 (1 if the file does not say).
+ */
+export const getJpegOrientation = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 2;
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1];
+    const length = view.getUint16(offset + 2);
+    if (marker === 0xda) break; // Image data starts; metadata comes before it
+    const isExif = marker === 0xe1 && String.fromCharCode(...bytes.subarray(offset + 4, offset + 10)) === 'Exif\0\0';
+    if (isExif) {
+      const tiff = offset + 10;
+      const little = bytes[tiff] === 0x49; // 'II' byte order
+      const ifd = tiff + view.getUint32(tiff + 4, little);
+      const count = view.getUint16(ifd, little);
+      for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (view.getUint16(entry, little) === 0x0112) {
+          const orientation = view.getUint16(entry + 8, little);
+          return ORIENTATIONS[orientation] ? orientation : 1;
+        }
+      }
+      return 1;
+    }
+    offset += 2 + length;
+  }
+  return 1;
+};
+
+/**
+ * Turns an image upright according to its EXIF orientation, as browsers do when drawing it.
+ * @param {Object} image - Image buffer { width, height, data }.
+ * @param {number} orientation - EXIF orientation 1-8.
+ * @returns {Object} The upright image (the same buffer for orientation 1).
+ */
+export const applyOrientation = (image, orientation) => {
+  const transform = ORIENTATIONS[orientation];
+  if (!transform) return image;
+  const flipped = transform.horizontal || transform.vertical ? flipImage(image, transform.horizontal, transform.vertical) : image;
+  return transform.rotation ? rotateImage(flipped, transform.rotation) : flipped;
+};
+
+/**
+ * Decodes a PNG or JPEG file.
+ * @param {Uint8Array} bytes - File contents.
+ * @returns {Object} RGBA image buffer { width, height, data }, upright.
+ * @throws {Error} If the file is neither PNG nor JPEG or cannot be decoded.
+ */
+export const decodeImage = (bytes) => {
+  const format = detectImageFormat(bytes);
+  if (format === 'png') {
+    // The web app's decoder: 16-bit and palette images are converted to 8-bit RGBA
+    return decodePng(bytes);
+  }
+  if (format === 'jpeg') {
+    const { width, height, data } = jpeg.decode(bytes, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: MAX_JPEG_MEMORY_MB });
+    const image = createImage(width, height, new Uint8ClampedArray(data.buffer, data.byteOffset, data.byteLength));
+    return applyOrientation(image, getJpegOrientation(bytes));
+  }
+  throw new Error('Only PNG and JPEG images are supported.');
+};
+
+/**
+ * Lays an image over a solid color, for formats without transparency.
+ * @param {Object} image - Image buffer { width, height, data }.
+ * @param {string} background - '#rrggbb' color.
+ * @returns {Object} New, fully opaque image buffer.
+ */
+export const flattenOnto = (image, background) => {
+  const color = parseHexColor(background);
+  const output = createImage(image.width, image.height);
+  const { data } = image;
+  for (let i = 0; i < data.length; i += 4) {
+    const alpha = data[i + 3] / 255;
+    for (let c = 0; c < 3; c++) {
+      output.data[i + c] = Math.round(data[i + c] * alpha + color[c] * (1 - alpha));
+    }
+    output.data[i + 3] = 255;
+  }
+  return output;
+};
+
+/**
+ * Encodes an image as PNG or JPEG.
+ * @param {Object} image - Image buffer { width, height, data }.
+ * @param {string} format - 'png' or 'jpeg'.
+ * @param {Object} [settings] - { background, quality, dpi }: the '#rrggbb' color JPEGs are
+ *   flattened onto (white by default), JPEG quality 1-100 and the print resolution to store.
+ * @returns {Uint8Array} The encoded file.
+ */
+export const encodeImage = (image, format, { background = '#ffffff', quality = DEFAULT_JPEG_QUALITY, dpi = null } = {}) => {
+  if (format === 'jpeg') {
+    const { width, height, data } = flattenOnto(image, background);
+    const bytes = new Uint8Array(jpeg.encode({ width, height, data }, quality).data);
+    return dpi ? setJpegDpi(bytes, dpi) : bytes;
+  }
+
+  // The web app's encoder, so results match its downloads byte for byte
+  const bytes = encodePng(image);
+  return dpi ? setPngDpi(bytes, dpi) : bytes;
+};
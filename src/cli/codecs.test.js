@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createImage } from '../processing/image.js';
+import { getPngDpi } from '../utils/imageMetadata.js';
+import { applyOrientation, decodeImage, detectImageFormat, encodeImage, flattenOnto, getJpegOrientation } from './codecs.js';
+
+/**
+ * Builds a small image whose pixels all differ, with some transparency.
+ */
+const createTestImage = (width = 3, height = 2) => {
+  const image = createImage(width, height);
+  for (let i = 0; i < width * height; i++) {
+    image.data.set([i * 10, 255 - i * 10, i * 3, i % 2 ? 255 : 128], i * 4);
+  }
+  return image;
+};
+
+/**
+ * Inserts an EXIF segment holding only an orientation tag after the SOI marker of a JPEG.
+ */
+const withOrientation = (jpeg, orientation) => {
+  const tiff = [0x4d, 0x4d, 0, 42, 0, 0, 0, 8, 0, 1, 0x01, 0x12, 0, 3, 0, 0, 0, 1, 0, orientation, 0, 0, 0, 0, 0, 0];
+  const payload = [...'Exif'].map((c) => c.charCodeAt(0)).concat([0, 0], tiff);
+  const length = payload.length + 2;
+  return new Uint8Array([0xff, 0xd8, 0xff, 0xe1, length >> 8, length & 0xff, ...payload, ...jpeg.subarray(2)]);
+};
+
+test('PNG round-trips every pixel, including transparent ones', () => {
+  const image = createTestImage();
+  const png = encodeImage(image, 'png');
+  assert.equal(detectImageFormat(png), 'png');
+  assert.deepEqual(decodeImage(png), image);
+});
+
+test('PNG output stores the requested DPI', () => {
+  assert.equal(getPngDpi(encodeImage(createTestImage(), 'png', { dpi: 300 })), 300);
+});
+
+test('JPEG output is flattened onto the background', () => {
+  const image = createImage(8, 8);
+  const jpeg = encodeImage(image, 'jpeg', { background: '#ff0000', quality: 100 });
+  assert.equal(detectImageFormat(jpeg), 'jpeg');
+  const decoded = decodeImage(jpeg);
+  assert.equal(decoded.width, 8);
+  assert.ok(decoded.data[0] > 250 && decoded.data[1] < 5 && decoded.data[3] === 255);
+});
+
+test('flattenOnto blends by alpha', () => {
+  const image = createImage(1, 1, new Uint8ClampedArray([0, 0, 0, 102]));
+  assert.deepEqual([...flattenOnto(image, '#ffffff').data], [153, 153, 153, 255]);
+});
+
+test('EXIF orientation turns JPEGs upright like a browser does', () => {
+  const jpeg = encodeImage(createImage(4, 2, new Uint8ClampedArray(32).fill(255)), 'jpeg');
+  assert.equal(getJpegOrientation(jpeg), 1);
+  const rotated = withOrientation(jpeg, 6);
+  assert.equal(getJpegOrientation(rotated), 6);
+  const decoded = decodeImage(rotated);
+  assert.deepEqual([decoded.width, decoded.height], [2, 4]);
+});
+
+test('applyOrientation matches the EXIF transforms', () => {
+  // 2x1 image: red then blue
+  const image = createImage(2, 1, new Uint8ClampedArray([255, 0, 0, 255, 0, 0, 255, 255]));
+  const first = (output) => [...output.data.slice(0, 3)];
+  assert.equal(applyOrientation(image, 1), image);
+  assert.deepEqual(first(applyOrientation(image, 2)), [0, 0, 255]); // Mirrored
+  const turned = applyOrientation(image, 6); // 90° clockwise: red ends up on top
+  assert.deepEqual([turned.width, turned.height], [1, 2]);
+  assert.deepEqual(first(turned), [255, 0, 0]);
+  assert.deepEqual(first(applyOrientation(image, 8)), [0, 0, 255]);
+});
+
+test('other formats are refused', () => {
+  assert.equal(detectImageFormat(new Uint8Array([0x47, 0x49, 0x46, 0x38])), null);
+  assert.throws(() => decodeImage(new Uint8Array([0x47, 0x49, 0x46, 0x38])), /Only PNG and JPEG/);
+});
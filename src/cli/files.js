@@ -0,0 +1,78 @@
+/**
+ * Input and output paths of the command-line tool.
+ */
+import path from 'node:path';
+import { stat } from 'node:fs/promises';
+import { escapePath, glob, isDynamicPattern } from 'tinyglobby';
+import { getBatchFilenames } from '../editing/batch.js';
+
+// Images picked up when a directory is given as input
+const IMAGE_PATTERN = '*.{png,jpg,jpeg}';
+
+/**
+ * Checks whether a path is an existing directory.
+ * @param {string} target - Path.
+ * @returns {Promise<boolean>} True for directories, false otherwise (also if it does not exist).
+ */
+export const isDirectory = async (target) => {
+  try {
+    return (await stat(target)).isDirectory();
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Expands the input arguments into image files: glob patterns are matched, directories
+ * contribute their PNG and JPEG images, and plain paths are kept.
+ * @param {Array<string>} patterns - Input arguments.
+ * @returns {Promise<Array<string>>} File paths in argument order, matches sorted, without duplicates.
+ * @throws {Error} If a pattern or directory yields no images.
+ */
+export const expandInputs = async (patterns) => {
+  const files = [];
+  for (const pattern of patterns) {
+    let matches = [pattern];
+    if (isDynamicPattern(pattern) || await isDirectory(pattern)) {
+      const search = isDynamicPattern(pattern) ? pattern : `${escapePath(pattern.replace(/[\\/]+$/, ''))}/${IMAGE_PATTERN}`;
+      matches = (await glob(search, { absolute: path.isAbsolute(search), onlyFiles: true, expandDirectories: false, caseSensitiveMatch: false })).sort();
+      if (matches.length === 0) throw new Error(`No images match ${pattern}.`);
+    }
+    files.push(...matches.filter((file) => !files.includes(file)));
+  }
+  return files;
+};
+
+/**
+ * Chooses where each result is written.
+ * Results in the same directory are named like Batch Mode names them ('<name>_refined.png',
+ * numbered when two inputs share a name), with a .jpg extension for JPEG output.
+ * @param {Array<string>} inputs - Input files.
+ * @param {Object} target - { output, isDirectory, format }: the -o path (or null to write next to
+ *   each input), whether it is a directory, and the output format.
+ * @returns {Array<string>} One output path per input.
+ */
+export const getOutputPaths = (inputs, { output, isDirectory: toDirectory, format }) => {
+  if (output && !toDirectory) return [output];
+
+  const extension = format === 'jpeg' ? '.jpg' : '.png';
+  const rename = (name) => name.replace(/\.png$/, extension);
+  if (output) {
+    return getBatchFilenames(inputs.map((input) => ({ file: { name: path.basename(input) } }))).map((name) => path.join(output, rename(name)));
+  }
+
+  // Next to the inputs: number names per directory
+  const outputs = [];
+  const byDirectory = new Map();
+  inputs.forEach((input, index) => {
+    const directory = path.dirname(input);
+    byDirectory.set(directory, [...(byDirectory.get(directory) || []), { input, index }]);
+  });
+  byDirectory.forEach((entries, directory) => {
+    const names = getBatchFilenames(entries.map(({ input }) => ({ file: { name: path.basename(input) } })));
+    entries.forEach(({ index }, i) => {
+      outputs[index] = path.join(directory, rename(names[i]));
+    });
+  });
+  return outputs;
+};
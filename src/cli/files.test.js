@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import os from 'node:os';
+import { mkdtemp, mkdir, rm, writeFile } from 'node:fs/promises';
+import { expandInputs, getOutputPaths } from './files.js';
+
+test('expandInputs matches globs and directories in argument order', async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'refiner-files-'));
+  try {
+    await mkdir(path.join(dir, 'scans'));
+    await Promise.all(['b.png', 'a.JPG', 'notes.txt'].map((name) => writeFile(path.join(dir, 'scans', name), '')));
+    await writeFile(path.join(dir, 'c.jpeg'), '');
+    const scans = path.join(dir, 'scans').split(path.sep).join('/');
+
+    assert.deepEqual(await expandInputs([`${scans}/*.png`, path.join(dir, 'c.jpeg'), `${scans}/b.*`]), [
+      `${scans}/b.png`,
+      path.join(dir, 'c.jpeg'),
+    ]);
+    assert.deepEqual(await expandInputs([path.join(dir, 'scans')]), [`${scans}/a.JPG`, `${scans}/b.png`]);
+    await assert.rejects(expandInputs([`${scans}/*.tif`]), /No images match/);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('plain paths are kept even if they do not exist yet', async () => {
+  assert.deepEqual(await expandInputs(['missing.png']), ['missing.png']);
+});
+
+test('getOutputPaths writes single results to the named file', () => {
+  assert.deepEqual(getOutputPaths(['in.jpg'], { output: 'out.png', isDirectory: false, format: 'png' }), ['out.png']);
+});
+
+test('getOutputPaths names results in a directory like Batch Mode', () => {
+  const inputs = ['a/scan.jpg', 'b/scan.png', 'b/other.png'];
+  assert.deepEqual(getOutputPaths(inputs, { output: 'out', isDirectory: true, format: 'png' }), [
+    path.join('out', 'scan_refined.png'),
+    path.join('out', 'scan_refined_2.png'),
+    path.join('out', 'other_refined.png'),
+  ]);
+  assert.deepEqual(getOutputPaths(['a/scan.jpg'], { output: 'out', isDirectory: true, format: 'jpeg' }), [path.join('out', 'scan_refined.jpg')]);
+});
+
+test('getOutputPaths writes next to the inputs without an output', () => {
+  assert.deepEqual(getOutputPaths(['a/scan.jpg', 'b/scan.png', 'a/scan.png'], { output: null, isDirectory: false, format: 'png' }), [
+    path.join('a', 'scan_refined.png'),
+    path.join('b', 'scan_refined.png'),
+    path.join('a', 'scan_refined_2.png'),
+  ]);
+});
@@ -0,0 +1,103 @@
+/**
+ * The signature-refiner command: decodes each input, runs the same pipeline the web app
+ * runs in its worker and writes the result. PNGs are decoded and encoded by the app's own
+ * code, so for a PNG input and the same settings the file matches the app's refined PNG
+ * byte for byte.
+ */
+import path from 'node:path';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { runPipeline } from '../processing/pipeline.js';
+import { BUILT_IN_PRESETS, parsePresetsJson } from '../editing/presets.js';
+import { USAGE, getFormatFromName, parseCliArgs } from './args.js';
+import { decodeImage, encodeImage } from './codecs.js';
+import { expandInputs, getOutputPaths, isDirectory } from './files.js';
+
+/**
+ * Finds the preset chosen on the command line.
+ * @param {string|null} name - --preset value: a built-in id or a preset name.
+ * @param {string|null} file - --preset-file path.
+ * @returns {Promise<Object|null>} The preset, or null if none was chosen.
+ * @throws {Error} If the preset cannot be found or the file cannot be read.
+ */
+const resolvePreset = async (name, file) => {
+  const shared = file ? parsePresetsJson(await readFile(file, 'utf8')) : [];
+  if (!name) {
+    if (shared.length === 1) return shared[0];
+    if (shared.length > 1) throw new Error(`${file} holds several presets; choose one with --preset (${shared.map((preset) => preset.name).join(', ')}).`);
+    return null;
+  }
+
+  const wanted = name.toLowerCase();
+  const preset = [...shared, ...BUILT_IN_PRESETS].find((item) => item.name.toLowerCase() === wanted || item.id === wanted);
+  if (!preset) throw new Error(`Unknown preset "${name}". Built-in presets: ${BUILT_IN_PRESETS.map((item) => item.id).join(', ')}.`);
+  return preset;
+};
+
+/**
+ * Refines one file.
+ * @param {string} input - Input path.
+ * @param {string} output - Output path.
+ * @param {Object} settings - Pipeline options.
+ * @param {Object} encoding - { format, background, quality, dpi } for encodeImage.
+ * @returns {Promise<Object>} The output image buffer.
+ */
+export const refineFile = async (input, output, settings, { format, ...encoding }) => {
+  const source = decodeImage(new Uint8Array(await readFile(input)));
+  const { image } = runPipeline(source, settings);
+  await mkdir(path.dirname(output), { recursive: true });
+  await writeFile(output, encodeImage(image, format, encoding));
+  return image;
+};
+
+/**
+ * Runs the command.
+ * @param {Array<string>} argv - Arguments after the program name.
+ * @param {Object} [io] - { stdout, stderr } streams to report to.
+ * @returns {Promise<number>} Exit code: 0 on success, 1 if any file failed, 2 for usage errors.
+ */
+export const main = async (argv, { stdout = process.stdout, stderr = process.stderr } = {}) => {
+  let args;
+  try {
+    args = parseCliArgs(argv);
+  } catch (err) {
+    stderr.write(`${err.message}\nRun signature-refiner --help for usage.\n`);
+    return 2;
+  }
+  if (args.help) {
+    stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+  if (args.inputs.length === 0) {
+    stderr.write(`No input images given.\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  let inputs;
+  let outputs;
+  let settings;
+  let format;
+  try {
+    inputs = await expandInputs(args.inputs);
+    const toDirectory = Boolean(args.output) && (inputs.length > 1 || /[\\/]$/.test(args.output) || await isDirectory(args.output));
+    format = args.format || (args.output && !toDirectory ? getFormatFromName(args.output) : 'png');
+    if (!format) throw new Error(`Cannot tell the format of ${args.output}; name it .png or .jpg, or use --format.`);
+    outputs = getOutputPaths(inputs, { output: args.output, isDirectory: toDirectory, format });
+    const preset = await resolvePreset(args.preset, args.presetFile);
+    settings = { ...preset?.settings, ...args.settings };
+  } catch (err) {
+    stderr.write(`${err.message}\n`);
+    return 2;
+  }
+
+  let failures = 0;
+  for (let i = 0; i < inputs.length; i++) {
+    try {
+      const image = await refineFile(inputs[i], outputs[i], settings, { format, background: args.background, quality: args.quality, dpi: args.dpi });
+      if (!args.quiet) stdout.write(`${inputs[i]} -> ${outputs[i]} (${image.width}x${image.height})\n`);
+    } catch (err) {
+      failures += 1;
+      stderr.write(`${inputs[i]}: ${err.message}\n`);
+    }
+  }
+  return failures > 0 ? 1 : 0;
+};
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import os from 'node:os';
+import { mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { createImage } from '../processing/image.js';
+import { runPipeline } from '../processing/pipeline.js';
+import { refineSource } from '../processing/refine.js';
+import { BUILT_IN_PRESETS, presetsToJson } from '../editing/presets.js';
+import { crc32 } from '../utils/crc32.js';
+import { readPngFile } from '../utils/png.js';
+import { decodeImage, encodeImage } from './codecs.js';
+import { main } from './main.js';
+
+/**
+ * Draws a grey stroke with soft edges and a speck on light paper.
+ */
+const createSignature = () => {
+  const image = createImage(40, 24);
+  for (let y = 0; y < 24; y++) {
+    for (let x = 0; x < 40; x++) {
+      const distance = Math.abs(y - 12 - Math.round(Math.sin(x / 6) * 4));
+      const value = x > 4 && x < 34 ? Math.min(240, 40 + distance * 45) : 240;
+      image.data.set([value, value, value + 5 > 255 ? 255 : value + 5, 255], (y * 40 + x) * 4);
+    }
+  }
+  image.data.set([60, 60, 60, 255], (2 * 40 + 38) * 4); // Speck
+  return image;
+};
+
+/**
+ * Collects what the command writes.
+ */
+const createOutput = () => {
+  const lines = [];
+  return { lines, write: (text) => lines.push(text) };
+};
+
+const withTempDir = async (run) => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'refiner-cli-'));
+  try {
+    await run(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Adds a gAMA chunk after IHDR, which a browser canvas would apply to the pixels.
+ */
+const withGamma = (png) => {
+  const chunk = new Uint8Array(16);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 4);
+  chunk.set([...'gAMA'].map((char) => char.charCodeAt(0)), 4);
+  view.setUint32(8, 100000); // Gamma 1.0
+  view.setUint32(12, crc32(chunk.subarray(4, 12)));
+  const headerEnd = 8 + 25;
+  return new Uint8Array([...png.subarray(0, headerEnd), ...chunk, ...png.subarray(headerEnd)]);
+};
+
+test('the CLI writes the same PNG file as the web app', () => withTempDir(async (dir) => {
+  const source = createSignature();
+  for (let i = 3; i < source.data.length; i += 4 * 3) source.data[i] = 200; // Semi-transparent scan
+  const bytes = withGamma(encodeImage(source, 'png'));
+  await writeFile(path.join(dir, 'in.png'), bytes);
+  const stdout = createOutput();
+
+  const code = await main([path.join(dir, 'in.png'), '-o', path.join(dir, 'out.png'), '--luminance', '180', '--alpha', '50', '--edges', 'soft', '--despeckle', '4', '--trim'], { stdout, stderr: createOutput() });
+
+  assert.equal(code, 0);
+  // The app reads PNG pixels itself, so no canvas may be needed
+  const pixels = await readPngFile(new File([bytes], 'in.png', { type: 'image/png' }));
+  const { image, blob } = await refineSource(pixels, {
+    luminanceThreshold: 180,
+    alphaThreshold: 50,
+    edgeMode: 'soft',
+    minSpeckArea: 4,
+    trim: { padding: 10, unit: 'px' },
+  }, () => {
+    throw new Error('PNG input should not be drawn on a canvas');
+  });
+  assert.ok(image.data.some((value, i) => i % 4 === 3 && value > 0 && value < 255), 'the result has soft edges');
+  assert.deepEqual(new Uint8Array(await readFile(path.join(dir, 'out.png'))), new Uint8Array(await blob.arrayBuffer()));
+  assert.match(stdout.lines.join(''), /out\.png \(\d+x\d+\)/);
+}));
+
+test('presets apply first and flags override them', () => withTempDir(async (dir) => {
+  const source = createSignature();
+  await writeFile(path.join(dir, 'in.png'), encodeImage(source, 'png'));
+  const [, phone] = BUILT_IN_PRESETS;
+  await writeFile(path.join(dir, 'presets.json'), presetsToJson([{ name: 'Mine', settings: { ...phone.settings, luminanceThreshold: 150 } }]));
+  const stderr = createOutput();
+
+  const code = await main([path.join(dir, 'in.png'), '-o', path.join(dir, 'out.png'), '--preset-file', path.join(dir, 'presets.json'), '--alpha', '90', '-q'], { stdout: createOutput(), stderr });
+
+  assert.equal(code, 0, stderr.lines.join(''));
+  const expected = runPipeline(source, { ...phone.settings, luminanceThreshold: 150, alphaThreshold: 90 }).image;
+  assert.deepEqual(decodeImage(new Uint8Array(await readFile(path.join(dir, 'out.png')))), expected);
+
+  assert.equal(await main([path.join(dir, 'in.png'), '--preset', 'sunset'], { stdout: createOutput(), stderr }), 2);
+  assert.match(stderr.lines.join(''), /Unknown preset "sunset"/);
+}));
+
+test('several inputs go into the output directory and failures are reported', () => withTempDir(async (dir) => {
+  await writeFile(path.join(dir, 'one.png'), encodeImage(createSignature(), 'png'));
+  await writeFile(path.join(dir, 'two.png'), encodeImage(createSignature(), 'png'));
+  await writeFile(path.join(dir, 'broken.jpg'), 'not an image');
+  const stderr = createOutput();
+
+  const pattern = `${dir.split(path.sep).join('/')}/*.{png,jpg}`;
+  const code = await main([pattern, '-o', path.join(dir, 'refined'), '--format', 'jpeg', '-q'], { stdout: createOutput(), stderr });
+
+  assert.equal(code, 1);
+  assert.deepEqual((await readdir(path.join(dir, 'refined'))).sort(), ['one_refined.jpg', 'two_refined.jpg']);
+  assert.match(stderr.lines.join(''), /broken\.jpg: Only PNG and JPEG/);
+}));
+
+test('usage errors exit with code 2', async () => {
+  const stderr = createOutput();
+  assert.equal(await main([], { stdout: createOutput(), stderr }), 2);
+  assert.equal(await main(['a.png', '--luminance', '300'], { stdout: createOutput(), stderr }), 2);
+  assert.match(stderr.lines.join(''), /--luminance must be/);
+  const stdout = createOutput();
+  assert.equal(await main(['--help'], { stdout, stderr }), 0);
+  assert.match(stdout.lines.join(''), /^Usage: signature-refiner/);
+});
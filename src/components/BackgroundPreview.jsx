@@ -0,0 +1,36 @@
+import React, { useEffect, useRef } from 'react';
+
+/**
+ * Shows the paper brightness estimated by the flatten stage as a grayscale picture,
+ * so it is easy to see which shadows and gradients are being divided out.
+ * @param {Object} props - Component props.
+ * @param {Object} props.map - Background map { width, height, data } from the pipeline report,
+ *   one luminance value per block.
+ */
+const BackgroundPreview = ({ map }) => {
+  const canvasRef = useRef(null);
+
+  /**
+   * Effect to draw the map whenever a new one arrives.
+   */
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    canvas.width = map.width;
+    canvas.height = map.height;
+    const pixels = new ImageData(map.width, map.height);
+    map.data.forEach((value, i) => {
+      pixels.data.set([value, value, value, 255], i * 4);
+    });
+    canvas.getContext('2d').putImageData(pixels, 0, 0);
+  }, [map]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className="w-full max-h-48 object-contain rounded-lg border border-gray-200 bg-gray-100"
+      title="Estimated paper brightness: darker areas get lifted more"
+    />
+  );
+};
+
+export default BackgroundPreview;
@@ -0,0 +1,561 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Check, CircleAlert, Download, Images, LoaderCircle, Plus, RotateCcw, Square, Trash2, X } from 'lucide-react';
+import { createRefineClient, isCancelled } from '../processing/refineClient.js';
+import { rotatedSize } from '../processing/geometry.js';
+import { resizeCrop } from '../editing/cropBox.js';
+import {
+  BATCH_OVERRIDES,
+  DONE,
+  FAILED,
+  PENDING,
+  PROCESSING,
+  createBatchItem,
+  getBatchFilenames,
+  getItemSettings,
+  setItemOverride,
+} from '../editing/batch.js';
+import { drawAlignedSource, loadImageFile } from '../utils/canvas.js';
+import { downloadBlob } from '../utils/download.js';
+import { readPngFile } from '../utils/png.js';
+import { createZip } from '../utils/zip.js';
+
+// Name of the downloaded archive
+const ZIP_FILENAME = 'refined_signatures.zip';
+
+// Rotation choices for an item; fine deskew angles stay available through the shared settings
+const ROTATIONS = [0, 90, 180, 270];
+
+/**
+ * Splits picked files into queue items and a message about the files that were not images.
+ * @param {Array<File>} files - Picked files.
+ * @param {number} firstId - Id of the first new item.
+ * @returns {Object} { items, error }.
+ */
+const queueFiles = (files, firstId) => {
+  const images = files.filter((file) => file.type.startsWith('image/'));
+  const skipped = files.length - images.length;
+  return {
+    items: images.map((file, index) => createBatchItem(file, String(firstId + index))),
+    error: skipped > 0 ? `Skipped ${skipped} file${skipped === 1 ? '' : 's'} that ${skipped === 1 ? 'is' : 'are'} not an image.` : '',
+  };
+};
+
+/**
+ * Queue tile showing the refined result once there is one, and the source before that.
+ * @param {Object} props - Component props.
+ * @param {Object} props.item - Queue item.
+ * @param {string} props.name - Filename the item gets in the ZIP.
+ * @param {boolean} props.isSelected - Whether the item is being edited.
+ * @param {Function} props.onSelect - Called when the tile is clicked.
+ */
+const QueueTile = ({ item, name, isSelected, onSelect }) => {
+  const [url, setUrl] = useState(null);
+  const image = item.blob || item.file;
+
+  /**
+   * Effect to hold an object URL for the shown image while it is on screen.
+   */
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(image);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [image]);
+
+  return (
+    <button
+      onClick={onSelect}
+      title={name}
+      className={`relative aspect-square rounded-xl border-2 overflow-hidden bg-gray-50 ${
+        isSelected ? 'border-blue-500 ring-2 ring-blue-200' : 'border-gray-200 hover:border-blue-300'
+      }`}
+    >
+      {url && <img src={url} alt={item.file.name} className="w-full h-full object-contain" />}
+      <span className="absolute top-1 right-1 rounded-full bg-white/90 shadow p-0.5">
+        {item.status === DONE && <Check className="w-4 h-4 text-green-600" />}
+        {item.status === PROCESSING && <LoaderCircle className="w-4 h-4 text-blue-600 animate-spin" />}
+        {item.status === FAILED && <CircleAlert className="w-4 h-4 text-red-600" />}
+        {item.status === PENDING && (Object.keys(item.overrides).length > 0 || item.crop) && (
+          <span className="block w-2 h-2 m-1 rounded-full bg-indigo-500" title="Has its own settings" />
+        )}
+      </span>
+      <span className="absolute bottom-0 inset-x-0 bg-white/90 text-xs text-gray-700 truncate px-1">{item.file.name}</span>
+    </button>
+  );
+};
+
+/**
+ * Batch mode: a queue of signature images refined with the current settings and
+ * downloaded together as one ZIP. Each item can override some settings and have its own crop.
+ * @param {Object} props - Component props.
+ * @param {Array<File>} props.files - Files to start the queue with.
+ * @param {Object} props.settings - Current pipeline options, shared by the whole queue.
+ * @param {Function} props.onClose - Called when the panel should close.
+ */
+const BatchPanel = ({ files, settings, onClose }) => {
+  // Queue items (see createBatchItem), starting with the files the panel was opened with
+  const [items, setItems] = useState(() => queueFiles(files, 1).items);
+  const [selectedId, setSelectedId] = useState(() => items[0]?.id ?? null);
+  // Auto Trim for the whole queue, starting from the current setting
+  const [trimEnabled, setTrimEnabled] = useState(Boolean(settings.trim));
+  const [trimPadding, setTrimPadding] = useState(settings.trim?.padding ?? 10);
+  const [trimPaddingUnit, setTrimPaddingUnit] = useState(settings.trim?.unit ?? 'px'); // 'px' or '%'
+  const [progress, setProgress] = useState(null); // { done, total } while refining
+  const [error, setError] = useState(() => queueFiles(files, 1).error);
+  // Decoded source of the selected item, for the crop editor
+  const [selectedImage, setSelectedImage] = useState(null);
+  const cropCanvasRef = useRef(null);
+  const cropStartRef = useRef(null); // Point where the crop drag started
+  const [draftCrop, setDraftCrop] = useState(null); // Crop being drawn
+  const clientRef = useRef(null);
+  const nextIdRef = useRef(files.length + 1); // Id for the next added item
+
+  const shared = { ...settings, trim: trimEnabled ? { padding: trimPadding, unit: trimPaddingUnit } : null };
+  const selected = items.find((item) => item.id === selectedId) || null;
+  const isRunning = progress !== null;
+
+  /**
+   * Adds image files to the queue, skipping anything that is not an image.
+   * @param {Array<File>} newFiles - Files to add.
+   */
+  const addFiles = (newFiles) => {
+    const queued = queueFiles(newFiles, nextIdRef.current);
+    nextIdRef.current += newFiles.length;
+    setError(queued.error);
+    setItems((prev) => [...prev, ...queued.items]);
+    if (queued.items.length > 0) setSelectedId((prev) => prev ?? queued.items[0].id);
+  };
+
+  /**
+   * Replaces an item.
+   * @param {Object} next - Updated item.
+   */
+  const updateItem = (next) => {
+    setItems((prev) => prev.map((item) => (item.id === next.id ? next : item)));
+  };
+
+  /**
+   * Removes an item from the queue.
+   * @param {Object} item - Item to remove.
+   */
+  const removeItem = (item) => {
+    setItems((prev) => prev.filter(({ id }) => id !== item.id));
+    if (selectedId === item.id) setSelectedId(null);
+  };
+
+  /**
+   * Effect to create the refine client for the batch, separate from the one behind the
+   * main preview, and to release it when the panel closes.
+   */
+  useEffect(() => {
+    const client = createRefineClient();
+    clientRef.current = client;
+    return () => {
+      client.dispose();
+      clientRef.current = null;
+    };
+  }, []);
+
+  const selectedFile = selected?.file;
+  const selectedSettings = selected ? getItemSettings(shared, selected) : null;
+  const { rotation = 0, flipHorizontal = false, flipVertical = false } = selectedSettings || {};
+  const cropBounds = selectedImage ? rotatedSize(selectedImage.width, selectedImage.height, rotation) : null;
+
+  /**
+   * Effect to decode the selected item for the crop editor.
+   */
+  useEffect(() => {
+    setSelectedImage(null);
+    if (!selectedFile) return undefined;
+    let cancelled = false;
+    loadImageFile(selectedFile)
+      .then((img) => {
+        if (!cancelled) setSelectedImage(img);
+      })
+      .catch(() => {
+        if (!cancelled) setError(`Could not read ${selectedFile.name}.`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedFile]);
+
+  /**
+   * Effect to draw the selected item, rotated and flipped as it will be refined,
+   * so its crop is drawn in the same pixels the pipeline crops.
+   */
+  useEffect(() => {
+    if (!selectedImage || !cropCanvasRef.current) return;
+    drawAlignedSource(cropCanvasRef.current, selectedImage, {
+      rotation,
+      flipHorizontal,
+      flipVertical,
+      region: { x: 0, y: 0, ...rotatedSize(selectedImage.width, selectedImage.height, rotation) },
+    });
+  }, [selectedImage, rotation, flipHorizontal, flipVertical]);
+
+  /**
+   * Converts a pointer position to pixels of the rotated selected image.
+   */
+  const toImagePoint = (event) => {
+    const rect = cropCanvasRef.current.getBoundingClientRect();
+    return {
+      x: ((event.clientX - rect.left) * cropBounds.width) / rect.width,
+      y: ((event.clientY - rect.top) * cropBounds.height) / rect.height,
+    };
+  };
+
+  const handleCropStart = (event) => {
+    if (isRunning || !cropBounds || event.button !== 0) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const point = toImagePoint(event);
+    cropStartRef.current = { x: point.x, y: point.y, width: 0, height: 0 };
+    setDraftCrop(null);
+  };
+
+  const handleCropMove = (event) => {
+    if (!cropStartRef.current) return;
+    setDraftCrop(resizeCrop(cropStartRef.current, 'se', toImagePoint(event), cropBounds));
+  };
+
+  const handleCropEnd = () => {
+    if (!cropStartRef.current) return;
+    cropStartRef.current = null;
+    // A click without a drag leaves the crop as it was
+    if (draftCrop && draftCrop.width > 1 && draftCrop.height > 1) {
+      updateItem({ ...selected, crop: draftCrop, status: PENDING, error: null, blob: null });
+    }
+    setDraftCrop(null);
+  };
+
+  /**
+   * Refines every item that is not done yet, one at a time, then downloads the ZIP.
+   */
+  const handleRun = async () => {
+    const client = clientRef.current;
+    const queue = items.filter((item) => item.status !== DONE);
+    const results = new Map(items.filter((item) => item.status === DONE).map((item) => [item.id, item.blob]));
+    setError('');
+    setProgress({ done: 0, total: queue.length });
+
+    for (let i = 0; i < queue.length; i++) {
+      const item = queue[i];
+      updateItem({ ...item, status: PROCESSING, error: null });
+      try {
+        // PNGs are refined from the pixels the command-line tool reads
+        const source = (await readPngFile(item.file)) || await loadImageFile(item.file);
+        const { blob } = await client.process(source, getItemSettings(shared, item));
+        results.set(item.id, blob);
+        updateItem({ ...item, status: DONE, blob });
+      } catch (err) {
+        if (isCancelled(err)) {
+          updateItem({ ...item, status: PENDING });
+          setProgress(null);
+          return;
+        }
+        updateItem({ ...item, status: FAILED, error: 'Could not process this image.' });
+      }
+      setProgress({ done: i + 1, total: queue.length });
+    }
+
+    // Names come from the whole queue, so an item keeps its name even if another one failed
+    const names = getBatchFilenames(items);
+    const entries = [];
+    for (let i = 0; i < items.length; i++) {
+      const blob = results.get(items[i].id);
+      if (blob) entries.push({ name: names[i], data: new Uint8Array(await blob.arrayBuffer()) });
+    }
+    setProgress(null);
+
+    if (entries.length === 0) {
+      setError('None of the images could be processed.');
+      return;
+    }
+    if (entries.length < items.length) {
+      setError(`${items.length - entries.length} image(s) could not be processed and were left out of the ZIP.`);
+    }
+    downloadBlob(new Blob([createZip(entries)], { type: 'application/zip' }), ZIP_FILENAME);
+  };
+
+  /**
+   * Stops the batch after the item in flight is cancelled.
+   */
+  const handleStop = () => {
+    clientRef.current?.cancel();
+  };
+
+  /**
+   * Re-queues every item when a shared setting of the batch changes.
+   */
+  const requeueAll = () => {
+    setItems((prev) => prev.map((item) => ({ ...item, status: PENDING, error: null, blob: null })));
+  };
+
+  const names = getBatchFilenames(items);
+  const shownCrop = draftCrop || selected?.crop;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-40 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-3xl shadow-2xl w-full max-w-5xl max-h-full overflow-y-auto p-6 sm:p-8 space-y-6">
+        <div className="flex items-center justify-between">
+          <h2 className="text-2xl font-bold text-gray-900 flex items-center">
+            <Images className="w-6 h-6 mr-2 text-blue-600" />
+            Batch Mode
+          </h2>
+          <button onClick={onClose} className="p-2 rounded-full text-gray-500 hover:bg-gray-100" title="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-600">
+          Every image is refined with your current settings. Select an image to override a setting or draw a crop for it alone.
+        </p>
+
+        {/* Queue */}
+        <div className="grid grid-cols-3 sm:grid-cols-5 md:grid-cols-6 gap-3">
+          {items.map((item, index) => (
+            <QueueTile
+              key={item.id}
+              item={item}
+              name={names[index]}
+              isSelected={item.id === selectedId}
+              onSelect={() => setSelectedId(item.id)}
+            />
+          ))}
+          <label
+            htmlFor="batch-add"
+            className={`aspect-square rounded-xl border-2 border-dashed border-gray-300 flex flex-col items-center justify-center text-gray-500 text-sm ${
+              isRunning ? 'opacity-50' : 'cursor-pointer hover:border-blue-400 hover:text-blue-600'
+            }`}
+          >
+            <Plus className="w-6 h-6" />
+            Add Images
+            <input
+              id="batch-add"
+              type="file"
+              accept="image/*"
+              multiple
+              disabled={isRunning}
+              onChange={(e) => {
+                addFiles([...e.target.files]);
+                e.target.value = '';
+              }}
+              className="hidden"
+            />
+          </label>
+        </div>
+
+        {/* Selected item */}
+        {selected && (
+          <div className="grid md:grid-cols-2 gap-6 bg-gray-50 rounded-2xl p-4 border border-gray-200">
+            <div className="space-y-2">
+              <div
+                className="relative touch-none cursor-crosshair bg-white rounded-lg overflow-hidden"
+                onPointerDown={handleCropStart}
+                onPointerMove={handleCropMove}
+                onPointerUp={handleCropEnd}
+                onPointerCancel={handleCropEnd}
+              >
+                <canvas ref={cropCanvasRef} className="w-full h-auto block" />
+                {shownCrop && cropBounds && (
+                  <div
+                    className="absolute border-2 border-blue-500 bg-blue-500/10 pointer-events-none"
+                    style={{
+                      left: `${(shownCrop.x / cropBounds.width) * 100}%`,
+                      top: `${(shownCrop.y / cropBounds.height) * 100}%`,
+                      width: `${(shownCrop.width / cropBounds.width) * 100}%`,
+                      height: `${(shownCrop.height / cropBounds.height) * 100}%`,
+                    }}
+                  />
+                )}
+              </div>
+              <div className="flex items-center justify-between text-sm text-gray-500">
+                <span>
+                  {selected.crop
+                    ? `Crop: ${selected.crop.width} × ${selected.crop.height} px`
+                    : 'Drag on the image to crop it.'}
+                </span>
+                {selected.crop && (
+                  <button
+                    onClick={() => updateItem({ ...selected, crop: null, status: PENDING, error: null, blob: null })}
+                    disabled={isRunning}
+                    className="text-blue-600 hover:underline disabled:opacity-50"
+                  >
+                    Clear Crop
+                  </button>
+                )}
+              </div>
+            </div>
+
+            <div className="space-y-4">
+              <div className="flex items-center justify-between">
+                <p className="font-semibold text-gray-800 truncate">{names[items.indexOf(selected)]}</p>
+                <button
+                  onClick={() => removeItem(selected)}
+                  disabled={isRunning}
+                  title="Remove from batch"
+                  className="p-2 rounded-full text-gray-500 hover:bg-red-50 hover:text-red-600 disabled:opacity-50"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+              {selected.error && <p className="text-sm text-red-600">{selected.error}</p>}
+
+              {BATCH_OVERRIDES.map(({ key, label }) => {
+                const isOverridden = key in selected.overrides;
+                const value = selectedSettings[key];
+                const setValue = (next) => updateItem(setItemOverride(selected, key, next, shared));
+                return (
+                  <div key={key} className="space-y-1">
+                    <div className="flex items-center justify-between text-sm">
+                      <span className="font-semibold text-gray-700">{label}</span>
+                      {isOverridden ? (
+                        <button
+                          onClick={() => setValue(undefined)}
+                          disabled={isRunning}
+                          className="flex items-center text-blue-600 hover:underline disabled:opacity-50"
+                        >
+                          <RotateCcw className="w-3 h-3 mr-1" /> Use shared
+                        </button>
+                      ) : (
+                        <span className="text-gray-400">Shared</span>
+                      )}
+                    </div>
+                    {key === 'thresholdMode' && (
+                      <select
+                        value={value}
+                        disabled={isRunning}
+                        onChange={(e) => setValue(e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                      >
+                        <option value="manual">Manual</option>
+                        <option value="otsu">Auto</option>
+                        <option value="adaptive">Adaptive</option>
+                      </select>
+                    )}
+                    {key === 'rotation' && (
+                      <select
+                        value={ROTATIONS.includes(value) ? value : ''}
+                        disabled={isRunning}
+                        onChange={(e) => setValue(Number(e.target.value))}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                      >
+                        {!ROTATIONS.includes(value) && <option value="">{value}°</option>}
+                        {ROTATIONS.map((angle) => <option key={angle} value={angle}>{angle}°</option>)}
+                      </select>
+                    )}
+                    {(key === 'luminanceThreshold' || key === 'alphaThreshold') && (
+                      <div className="flex items-center space-x-3">
+                        <input
+                          type="range"
+                          min="0"
+                          max="255"
+                          value={value}
+                          disabled={isRunning || (key === 'luminanceThreshold' && selectedSettings.thresholdMode !== 'manual')}
+                          onChange={(e) => setValue(parseInt(e.target.value))}
+                          className="flex-1 h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-blue-500 disabled:opacity-50"
+                        />
+                        <span className="font-mono text-blue-600 text-sm w-8 text-right">{value}</span>
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        {/* Shared batch options */}
+        <div className="flex flex-wrap items-center gap-4 text-sm">
+          <label className="flex items-center space-x-2 text-gray-700">
+            <input
+              type="checkbox"
+              checked={trimEnabled}
+              disabled={isRunning}
+              onChange={(e) => {
+                setTrimEnabled(e.target.checked);
+                requeueAll();
+              }}
+              className="accent-blue-500"
+            />
+            <span>Trim each image to its ink</span>
+          </label>
+          {trimEnabled && (
+            <label className="flex items-center space-x-2 text-gray-700">
+              <span>Padding</span>
+              <input
+                type="number"
+                min="0"
+                value={trimPadding}
+                disabled={isRunning}
+                onChange={(e) => {
+                  setTrimPadding(Math.max(0, parseInt(e.target.value) || 0));
+                  requeueAll();
+                }}
+                className="w-20 px-2 py-1 border border-gray-300 rounded-lg"
+              />
+              <select
+                value={trimPaddingUnit}
+                disabled={isRunning}
+                onChange={(e) => {
+                  setTrimPaddingUnit(e.target.value);
+                  requeueAll();
+                }}
+                className="px-1 py-1 border border-gray-300 rounded-lg bg-white"
+              >
+                <option value="px">px</option>
+                <option value="%">%</option>
+              </select>
+            </label>
+          )}
+        </div>
+
+        {progress && (
+          <div className="space-y-1">
+            <div className="flex justify-between text-sm text-gray-600">
+              <span>Refining…</span>
+              <span className="font-mono">{progress.done} / {progress.total}</span>
+            </div>
+            <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-gradient-to-r from-blue-500 to-indigo-600 transition-all duration-300"
+                style={{ width: `${progress.total > 0 ? (progress.done / progress.total) * 100 : 100}%` }}
+              />
+            </div>
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-xl p-3 text-center">
+            <p className="text-red-700 text-sm font-medium">{error}</p>
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <p className="text-sm text-gray-500">
+            {items.length} image{items.length === 1 ? '' : 's'} · saved as <span className="font-mono">{ZIP_FILENAME}</span>
+          </p>
+          {isRunning ? (
+            <button
+              onClick={handleStop}
+              className="flex items-center space-x-2 px-6 py-3 rounded-xl border border-gray-300 font-semibold text-gray-700 hover:border-red-400 hover:text-red-600 transition-colors"
+            >
+              <Square className="w-5 h-5" />
+              <span>Stop</span>
+            </button>
+          ) : (
+            <button
+              onClick={handleRun}
+              disabled={items.length === 0}
+              className="flex items-center space-x-2 bg-gradient-to-r from-blue-500 to-indigo-600 hover:from-blue-600 hover:to-indigo-700 text-white font-semibold py-3 px-6 rounded-xl shadow-lg transition-all duration-300 transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+            >
+              <Download className="w-5 h-5" />
+              <span>Refine & Download ZIP</span>
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BatchPanel;
@@ -0,0 +1,104 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Camera, X } from 'lucide-react';
+import { canvasToBlob } from '../processing/refine.js';
+import { createCanvas } from '../utils/canvas.js';
+
+/**
+ * Modal camera view for photographing a signed page, preferring the rear camera on phones.
+ * The photo is handed over as a PNG file, so it goes through the same refine flow as an upload.
+ * @param {Object} props - Component props.
+ * @param {Function} props.onUse - Called with the photo as a File.
+ * @param {Function} props.onClose - Called when the camera should close.
+ */
+const CameraCapture = ({ onUse, onClose }) => {
+  const [isReady, setIsReady] = useState(false);
+  const [error, setError] = useState('');
+  const videoRef = useRef(null);
+
+  /**
+   * Effect to start the camera, and to stop it when the view closes.
+   */
+  useEffect(() => {
+    let stream = null;
+    let cancelled = false;
+    navigator.mediaDevices
+      .getUserMedia({ video: { facingMode: 'environment', width: { ideal: 1920 }, height: { ideal: 1080 } }, audio: false })
+      .then((media) => {
+        if (cancelled) {
+          media.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        stream = media;
+        videoRef.current.srcObject = media;
+      })
+      .catch(() => {
+        if (!cancelled) setError('Could not open the camera. Check that this site is allowed to use it.');
+      });
+    return () => {
+      cancelled = true;
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, []);
+
+  /**
+   * Takes a photo from the current video frame.
+   */
+  const handleCapture = async () => {
+    const video = videoRef.current;
+    const canvas = createCanvas(video.videoWidth, video.videoHeight);
+    canvas.getContext('2d').drawImage(video, 0, 0);
+    try {
+      const blob = await canvasToBlob(canvas);
+      onUse(new File([blob], 'camera_photo.png', { type: 'image/png' }));
+    } catch {
+      setError('Could not take the photo. Please try again.');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-40 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-3xl shadow-2xl w-full max-w-3xl p-6 sm:p-8 space-y-6">
+        <div className="flex items-center justify-between">
+          <h2 className="text-2xl font-bold text-gray-900 flex items-center">
+            <Camera className="w-6 h-6 mr-2 text-blue-600" />
+            Take a Photo
+          </h2>
+          <button onClick={onClose} className="p-2 rounded-full text-gray-500 hover:bg-gray-100" title="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="rounded-xl overflow-hidden bg-black aspect-video flex items-center justify-center">
+          <video
+            ref={videoRef}
+            autoPlay
+            playsInline
+            muted
+            onLoadedMetadata={() => setIsReady(true)}
+            className="w-full h-full object-contain"
+          />
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-xl p-3 text-center">
+            <p className="text-red-700 text-sm font-medium">{error}</p>
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <p className="text-sm text-gray-500">Fill the frame with the signature; you can fix the angle afterwards with Perspective.</p>
+          <button
+            onClick={handleCapture}
+            disabled={!isReady}
+            className="flex items-center space-x-2 bg-gradient-to-r from-blue-500 to-indigo-600 hover:from-blue-600 hover:to-indigo-700 text-white font-semibold py-3 px-6 rounded-xl shadow-lg transition-all duration-300 transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+          >
+            <Camera className="w-5 h-5" />
+            <span>Take Photo</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CameraCapture;
@@ -0,0 +1,189 @@
+import React, { useEffect, useState } from 'react';
+import { FileText, LoaderCircle, X } from 'lucide-react';
+import { canvasToBlob } from '../processing/refine.js';
+import {
+  DEFAULT_DOCUMENT_DPI,
+  DOCUMENT_DPI_OPTIONS,
+  getPageFileName,
+  getRenderSize,
+  getThumbnailSize,
+  openDocument,
+} from '../utils/documents.js';
+
+// Longest side of the page thumbnails, in pixels
+const THUMBNAIL_SIZE = 160;
+
+/**
+ * Modal page picker for a scanned PDF or multi-page TIFF. The chosen page is rendered
+ * at the chosen resolution and handed over as a PNG file, so it goes through the same
+ * refine and crop flow as an uploaded image.
+ * @param {Object} props - Component props.
+ * @param {File} props.file - The PDF or TIFF.
+ * @param {Function} props.onUse - Called with the rendered page as a File.
+ * @param {Function} props.onClose - Called when the picker should close.
+ */
+const DocumentImport = ({ file, onUse, onClose }) => {
+  const [doc, setDoc] = useState(null);
+  const [thumbnails, setThumbnails] = useState([]); // Object URLs, in page order, filled in as they render
+  const [selectedPage, setSelectedPage] = useState(0);
+  const [dpi, setDpi] = useState(DEFAULT_DOCUMENT_DPI);
+  const [isRendering, setIsRendering] = useState(false);
+  const [error, setError] = useState('');
+
+  /**
+   * Effect to open the document, and to free it when the picker closes.
+   */
+  useEffect(() => {
+    let opened = null;
+    let cancelled = false;
+    openDocument(file)
+      .then((result) => {
+        if (cancelled) {
+          result.close();
+          return;
+        }
+        opened = result;
+        setDoc(result);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+      opened?.close();
+    };
+  }, [file]);
+
+  /**
+   * Effect to render the page thumbnails one after another.
+   */
+  useEffect(() => {
+    if (!doc) return;
+    const urls = [];
+    let cancelled = false;
+    (async () => {
+      for (let index = 0; index < doc.pages.length && !cancelled; index++) {
+        try {
+          const canvas = await doc.render(index, getThumbnailSize(doc.pages[index], THUMBNAIL_SIZE));
+          const blob = await canvasToBlob(canvas);
+          if (cancelled) return;
+          urls.push(URL.createObjectURL(blob));
+        } catch {
+          if (cancelled) return;
+          urls.push(null); // Shown as a placeholder; the page may still render at full size
+        }
+        setThumbnails([...urls]);
+      }
+    })();
+    return () => {
+      cancelled = true;
+      urls.forEach((url) => url && URL.revokeObjectURL(url));
+    };
+  }, [doc]);
+
+  const renderSize = doc && getRenderSize(doc.pages[selectedPage], dpi);
+
+  /**
+   * Renders the selected page and hands it over.
+   */
+  const handleUse = async () => {
+    setIsRendering(true);
+    setError('');
+    try {
+      const canvas = await doc.render(selectedPage, renderSize);
+      const blob = await canvasToBlob(canvas);
+      onUse(new File([blob], getPageFileName(file.name, selectedPage), { type: 'image/png' }));
+    } catch {
+      setError('Could not render this page. Try a lower resolution.');
+      setIsRendering(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-40 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-3xl shadow-2xl w-full max-w-3xl p-6 sm:p-8 space-y-6 max-h-full overflow-y-auto">
+        <div className="flex items-center justify-between">
+          <h2 className="text-2xl font-bold text-gray-900 flex items-center min-w-0">
+            <FileText className="w-6 h-6 mr-2 text-blue-600 shrink-0" />
+            <span className="truncate">{file.name}</span>
+          </h2>
+          <button onClick={onClose} className="p-2 rounded-full text-gray-500 hover:bg-gray-100" title="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {!doc && !error && (
+          <div className="flex items-center justify-center py-12 text-gray-500">
+            <LoaderCircle className="w-6 h-6 mr-2 animate-spin" />
+            Opening document...
+          </div>
+        )}
+
+        {doc && (
+          <>
+            <p className="text-sm text-gray-600">
+              {doc.pages.length === 1 ? 'One page.' : `${doc.pages.length} pages.`} Pick the page with the signature.
+            </p>
+            <div className="grid grid-cols-3 sm:grid-cols-4 md:grid-cols-5 gap-3 max-h-80 overflow-y-auto p-1">
+              {doc.pages.map((page, index) => (
+                <button
+                  key={index}
+                  onClick={() => setSelectedPage(index)}
+                  className={`rounded-xl border-2 p-2 flex flex-col items-center transition-colors ${selectedPage === index ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:border-blue-300'}`}
+                >
+                  <div className="w-full aspect-[3/4] flex items-center justify-center bg-gray-100 rounded-lg overflow-hidden">
+                    {thumbnails[index] ? (
+                      <img src={thumbnails[index]} alt={`Page ${index + 1}`} className="max-w-full max-h-full object-contain bg-white shadow" />
+                    ) : (
+                      <LoaderCircle className={`w-5 h-5 text-gray-400 ${index < thumbnails.length ? '' : 'animate-spin'}`} />
+                    )}
+                  </div>
+                  <span className="text-xs font-medium text-gray-600 mt-1">Page {index + 1}</span>
+                </button>
+              ))}
+            </div>
+          </>
+        )}
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-xl p-3 text-center">
+            <p className="text-red-700 text-sm font-medium">{error}</p>
+          </div>
+        )}
+
+        {doc && (
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <div className="flex items-center gap-3">
+              <label htmlFor="document-dpi" className="text-sm font-semibold text-gray-700">Resolution</label>
+              <select
+                id="document-dpi"
+                value={dpi}
+                onChange={(e) => setDpi(parseInt(e.target.value))}
+                className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+              >
+                {DOCUMENT_DPI_OPTIONS.map((value) => (
+                  <option key={value} value={value}>{value} DPI</option>
+                ))}
+              </select>
+              <span className="text-xs text-gray-500">
+                {renderSize.width}×{renderSize.height}px
+                {renderSize.isLimited && ' (reduced to fit the browser)'}
+                {!doc.pages[selectedPage].dpi && ' (page size unknown, kept as scanned)'}
+              </span>
+            </div>
+            <button
+              onClick={handleUse}
+              disabled={isRendering}
+              className="flex items-center space-x-2 bg-gradient-to-r from-blue-500 to-indigo-600 hover:from-blue-600 hover:to-indigo-700 text-white font-semibold py-3 px-6 rounded-xl shadow-lg transition-all duration-300 transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+            >
+              {isRendering ? <LoaderCircle className="w-5 h-5 animate-spin" /> : <FileText className="w-5 h-5" />}
+              <span>Use Page {selectedPage + 1}</span>
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DocumentImport;
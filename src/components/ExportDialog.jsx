@@ -0,0 +1,265 @@
+import React, { useEffect, useState } from 'react';
+import { Download, X, Lock, Unlock } from 'lucide-react';
+import {
+  EXPORT_FORMATS,
+  UNITS_PER_INCH,
+  buildFilename,
+  computeExportSize,
+  getExportFormat,
+  pixelsToUnit,
+  renderExport,
+} from '../utils/exportImage.js';
+import { loadImage } from '../utils/canvas.js';
+
+// Resolution used until the user picks another one
+const DEFAULT_DPI = 300;
+
+/**
+ * Export dialog shown before downloading: format, output size (in pixels or as a
+ * physical size at a DPI), background color for opaque formats and filename.
+ * @param {Object} props - Component props.
+ * @param {string} props.processedImageUrl - URL of the refined (and possibly cropped) PNG.
+ * @param {Function} props.onExport - Called with the rendered file and { fileName, format, width, height, dpi }.
+ * @param {Function} props.onClose - Called when the dialog should close.
+ */
+const ExportDialog = ({ processedImageUrl, onExport, onClose }) => {
+  // Decoded refined image, needed for its natural size and for rendering
+  const [source, setSource] = useState(null);
+  const [format, setFormat] = useState('png');
+  const [background, setBackground] = useState('#ffffff');
+  const [sizeMode, setSizeMode] = useState('pixels'); // 'pixels' or 'physical'
+  const [pixelSize, setPixelSize] = useState({ width: 0, height: 0 });
+  const [physicalSize, setPhysicalSize] = useState({ width: 0, height: 0 });
+  const [unit, setUnit] = useState('in');
+  const [dpi, setDpi] = useState(DEFAULT_DPI);
+  const [lockAspect, setLockAspect] = useState(true);
+  const [filename, setFilename] = useState('refined_signature');
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  /**
+   * Effect to decode the refined image and start from its natural size.
+   */
+  useEffect(() => {
+    let cancelled = false;
+    loadImage(processedImageUrl)
+      .then((img) => {
+        if (cancelled) return;
+        setSource(img);
+        setPixelSize({ width: img.width, height: img.height });
+        setPhysicalSize({
+          width: pixelsToUnit(img.width, 'in', DEFAULT_DPI),
+          height: pixelsToUnit(img.height, 'in', DEFAULT_DPI),
+        });
+      })
+      .catch(() => {
+        if (!cancelled) setError('Could not load the refined image.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [processedImageUrl]);
+
+  const formatInfo = getExportFormat(format);
+  const aspect = source ? source.width / source.height : 1;
+  const dimensions = sizeMode === 'pixels' ? pixelSize : physicalSize;
+  const outputSize = computeExportSize({ mode: sizeMode, ...dimensions, unit, dpi });
+
+  /**
+   * Updates one dimension, keeping the other in proportion when the aspect ratio is locked.
+   * @param {string} axis - 'width' or 'height'.
+   * @param {string} value - Raw input value.
+   */
+  const handleDimensionChange = (axis, value) => {
+    const number = Math.max(0, parseFloat(value) || 0);
+    const round = (n) => (sizeMode === 'pixels' ? Math.round(n) : Math.round(n * 100) / 100);
+    const next = { ...dimensions, [axis]: number };
+    if (lockAspect) {
+      if (axis === 'width') next.height = round(number / aspect);
+      else next.width = round(number * aspect);
+    }
+    if (sizeMode === 'pixels') setPixelSize(next);
+    else setPhysicalSize(next);
+  };
+
+  /**
+   * Switches the physical unit, converting the current size.
+   * @param {string} nextUnit - 'in', 'cm' or 'mm'.
+   */
+  const handleUnitChange = (nextUnit) => {
+    const factor = UNITS_PER_INCH[nextUnit] / UNITS_PER_INCH[unit];
+    setPhysicalSize({
+      width: Math.round(physicalSize.width * factor * 100) / 100,
+      height: Math.round(physicalSize.height * factor * 100) / 100,
+    });
+    setUnit(nextUnit);
+  };
+
+  /**
+   * Renders the file and hands it over for saving.
+   */
+  const handleExport = async () => {
+    if (!source) return;
+    setIsExporting(true);
+    setError('');
+    try {
+      const png = new Uint8Array(await (await fetch(processedImageUrl)).arrayBuffer());
+      const blob = await renderExport(source, { format, ...outputSize, dpi, background }, png);
+      onExport(blob, { fileName: buildFilename(filename, format), format, ...outputSize, dpi });
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Could not export the signature.');
+    }
+    setIsExporting(false);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-40 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-3xl shadow-2xl w-full max-w-xl p-6 sm:p-8 space-y-6">
+        <div className="flex items-center justify-between">
+          <h2 className="text-2xl font-bold text-gray-900 flex items-center">
+            <Download className="w-6 h-6 mr-2 text-teal-600" />
+            Export Signature
+          </h2>
+          <button onClick={onClose} className="p-2 rounded-full text-gray-500 hover:bg-gray-100" title="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Format */}
+        <div>
+          <label className="text-sm font-semibold text-gray-700 block mb-2">Format</label>
+          <div className="grid grid-cols-4 gap-1 bg-gray-100 rounded-lg p-1">
+            {EXPORT_FORMATS.map(({ id, label }) => (
+              <button
+                key={id}
+                onClick={() => setFormat(id)}
+                className={`py-1.5 rounded-md text-sm font-medium transition-colors ${format === id ? 'bg-white text-teal-600 shadow' : 'text-gray-600 hover:text-gray-900'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {!formatInfo.transparent && (
+            <div className="flex items-center mt-3 space-x-3">
+              <label htmlFor="export-background" className="text-sm font-medium text-gray-700">Background</label>
+              <input
+                id="export-background"
+                type="color"
+                value={background}
+                onChange={(e) => setBackground(e.target.value)}
+                className="w-10 h-8 rounded cursor-pointer border border-gray-200"
+              />
+              <span className="font-mono text-sm text-gray-500">{background}</span>
+            </div>
+          )}
+        </div>
+
+        {/* Size */}
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <label className="text-sm font-semibold text-gray-700">Size</label>
+            <div className="grid grid-cols-2 gap-1 bg-gray-100 rounded-lg p-1">
+              {[['pixels', 'Pixels'], ['physical', 'Print size']].map(([mode, label]) => (
+                <button
+                  key={mode}
+                  onClick={() => setSizeMode(mode)}
+                  className={`px-3 py-1 rounded-md text-xs font-medium transition-colors ${sizeMode === mode ? 'bg-white text-teal-600 shadow' : 'text-gray-600 hover:text-gray-900'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="flex items-end space-x-2">
+            {['width', 'height'].map((axis) => (
+              <div key={axis} className="flex-1">
+                <label htmlFor={`export-${axis}`} className="text-xs text-gray-500 capitalize">{axis}</label>
+                <input
+                  id={`export-${axis}`}
+                  type="number"
+                  min="0"
+                  step={sizeMode === 'pixels' ? 1 : 0.01}
+                  value={dimensions[axis]}
+                  onChange={(e) => handleDimensionChange(axis, e.target.value)}
+                  className="w-full rounded-lg border border-gray-200 px-3 py-2 font-mono text-sm"
+                />
+              </div>
+            ))}
+            <button
+              onClick={() => setLockAspect(!lockAspect)}
+              title={lockAspect ? 'Unlock aspect ratio' : 'Lock aspect ratio'}
+              className={`p-2.5 rounded-lg border transition-colors ${lockAspect ? 'border-teal-500 bg-teal-50 text-teal-700' : 'border-gray-200 text-gray-500'}`}
+            >
+              {lockAspect ? <Lock className="w-4 h-4" /> : <Unlock className="w-4 h-4" />}
+            </button>
+            {sizeMode === 'physical' && (
+              <select
+                value={unit}
+                onChange={(e) => handleUnitChange(e.target.value)}
+                className="rounded-lg border border-gray-200 bg-white px-2 py-2 text-sm"
+              >
+                {Object.keys(UNITS_PER_INCH).map((option) => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+            )}
+          </div>
+          <div className="flex items-center mt-3 space-x-3">
+            <label htmlFor="export-dpi" className="text-sm font-medium text-gray-700">Resolution</label>
+            <input
+              id="export-dpi"
+              type="number"
+              min="1"
+              value={dpi}
+              onChange={(e) => setDpi(Math.max(1, parseInt(e.target.value) || 1))}
+              className="w-24 rounded-lg border border-gray-200 px-3 py-1.5 font-mono text-sm"
+            />
+            <span className="text-sm text-gray-500">DPI</span>
+          </div>
+          <p className="text-xs text-gray-500 mt-2">
+            Output: {outputSize.width} × {outputSize.height} px, prints at {pixelsToUnit(outputSize.width, unit, dpi)} ×{' '}
+            {pixelsToUnit(outputSize.height, unit, dpi)} {unit}
+            {format === 'webp' && ' (WebP files carry no DPI information)'}
+          </p>
+        </div>
+
+        {/* Filename */}
+        <div>
+          <label htmlFor="export-filename" className="text-sm font-semibold text-gray-700 block mb-2">Filename</label>
+          <div className="flex items-center">
+            <input
+              id="export-filename"
+              type="text"
+              value={filename}
+              onChange={(e) => setFilename(e.target.value)}
+              className="flex-1 rounded-l-lg border border-gray-200 px-3 py-2 text-sm"
+            />
+            <span className="rounded-r-lg border border-l-0 border-gray-200 bg-gray-50 px-3 py-2 text-sm text-gray-500">
+              .{formatInfo.extension}
+            </span>
+          </div>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-xl p-3 text-center">
+            <p className="text-red-700 text-sm font-medium">{error}</p>
+          </div>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            onClick={handleExport}
+            disabled={!source || isExporting}
+            className="flex items-center space-x-2 bg-gradient-to-r from-green-600 to-teal-600 hover:from-green-700 hover:to-teal-700 text-white font-semibold py-3 px-6 rounded-xl shadow-lg transition-all duration-300 transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-teal-500 disabled:opacity-50"
+          >
+            <Download className="w-5 h-5" />
+            <span>{isExporting ? 'Exporting...' : `Download ${formatInfo.label}`}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportDialog;
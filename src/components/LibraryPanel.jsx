@@ -0,0 +1,319 @@
+import React, { useEffect, useState } from 'react';
+import { Check, Download, FolderOpen, Library, LoaderCircle, Pencil, Save, Trash2, Upload, X } from 'lucide-react';
+import { canvasToBlob } from '../processing/refine.js';
+import { createCanvas, loadImageFile } from '../utils/canvas.js';
+import { downloadBlob } from '../utils/download.js';
+import {
+  createLibraryEntry,
+  deleteSignature,
+  exportLibrary,
+  getDefaultEntryName,
+  importLibrary,
+  listSignatures,
+  renameLibraryEntry,
+  saveSignatures,
+  sortLibraryEntries,
+} from '../utils/signatureLibrary.js';
+
+// Longest side of the stored thumbnails, in pixels
+const THUMBNAIL_SIZE = 160;
+
+/**
+ * Scales a refined signature down to a thumbnail.
+ * @param {Blob} png - The refined PNG.
+ * @returns {Promise<Blob>} PNG thumbnail, never larger than the original.
+ */
+const createThumbnail = async (png) => {
+  const img = await loadImageFile(png);
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(img.width, img.height));
+  const canvas = createCanvas(Math.max(1, Math.round(img.width * scale)), Math.max(1, Math.round(img.height * scale)));
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  return canvasToBlob(canvas);
+};
+
+/**
+ * Library tile with the thumbnail, name and actions of one saved signature.
+ * @param {Object} props - Component props.
+ * @param {Object} props.entry - Library entry.
+ * @param {Function} props.onOpen - Called to open the entry for editing.
+ * @param {Function} props.onRename - Called with the new name.
+ * @param {Function} props.onDelete - Called once deleting has been confirmed.
+ */
+const LibraryTile = ({ entry, onOpen, onRename, onDelete }) => {
+  const [url, setUrl] = useState(null);
+  const [draftName, setDraftName] = useState(null); // Name being typed, or null when not renaming
+  const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+  const image = entry.thumbnail || entry.output;
+
+  /**
+   * Effect to hold an object URL for the thumbnail while it is on screen.
+   */
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(image);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [image]);
+
+  const commitRename = () => {
+    if (draftName.trim() && draftName.trim() !== entry.name) onRename(draftName);
+    setDraftName(null);
+  };
+
+  return (
+    <div className="rounded-xl border border-gray-200 p-3 flex flex-col gap-2">
+      <button
+        onClick={onOpen}
+        className="aspect-[3/2] rounded-lg bg-gray-50 border border-gray-100 flex items-center justify-center overflow-hidden hover:border-blue-300"
+        title="Open for editing"
+      >
+        {url && <img src={url} alt={entry.name} className="max-w-full max-h-full object-contain" />}
+      </button>
+      {draftName === null ? (
+        <p className="font-semibold text-gray-800 truncate" title={entry.name}>{entry.name}</p>
+      ) : (
+        <input
+          type="text"
+          value={draftName}
+          autoFocus
+          onChange={(e) => setDraftName(e.target.value)}
+          onBlur={commitRename}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') commitRename();
+            if (e.key === 'Escape') setDraftName(null);
+          }}
+          className="w-full border border-blue-300 rounded-md px-2 py-0.5 text-sm"
+        />
+      )}
+      <p className="text-xs text-gray-500">Saved {new Date(entry.updatedAt).toLocaleDateString()}</p>
+      {isConfirmingDelete ? (
+        <div className="flex items-center gap-2 text-sm">
+          <span className="text-gray-700">Delete?</span>
+          <button onClick={onDelete} className="px-2 py-1 rounded-md bg-red-600 text-white font-medium hover:bg-red-700">Delete</button>
+          <button onClick={() => setIsConfirmingDelete(false)} className="px-2 py-1 rounded-md text-gray-600 hover:bg-gray-100">Keep</button>
+        </div>
+      ) : (
+        <div className="flex items-center gap-1">
+          <button
+            onClick={onOpen}
+            className="flex-1 flex items-center justify-center space-x-1 py-1.5 rounded-md bg-blue-600 text-white text-sm font-medium hover:bg-blue-700"
+          >
+            <FolderOpen className="w-4 h-4" />
+            <span>Open</span>
+          </button>
+          <button onClick={() => setDraftName(entry.name)} className="p-1.5 rounded-md text-gray-500 hover:bg-gray-100" title="Rename">
+            <Pencil className="w-4 h-4" />
+          </button>
+          <button onClick={() => setIsConfirmingDelete(true)} className="p-1.5 rounded-md text-gray-500 hover:bg-red-50 hover:text-red-600" title="Delete">
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Modal listing the signatures saved in this browser. The current signature can be saved
+ * under a name, saved ones reopened with the settings they were made with, and the whole
+ * library exported to or imported from a ZIP file.
+ * @param {Object} props - Component props.
+ * @param {Object|null} props.current - { file, settings, processedImageUrl } of the signature
+ *   being edited, or null if there is none to save.
+ * @param {Function} props.onOpen - Called with an entry to open it for editing.
+ * @param {Function} props.onClose - Called when the panel should close.
+ */
+const LibraryPanel = ({ current, onOpen, onClose }) => {
+  const [entries, setEntries] = useState(null); // Null until the library has been read
+  const [name, setName] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  /**
+   * Effect to read the library when the panel opens.
+   */
+  useEffect(() => {
+    let cancelled = false;
+    listSignatures()
+      .then((list) => {
+        if (!cancelled) setEntries(list);
+      })
+      .catch(() => {
+        if (!cancelled) {
+          setEntries([]);
+          setError('Could not open the signature library. Private browsing windows may not allow saving.');
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  /**
+   * Runs a library change with the buttons disabled, then shows any error.
+   * @param {Function} action - Async function doing the change.
+   * @param {string} failure - Message shown if it fails.
+   * @param {boolean} [showReason] - Whether to add the error's own message, for errors
+   *   written for users (e.g. about an imported file).
+   */
+  const runAction = async (action, failure, showReason = false) => {
+    setIsBusy(true);
+    setError('');
+    setMessage('');
+    try {
+      await action();
+    } catch (err) {
+      setError(showReason && err.message ? `${failure} ${err.message}` : failure);
+    }
+    setIsBusy(false);
+  };
+
+  /**
+   * Saves the current signature as a new entry.
+   */
+  const handleSave = () => runAction(async () => {
+    const output = await (await fetch(current.processedImageUrl)).blob();
+    const entry = createLibraryEntry({
+      name: name.trim() || getDefaultEntryName(entries),
+      source: current.file,
+      sourceName: current.file.name,
+      settings: current.settings,
+      output,
+      thumbnail: await createThumbnail(output),
+    });
+    await saveSignatures([entry]);
+    setEntries((prev) => sortLibraryEntries([entry, ...prev]));
+    setName('');
+    setMessage(`Saved "${entry.name}".`);
+  }, 'Could not save the signature.');
+
+  const handleRename = (entry, newName) => runAction(async () => {
+    const renamed = renameLibraryEntry(entry, newName);
+    await saveSignatures([renamed]);
+    setEntries((prev) => sortLibraryEntries(prev.map((item) => (item.id === entry.id ? renamed : item))));
+  }, 'Could not rename the signature.');
+
+  const handleDelete = (entry) => runAction(async () => {
+    await deleteSignature(entry.id);
+    setEntries((prev) => prev.filter((item) => item.id !== entry.id));
+  }, 'Could not delete the signature.');
+
+  const handleExport = () => runAction(async () => {
+    const zip = await exportLibrary(entries);
+    downloadBlob(new Blob([zip], { type: 'application/zip' }), 'signature_library.zip');
+  }, 'Could not export the library.');
+
+  /**
+   * Imports a library ZIP; entries already here with the same id are replaced.
+   * @param {Object} event - The file input change event.
+   */
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow importing the same file again
+    if (!file) return;
+    runAction(async () => {
+      const imported = await importLibrary(new Uint8Array(await file.arrayBuffer()));
+      await saveSignatures(imported);
+      setEntries(await listSignatures());
+      setMessage(`Imported ${imported.length} signature${imported.length === 1 ? '' : 's'}.`);
+    }, 'Could not import the library.', true);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-40 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-3xl shadow-2xl w-full max-w-4xl p-6 sm:p-8 space-y-6 max-h-full overflow-y-auto">
+        <div className="flex items-center justify-between">
+          <h2 className="text-2xl font-bold text-gray-900 flex items-center">
+            <Library className="w-6 h-6 mr-2 text-blue-600" />
+            Saved Signatures
+          </h2>
+          <button onClick={onClose} className="p-2 rounded-full text-gray-500 hover:bg-gray-100" title="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {current && (
+          <div className="flex flex-wrap items-center gap-3 bg-blue-50 rounded-xl p-4">
+            <label htmlFor="library-name" className="text-sm font-semibold text-gray-700">Save the current signature as</label>
+            <input
+              id="library-name"
+              type="text"
+              value={name}
+              placeholder={entries ? getDefaultEntryName(entries) : ''}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && entries && !isBusy) handleSave();
+              }}
+              className="flex-1 min-w-[10rem] border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            />
+            <button
+              onClick={handleSave}
+              disabled={!entries || isBusy}
+              className="flex items-center space-x-2 py-2 px-4 rounded-xl bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-50"
+            >
+              <Save className="w-4 h-4" />
+              <span>Save</span>
+            </button>
+          </div>
+        )}
+
+        {entries === null ? (
+          <div className="flex items-center justify-center py-12 text-gray-500">
+            <LoaderCircle className="w-6 h-6 mr-2 animate-spin" />
+            Opening library...
+          </div>
+        ) : entries.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">
+            No saved signatures yet. Saved signatures stay in this browser until you delete them.
+          </p>
+        ) : (
+          <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-4">
+            {entries.map((entry) => (
+              <LibraryTile
+                key={entry.id}
+                entry={entry}
+                onOpen={() => onOpen(entry)}
+                onRename={(newName) => handleRename(entry, newName)}
+                onDelete={() => handleDelete(entry)}
+              />
+            ))}
+          </div>
+        )}
+
+        {message && (
+          <p className="text-sm text-green-700 flex items-center">
+            <Check className="w-4 h-4 mr-1" /> {message}
+          </p>
+        )}
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-xl p-3 text-center">
+            <p className="text-red-700 text-sm font-medium">{error}</p>
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center justify-between gap-4 border-t border-gray-100 pt-4">
+          <p className="text-sm text-gray-500">Move your library to another browser by exporting it here and importing it there.</p>
+          <div className="flex items-center gap-2">
+            <label className="cursor-pointer flex items-center space-x-2 py-2 px-4 rounded-xl border border-gray-300 text-gray-700 font-medium hover:bg-gray-50">
+              <Upload className="w-4 h-4" />
+              <span>Import</span>
+              <input type="file" accept=".zip,application/zip" onChange={handleImport} className="hidden" disabled={isBusy} />
+            </label>
+            <button
+              onClick={handleExport}
+              disabled={!entries || entries.length === 0 || isBusy}
+              className="flex items-center space-x-2 py-2 px-4 rounded-xl border border-gray-300 text-gray-700 font-medium hover:bg-gray-50 disabled:opacity-50"
+            >
+              <Download className="w-4 h-4" />
+              <span>Export</span>
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LibraryPanel;
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { Download, Save, SlidersHorizontal, Upload, X } from 'lucide-react';
+import { downloadBlob } from '../utils/download.js';
+import {
+  BUILT_IN_PRESETS,
+  addPresets,
+  createPreset,
+  findMatchingPreset,
+  loadUserPresets,
+  parsePresetsJson,
+  presetsToJson,
+  storeUserPresets,
+} from '../editing/presets.js';
+
+/**
+ * Row of settings presets at the top of the refinement controls: the built-in ones for
+ * common capture conditions and the user's own, which can be saved from the current
+ * settings, deleted, and shared as a JSON file.
+ * @param {Object} props - Component props.
+ * @param {Object} props.settings - Current editor settings.
+ * @param {Function} props.onApply - Called with a preset to apply its settings.
+ */
+const PresetPicker = ({ settings, onApply }) => {
+  const [userPresets, setUserPresets] = useState(loadUserPresets);
+  const [draftName, setDraftName] = useState(null); // Name being typed, or null when not saving
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const active = findMatchingPreset(settings, [...userPresets, ...BUILT_IN_PRESETS]);
+
+  /**
+   * Replaces the user presets and stores them for the next visit.
+   * @param {Array<Object>} presets - All user presets.
+   * @param {string} [success] - Message to show once they are stored.
+   */
+  const updateUserPresets = (presets, success = '') => {
+    setUserPresets(presets);
+    setError('');
+    setMessage('');
+    if (storeUserPresets(presets)) {
+      setMessage(success);
+    } else {
+      setError('Presets could not be saved in this browser and will be lost on reload.');
+    }
+  };
+
+  const handleSave = () => {
+    const name = draftName.trim();
+    setDraftName(null);
+    if (!name) return;
+    updateUserPresets(addPresets(userPresets, [createPreset(name, settings)]), `Saved preset "${name}".`);
+  };
+
+  const handleExport = () => {
+    downloadBlob(new Blob([presetsToJson(userPresets)], { type: 'application/json' }), 'signature_presets.json');
+  };
+
+  /**
+   * Imports presets from a shared JSON file; presets with a name already taken replace it.
+   * @param {Object} event - The file input change event.
+   */
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow importing the same file again
+    if (!file) return;
+    try {
+      const imported = parsePresetsJson(await file.text());
+      updateUserPresets(addPresets(userPresets, imported), `Imported ${imported.length} preset${imported.length === 1 ? '' : 's'}.`);
+    } catch (err) {
+      setMessage('');
+      setError(`Could not import the presets. ${err.message}`);
+    }
+  };
+
+  const chipClass = (preset) => `px-3 py-1.5 rounded-lg text-sm font-medium border transition-colors ${active?.id === preset.id ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-200 text-gray-600 hover:border-gray-300'}`;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <label className="text-lg font-semibold text-gray-700 flex items-center">
+          <SlidersHorizontal className="w-4 h-4 mr-2 text-gray-500" />
+          Presets
+        </label>
+        <div className="flex items-center gap-1">
+          <button onClick={() => setDraftName('')} className="p-1.5 rounded-md text-gray-500 hover:bg-gray-100" title="Save current settings as a preset">
+            <Save className="w-4 h-4" />
+          </button>
+          <label className="p-1.5 rounded-md text-gray-500 hover:bg-gray-100 cursor-pointer" title="Import presets">
+            <Upload className="w-4 h-4" />
+            <input type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+          </label>
+          <button
+            onClick={handleExport}
+            disabled={userPresets.length === 0}
+            className="p-1.5 rounded-md text-gray-500 hover:bg-gray-100 disabled:opacity-40"
+            title="Share your presets as a JSON file"
+          >
+            <Download className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {BUILT_IN_PRESETS.map((preset) => (
+          <button key={preset.id} onClick={() => onApply(preset)} title={preset.description} className={chipClass(preset)}>
+            {preset.name}
+          </button>
+        ))}
+        {userPresets.map((preset) => (
+          <span key={preset.id} className={`${chipClass(preset)} flex items-center gap-1 pr-1.5`}>
+            <button onClick={() => onApply(preset)}>{preset.name}</button>
+            <button
+              onClick={() => updateUserPresets(userPresets.filter((item) => item.id !== preset.id))}
+              className="p-0.5 rounded text-gray-400 hover:text-red-600"
+              title={`Delete "${preset.name}"`}
+            >
+              <X className="w-3.5 h-3.5" />
+            </button>
+          </span>
+        ))}
+      </div>
+      {draftName !== null && (
+        <div className="flex items-center gap-2 mt-3">
+          <input
+            type="text"
+            value={draftName}
+            autoFocus
+            placeholder="Preset name"
+            onChange={(e) => setDraftName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') handleSave();
+              if (e.key === 'Escape') setDraftName(null);
+            }}
+            className="flex-1 border border-gray-300 rounded-lg px-3 py-1.5 text-sm"
+          />
+          <button
+            onClick={handleSave}
+            disabled={!draftName.trim()}
+            className="px-3 py-1.5 rounded-lg bg-blue-600 text-white text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+          >
+            Save
+          </button>
+          <button onClick={() => setDraftName(null)} className="px-3 py-1.5 rounded-lg text-sm text-gray-600 hover:bg-gray-100">
+            Cancel
+          </button>
+        </div>
+      )}
+      <p className="text-sm text-gray-600 mt-1">
+        {active ? active.description || `Using your preset "${active.name}".` : 'Pick the closest match for how the signature was captured, then fine-tune below.'}
+      </p>
+      {message && <p className="text-xs text-green-700 mt-1">{message}</p>}
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default PresetPicker;
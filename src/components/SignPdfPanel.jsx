@@ -0,0 +1,403 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { ChevronLeft, ChevronRight, Download, FilePen, Files, LoaderCircle, Plus, Trash2, Upload, X } from 'lucide-react';
+import { canvasToBlob } from '../processing/refine.js';
+import { vectorizeImage } from '../processing/vectorize.js';
+import { copyToAllPages, createPlacement, movePlacement, resizePlacement, rotatePlacement } from '../editing/placements.js';
+import { getImagePixels, loadImage } from '../utils/canvas.js';
+import { getRenderSize, openDocument } from '../utils/documents.js';
+import { downloadBlob } from '../utils/download.js';
+import { getSignedFileName, signPdf } from '../utils/signPdf.js';
+
+// Resolution the pages are shown at; sharp enough to line a signature up with the signature line
+const PREVIEW_DPI = 144;
+
+/**
+ * Modal for stamping the refined signature onto a PDF: pick a local PDF, place the
+ * signature on any number of pages, then download the signed copy. The PDF never
+ * leaves the browser.
+ * @param {Object} props - Component props.
+ * @param {string} props.processedImageUrl - URL of the refined (and possibly cropped) PNG.
+ * @param {Function} props.onClose - Called when the panel should close.
+ */
+const SignPdfPanel = ({ processedImageUrl, onClose }) => {
+  const [pdfFile, setPdfFile] = useState(null);
+  const [doc, setDoc] = useState(null);
+  const [pageIndex, setPageIndex] = useState(0);
+  const [pagePreview, setPagePreview] = useState(null); // { index, url } of the last rendered page
+  const [signature, setSignature] = useState(null); // { png, aspect } of the refined signature
+  // Placements, see src/editing/placements.js, and the id of the one being edited
+  const [placements, setPlacements] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [useVector, setUseVector] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const pageRef = useRef(null);
+  const dragRef = useRef(null); // { mode, start, startPoint } while moving, resizing or rotating
+  const nextIdRef = useRef(0);
+
+  const pageSize = doc?.pages[pageIndex];
+  const pageUrl = pagePreview?.index === pageIndex ? pagePreview.url : null;
+  const pagePlacements = placements.filter((placement) => placement.page === pageIndex);
+  const selected = placements.find((placement) => placement.id === selectedId) || null;
+
+  /**
+   * Effect to read the refined signature's bytes and shape.
+   */
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([fetch(processedImageUrl).then((response) => response.arrayBuffer()), loadImage(processedImageUrl)])
+      .then(([png, img]) => {
+        if (!cancelled) setSignature({ png: new Uint8Array(png), aspect: img.width / img.height });
+      })
+      .catch(() => {
+        if (!cancelled) setError('Could not read the refined signature.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [processedImageUrl]);
+
+  /**
+   * Effect to open a newly chosen PDF, and to free it when another is chosen or the panel closes.
+   */
+  useEffect(() => {
+    if (!pdfFile) return;
+    let opened = null;
+    let cancelled = false;
+    openDocument(pdfFile)
+      .then((result) => {
+        if (cancelled) {
+          result.close();
+          return;
+        }
+        opened = result;
+        setDoc(result);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+      opened?.close();
+    };
+  }, [pdfFile]);
+
+  /**
+   * Effect to render the current page.
+   */
+  useEffect(() => {
+    if (!doc) return;
+    let url = null;
+    let cancelled = false;
+    doc.render(pageIndex, getRenderSize(doc.pages[pageIndex], PREVIEW_DPI))
+      .then(canvasToBlob)
+      .then((blob) => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setPagePreview({ index: pageIndex, url });
+      })
+      .catch(() => {
+        if (!cancelled) setError('Could not show this page.');
+      });
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [doc, pageIndex]);
+
+  /**
+   * Handles choosing a PDF; placements belong to the previous document and are dropped.
+   * @param {Object} event - The file input change event.
+   */
+  const handlePdfChange = (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow choosing the same file again
+    if (!file) return;
+    setDoc(null);
+    setPagePreview(null);
+    setPageIndex(0);
+    setPlacements([]);
+    setSelectedId(null);
+    setError('');
+    setPdfFile(file);
+  };
+
+  // Placement ids only need to be unique within the panel
+  const createId = () => {
+    nextIdRef.current += 1;
+    return `placement-${nextIdRef.current}`;
+  };
+
+  /**
+   * Places the signature on the current page.
+   */
+  const handleAdd = () => {
+    const placement = createPlacement(createId(), pageIndex, pageSize, signature.aspect);
+    setPlacements((prev) => [...prev, placement]);
+    setSelectedId(placement.id);
+  };
+
+  /**
+   * Copies the selected placement to every other page, e.g. for initials.
+   */
+  const handleAddToEveryPage = () => {
+    const copies = copyToAllPages(selected, doc.pages, createId);
+    setPlacements((prev) => [...prev, ...copies]);
+  };
+
+  /**
+   * Removes the selected placement.
+   */
+  const handleRemove = () => {
+    setPlacements((prev) => prev.filter((placement) => placement.id !== selectedId));
+    setSelectedId(null);
+  };
+
+  /**
+   * Converts a pointer position to points on the displayed page.
+   * @param {Object} event - Pointer event.
+   * @returns {Object} Point { x, y }.
+   */
+  const toPagePoint = (event) => {
+    const rect = pageRef.current.getBoundingClientRect();
+    const scale = pageSize.width / rect.width;
+    return { x: (event.clientX - rect.left) * scale, y: (event.clientY - rect.top) * scale };
+  };
+
+  /**
+   * Starts moving, resizing or rotating a placement.
+   * @param {Object} event - Pointer event.
+   * @param {Object} placement - The placement grabbed.
+   * @param {string} mode - 'move', 'resize' or 'rotate'.
+   */
+  const handlePlacementPointerDown = (event, placement, mode) => {
+    event.stopPropagation();
+    event.preventDefault();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setSelectedId(placement.id);
+    dragRef.current = { mode, start: placement, startPoint: toPagePoint(event) };
+  };
+
+  /**
+   * Follows the pointer while a placement is being edited.
+   * @param {Object} event - Pointer event.
+   */
+  const handlePagePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const { mode, start, startPoint } = drag;
+    const point = toPagePoint(event);
+    let next;
+    if (mode === 'move') {
+      next = movePlacement(start, point.x - startPoint.x, point.y - startPoint.y, pageSize);
+    } else if (mode === 'resize') {
+      const distance = (p) => Math.hypot(p.x - start.x, p.y - start.y);
+      next = resizePlacement(start, distance(point) / Math.max(distance(startPoint), 1), pageSize);
+    } else {
+      // The rotate handle sits above the signature, a quarter turn before angle 0
+      next = rotatePlacement(start, (Math.atan2(point.y - start.y, point.x - start.x) * 180) / Math.PI + 90);
+    }
+    setPlacements((prev) => prev.map((placement) => (placement.id === start.id ? next : placement)));
+  };
+
+  const handlePagePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  /**
+   * Writes the signed PDF and downloads it.
+   */
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError('');
+    try {
+      let vector = null;
+      if (useVector) {
+        const img = await loadImage(processedImageUrl);
+        const { pathData, fill } = vectorizeImage(getImagePixels(img));
+        if (pathData) vector = { pathData, fill, width: img.width, height: img.height };
+      }
+      const bytes = await signPdf(await pdfFile.arrayBuffer(), { png: signature.png, vector }, placements);
+      downloadBlob(new Blob([bytes], { type: 'application/pdf' }), getSignedFileName(pdfFile.name));
+    } catch {
+      setError('Could not write the signed PDF. Encrypted PDFs cannot be signed here.');
+    }
+    setIsSaving(false);
+  };
+
+  const pagesWithSignatures = new Set(placements.map((placement) => placement.page)).size;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-40 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-3xl shadow-2xl w-full max-w-5xl p-6 sm:p-8 space-y-6 max-h-full overflow-y-auto">
+        <div className="flex items-center justify-between">
+          <h2 className="text-2xl font-bold text-gray-900 flex items-center">
+            <FilePen className="w-6 h-6 mr-2 text-blue-600" />
+            Sign a PDF
+          </h2>
+          <button onClick={onClose} className="p-2 rounded-full text-gray-500 hover:bg-gray-100" title="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3">
+          <label className="cursor-pointer flex items-center space-x-2 py-2 px-4 rounded-xl border-2 border-blue-200 text-blue-600 font-semibold hover:border-blue-400 hover:bg-blue-50 transition-colors">
+            <Upload className="w-5 h-5" />
+            <span>{pdfFile ? 'Choose Another PDF' : 'Choose PDF'}</span>
+            <input type="file" accept="application/pdf,.pdf" onChange={handlePdfChange} className="hidden" />
+          </label>
+          {doc && (
+            <>
+              <div className="flex items-center gap-1 bg-gray-100 rounded-lg p-1">
+                <button
+                  onClick={() => setPageIndex((index) => index - 1)}
+                  disabled={pageIndex === 0}
+                  className="p-1.5 rounded-md text-gray-600 hover:bg-white disabled:opacity-40"
+                  title="Previous page"
+                >
+                  <ChevronLeft className="w-5 h-5" />
+                </button>
+                <span className="text-sm font-medium text-gray-700 px-2">
+                  Page {pageIndex + 1} of {doc.pages.length}
+                </span>
+                <button
+                  onClick={() => setPageIndex((index) => index + 1)}
+                  disabled={pageIndex === doc.pages.length - 1}
+                  className="p-1.5 rounded-md text-gray-600 hover:bg-white disabled:opacity-40"
+                  title="Next page"
+                >
+                  <ChevronRight className="w-5 h-5" />
+                </button>
+              </div>
+              <button
+                onClick={handleAdd}
+                disabled={!signature}
+                className="flex items-center space-x-1 py-2 px-4 rounded-xl bg-blue-600 text-white font-semibold hover:bg-blue-700 disabled:opacity-50"
+              >
+                <Plus className="w-4 h-4" />
+                <span>Add Signature</span>
+              </button>
+              {selected && (
+                <>
+                  <button
+                    onClick={handleAddToEveryPage}
+                    disabled={doc.pages.length < 2}
+                    className="flex items-center space-x-1 py-2 px-4 rounded-xl border border-gray-300 text-gray-700 font-medium hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    <Files className="w-4 h-4" />
+                    <span>Add to Every Page</span>
+                  </button>
+                  <button
+                    onClick={handleRemove}
+                    className="flex items-center space-x-1 py-2 px-4 rounded-xl border border-red-200 text-red-600 font-medium hover:bg-red-50"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                    <span>Remove</span>
+                  </button>
+                  <span className="font-mono text-sm text-gray-500">{selected.rotation}°</span>
+                </>
+              )}
+            </>
+          )}
+        </div>
+
+        {pdfFile && !pageUrl && !error && (
+          <div className="flex items-center justify-center py-12 text-gray-500">
+            <LoaderCircle className="w-6 h-6 mr-2 animate-spin" />
+            Opening document...
+          </div>
+        )}
+
+        {!pdfFile && (
+          <p className="text-sm text-gray-600">
+            Choose the PDF to sign. Then place the signature, drag it onto the signature line, and use the
+            corner handle to resize it or the round handle above it to rotate it.
+          </p>
+        )}
+
+        {pageUrl && (
+          <div className="bg-gray-100 rounded-xl p-4 flex justify-center">
+            <div
+              ref={pageRef}
+              className="relative shadow-lg max-w-full select-none touch-none"
+              style={{ width: `${pageSize.width * (PREVIEW_DPI / 72)}px` }}
+              onPointerDown={() => setSelectedId(null)}
+              onPointerMove={handlePagePointerMove}
+              onPointerUp={handlePagePointerUp}
+              onPointerCancel={handlePagePointerUp}
+            >
+              <img src={pageUrl} alt={`Page ${pageIndex + 1}`} className="block w-full bg-white" draggable={false} />
+              {pagePlacements.map((placement) => (
+                <div
+                  key={placement.id}
+                  onPointerDown={(e) => handlePlacementPointerDown(e, placement, 'move')}
+                  className={`absolute cursor-move ${placement.id === selectedId ? 'ring-2 ring-blue-500' : 'hover:ring-2 hover:ring-blue-300'}`}
+                  style={{
+                    left: `${((placement.x - placement.width / 2) / pageSize.width) * 100}%`,
+                    top: `${((placement.y - placement.height / 2) / pageSize.height) * 100}%`,
+                    width: `${(placement.width / pageSize.width) * 100}%`,
+                    height: `${(placement.height / pageSize.height) * 100}%`,
+                    transform: `rotate(${placement.rotation}deg)`,
+                  }}
+                >
+                  <img src={processedImageUrl} alt="Signature" className="w-full h-full pointer-events-none" draggable={false} />
+                  {placement.id === selectedId && (
+                    <>
+                      <span
+                        onPointerDown={(e) => handlePlacementPointerDown(e, placement, 'resize')}
+                        className="absolute -right-2 -bottom-2 w-4 h-4 bg-white border-2 border-blue-500 rounded-sm cursor-nwse-resize"
+                        title="Resize"
+                      />
+                      <span
+                        onPointerDown={(e) => handlePlacementPointerDown(e, placement, 'rotate')}
+                        className="absolute left-1/2 -top-7 -ml-2 w-4 h-4 bg-white border-2 border-blue-500 rounded-full cursor-grab"
+                        title="Rotate"
+                      />
+                    </>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-xl p-3 text-center">
+            <p className="text-red-700 text-sm font-medium">{error}</p>
+          </div>
+        )}
+
+        {doc && (
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <div className="space-y-1">
+              <p className="text-sm text-gray-600">
+                {placements.length === 0
+                  ? 'No signatures placed yet.'
+                  : `${placements.length} signature${placements.length === 1 ? '' : 's'} on ${pagesWithSignatures} page${pagesWithSignatures === 1 ? '' : 's'}.`}
+              </p>
+              <label className="flex items-center text-sm font-medium text-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={useVector}
+                  onChange={(e) => setUseVector(e.target.checked)}
+                  className="w-4 h-4 mr-2 accent-blue-500"
+                />
+                Embed as vector (sharp at any zoom, single ink color)
+              </label>
+            </div>
+            <button
+              onClick={handleSave}
+              disabled={placements.length === 0 || isSaving}
+              className="flex items-center space-x-2 bg-gradient-to-r from-green-600 to-teal-600 hover:from-green-700 hover:to-teal-700 text-white font-semibold py-3 px-6 rounded-xl shadow-lg transition-all duration-300 transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-teal-500 disabled:opacity-50"
+            >
+              {isSaving ? <LoaderCircle className="w-5 h-5 animate-spin" /> : <Download className="w-5 h-5" />}
+              <span>Download Signed PDF</span>
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SignPdfPanel;
@@ -0,0 +1,187 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Check, PenLine, Trash2, Undo2, X } from 'lucide-react';
+import { DEFAULT_PRESSURE, drawStrokes } from '../utils/inkStroke.js';
+import { canvasToBlob } from '../processing/refine.js';
+
+// Size of the drawing surface in pixels (3:1, the usual shape of a signature)
+const PAD_WIDTH = 1200;
+const PAD_HEIGHT = 400;
+
+/**
+ * Redraws the pad: white paper (so thresholding treats it as background) and every stroke.
+ * @param {HTMLCanvasElement} canvas - Pad canvas.
+ * @param {Array<Array<Object>>} strokes - Strokes to draw.
+ * @param {number} penWidth - Line width at normal pressure.
+ */
+const drawPad = (canvas, strokes, penWidth) => {
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, PAD_WIDTH, PAD_HEIGHT);
+  drawStrokes(ctx, strokes, penWidth);
+};
+
+/**
+ * Modal drawing pad for signing with a mouse, finger or pen.
+ * Strokes are smoothed, and drawn wider with more pen pressure where the device reports it.
+ * The result is handed over as a PNG file, so it goes through the same refine flow as an upload.
+ * @param {Object} props - Component props.
+ * @param {Function} props.onUse - Called with the drawn signature as a File.
+ * @param {Function} props.onClose - Called when the pad should close.
+ */
+const SignaturePad = ({ onUse, onClose }) => {
+  // Finished strokes, each a list of { x, y, pressure } points in pad pixels
+  const [strokes, setStrokes] = useState([]);
+  // Line width at normal pressure, in pad pixels
+  const [penWidth, setPenWidth] = useState(6);
+  const [error, setError] = useState('');
+  const canvasRef = useRef(null);
+  const currentStrokeRef = useRef(null); // Stroke being drawn
+
+  /**
+   * Effect to redraw when strokes are undone or cleared, or the pen width changes.
+   */
+  useEffect(() => {
+    drawPad(canvasRef.current, strokes, penWidth);
+  }, [strokes, penWidth]);
+
+  /**
+   * Converts a pointer event to a point in pad pixels.
+   * @param {PointerEvent} event - Pointer event.
+   * @returns {Object} { x, y, pressure }.
+   */
+  const toPadPoint = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: ((event.clientX - rect.left) * PAD_WIDTH) / rect.width,
+      y: ((event.clientY - rect.top) * PAD_HEIGHT) / rect.height,
+      // Devices without pressure sensing report 0.5 while pressed (or 0 for some pens hovering)
+      pressure: event.pointerType === 'pen' && event.pressure > 0 ? event.pressure : DEFAULT_PRESSURE,
+    };
+  };
+
+  /**
+   * Starts a stroke.
+   */
+  const handlePointerDown = (event) => {
+    if (event.button !== 0) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    currentStrokeRef.current = [toPadPoint(event)];
+    drawPad(canvasRef.current, [...strokes, currentStrokeRef.current], penWidth);
+  };
+
+  /**
+   * Adds the samples of a pointer move to the current stroke.
+   */
+  const handlePointerMove = (event) => {
+    const stroke = currentStrokeRef.current;
+    if (!stroke) return;
+    // Coalesced events carry the samples between animation frames, for smoother curves
+    const samples = event.nativeEvent.getCoalescedEvents ? event.nativeEvent.getCoalescedEvents() : [];
+    (samples.length > 0 ? samples : [event]).forEach((sample) => stroke.push(toPadPoint(sample)));
+    drawPad(canvasRef.current, [...strokes, stroke], penWidth);
+  };
+
+  /**
+   * Finishes the current stroke.
+   */
+  const handlePointerUp = () => {
+    const stroke = currentStrokeRef.current;
+    if (!stroke) return;
+    currentStrokeRef.current = null;
+    setStrokes([...strokes, stroke]);
+  };
+
+  /**
+   * Hands the drawing over as a PNG file.
+   */
+  const handleUse = async () => {
+    try {
+      const blob = await canvasToBlob(canvasRef.current);
+      onUse(new File([blob], 'drawn_signature.png', { type: 'image/png' }));
+    } catch {
+      setError('Could not save the drawing. Please try again.');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-40 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-3xl shadow-2xl w-full max-w-3xl p-6 sm:p-8 space-y-6">
+        <div className="flex items-center justify-between">
+          <h2 className="text-2xl font-bold text-gray-900 flex items-center">
+            <PenLine className="w-6 h-6 mr-2 text-blue-600" />
+            Draw Your Signature
+          </h2>
+          <button onClick={onClose} className="p-2 rounded-full text-gray-500 hover:bg-gray-100" title="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="rounded-xl border-2 border-dashed border-gray-200 overflow-hidden">
+          <canvas
+            ref={canvasRef}
+            width={PAD_WIDTH}
+            height={PAD_HEIGHT}
+            className="w-full block bg-white cursor-crosshair touch-none"
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+          />
+        </div>
+
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div className="flex items-center space-x-3">
+            <label className="text-sm font-semibold text-gray-700">Pen Width</label>
+            <input
+              type="range"
+              min="1"
+              max="20"
+              value={penWidth}
+              onChange={(e) => setPenWidth(parseInt(e.target.value))}
+              className="w-32 h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-blue-500"
+            />
+            <span className="font-mono text-blue-600 text-sm">{penWidth}px</span>
+          </div>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => setStrokes(strokes.slice(0, -1))}
+              disabled={strokes.length === 0}
+              className="flex items-center space-x-1 px-3 py-2 rounded-lg border border-gray-200 text-sm font-medium text-gray-600 hover:border-blue-400 hover:text-blue-600 transition-colors disabled:opacity-50"
+            >
+              <Undo2 className="w-4 h-4" />
+              <span>Undo Stroke</span>
+            </button>
+            <button
+              onClick={() => setStrokes([])}
+              disabled={strokes.length === 0}
+              className="flex items-center space-x-1 px-3 py-2 rounded-lg border border-gray-200 text-sm font-medium text-gray-600 hover:border-red-400 hover:text-red-600 transition-colors disabled:opacity-50"
+            >
+              <Trash2 className="w-4 h-4" />
+              <span>Clear</span>
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-xl p-3 text-center">
+            <p className="text-red-700 text-sm font-medium">{error}</p>
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <p className="text-sm text-gray-500">Sign with your mouse, finger or pen. Pen pressure changes the line width.</p>
+          <button
+            onClick={handleUse}
+            disabled={strokes.length === 0}
+            className="flex items-center space-x-2 bg-gradient-to-r from-blue-500 to-indigo-600 hover:from-blue-600 hover:to-indigo-700 text-white font-semibold py-3 px-6 rounded-xl shadow-lg transition-all duration-300 transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+          >
+            <Check className="w-5 h-5" />
+            <span>Use Signature</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SignaturePad;
@@ -0,0 +1,2191 @@
+import React, { useState, useRef, useEffect, useCallback, useReducer, useMemo, useImperativeHandle } from 'react';
+import { Upload, Download, Crop, X, Check, RotateCcw, Move, MousePointer, Scissors, RotateCw, FlipHorizontal, FlipVertical, Wand2, Spline, Undo2, Redo2, History, SplitSquareHorizontal, Eraser, Brush, Trash2, PenLine, Copy, Scan, Camera, FilePen, Library } from 'lucide-react'; // Lucide icons
+import '../index.css';
+import { createRefineClient, isCancelled } from '../processing/refineClient.js';
+import { INK_PRESETS, ORIGINAL_INK } from '../processing/color.js';
+import { findInkBounds, padBounds } from '../processing/bounds.js';
+import { estimateSkewAngle } from '../processing/deskew.js';
+import { inverseTransformPoint } from '../processing/geometry.js';
+import { ERASE, RESTORE } from '../processing/strokes.js';
+import { applyHomography, detectQuad, getRectification, warpPerspective } from '../processing/perspective.js';
+import { createHistory, getTimeline, historyReducer, isEdited, selectSettings } from '../editing/history.js';
+import { createPending, getStartSettings, waitForLatest } from '../editing/refinerHandle.js';
+import { ASPECT_PRESETS, clampCrop, fitAspect, getHandlePoints, hitTest, moveCrop, resizeCrop, setCropField } from '../editing/cropBox.js';
+import { createCanvas, drawAlignedSource, getImagePixels, loadImage } from '../utils/canvas.js';
+import { copyPngToClipboard, getTransferFiles, hasTransferFiles } from '../utils/clipboard.js';
+import { getDocumentKind } from '../utils/documents.js';
+import { downloadBlob } from '../utils/download.js';
+import { readPngFile } from '../utils/png.js';
+import SvgExportPanel from './SvgExportPanel.jsx';
+import ExportDialog from './ExportDialog.jsx';
+import ZoomViewport from './ZoomViewport.jsx';
+import SignaturePad from './SignaturePad.jsx';
+import BatchPanel from './BatchPanel.jsx';
+import CameraCapture from './CameraCapture.jsx';
+import DocumentImport from './DocumentImport.jsx';
+import SignPdfPanel from './SignPdfPanel.jsx';
+import LibraryPanel from './LibraryPanel.jsx';
+import BackgroundPreview from './BackgroundPreview.jsx';
+import PresetPicker from './PresetPicker.jsx';
+
+// Ways of choosing the Background Removal threshold
+const THRESHOLD_MODES = [
+  { value: 'manual', label: 'Manual' },
+  { value: 'otsu', label: 'Auto' },
+  { value: 'adaptive', label: 'Adaptive' },
+];
+
+// Backdrops shown behind the transparent refined image
+const BACKDROPS = [
+  { value: 'checker', label: 'Checkerboard' },
+  { value: '#ffffff', label: 'White' },
+  { value: '#000000', label: 'Black' },
+];
+
+// Whether the browser can open a camera (getUserMedia needs a secure context)
+const CAN_USE_CAMERA = typeof navigator !== 'undefined' && Boolean(navigator.mediaDevices?.getUserMedia);
+
+// CSS background for the transparency checkerboard
+const CHECKERBOARD = 'repeating-conic-gradient(#d1d5db 0% 25%, #ffffff 0% 50%) 50% / 16px 16px';
+
+/**
+ * Wraps an angle into the range (-180, 180].
+ * @param {number} degrees - Angle in degrees.
+ * @returns {number} Equivalent angle.
+ */
+const normalizeAngle = (degrees) => {
+  const wrapped = ((degrees % 360) + 360) % 360;
+  return wrapped > 180 ? wrapped - 360 : wrapped;
+};
+
+/**
+ * Wraps an image for opening. A new File each time, so opening the same image again
+ * (e.g. on reset) still reloads it.
+ * @param {File|Blob} image - Image to open.
+ * @returns {File} The file.
+ */
+const toImageFile = (image) => new File(
+  [image],
+  image.name || `signature.${image.type.split('/')[1] || 'png'}`,
+  { type: image.type }
+);
+
+/**
+ * The signature refiner: opening or capturing a signature, the refinement controls, history,
+ * preview and export. Renders no page around itself, so it can be embedded in other apps.
+ * Built-in sections can be hidden by name: 'upload' (the whole upload card), 'draw', 'camera',
+ * 'library', 'batch', 'controls' (the whole controls card), 'presets', 'history', 'touchUp',
+ * 'crop', 'trim', 'download', 'copy', 'svg' and 'signPdf'.
+ * @param {Object} props - Component props.
+ * @param {File|Blob} [props.initialImage] - Image opened on mount, and again whenever another one is passed.
+ * @param {Object} [props.initialSettings] - Pipeline settings the initial image starts from, over the defaults.
+ * @param {Function} [props.onChange] - Called with the settings after every edit, undo or redo; not when
+ *   an image is opened or the refiner is reset, which start a new history.
+ * @param {Function} [props.onExport] - Called with (blob, meta) instead of downloading when the export
+ *   dialog saves a file; meta is { fileName, format, width, height, dpi, settings }, with the
+ *   settings of the render that was exported.
+ * @param {Array<string>} [props.hiddenSections] - Names of built-in sections to leave out.
+ * @param {string} [props.className] - Extra classes for the root element.
+ * @param {Object} [props.ref] - Receives { getBlob, reset }: getBlob() resolves to the refined PNG with
+ *   the current settings (or null without an image) once the image being opened is loaded, leaving
+ *   out preview-only views such as highlighted removals or the uncropped image shown while cropping;
+ *   reset() reopens the initial image with the initial settings and a fresh history, or clears the
+ *   refiner if there is none.
+ */
+const SignatureRefiner = ({ initialImage = null, initialSettings = null, onChange, onExport, hiddenSections = [], className = '', ref }) => {
+  // Built-in sections left out by the host app
+  const isShown = (section) => !hiddenSections.includes(section);
+  const isUploadHidden = !isShown('upload');
+  const isBatchHidden = !isShown('batch');
+
+  // State to store the uploaded image file
+  const [imageFile, setImageFile] = useState(null);
+  // State to store the processed image data URL for download
+  const [processedImageUrl, setProcessedImageUrl] = useState(null);
+  // State to manage loading indicator while reading files or applying a crop
+  const [isLoading, setIsLoading] = useState(false);
+  // State for background refinement jobs (shown inline so the preview stays interactive)
+  const [isProcessing, setIsProcessing] = useState(false);
+  // True once the uploaded file has been decoded into imgRef
+  const [isImageReady, setIsImageReady] = useState(false);
+  // State for error messages
+  const [error, setError] = useState('');
+
+  // Edit history: every settings change (thresholds, rotation, crop, trim...) is an operation
+  // replayed over the original image, so later edits never throw earlier ones away
+  const [history, dispatchHistory] = useReducer(historyReducer, getStartSettings(initialSettings), createHistory);
+  const settings = useMemo(() => selectSettings(history), [history]);
+  const timeline = getTimeline(history); // Applied operations followed by redoable ones
+  const {
+    perspective, // Four source-image corners straightened to a rectangle, or null
+    rotation, // Clockwise degrees, applied before thresholding
+    flipHorizontal,
+    flipVertical,
+    flattenStrength, // Percentage of shadows and lighting gradients divided out before thresholding
+    alphaThreshold, // Lower value means more transparent
+    luminanceThreshold, // Higher value means lighter colors are considered background
+    thresholdMode, // 'manual' (slider), 'otsu' (global auto) or 'adaptive' (per pixel)
+    adaptiveWindowSize, // Neighbourhood size used by adaptive mode, in pixels
+    edgeMode, // 'binary' (hard 0/255 alpha) or 'soft' (alpha ramp below the threshold)
+    rampWidth, // Width of the soft alpha ramp, in luminance levels
+    inkColor, // A '#rrggbb' value or ORIGINAL_INK to keep the pen color
+    minSpeckArea, // Ink components below this many pixels are removed
+    removeIsolated, // Remove ink far away from the main signature cluster
+    isolationDistance,
+    touchUps, // Eraser and restore-brush strokes, in source-image pixels
+  } = settings;
+
+  // Threshold reported by the last processing run ({ mode, value }), shown next to the slider
+  const [thresholdReport, setThresholdReport] = useState(null);
+  // Paper brightness estimated by the last run ({ width, height, data }), or null if flattening is off
+  const [flattenReport, setFlattenReport] = useState(null);
+  // When true, the estimated background is shown under the Flatten Lighting slider
+  const [showFlattenBackground, setShowFlattenBackground] = useState(false);
+  // State for the last color chosen with the custom color picker
+  const [customInkColor, setCustomInkColor] = useState('#1e3a8a');
+  // When true, pixels despeckling would remove are highlighted in red instead
+  const [despecklePreview, setDespecklePreview] = useState(false);
+  // What the last processing run removed ({ components, pixels }), or null if despeckling is off
+  const [despeckleReport, setDespeckleReport] = useState(null);
+
+  // State for cropping functionality; the crop box is kept in source-image pixels
+  const [isCropping, setIsCropping] = useState(false);
+  const [isDragging, setIsDragging] = useState(false); // True if moving or resizing crop box
+  const [dragMode, setDragMode] = useState(null); // 'move', 'draw' (a new box) or a handle id from HANDLES
+  const [crop, setCrop] = useState({ x: 0, y: 0, width: 0, height: 0 });
+  const [dragStart, setDragStart] = useState(null); // { crop, point } when the current drag began
+  const [currentCursor, setCurrentCursor] = useState('default'); // State for dynamic cursor
+  // State for the crop aspect ratio: an ASPECT_PRESETS id, and the sides of the custom ratio
+  const [aspectPreset, setAspectPreset] = useState('free');
+  const [customAspect, setCustomAspect] = useState({ width: 3, height: 2 });
+  const cropRatio = aspectPreset === 'custom'
+    ? customAspect.width / customAspect.height
+    : ASPECT_PRESETS.find(({ id }) => id === aspectPreset).ratio;
+
+  // State for Auto Trim padding around the ink bounding box
+  const [trimPadding, setTrimPadding] = useState(10);
+  const [trimPaddingUnit, setTrimPaddingUnit] = useState('px'); // 'px' or '%'
+
+  // State for the touch-up tools: null (off), ERASE or RESTORE, and the brush diameter in image pixels
+  const [touchUpTool, setTouchUpTool] = useState(null);
+  const [brushSize, setBrushSize] = useState(20);
+
+  // State for the backdrop behind the refined image: 'checker' or a '#rrggbb' color
+  const [backdrop, setBackdrop] = useState('checker');
+  // State for the before/after comparison: whether it is on, and the split position in percent
+  const [isComparing, setIsComparing] = useState(false);
+  const [comparePosition, setComparePosition] = useState(50);
+  // Orientation and region of the last rendered output, used to line the original up with it
+  const [outputGeometry, setOutputGeometry] = useState(null);
+
+  // State for the SVG export panel
+  const [isSvgPanelOpen, setIsSvgPanelOpen] = useState(false);
+  // State for the Sign a PDF panel
+  const [isSignPdfOpen, setIsSignPdfOpen] = useState(false);
+  // State for the saved signature library
+  const [isLibraryOpen, setIsLibraryOpen] = useState(false);
+  // State for the perspective tool: corners being placed on the original image
+  const [isEditingPerspective, setIsEditingPerspective] = useState(false);
+  const [perspectiveDraft, setPerspectiveDraft] = useState(null); // Four { x, y } corners in source pixels
+
+  // Render the export dialog works from, { url, settings }; the dialog is open while it is set
+  const [exportResult, setExportResult] = useState(null);
+  // State for the draw-your-signature pad
+  const [isSignaturePadOpen, setIsSignaturePadOpen] = useState(false);
+  // State for taking a photo with the camera
+  const [isCameraOpen, setIsCameraOpen] = useState(false);
+  // Files picked together, refined as a batch; null when batch mode is closed
+  const [batchFiles, setBatchFiles] = useState(null);
+  // PDF or TIFF to pick a page from, or null when the page picker is closed
+  const [documentFile, setDocumentFile] = useState(null);
+  // Drop target files are being dragged over: 'upload', 'preview' or null
+  const [fileDropTarget, setFileDropTarget] = useState(null);
+  // True for a moment after the refined image was copied to the clipboard
+  const [isCopied, setIsCopied] = useState(false);
+
+  // Refs for the canvas elements
+  const originalCanvasRef = useRef(null);
+  const processedCanvasRef = useRef(null);
+  const beforeCanvasRef = useRef(null); // Original image aligned with the refined one, for comparison
+  const imgRef = useRef(null); // Ref to store the Image object once loaded
+  const pixelsRef = useRef(null); // Pixels of a PNG as the command-line tool reads them, refined instead of imgRef
+  const refinerRef = useRef(null); // Ref to the worker-backed refine client
+  const strokeRef = useRef(null); // Touch-up stroke being painted: { tool, size, points, last }
+  const perspectiveDragRef = useRef(null); // Index of the perspective corner being dragged
+  const loadRef = useRef(null); // { promise, settle } of the image being opened, awaited by getBlob
+  const runRef = useRef(null); // Promise of the latest processing run, awaited by getBlob
+  const committedRef = useRef(null); // { source, settings, blob } of the latest run without preview views
+  const initialImageRef = useRef(null); // Last initialImage prop that was opened
+  const latestRef = useRef({}); // Latest props, settings and selectImageFile, see the effect that sets it
+  const reportedHistoryRef = useRef(history); // History when onChange was last considered
+
+  // Constants for resize handle size
+  const HANDLE_SIZE = 12;
+
+  /**
+   * Helper function to get mouse/touch coordinates in image pixels of the canvas.
+   * @param {Object} event - Mouse or Touch event.
+   * @param {HTMLCanvasElement} canvas - The canvas element.
+   * @returns {Object} { x, y } coordinates.
+   */
+  const getCanvasCoords = (event, canvas) => {
+    const rect = canvas.getBoundingClientRect();
+    const clientX = event.touches ? event.touches[0].clientX : event.clientX;
+    const clientY = event.touches ? event.touches[0].clientY : event.clientY;
+    return {
+      x: ((clientX - rect.left) * canvas.width) / rect.width,
+      y: ((clientY - rect.top) * canvas.height) / rect.height,
+    };
+  };
+
+  /**
+   * Number of image pixels per CSS pixel, used to keep handles the same size on screen.
+   * @param {HTMLCanvasElement} canvas - The canvas element.
+   * @returns {number} Display scale.
+   */
+  const getDisplayScale = (canvas) => canvas.width / canvas.getBoundingClientRect().width || 1;
+
+  /**
+   * Size of the processed image, which the crop box has to stay inside.
+   * @returns {Object} { width, height } in image pixels.
+   */
+  const getCropBounds = () => {
+    const canvas = processedCanvasRef.current;
+    return { width: canvas ? canvas.width : 0, height: canvas ? canvas.height : 0 };
+  };
+
+  /**
+   * Draws the processed image onto the processed canvas and then draws the crop overlay.
+   * This function is responsible for all drawing on the processed canvas.
+   */
+  const drawCanvasContent = useCallback(() => {
+    const processedCanvas = processedCanvasRef.current;
+    if (!processedCanvas || !processedImageUrl) return;
+
+    const ctxProcessed = processedCanvas.getContext('2d');
+
+    // Load the processed image from its URL
+    const img = new Image();
+    img.onload = () => {
+      // Match the canvas to the image so crops and trims are shown at their real size
+      if (processedCanvas.width !== img.width || processedCanvas.height !== img.height) {
+        processedCanvas.width = img.width;
+        processedCanvas.height = img.height;
+      }
+
+      // Clear the canvas and draw the base image
+      ctxProcessed.clearRect(0, 0, processedCanvas.width, processedCanvas.height);
+      ctxProcessed.drawImage(img, 0, 0, processedCanvas.width, processedCanvas.height);
+
+      // If cropping is active, draw the overlay and handles
+      if (isCropping && crop.width > 0 && crop.height > 0) {
+        // The overlay is drawn in image pixels; scale strokes and handles to look the same at any zoom
+        const scale = getDisplayScale(processedCanvas);
+
+        // Dim the area outside the crop box with gradient
+        const gradient = ctxProcessed.createLinearGradient(0, 0, 0, processedCanvas.height);
+        gradient.addColorStop(0, 'rgba(0, 0, 0, 0.3)');
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0.5)');
+
+        ctxProcessed.fillStyle = gradient;
+        ctxProcessed.fillRect(0, 0, processedCanvas.width, crop.y); // Top overlay
+        ctxProcessed.fillRect(0, crop.y + crop.height, processedCanvas.width, processedCanvas.height - (crop.y + crop.height)); // Bottom overlay
+        ctxProcessed.fillRect(0, crop.y, crop.x, crop.height); // Left overlay
+        ctxProcessed.fillRect(crop.x + crop.width, crop.y, processedCanvas.width - (crop.x + crop.width), crop.height); // Right overlay
+
+        // Draw the crop rectangle border with dashed line
+        ctxProcessed.strokeStyle = '#3b82f6'; // Tailwind blue-500
+        ctxProcessed.lineWidth = 2 * scale;
+        ctxProcessed.setLineDash([5 * scale, 5 * scale]); // Dashed line
+        ctxProcessed.strokeRect(crop.x, crop.y, crop.width, crop.height);
+        ctxProcessed.setLineDash([]); // Reset line dash
+
+        // Draw resize handles with better styling
+        ctxProcessed.fillStyle = '#3b82f6'; // Tailwind blue-500
+        ctxProcessed.strokeStyle = '#ffffff'; // White border for handles
+        ctxProcessed.lineWidth = 2 * scale;
+
+        const radius = (HANDLE_SIZE / 2) * scale;
+        getHandlePoints(crop).forEach(handle => {
+          ctxProcessed.beginPath();
+          if (handle.id.length === 2) {
+            ctxProcessed.arc(handle.x, handle.y, radius, 0, 2 * Math.PI); // Circular corner handles
+          } else {
+            ctxProcessed.rect(handle.x - radius * 0.75, handle.y - radius * 0.75, radius * 1.5, radius * 1.5); // Square edge handles
+          }
+          ctxProcessed.fill();
+          ctxProcessed.stroke();
+        });
+      }
+    };
+    img.src = processedImageUrl;
+  }, [processedImageUrl, isCropping, crop]); // Dependencies: processedImageUrl, isCropping, crop
+
+  /**
+   * Records an edit in the history, which re-renders the image from the original.
+   * @param {string} label - Description shown in the history panel.
+   * @param {Object} changes - Settings to change.
+   * @param {string} [key] - Edits with the same key in quick succession (e.g. one slider drag) become one step.
+   */
+  const applyEdit = (label, changes, key) => {
+    dispatchHistory({ type: 'apply', label, changes, key, time: Date.now() });
+  };
+
+  /**
+   * Processes the image in the background worker to refine edges and make text black.
+   * Starting a new run cancels any run still in flight, so only the latest settings are rendered.
+   * This function is memoized using useCallback to avoid unnecessary re-creations.
+   */
+  const processImage = useCallback(async () => {
+    const img = imgRef.current;
+    const processedCanvas = processedCanvasRef.current;
+    if (!img || !processedCanvas || !refinerRef.current) {
+      return; // Do nothing if image, canvas or worker are not ready
+    }
+
+    setIsProcessing(true);
+    setError(''); // Clear any previous errors
+
+    try {
+      const run = refinerRef.current.process(pixelsRef.current || img, {
+        ...settings,
+        despecklePreview,
+        // While choosing a crop, show the whole image so the crop can be redrawn anywhere
+        ...(isCropping ? { crop: null, trim: null } : {}),
+      });
+      runRef.current = run;
+      const { image, report, blob } = await run;
+      if (!despecklePreview && !isCropping) {
+        committedRef.current = { source: img, settings, blob };
+      }
+
+      // Show the new pixels right away; drawCanvasContent redraws from the URL with any crop overlay
+      processedCanvas.width = image.width;
+      processedCanvas.height = image.height;
+      processedCanvas.getContext('2d').putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+
+      // Object URL of the processed PNG for display and download
+      setProcessedImageUrl(URL.createObjectURL(blob));
+      setThresholdReport(report.threshold);
+      setDespeckleReport(report.despeckle || null);
+      setFlattenReport(report.flatten || null);
+      setOutputGeometry({
+        perspective: settings.perspective,
+        rotation: settings.rotation,
+        flipHorizontal: settings.flipHorizontal,
+        flipVertical: settings.flipVertical,
+        region: report.region || { x: 0, y: 0, width: image.width, height: image.height },
+      });
+      setIsProcessing(false);
+
+      if (isCropping) {
+        // Start from the applied crop so it can be fine-tuned, or from the whole image
+        const initial = settings.crop || { x: 0, y: 0, width: image.width, height: image.height };
+        setCrop((prev) => (prev.width > 0 && prev.height > 0 ? prev : clampCrop(initial, image)));
+      }
+    } catch (err) {
+      if (isCancelled(err)) return; // A newer run has taken over
+      setError('Could not process image. Please try again.');
+      setIsProcessing(false);
+    }
+  }, [settings, despecklePreview, isCropping]); // Dependency array: re-run processImage when settings change
+
+  /**
+   * Starts refining a new image file, whether uploaded, dropped, pasted or drawn on the signature pad.
+   * @param {File} file - The selected image file.
+   * @param {Object} [restoredSettings] - Settings to start from, e.g. those saved in the library;
+   *   by default tuned settings carry over and crops, trims and touch-ups are dropped.
+   */
+  const selectImageFile = useCallback((file, restoredSettings) => {
+    if (file) {
+      refinerRef.current?.cancel(); // Drop any run for the previous image
+      imgRef.current = null;
+      pixelsRef.current = null;
+      committedRef.current = null;
+      loadRef.current?.settle(); // Callers waiting for the previous image go on to wait for this one
+      loadRef.current = createPending();
+      setIsImageReady(false);
+      // Validate file type
+      if (!file.type.startsWith('image/')) {
+        setError('Please upload an image (e.g., PNG, JPG), a PDF or a TIFF.');
+        setImageFile(null);
+        setProcessedImageUrl(null);
+        loadRef.current.settle();
+        setIsCropping(false); // Reset cropping state
+        setCrop({ x: 0, y: 0, width: 0, height: 0 }); // Reset crop area
+        return;
+      }
+      setImageFile(file);
+      // A new image starts a new history; tuned settings carry over, crops, trims and touch-ups do not
+      const base = restoredSettings
+        ? getStartSettings(restoredSettings)
+        : { ...settings, perspective: null, crop: null, trim: null, touchUps: [] };
+      dispatchHistory({ type: 'reset', base });
+      setIsEditingPerspective(false);
+      setProcessedImageUrl(null); // Reset processed image when a new one is uploaded
+      setError(''); // Clear any previous errors
+      setIsCropping(false); // Reset cropping state
+      setCrop({ x: 0, y: 0, width: 0, height: 0 }); // Reset crop area
+    }
+  }, [settings]);
+
+  /**
+   * Opens picked, dropped or pasted files: one image is refined here, a PDF or TIFF opens the
+   * page picker, and several images open batch mode.
+   * @param {Array<File>} files - The files.
+   */
+  const openFiles = useCallback((files) => {
+    if (files.length > 1) {
+      if (files.some(getDocumentKind)) {
+        setError('Open PDF and TIFF files one at a time to pick the page with the signature.');
+        return;
+      }
+      if (isBatchHidden) {
+        setError('Open one image at a time.');
+        return;
+      }
+      setBatchFiles(files);
+      return;
+    }
+    if (files[0] && getDocumentKind(files[0])) {
+      setDocumentFile(files[0]);
+      return;
+    }
+    selectImageFile(files[0]);
+  }, [selectImageFile, isBatchHidden]);
+
+  /**
+   * Handles the file input change event.
+   * @param {Object} event - The file input change event.
+   */
+  const handleImageUpload = (event) => {
+    const files = [...event.target.files];
+    event.target.value = ''; // Allow picking the same files again
+    openFiles(files);
+  };
+
+  /**
+   * Returns the drag-and-drop handlers that make an element accept image files.
+   * The element is highlighted while files are dragged over it.
+   * @param {string} target - Name of the drop target ('upload' or 'preview').
+   * @returns {Object} onDragOver, onDragLeave and onDrop props.
+   */
+  const getFileDropProps = (target) => ({
+    onDragOver: (event) => {
+      if (!hasTransferFiles(event.dataTransfer)) return;
+      event.preventDefault(); // Allows the drop
+      event.dataTransfer.dropEffect = 'copy';
+      setFileDropTarget(target);
+    },
+    onDragLeave: (event) => {
+      // Moving onto a child of the target is not leaving it
+      if (!event.currentTarget.contains(event.relatedTarget)) setFileDropTarget(null);
+    },
+    onDrop: (event) => {
+      event.preventDefault();
+      setFileDropTarget(null);
+      const files = getTransferFiles(event.dataTransfer);
+      if (files.length > 0) openFiles(files);
+    },
+  });
+
+  /**
+   * Copies the refined PNG to the clipboard, ready to paste into a document.
+   */
+  const handleCopy = async () => {
+    const committed = committedRef.current;
+    if (!committed || isProcessing) return;
+    try {
+      await copyPngToClipboard(committed.blob);
+      setIsCopied(true);
+      setTimeout(() => setIsCopied(false), 2000);
+    } catch {
+      setError('Could not copy the image. Your browser may not allow copying images; use Download instead.');
+    }
+  };
+
+  /**
+   * Uses a signature drawn on the pad as the source image.
+   * @param {File} file - PNG of the drawing.
+   */
+  const handleUseDrawing = (file) => {
+    setIsSignaturePadOpen(false);
+    selectImageFile(file);
+  };
+
+  /**
+   * Uses a photo taken with the camera as the source image.
+   * @param {File} file - PNG of the photo.
+   */
+  const handleUsePhoto = (file) => {
+    setIsCameraOpen(false);
+    selectImageFile(file);
+  };
+
+  /**
+   * Uses a page picked from a PDF or TIFF as the source image.
+   * @param {File} file - PNG of the page.
+   */
+  const handleUseDocumentPage = (file) => {
+    setDocumentFile(null);
+    selectImageFile(file);
+  };
+
+  /**
+   * Reopens a signature from the library with the settings it was saved with.
+   * @param {Object} entry - Library entry.
+   */
+  const handleOpenLibraryEntry = (entry) => {
+    setIsLibraryOpen(false);
+    selectImageFile(new File([entry.source], entry.sourceName, { type: entry.source.type }), entry.settings);
+  };
+
+  /**
+   * Effect to create the refine client (and its worker) for the lifetime of the component.
+   */
+  useEffect(() => {
+    const client = createRefineClient();
+    refinerRef.current = client;
+    return () => {
+      client.dispose();
+      refinerRef.current = null;
+    };
+  }, []);
+
+  /**
+   * Effect to keep the latest props and file opener at hand for the effects and ref methods
+   * below, so they don't re-run whenever the host app passes new functions or objects.
+   */
+  useEffect(() => {
+    latestRef.current = { initialImage, initialSettings, onChange, selectImageFile, settings };
+  });
+
+  /**
+   * Effect to open the initialImage prop, on mount and whenever the host app passes another image.
+   */
+  useEffect(() => {
+    if (!initialImage || initialImageRef.current === initialImage) return;
+    initialImageRef.current = initialImage;
+    latestRef.current.selectImageFile(toImageFile(initialImage), latestRef.current.initialSettings || {});
+  }, [initialImage]);
+
+  /**
+   * Effect to report edits to the host app; opening an image or resetting starts a new history
+   * and is not reported.
+   */
+  useEffect(() => {
+    const previous = reportedHistoryRef.current;
+    reportedHistoryRef.current = history;
+    if (isEdited(previous, history)) latestRef.current.onChange?.(settings);
+  }, [history, settings]);
+
+  useImperativeHandle(ref, () => ({
+    getBlob: async () => {
+      await waitForLatest(() => loadRef.current?.promise);
+      await waitForLatest(() => runRef.current);
+      const source = imgRef.current;
+      const { settings: current } = latestRef.current;
+      if (!source) return null;
+      const committed = committedRef.current;
+      if (committed?.source === source && committed.settings === current) return committed.blob;
+
+      // The preview shows a view of its own; render the settings in a separate worker so it keeps running
+      const client = createRefineClient();
+      try {
+        return (await client.process(pixelsRef.current || source, current)).blob;
+      } finally {
+        client.dispose();
+      }
+    },
+    reset: () => {
+      const { initialImage: image, initialSettings: base } = latestRef.current;
+      if (image) {
+        latestRef.current.selectImageFile(toImageFile(image), base || {});
+        return;
+      }
+      refinerRef.current?.cancel();
+      imgRef.current = null;
+      pixelsRef.current = null;
+      committedRef.current = null;
+      loadRef.current?.settle();
+      setImageFile(null);
+      setProcessedImageUrl(null);
+      setIsImageReady(false);
+      setIsCropping(false);
+      setIsEditingPerspective(false);
+      setError('');
+      dispatchHistory({ type: 'reset', base: getStartSettings(base) });
+    },
+  }), []);
+
+  /**
+   * Effect to load the image and draw it onto the original canvas.
+   * Runs when imageFile changes.
+   */
+  useEffect(() => {
+    if (!imageFile) {
+      imgRef.current = null; // Clear image ref if no file
+      pixelsRef.current = null;
+      // Clear canvases when no image is selected
+      const originalCanvas = originalCanvasRef.current;
+      const processedCanvas = processedCanvasRef.current;
+      if (originalCanvas) {
+        originalCanvas.getContext('2d').clearRect(0, 0, originalCanvas.width, originalCanvas.height);
+      }
+      if (processedCanvas) {
+        processedCanvas.getContext('2d').clearRect(0, 0, processedCanvas.width, processedCanvas.height);
+      }
+      return;
+    }
+
+    setIsLoading(true);
+    const loading = loadRef.current; // Settled once the image is decoded or fails to load
+    const reader = new FileReader();
+
+    reader.onload = (e) => {
+      const img = new Image();
+      img.onload = async () => {
+        // Only if the browser shows the same pixel grid (it may turn the image by its EXIF orientation)
+        const pixels = await readPngFile(imageFile);
+        pixelsRef.current = pixels && pixels.width === img.width && pixels.height === img.height ? pixels : null;
+        imgRef.current = img; // Store the image object
+
+        // Draw the original image onto the original canvas
+        const originalCanvas = originalCanvasRef.current;
+        if (originalCanvas) {
+          originalCanvas.width = img.width;
+          originalCanvas.height = img.height;
+          originalCanvas.getContext('2d').drawImage(img, 0, 0);
+        }
+
+        // Set initial crop to cover the whole image. This will be updated when cropping is enabled.
+        setCrop({ x: 0, y: 0, width: img.width, height: img.height });
+        setIsLoading(false);
+        setIsImageReady(true); // Triggers the first processing run
+        loading?.settle();
+      };
+      img.onerror = () => {
+        setError('Could not load image. Please ensure it is a valid image file.');
+        setIsLoading(false);
+        loading?.settle();
+      };
+      img.src = e.target.result;
+    };
+    reader.onerror = () => {
+      setError('Could not read file. Please try again.');
+      setIsLoading(false);
+      loading?.settle();
+    };
+    reader.readAsDataURL(imageFile);
+  }, [imageFile]); // Dependency array: re-run effect only when a new file is chosen
+
+  /**
+   * Effect to (re-)process the image once it is loaded and whenever alphaThreshold or luminanceThreshold changes.
+   */
+  useEffect(() => {
+    if (isImageReady) {
+      processImage();
+    }
+  }, [isImageReady, processImage]); // processImage changes whenever a threshold changes
+
+  /**
+   * Effect to release the previous object URL once the processed image is replaced.
+   */
+  useEffect(() => {
+    return () => {
+      if (processedImageUrl && processedImageUrl.startsWith('blob:')) {
+        URL.revokeObjectURL(processedImageUrl);
+      }
+    };
+  }, [processedImageUrl]);
+
+  /**
+   * Effect to release the export dialog's object URL once it closes.
+   */
+  useEffect(() => {
+    return () => {
+      if (exportResult) URL.revokeObjectURL(exportResult.url);
+    };
+  }, [exportResult]);
+
+  /**
+   * Effect to draw the original image, oriented and cropped like the refined one,
+   * into the comparison layer.
+   */
+  useEffect(() => {
+    const canvas = beforeCanvasRef.current;
+    if (!isComparing || !canvas || !imgRef.current || !outputGeometry) return;
+    let source = imgRef.current;
+    if (outputGeometry.perspective) {
+      // Compare against the straightened page, as the refined image shows it
+      const warped = warpPerspective(getImagePixels(source), outputGeometry.perspective);
+      if (warped) {
+        source = createCanvas(warped.width, warped.height);
+        source.getContext('2d').putImageData(new ImageData(warped.data, warped.width, warped.height), 0, 0);
+      }
+    }
+    drawAlignedSource(canvas, source, outputGeometry);
+  }, [isComparing, outputGeometry]);
+
+  /**
+   * Effect to draw the original image with the perspective corners: the ones being placed
+   * while the tool is open, and the applied ones (dashed) otherwise.
+   */
+  useEffect(() => {
+    const canvas = originalCanvasRef.current;
+    const img = imgRef.current;
+    if (!isImageReady || !canvas || !img) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0);
+    const quad = isEditingPerspective ? perspectiveDraft : perspective;
+    if (!quad) return;
+
+    // Drawn in image pixels; scale lines and handles to look the same at any image size
+    const scale = canvas.width / canvas.getBoundingClientRect().width || 1;
+    ctx.save();
+    ctx.beginPath();
+    quad.forEach(({ x, y }, i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+    ctx.closePath();
+    ctx.lineWidth = 2 * scale;
+    ctx.strokeStyle = '#14b8a6';
+    if (isEditingPerspective) {
+      ctx.fillStyle = 'rgba(20, 184, 166, 0.15)';
+      ctx.fill();
+    } else {
+      ctx.setLineDash([6 * scale, 4 * scale]);
+    }
+    ctx.stroke();
+    if (isEditingPerspective) {
+      ctx.fillStyle = '#ffffff';
+      quad.forEach(({ x, y }) => {
+        ctx.beginPath();
+        ctx.arc(x, y, (HANDLE_SIZE / 2) * scale, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+      });
+    }
+    ctx.restore();
+  }, [isImageReady, isEditingPerspective, perspectiveDraft, perspective]);
+
+  /**
+   * Effect to redraw the canvas content when crop state changes or cropping is enabled/disabled,
+   * or when the processed image URL changes.
+   */
+  useEffect(() => {
+    drawCanvasContent();
+  }, [crop, isCropping, processedImageUrl, drawCanvasContent]);
+
+  /**
+   * Effect for the undo/redo shortcuts: Ctrl+Z, and Ctrl+Shift+Z or Ctrl+Y (Cmd on macOS).
+   * Text fields keep their own undo.
+   */
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      const target = event.target;
+      const isTextField = target.isContentEditable || target.tagName === 'TEXTAREA' ||
+        (target.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'color', 'button'].includes(target.type));
+      if (isTextField) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        dispatchHistory({ type: 'undo' });
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        dispatchHistory({ type: 'redo' });
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  /**
+   * Effect to open an image pasted with Ctrl+V (Cmd+V on macOS), e.g. from a screenshot tool.
+   * Pastes into text fields and while a dialog is open are left alone, and so is everything
+   * when the upload card is hidden.
+   */
+  useEffect(() => {
+    if (isUploadHidden || isSignaturePadOpen || isCameraOpen || batchFiles || documentFile || exportResult || isSvgPanelOpen || isSignPdfOpen || isLibraryOpen) return;
+    const handlePaste = (event) => {
+      const target = event.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA'].includes(target.tagName)) return;
+      const files = getTransferFiles(event.clipboardData);
+      if (files.length === 0) return;
+      event.preventDefault();
+      openFiles(files);
+    };
+    window.addEventListener('paste', handlePaste);
+    return () => window.removeEventListener('paste', handlePaste);
+  }, [openFiles, isUploadHidden, isSignaturePadOpen, isCameraOpen, batchFiles, documentFile, exportResult, isSvgPanelOpen, isSignPdfOpen, isLibraryOpen]);
+
+  /**
+   * Effect for nudging the crop box with the arrow keys (Shift moves 10 pixels) while cropping.
+   */
+  useEffect(() => {
+    if (!isCropping) return;
+
+    const offsets = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    const handleKeyDown = (event) => {
+      const offset = offsets[event.key];
+      // Form fields (including sliders) keep their own arrow-key behavior
+      if (!offset || ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+      event.preventDefault();
+      const step = event.shiftKey ? 10 : 1;
+      setCrop((prev) => moveCrop(prev, offset[0] * step, offset[1] * step, getCropBounds()));
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isCropping]);
+
+  /**
+   * Handles a manual change of the Background Removal slider.
+   * Moving the slider always overrides the automatic modes.
+   * @param {Object} event - The range input change event.
+   */
+  const handleLuminanceChange = (event) => {
+    const value = parseInt(event.target.value);
+    applyEdit(`Background removal ${value}`, { thresholdMode: 'manual', luminanceThreshold: value }, 'luminanceThreshold');
+  };
+
+  /**
+   * Switches how the luminance threshold is chosen.
+   * When returning to manual mode the slider starts from the value auto mode chose.
+   * @param {string} mode - 'manual', 'otsu' or 'adaptive'.
+   */
+  const handleThresholdModeChange = (mode) => {
+    const changes = { thresholdMode: mode };
+    if (mode === 'manual' && thresholdReport && thresholdReport.mode === 'otsu') {
+      changes.luminanceThreshold = thresholdReport.value;
+    }
+    const { label } = THRESHOLD_MODES.find(({ value }) => value === mode);
+    applyEdit(`${label} threshold`, changes);
+  };
+
+  /**
+   * Updates the rotation and/or flips.
+   * A crop rectangle refers to the previous orientation, so it is dropped and cropping is cancelled.
+   * @param {string} label - Description shown in the history panel.
+   * @param {Object} changes - Any of { rotation, flipHorizontal, flipVertical }.
+   * @param {string} [key] - History key for merging slider steps.
+   */
+  const updateOrientation = (label, changes, key) => {
+    const normalized = changes.rotation === undefined ? changes : { ...changes, rotation: normalizeAngle(changes.rotation) };
+    applyEdit(label, { ...normalized, crop: null }, key);
+    setIsCropping(false);
+    setCrop({ x: 0, y: 0, width: 0, height: 0 });
+  };
+
+  /**
+   * Estimates the tilt of the ink in the refined image and rotates to level it.
+   */
+  const handleAutoStraighten = async () => {
+    if (!processedImageUrl) return;
+
+    setError('');
+    try {
+      const img = await loadImage(processedImageUrl);
+      const skew = estimateSkewAngle(getImagePixels(img));
+      if (skew === 0) return; // Already level
+      // Round to the slider step to avoid floating-point noise in the display
+      updateOrientation('Auto-straighten', { rotation: Math.round((rotation - skew) * 10) / 10 });
+    } catch {
+      setError('Could not straighten the signature. Please try again.');
+    }
+  };
+
+  /**
+   * Opens the perspective tool, starting from the applied corners or a box inside the image.
+   */
+  const handleStartPerspective = () => {
+    const img = imgRef.current;
+    if (!img) return;
+    const insetX = Math.round(img.width * 0.1);
+    const insetY = Math.round(img.height * 0.1);
+    setPerspectiveDraft(perspective || [
+      { x: insetX, y: insetY },
+      { x: img.width - insetX, y: insetY },
+      { x: img.width - insetX, y: img.height - insetY },
+      { x: insetX, y: img.height - insetY },
+    ]);
+    setIsEditingPerspective(true);
+  };
+
+  /**
+   * Looks for the edges of the page and puts the corners there, ready to adjust.
+   */
+  const handleDetectPerspective = () => {
+    const img = imgRef.current;
+    if (!img) return;
+    const quad = detectQuad(getImagePixels(img));
+    if (!quad) {
+      setError('Could not find the edges of the page. Drag the corners into place instead.');
+      return;
+    }
+    setError('');
+    setPerspectiveDraft(quad);
+    setIsEditingPerspective(true);
+  };
+
+  /**
+   * Records the placed corners, so the image is straightened before thresholding.
+   */
+  const handleApplyPerspective = () => {
+    if (!getRectification(perspectiveDraft)) {
+      setError('The corners must outline a four-sided shape, in order around it.');
+      return;
+    }
+    setError('');
+    updateOrientation('Correct perspective', { perspective: perspectiveDraft });
+    setIsEditingPerspective(false);
+  };
+
+  /**
+   * Removes the perspective correction.
+   */
+  const handleResetPerspective = () => {
+    updateOrientation('Remove perspective correction', { perspective: null });
+    setIsEditingPerspective(false);
+  };
+
+  /**
+   * Grabs the perspective corner under the pointer.
+   */
+  const handlePerspectivePointerDown = (e) => {
+    if (!isEditingPerspective || e.button !== 0) return;
+    const canvas = originalCanvasRef.current;
+    const point = getCanvasCoords(e, canvas);
+    const distances = perspectiveDraft.map(({ x, y }) => Math.hypot(point.x - x, point.y - y));
+    const nearest = distances.indexOf(Math.min(...distances));
+    if (distances[nearest] > HANDLE_SIZE * getDisplayScale(canvas)) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    perspectiveDragRef.current = nearest;
+  };
+
+  /**
+   * Moves the grabbed perspective corner, keeping it on the image.
+   */
+  const handlePerspectivePointerMove = (e) => {
+    const index = perspectiveDragRef.current;
+    if (index === null) return;
+    const img = imgRef.current;
+    const point = getCanvasCoords(e, originalCanvasRef.current);
+    const corner = {
+      x: Math.round(Math.min(Math.max(point.x, 0), img.width)),
+      y: Math.round(Math.min(Math.max(point.y, 0), img.height)),
+    };
+    setPerspectiveDraft((prev) => prev.map((previous, i) => (i === index ? corner : previous)));
+  };
+
+  /**
+   * Handles the download button click.
+   * Opens the export dialog on the latest full render, which it resizes and downloads.
+   */
+  const handleDownload = () => {
+    const committed = committedRef.current;
+    if (committed && !isProcessing) {
+      setExportResult({ url: URL.createObjectURL(committed.blob), settings: committed.settings });
+    }
+  };
+
+  /**
+   * Hands a file rendered by the export dialog to the host app, or downloads it.
+   * @param {Blob} blob - The exported file.
+   * @param {Object} meta - { fileName, format, width, height, dpi } from the dialog.
+   */
+  const handleExport = (blob, meta) => {
+    if (onExport) {
+      onExport(blob, { ...meta, settings: exportResult.settings });
+    } else {
+      downloadBlob(blob, meta.fileName);
+    }
+  };
+
+  /**
+   * Converts a point on the processed canvas to source-image pixels, undoing the crop,
+   * rotation, flips and perspective correction of the last render, so touch-up strokes stick to the signature.
+   * @param {Object} point - Point { x, y } in canvas pixels.
+   * @returns {Array<number>} [x, y] in source-image pixels, rounded to 0.1.
+   */
+  const toSourcePoint = (point) => {
+    const img = imgRef.current;
+    const { region, perspective: quad, ...transform } = outputGeometry;
+    const rectification = quad && getRectification(quad);
+    const size = rectification || img;
+    let source = inverseTransformPoint({ x: point.x + region.x, y: point.y + region.y }, size.width, size.height, transform);
+    if (rectification) source = applyHomography(rectification.toSource, source);
+    return [Math.round(source.x * 10) / 10, Math.round(source.y * 10) / 10];
+  };
+
+  /**
+   * Draws a piece of the stroke being painted straight onto the canvas as feedback.
+   * The stroke is applied for real by the next processing run.
+   * @param {Object} from - Start point in canvas pixels.
+   * @param {Object} to - End point in canvas pixels.
+   */
+  const paintStrokePreview = (from, to) => {
+    const ctx = processedCanvasRef.current.getContext('2d');
+    ctx.save();
+    ctx.strokeStyle = strokeRef.current.tool === ERASE ? 'rgba(239, 68, 68, 0.6)' : 'rgba(34, 197, 94, 0.6)';
+    ctx.lineWidth = strokeRef.current.size;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+    ctx.restore();
+  };
+
+  /**
+   * Starts a touch-up stroke.
+   */
+  const handleTouchUpStart = (e) => {
+    if (e.touches ? e.touches.length > 1 : e.button !== 0) return;
+    if (!outputGeometry || !imgRef.current) return;
+
+    const point = getCanvasCoords(e, processedCanvasRef.current);
+    strokeRef.current = { tool: touchUpTool, size: brushSize, points: [toSourcePoint(point)], last: point };
+    paintStrokePreview(point, point);
+  };
+
+  /**
+   * Extends the touch-up stroke being painted.
+   */
+  const handleTouchUpMove = (e) => {
+    const stroke = strokeRef.current;
+    if (!stroke || (e.touches && e.touches.length > 1)) return;
+
+    const point = getCanvasCoords(e, processedCanvasRef.current);
+    if (Math.hypot(point.x - stroke.last.x, point.y - stroke.last.y) < 1) return; // Skip sub-pixel moves
+    paintStrokePreview(stroke.last, point);
+    stroke.points.push(toSourcePoint(point));
+    stroke.last = point;
+  };
+
+  /**
+   * Finishes the touch-up stroke and records it as an edit.
+   */
+  const handleTouchUpEnd = () => {
+    const stroke = strokeRef.current;
+    if (!stroke) return;
+    strokeRef.current = null;
+
+    const { tool, size, points } = stroke;
+    applyEdit(tool === ERASE ? 'Eraser stroke' : 'Restore stroke', { touchUps: [...touchUps, { tool, size, points }] });
+  };
+
+  /**
+   * Turns a touch-up tool on or off. The tools and cropping exclude each other.
+   * @param {string|null} tool - ERASE, RESTORE or null.
+   */
+  const selectTouchUpTool = (tool) => {
+    setTouchUpTool(tool);
+    setCurrentCursor(tool ? 'crosshair' : 'default');
+  };
+
+  /**
+   * Handles mouse down event on the processed canvas for cropping.
+   */
+  const handleCanvasMouseDown = (e) => {
+    if (touchUpTool) {
+      handleTouchUpStart(e);
+      return;
+    }
+    if (!isCropping || isLoading) return;
+    // Other buttons and multi-finger gestures belong to the zoomable viewport
+    if (e.touches ? e.touches.length > 1 : e.button !== 0) return;
+
+    const canvas = processedCanvasRef.current;
+    const point = getCanvasCoords(e, canvas);
+    // A handle resizes the box, the inside moves it, and anywhere else starts a new box
+    const target = hitTest(crop, point, (HANDLE_SIZE / 2) * getDisplayScale(canvas));
+
+    setIsDragging(true);
+    setDragMode(target || 'draw');
+    setDragStart({ crop: target ? crop : { x: point.x, y: point.y, width: 0, height: 0 }, point });
+  };
+
+  /**
+   * Handles mouse move event on the processed canvas for cropping.
+   */
+  const handleCanvasMouseMove = (e) => {
+    if (touchUpTool) {
+      handleTouchUpMove(e);
+      return;
+    }
+    if (e.touches && e.touches.length > 1) return; // Pinch zoom
+    const canvas = processedCanvasRef.current;
+    const point = getCanvasCoords(e, canvas);
+
+    // Update cursor based on position, even if not dragging
+    if (isCropping && !isDragging) {
+      const target = hitTest(crop, point, (HANDLE_SIZE / 2) * getDisplayScale(canvas));
+      if (target === 'move') {
+        setCurrentCursor('grab'); // Cursor for moving the box
+      } else if (target) {
+        setCurrentCursor(`${target}-resize`);
+      } else {
+        setCurrentCursor('crosshair'); // Default for drawing new crop
+      }
+    } else if (!isCropping) {
+      setCurrentCursor('default'); // Reset cursor when not in cropping mode
+    }
+
+    if (!isDragging || !isCropping || isLoading || !dragStart) return; // Only process crop updates if dragging
+
+    const bounds = getCropBounds();
+    if (dragMode === 'move') {
+      setCrop(moveCrop(dragStart.crop, point.x - dragStart.point.x, point.y - dragStart.point.y, bounds));
+    } else {
+      // Drawing a new box is resizing a zero-size box from its bottom-right corner
+      setCrop(resizeCrop(dragStart.crop, dragMode === 'draw' ? 'se' : dragMode, point, bounds, cropRatio));
+    }
+  };
+
+  /**
+   * Handles mouse up event on the processed canvas for cropping.
+   */
+  const handleCanvasMouseUp = () => {
+    handleTouchUpEnd();
+    setIsDragging(false);
+    setDragMode(null);
+    setDragStart(null);
+    if (isCropping) { // Ensure cursor resets correctly after dragging
+      setCurrentCursor('crosshair');
+    }
+  };
+
+  /**
+   * Applies the current crop selection to the image.
+   * The crop is recorded as an edit, so it is re-applied whenever the settings change.
+   */
+  const handleApplyCrop = () => {
+    const rect = clampCrop(crop, getCropBounds());
+    if (!processedImageUrl || rect.width === 0 || rect.height === 0) {
+      setError('Please select a valid crop area first.');
+      return;
+    }
+
+    setError('');
+    // A new crop replaces any earlier crop and trim
+    applyEdit(`Crop ${rect.width}×${rect.height}`, { crop: rect, trim: null });
+    setIsCropping(false); // Exit cropping mode after applying
+    setCrop({ x: 0, y: 0, width: 0, height: 0 }); // Reset crop area after applying
+  };
+
+  /**
+   * Selects a crop aspect ratio and reshapes the current box to it.
+   * @param {string} presetId - An ASPECT_PRESETS id.
+   * @param {Object} [custom] - Sides { width, height } of the custom ratio.
+   */
+  const handleAspectChange = (presetId, custom = customAspect) => {
+    setAspectPreset(presetId);
+    setCustomAspect(custom);
+    const ratio = presetId === 'custom' ? custom.width / custom.height : ASPECT_PRESETS.find(({ id }) => id === presetId).ratio;
+    setCrop((prev) => fitAspect(prev, ratio, getCropBounds()));
+  };
+
+  /**
+   * Updates the crop box from one of the numeric X/Y/W/H fields.
+   * @param {string} field - 'x', 'y', 'width' or 'height'.
+   * @param {string} value - Input value in image pixels.
+   */
+  const handleCropFieldChange = (field, value) => {
+    setCrop((prev) => setCropField(prev, field, parseInt(value), getCropBounds(), cropRatio));
+  };
+
+  /**
+   * Finds the box around the ink in the processed image, plus the configured padding.
+   * @returns {Promise<Object|null>} Padded box in image pixels, or null if there is no ink.
+   */
+  const findTrimBounds = async () => {
+    const img = await loadImage(processedImageUrl);
+    const bounds = findInkBounds(getImagePixels(img));
+    if (!bounds) return null;
+    return padBounds(bounds, trimPadding, trimPaddingUnit, img.width, img.height);
+  };
+
+  /**
+   * Crops the processed image to the ink bounding box in one click.
+   * The trim is recorded as an edit, so it follows the ink when the settings change.
+   */
+  const handleAutoTrim = async () => {
+    if (!processedImageUrl) return;
+
+    setError('');
+    try {
+      const bounds = await findTrimBounds();
+      if (bounds) {
+        applyEdit(`Auto trim (${trimPadding}${trimPaddingUnit})`, { trim: { padding: trimPadding, unit: trimPaddingUnit } });
+      } else {
+        setError('Nothing to trim: the refined image is empty.');
+      }
+    } catch {
+      setError('Could not trim image. Please try again.');
+    }
+  };
+
+  /**
+   * Moves the interactive crop rectangle onto the ink bounding box so it can be fine-tuned.
+   */
+  const handleFitCropToInk = async () => {
+    const canvas = processedCanvasRef.current;
+    if (!processedImageUrl || !canvas) return;
+
+    try {
+      const bounds = await findTrimBounds();
+      if (!bounds) {
+        setError('Nothing to trim: the refined image is empty.');
+        return;
+      }
+      setCrop(bounds); // Both are in image pixels
+    } catch {
+      setError('Could not find the signature bounds. Please try again.');
+    }
+  };
+
+  return (
+    <div className={`lg:grid lg:grid-cols-3 lg:gap-10 ${className}`}>
+      {/* Upload and Controls Section (Left/Top) */}
+      <section className="lg:col-span-1 mb-8 lg:mb-0 space-y-8">
+        {/* Upload Card */}
+        {!isUploadHidden && (
+          <div
+            {...getFileDropProps('upload')}
+            className={`bg-white rounded-2xl shadow-lg p-6 sm:p-8 border transition-colors ${fileDropTarget === 'upload' ? 'border-blue-500 ring-4 ring-blue-200 bg-blue-50' : 'border-gray-200'}`}
+          >
+            <div className="flex flex-col items-center space-y-5">
+              <div className="w-28 h-28 bg-blue-50 rounded-full flex items-center justify-center shadow-inner">
+                <Upload className="w-14 h-14 text-blue-500" />
+              </div>
+              <label
+                htmlFor="image-upload"
+                className="cursor-pointer bg-gradient-to-r from-blue-500 to-indigo-600 hover:from-blue-600 hover:to-indigo-700 text-white font-semibold py-4 px-8 rounded-full shadow-lg transition-all duration-300 transform hover:scale-105 hover:shadow-xl text-lg text-center w-full"
+              >
+                Choose Signature Image
+                <input
+                  id="image-upload"
+                  type="file"
+                  accept="image/*,application/pdf,.pdf,.tif,.tiff"
+                  multiple={!isBatchHidden}
+                  onChange={handleImageUpload}
+                  className="hidden"
+                />
+              </label>
+              {isShown('draw') && (
+                <button
+                  onClick={() => setIsSignaturePadOpen(true)}
+                  className="flex items-center justify-center space-x-2 w-full py-3 px-6 rounded-full border-2 border-blue-200 text-blue-600 font-semibold hover:border-blue-400 hover:bg-blue-50 transition-colors"
+                >
+                  <PenLine className="w-5 h-5" />
+                  <span>Draw Signature</span>
+                </button>
+              )}
+              {CAN_USE_CAMERA && isShown('camera') && (
+                <button
+                  onClick={() => setIsCameraOpen(true)}
+                  className="flex items-center justify-center space-x-2 w-full py-3 px-6 rounded-full border-2 border-blue-200 text-blue-600 font-semibold hover:border-blue-400 hover:bg-blue-50 transition-colors"
+                >
+                  <Camera className="w-5 h-5" />
+                  <span>Take Photo</span>
+                </button>
+              )}
+              {isShown('library') && (
+                <button
+                  onClick={() => setIsLibraryOpen(true)}
+                  className="flex items-center justify-center space-x-2 w-full py-3 px-6 rounded-full border-2 border-blue-200 text-blue-600 font-semibold hover:border-blue-400 hover:bg-blue-50 transition-colors"
+                >
+                  <Library className="w-5 h-5" />
+                  <span>Saved Signatures</span>
+                </button>
+              )}
+              <p className="text-sm text-gray-500 text-center">
+                You can also drop images here or paste one with Ctrl+V.{isBatchHidden ? ' Open' : ' Select several images at once to refine them as a batch, or open'} a scanned PDF or TIFF to pick a page.
+              </p>
+              {imageFile && (
+                <div className="text-center mt-4">
+                  <p className="text-green-600 font-medium text-base flex items-center justify-center">
+                    <Check className="w-5 h-5 mr-2" /> {imageFile.name}
+                  </p>
+                  <p className="text-sm text-gray-500">Image loaded successfully</p>
+                </div>
+              )}
+              {error && (
+                <div className="bg-red-50 border border-red-200 rounded-xl p-4 max-w-md text-center w-full">
+                  <p className="text-red-700 text-sm font-medium">{error}</p>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+        {isUploadHidden && error && (
+          <div className="bg-red-50 border border-red-200 rounded-xl p-4 text-center">
+            <p className="text-red-700 text-sm font-medium">{error}</p>
+          </div>
+        )}
+
+        {/* Controls Card */}
+        {imageFile && isShown('controls') && (
+          <div className="bg-white rounded-2xl shadow-lg p-6 sm:p-8 border border-gray-200">
+            <h2 className="text-2xl font-bold text-gray-900 mb-6 text-center">Refinement Controls</h2>
+            <div className="space-y-6">
+              {isShown('presets') && <PresetPicker settings={settings} onApply={(preset) => applyEdit(`Preset: ${preset.name}`, preset.settings)} />}
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="text-lg font-semibold text-gray-700 flex items-center">
+                    <span className="w-3 h-3 bg-amber-500 rounded-full mr-2"></span>
+                    Flatten Lighting
+                  </label>
+                  <span className="font-mono text-amber-600 text-lg">{flattenStrength}%</span>
+                </div>
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  value={flattenStrength}
+                  onChange={(e) => applyEdit(`Flatten lighting ${e.target.value}%`, { flattenStrength: parseInt(e.target.value) }, 'flattenStrength')}
+                  className="w-full h-3 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-amber-500"
+                />
+                <p className="text-sm text-gray-600 mt-1">
+                  Evens out shadows and uneven lighting on the paper before the background is removed.
+                </p>
+                <label className="flex items-center mt-3 text-sm font-medium text-gray-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={showFlattenBackground}
+                    onChange={(e) => setShowFlattenBackground(e.target.checked)}
+                    className="w-4 h-4 mr-2 accent-amber-500"
+                  />
+                  Show estimated background
+                </label>
+                {showFlattenBackground && (
+                  <div className="mt-2">
+                    {flattenReport ? (
+                      <BackgroundPreview map={flattenReport} />
+                    ) : (
+                      <p className="text-xs text-gray-500">Raise the strength above 0% to estimate the background.</p>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="text-lg font-semibold text-gray-700 flex items-center">
+                    <span className="w-3 h-3 bg-blue-500 rounded-full mr-2"></span>
+                    Background Removal
+                  </label>
+                  <span className="font-mono text-blue-600 text-lg">
+                    {thresholdMode === 'manual' || !thresholdReport ? luminanceThreshold : `${thresholdMode === 'adaptive' ? '≈' : ''}${thresholdReport.value}`}
+                  </span>
+                </div>
+                <div className="grid grid-cols-3 gap-1 bg-gray-100 rounded-lg p-1 mb-3">
+                  {THRESHOLD_MODES.map(({ value, label }) => (
+                    <button
+                      key={value}
+                      onClick={() => handleThresholdModeChange(value)}
+                      className={`py-1.5 rounded-md text-sm font-medium transition-colors ${thresholdMode === value ? 'bg-white text-blue-600 shadow' : 'text-gray-600 hover:text-gray-900'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <input
+                  type="range"
+                  min="0"
+                  max="255"
+                  value={luminanceThreshold}
+                  onChange={handleLuminanceChange}
+                  className="w-full h-3 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-blue-500"
+                />
+                <p className="text-sm text-gray-600 mt-1">
+                  {thresholdMode === 'manual' && 'Adjust to remove more light-colored backgrounds.'}
+                  {thresholdMode === 'otsu' && thresholdReport && thresholdReport.mode === 'otsu' &&
+                    `Auto chose ${thresholdReport.value}. Move the slider to override it.`}
+                  {thresholdMode === 'adaptive' && 'Threshold adapts to local lighting. Move the slider to switch back to manual.'}
+                </p>
+                {thresholdMode === 'adaptive' && (
+                  <div className="mt-3">
+                    <div className="flex items-center justify-between mb-1">
+                      <label className="text-sm font-semibold text-gray-700">Window Size</label>
+                      <span className="font-mono text-blue-600 text-sm">{adaptiveWindowSize}px</span>
+                    </div>
+                    <input
+                      type="range"
+                      min="5"
+                      max="151"
+                      step="2"
+                      value={adaptiveWindowSize}
+                      onChange={(e) => applyEdit(`Adaptive window ${e.target.value}px`, { adaptiveWindowSize: parseInt(e.target.value) }, 'adaptiveWindowSize')}
+                      className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-blue-500"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Larger windows suit thicker strokes; smaller ones follow sharper shadows.
+                    </p>
+                  </div>
+                )}
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="text-lg font-semibold text-gray-700 flex items-center">
+                    <span className="w-3 h-3 bg-indigo-500 rounded-full mr-2"></span>
+                    Edge Sharpening
+                  </label>
+                  <span className="font-mono text-indigo-600 text-lg">{alphaThreshold}</span>
+                </div>
+                <input
+                  type="range"
+                  min="0"
+                  max="255"
+                  value={alphaThreshold}
+                  onChange={(e) => applyEdit(`Edge sharpening ${e.target.value}`, { alphaThreshold: parseInt(e.target.value) }, 'alphaThreshold')}
+                  className="w-full h-3 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-indigo-500"
+                />
+                <p className="text-sm text-gray-600 mt-1">
+                  Lower values create sharper, cleaner edges.
+                </p>
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label htmlFor="smooth-edges" className="text-lg font-semibold text-gray-700 flex items-center cursor-pointer">
+                    <span className="w-3 h-3 bg-purple-500 rounded-full mr-2"></span>
+                    Smooth Edges
+                  </label>
+                  <input
+                    id="smooth-edges"
+                    type="checkbox"
+                    checked={edgeMode === 'soft'}
+                    onChange={(e) => applyEdit(`Smooth edges ${e.target.checked ? 'on' : 'off'}`, { edgeMode: e.target.checked ? 'soft' : 'binary' })}
+                    className="w-5 h-5 cursor-pointer accent-purple-500"
+                  />
+                </div>
+                {edgeMode === 'soft' ? (
+                  <>
+                    <div className="flex items-center justify-between mb-1">
+                      <label className="text-sm font-semibold text-gray-700">Ramp Width</label>
+                      <span className="font-mono text-purple-600 text-sm">{rampWidth}</span>
+                    </div>
+                    <input
+                      type="range"
+                      min="1"
+                      max="128"
+                      value={rampWidth}
+                      onChange={(e) => applyEdit(`Ramp width ${e.target.value}`, { rampWidth: parseInt(e.target.value) }, 'rampWidth')}
+                      className="w-full h-3 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-purple-500"
+                    />
+                    <p className="text-sm text-gray-600 mt-1">
+                      Wider ramps give softer, anti-aliased stroke edges.
+                    </p>
+                  </>
+                ) : (
+                  <p className="text-sm text-gray-600 mt-1">
+                    Fade stroke edges in gradually instead of cutting them hard.
+                  </p>
+                )}
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="text-lg font-semibold text-gray-700 flex items-center">
+                    <span className="w-3 h-3 bg-teal-500 rounded-full mr-2"></span>
+                    Ink Color
+                  </label>
+                  <span className="font-mono text-teal-600 text-sm">
+                    {inkColor === ORIGINAL_INK ? 'original' : inkColor}
+                  </span>
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                  <button
+                    onClick={() => applyEdit('Original ink color', { inkColor: ORIGINAL_INK })}
+                    className={`px-3 py-1.5 rounded-lg text-sm font-medium border transition-colors ${inkColor === ORIGINAL_INK ? 'border-teal-500 bg-teal-50 text-teal-700' : 'border-gray-200 text-gray-600 hover:border-gray-300'}`}
+                  >
+                    Original
+                  </button>
+                  {INK_PRESETS.map(({ name, value }) => (
+                    <button
+                      key={value}
+                      title={name}
+                      onClick={() => applyEdit(`${name} ink`, { inkColor: value })}
+                      className={`w-8 h-8 rounded-full border-2 shadow-sm transition-transform hover:scale-110 ${inkColor === value ? 'border-teal-500 ring-2 ring-teal-200' : 'border-white'}`}
+                      style={{ backgroundColor: value }}
+                    />
+                  ))}
+                  <label
+                    title="Custom color"
+                    className={`w-8 h-8 rounded-full border-2 shadow-sm cursor-pointer overflow-hidden ${inkColor === customInkColor ? 'border-teal-500 ring-2 ring-teal-200' : 'border-white'}`}
+                    style={{ backgroundColor: customInkColor }}
+                  >
+                    <input
+                      type="color"
+                      value={customInkColor}
+                      onChange={(e) => {
+                        setCustomInkColor(e.target.value);
+                        applyEdit(`Ink color ${e.target.value}`, { inkColor: e.target.value }, 'inkColor');
+                      }}
+                      className="opacity-0 w-full h-full cursor-pointer"
+                    />
+                  </label>
+                </div>
+                <p className="text-sm text-gray-600 mt-1">
+                  Recolor the signature, or keep the original pen color.
+                </p>
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="text-lg font-semibold text-gray-700 flex items-center">
+                    <span className="w-3 h-3 bg-rose-500 rounded-full mr-2"></span>
+                    Despeckle
+                  </label>
+                  <span className="font-mono text-rose-600 text-lg">{minSpeckArea}px</span>
+                </div>
+                <input
+                  type="range"
+                  min="0"
+                  max="500"
+                  value={minSpeckArea}
+                  onChange={(e) => applyEdit(`Despeckle ${e.target.value}px`, { minSpeckArea: parseInt(e.target.value) }, 'minSpeckArea')}
+                  className="w-full h-3 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-rose-500"
+                />
+                <p className="text-sm text-gray-600 mt-1">
+                  Removes specks of dust and paper texture smaller than this area.
+                </p>
+                <label className="flex items-center mt-3 text-sm font-medium text-gray-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={removeIsolated}
+                    onChange={(e) => applyEdit(`Remove far marks ${e.target.checked ? 'on' : 'off'}`, { removeIsolated: e.target.checked })}
+                    className="w-4 h-4 mr-2 accent-rose-500"
+                  />
+                  Remove marks far from the signature
+                </label>
+                {removeIsolated && (
+                  <div className="mt-2">
+                    <div className="flex items-center justify-between mb-1">
+                      <label className="text-sm font-semibold text-gray-700">Max Distance</label>
+                      <span className="font-mono text-rose-600 text-sm">{isolationDistance}px</span>
+                    </div>
+                    <input
+                      type="range"
+                      min="0"
+                      max="500"
+                      value={isolationDistance}
+                      onChange={(e) => applyEdit(`Max distance ${e.target.value}px`, { isolationDistance: parseInt(e.target.value) }, 'isolationDistance')}
+                      className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-rose-500"
+                    />
+                  </div>
+                )}
+                <label className="flex items-center mt-3 text-sm font-medium text-gray-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={despecklePreview}
+                    onChange={(e) => setDespecklePreview(e.target.checked)}
+                    className="w-4 h-4 mr-2 accent-rose-500"
+                  />
+                  Highlight removals in red
+                </label>
+                {despeckleReport && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    {despeckleReport.components} marks ({despeckleReport.pixels} pixels) removed.
+                  </p>
+                )}
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="text-lg font-semibold text-gray-700 flex items-center">
+                    <span className="w-3 h-3 bg-amber-500 rounded-full mr-2"></span>
+                    Rotation
+                  </label>
+                  <span className="font-mono text-amber-600 text-lg">{rotation}°</span>
+                </div>
+                <input
+                  type="range"
+                  min="-180"
+                  max="180"
+                  step="0.1"
+                  value={rotation}
+                  onChange={(e) => updateOrientation(`Rotate to ${e.target.value}°`, { rotation: parseFloat(e.target.value) }, 'rotation')}
+                  className="w-full h-3 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-amber-500"
+                />
+                <div className="flex flex-wrap gap-2 mt-3">
+                  <button
+                    title="Rotate 90° left"
+                    onClick={() => updateOrientation('Rotate left', { rotation: rotation - 90 })}
+                    className="p-2 rounded-lg border border-gray-200 text-gray-600 hover:border-amber-400 hover:text-amber-600 transition-colors"
+                  >
+                    <RotateCcw className="w-5 h-5" />
+                  </button>
+                  <button
+                    title="Rotate 90° right"
+                    onClick={() => updateOrientation('Rotate right', { rotation: rotation + 90 })}
+                    className="p-2 rounded-lg border border-gray-200 text-gray-600 hover:border-amber-400 hover:text-amber-600 transition-colors"
+                  >
+                    <RotateCw className="w-5 h-5" />
+                  </button>
+                  <button
+                    title="Flip horizontally"
+                    onClick={() => updateOrientation('Flip horizontally', { flipHorizontal: !flipHorizontal })}
+                    className={`p-2 rounded-lg border transition-colors ${flipHorizontal ? 'border-amber-500 bg-amber-50 text-amber-700' : 'border-gray-200 text-gray-600 hover:border-amber-400 hover:text-amber-600'}`}
+                  >
+                    <FlipHorizontal className="w-5 h-5" />
+                  </button>
+                  <button
+                    title="Flip vertically"
+                    onClick={() => updateOrientation('Flip vertically', { flipVertical: !flipVertical })}
+                    className={`p-2 rounded-lg border transition-colors ${flipVertical ? 'border-amber-500 bg-amber-50 text-amber-700' : 'border-gray-200 text-gray-600 hover:border-amber-400 hover:text-amber-600'}`}
+                  >
+                    <FlipVertical className="w-5 h-5" />
+                  </button>
+                  <button
+                    onClick={handleAutoStraighten}
+                    disabled={!processedImageUrl || isProcessing}
+                    className="flex items-center space-x-1 px-3 py-2 rounded-lg border border-gray-200 text-sm font-medium text-gray-600 hover:border-amber-400 hover:text-amber-600 transition-colors disabled:opacity-50"
+                  >
+                    <Wand2 className="w-4 h-4" />
+                    <span>Auto-straighten</span>
+                  </button>
+                </div>
+                <p className="text-sm text-gray-600 mt-1">
+                  Straighten tilted photos; rotation is applied before background removal.
+                </p>
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="text-lg font-semibold text-gray-700 flex items-center">
+                    <span className="w-3 h-3 bg-teal-500 rounded-full mr-2"></span>
+                    Perspective
+                  </label>
+                  <span className="text-sm font-medium text-teal-600">
+                    {isEditingPerspective ? 'Placing corners' : perspective ? 'Corrected' : 'Off'}
+                  </span>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  {isEditingPerspective ? (
+                    <>
+                      <button
+                        onClick={handleApplyPerspective}
+                        className="flex items-center space-x-1 px-3 py-2 rounded-lg bg-teal-600 text-white text-sm font-medium hover:bg-teal-700 transition-colors"
+                      >
+                        <Check className="w-4 h-4" />
+                        <span>Apply</span>
+                      </button>
+                      <button
+                        onClick={() => setIsEditingPerspective(false)}
+                        className="flex items-center space-x-1 px-3 py-2 rounded-lg border border-gray-200 text-sm font-medium text-gray-600 hover:border-teal-400 hover:text-teal-600 transition-colors"
+                      >
+                        <X className="w-4 h-4" />
+                        <span>Cancel</span>
+                      </button>
+                    </>
+                  ) : (
+                    <button
+                      onClick={handleStartPerspective}
+                      className="flex items-center space-x-1 px-3 py-2 rounded-lg border border-gray-200 text-sm font-medium text-gray-600 hover:border-teal-400 hover:text-teal-600 transition-colors"
+                    >
+                      <Scan className="w-4 h-4" />
+                      <span>{perspective ? 'Adjust Corners' : 'Place Corners'}</span>
+                    </button>
+                  )}
+                  <button
+                    onClick={handleDetectPerspective}
+                    className="flex items-center space-x-1 px-3 py-2 rounded-lg border border-gray-200 text-sm font-medium text-gray-600 hover:border-teal-400 hover:text-teal-600 transition-colors"
+                  >
+                    <Wand2 className="w-4 h-4" />
+                    <span>Auto-detect Page</span>
+                  </button>
+                  {perspective && !isEditingPerspective && (
+                    <button
+                      onClick={handleResetPerspective}
+                      className="flex items-center space-x-1 px-3 py-2 rounded-lg border border-gray-200 text-sm font-medium text-gray-600 hover:border-red-400 hover:text-red-600 transition-colors"
+                    >
+                      <RotateCcw className="w-4 h-4" />
+                      <span>Remove</span>
+                    </button>
+                  )}
+                </div>
+                <p className="text-sm text-gray-600 mt-1">
+                  {isEditingPerspective
+                    ? 'Drag the four corners on the original image onto the corners of the page or signature area.'
+                    : 'Fix photos taken at an angle: the outlined area is straightened into a rectangle before background removal.'}
+                </p>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* History Card */}
+        {imageFile && isShown('history') && (
+          <div className="bg-white rounded-2xl shadow-lg p-6 sm:p-8 border border-gray-200">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-2xl font-bold text-gray-900 flex items-center">
+                <History className="w-6 h-6 mr-2 text-blue-500" />
+                History
+              </h2>
+              <div className="flex space-x-2">
+                <button
+                  title="Undo (Ctrl+Z)"
+                  onClick={() => dispatchHistory({ type: 'undo' })}
+                  disabled={history.operations.length === 0}
+                  className="p-2 rounded-lg border border-gray-200 text-gray-600 hover:border-blue-400 hover:text-blue-600 transition-colors disabled:opacity-40"
+                >
+                  <Undo2 className="w-5 h-5" />
+                </button>
+                <button
+                  title="Redo (Ctrl+Shift+Z)"
+                  onClick={() => dispatchHistory({ type: 'redo' })}
+                  disabled={history.undone.length === 0}
+                  className="p-2 rounded-lg border border-gray-200 text-gray-600 hover:border-blue-400 hover:text-blue-600 transition-colors disabled:opacity-40"
+                >
+                  <Redo2 className="w-5 h-5" />
+                </button>
+              </div>
+            </div>
+            <ol className="space-y-1 max-h-64 overflow-y-auto text-sm">
+              {['Original image', ...timeline.map(({ label }) => label)].map((label, index) => (
+                <li key={index}>
+                  <button
+                    onClick={() => dispatchHistory({ type: 'jump', index })}
+                    className={`w-full text-left px-3 py-1.5 rounded-lg transition-colors ${index === history.operations.length ? 'bg-blue-50 text-blue-700 font-semibold' : index > history.operations.length ? 'text-gray-400 hover:bg-gray-50' : 'text-gray-700 hover:bg-gray-50'}`}
+                  >
+                    {label}
+                  </button>
+                </li>
+              ))}
+            </ol>
+            <p className="text-xs text-gray-500 mt-3">
+              Every edit is re-applied to the original image. Click a step to go back to it.
+            </p>
+          </div>
+        )}
+      </section>
+
+      {/* Image Display Section (Right/Bottom) */}
+      {imageFile && (
+        <section className="lg:col-span-2 space-y-8">
+          <div
+            {...getFileDropProps('preview')}
+            className={`bg-white rounded-2xl shadow-lg p-6 sm:p-8 border transition-colors ${fileDropTarget === 'preview' ? 'border-blue-500 ring-4 ring-blue-200' : 'border-gray-200'}`}
+          >
+            <div className="grid md:grid-cols-2 gap-8">
+              {/* Original Image */}
+              <div className="space-y-4 flex flex-col items-center">
+                <h3 className="text-xl font-bold text-gray-900 text-center">Original Image</h3>
+                <div className="bg-gray-50 rounded-xl p-4 border-2 border-dashed border-gray-200 flex justify-center items-center w-full h-80 overflow-hidden">
+                  <canvas
+                    ref={originalCanvasRef}
+                    className={`max-w-full max-h-full rounded-lg shadow-md object-contain ${isEditingPerspective ? 'cursor-crosshair touch-none' : ''}`}
+                    onPointerDown={handlePerspectivePointerDown}
+                    onPointerMove={handlePerspectivePointerMove}
+                    onPointerUp={() => { perspectiveDragRef.current = null; }}
+                    onPointerCancel={() => { perspectiveDragRef.current = null; }}
+                  />
+                </div>
+              </div>
+
+              {/* Processed Image */}
+              <div className="space-y-4 flex flex-col items-center">
+                <div className="flex items-center justify-center space-x-2">
+                  <h3 className="text-xl font-bold text-gray-900">Refined Image</h3>
+                  {isCropping && (
+                    <div className="flex items-center space-x-1 text-blue-600 bg-blue-50 px-2 py-1 rounded-full text-sm font-medium">
+                      <Crop className="w-4 h-4" />
+                      <span>Crop Mode</span>
+                    </div>
+                  )}
+                </div>
+                <div className="bg-gray-50 rounded-xl border-2 border-dashed border-gray-200 relative w-full h-80 overflow-hidden">
+                  <ZoomViewport canPan={!isCropping && !touchUpTool} resetKey={imageFile} className="w-full h-full">
+                    <canvas
+                      ref={processedCanvasRef}
+                      className={`max-w-full max-h-full block shadow-md ${currentCursor === 'crosshair' ? 'cursor-crosshair' : ''} ${currentCursor === 'grab' ? 'cursor-grab' : ''} ${currentCursor.includes('resize') ? `cursor-${currentCursor}` : ''}`}
+                      style={{ background: backdrop === 'checker' ? CHECKERBOARD : backdrop }}
+                      onMouseDown={handleCanvasMouseDown}
+                      onMouseMove={handleCanvasMouseMove}
+                      onMouseUp={handleCanvasMouseUp}
+                      onMouseLeave={handleCanvasMouseUp} // End dragging if mouse leaves canvas
+                      onTouchStart={handleCanvasMouseDown}
+                      onTouchMove={handleCanvasMouseMove}
+                      onTouchEnd={handleCanvasMouseUp}
+                      onTouchCancel={handleCanvasMouseUp}
+                    />
+                    {isComparing && (
+                      // Same centering and size limits as the refined canvas, so the two line up
+                      <div className="absolute inset-0 p-4 flex justify-center items-center pointer-events-none">
+                        <canvas
+                          ref={beforeCanvasRef}
+                          className="max-w-full max-h-full block"
+                          style={{ clipPath: `inset(0 ${100 - comparePosition}% 0 0)` }}
+                        />
+                      </div>
+                    )}
+                  </ZoomViewport>
+                  {isProcessing && (
+                    <div className="absolute top-4 left-4 flex items-center space-x-2 bg-white/90 text-gray-700 px-3 py-1 rounded-full text-sm font-medium shadow-md">
+                      <div className="animate-spin rounded-full h-4 w-4 border-2 border-blue-600 border-t-transparent"></div>
+                      <span>Updating preview...</span>
+                    </div>
+                  )}
+                  {isCropping && (
+                    <div className="absolute top-4 right-4 bg-blue-100 text-blue-800 px-3 py-1 rounded-full text-sm font-medium shadow-md">
+                      Drag to move • Handles to resize • Arrow keys to nudge
+                    </div>
+                  )}
+                </div>
+                <div className="w-full flex flex-wrap items-center justify-between gap-3 text-sm">
+                  <div className="flex items-center space-x-2">
+                    <span className="font-medium text-gray-700">Backdrop</span>
+                    {BACKDROPS.map(({ value, label }) => (
+                      <button
+                        key={value}
+                        title={label}
+                        onClick={() => setBackdrop(value)}
+                        className={`w-7 h-7 rounded-md border-2 shadow-sm ${backdrop === value ? 'border-blue-500 ring-2 ring-blue-200' : 'border-gray-200'}`}
+                        style={{ background: value === 'checker' ? CHECKERBOARD : value }}
+                      />
+                    ))}
+                    <label
+                      title="Custom backdrop color"
+                      className={`w-7 h-7 rounded-md border-2 shadow-sm cursor-pointer overflow-hidden ${BACKDROPS.some(({ value }) => value === backdrop) ? 'border-gray-200' : 'border-blue-500 ring-2 ring-blue-200'}`}
+                      style={{ background: backdrop === 'checker' ? '#e5e7eb' : backdrop }}
+                    >
+                      <input
+                        type="color"
+                        value={backdrop === 'checker' ? '#e5e7eb' : backdrop}
+                        onChange={(e) => setBackdrop(e.target.value)}
+                        className="opacity-0 w-full h-full cursor-pointer"
+                      />
+                    </label>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <button
+                      title="Compare with the original"
+                      onClick={() => setIsComparing(!isComparing)}
+                      className={`flex items-center space-x-1 px-2 py-1 rounded-lg border font-medium transition-colors ${isComparing ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-200 text-gray-600 hover:border-blue-400'}`}
+                    >
+                      <SplitSquareHorizontal className="w-4 h-4" />
+                      <span>Before / After</span>
+                    </button>
+                    {isComparing && (
+                      <input
+                        type="range"
+                        min="0"
+                        max="100"
+                        value={comparePosition}
+                        onChange={(e) => setComparePosition(parseInt(e.target.value))}
+                        className="w-28 h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-blue-500"
+                      />
+                    )}
+                  </div>
+                </div>
+                <p className="w-full text-xs text-gray-500">
+                  Scroll or pinch to zoom. Drag to pan{isCropping || touchUpTool ? ' with the middle button or Space held' : ''}.
+                </p>
+                {!isCropping && isShown('touchUp') && (
+                  <div className="w-full flex flex-wrap items-center gap-3 text-sm">
+                    <span className="font-medium text-gray-700">Touch Up</span>
+                    {[
+                      { tool: ERASE, label: 'Eraser' },
+                      { tool: RESTORE, label: 'Restore' },
+                    ].map(({ tool, label }) => (
+                      <button
+                        key={tool}
+                        title={tool === ERASE ? 'Erase stray marks' : 'Restore ink from the original'}
+                        onClick={() => selectTouchUpTool(touchUpTool === tool ? null : tool)}
+                        className={`flex items-center space-x-1 px-2 py-1 rounded-lg border font-medium transition-colors ${touchUpTool === tool ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-200 text-gray-600 hover:border-blue-400'}`}
+                      >
+                        {tool === ERASE ? <Eraser className="w-4 h-4" /> : <Brush className="w-4 h-4" />}
+                        <span>{label}</span>
+                      </button>
+                    ))}
+                    {touchUpTool && (
+                      <label className="flex items-center space-x-2 text-gray-700">
+                        <span>Size</span>
+                        <input
+                          type="range"
+                          min="1"
+                          max="200"
+                          value={brushSize}
+                          onChange={(e) => setBrushSize(parseInt(e.target.value))}
+                          className="w-24 h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-blue-500"
+                        />
+                        <span className="font-mono text-blue-600 w-12">{brushSize}px</span>
+                      </label>
+                    )}
+                    {touchUps.length > 0 && (
+                      <button
+                        title="Remove all touch-up strokes"
+                        onClick={() => applyEdit('Clear touch-ups', { touchUps: [] })}
+                        className="flex items-center space-x-1 px-2 py-1 rounded-lg border border-gray-200 text-gray-600 hover:border-red-400 hover:text-red-600 transition-colors"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                        <span>Clear ({touchUps.length})</span>
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+
+          {/* Action Buttons */}
+          {processedImageUrl && !isLoading && (
+            <div className="bg-white rounded-2xl shadow-lg p-6 sm:p-8 border border-gray-200">
+              <div className="flex flex-wrap justify-center gap-4">
+                {despecklePreview && !isCropping ? (
+                  <p className="text-rose-700 bg-rose-50 border border-rose-200 rounded-xl px-4 py-3 text-sm font-medium">
+                    Turn off "Highlight removals in red" to crop, trim or download the signature.
+                  </p>
+                ) : !isCropping ? (
+                  <>
+                    {isShown('crop') && (
+                      <button
+                        onClick={() => {
+                          // The uncropped preview is rendered next; processImage then selects the whole image
+                          setCrop({ x: 0, y: 0, width: 0, height: 0 });
+                          selectTouchUpTool(null);
+                          setIsCropping(true);
+                        }}
+                        className="flex items-center space-x-2 bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700 text-white font-semibold py-3 px-6 rounded-xl shadow-lg transition-all duration-300 transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-pink-500"
+                      >
+                        <Crop className="w-5 h-5" />
+                        <span>Crop Image</span>
+                      </button>
+                    )}
+                    {isShown('trim') && (
+                      <div className="flex items-center rounded-xl shadow-lg overflow-hidden">
+                        <button
+                          onClick={handleAutoTrim}
+                          className="flex items-center space-x-2 bg-gradient-to-r from-amber-500 to-orange-600 hover:from-amber-600 hover:to-orange-700 text-white font-semibold py-3 px-6 transition-all duration-300 focus:outline-none focus:ring-2 focus:ring-inset focus:ring-orange-300"
+                        >
+                          <Scissors className="w-5 h-5" />
+                          <span>Auto Trim</span>
+                        </button>
+                        <div className="flex items-center bg-orange-50 px-3 py-2 space-x-1 text-sm text-orange-800">
+                          <label htmlFor="trim-padding" className="font-medium">Padding</label>
+                          <input
+                            id="trim-padding"
+                            type="number"
+                            min="0"
+                            value={trimPadding}
+                            onChange={(e) => setTrimPadding(Math.max(0, parseInt(e.target.value) || 0))}
+                            className="w-14 rounded-md border border-orange-200 px-1.5 py-1 text-right font-mono"
+                          />
+                          <select
+                            value={trimPaddingUnit}
+                            onChange={(e) => setTrimPaddingUnit(e.target.value)}
+                            className="rounded-md border border-orange-200 bg-white px-1 py-1"
+                          >
+                            <option value="px">px</option>
+                            <option value="%">%</option>
+                          </select>
+                        </div>
+                      </div>
+                    )}
+                    {isShown('download') && (
+                      <button
+                        onClick={handleDownload}
+                        disabled={isProcessing}
+                        className="flex items-center space-x-2 bg-gradient-to-r from-green-600 to-teal-600 hover:from-green-700 hover:to-teal-700 text-white font-semibold py-3 px-6 rounded-xl shadow-lg transition-all duration-300 transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-teal-500 disabled:opacity-50"
+                      >
+                        <Download className="w-5 h-5" />
+                        <span>Download Signature</span>
+                      </button>
+                    )}
+                    {isShown('copy') && (
+                      <button
+                        onClick={handleCopy}
+                        disabled={isProcessing}
+                        className="flex items-center space-x-2 bg-white border-2 border-teal-500 text-teal-700 hover:bg-teal-50 font-semibold py-3 px-6 rounded-xl shadow-lg transition-all duration-300 transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-teal-500 disabled:opacity-50"
+                      >
+                        {isCopied ? <Check className="w-5 h-5" /> : <Copy className="w-5 h-5" />}
+                        <span>{isCopied ? 'Copied!' : 'Copy to Clipboard'}</span>
+                      </button>
+                    )}
+                    {isShown('svg') && (
+                      <button
+                        onClick={() => setIsSvgPanelOpen(true)}
+                        disabled={isProcessing}
+                        className="flex items-center space-x-2 bg-gradient-to-r from-indigo-600 to-blue-600 hover:from-indigo-700 hover:to-blue-700 text-white font-semibold py-3 px-6 rounded-xl shadow-lg transition-all duration-300 transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+                      >
+                        <Spline className="w-5 h-5" />
+                        <span>Export SVG</span>
+                      </button>
+                    )}
+                    {isShown('signPdf') && (
+                      <button
+                        onClick={() => setIsSignPdfOpen(true)}
+                        disabled={isProcessing}
+                        className="flex items-center space-x-2 bg-gradient-to-r from-sky-500 to-blue-600 hover:from-sky-600 hover:to-blue-700 text-white font-semibold py-3 px-6 rounded-xl shadow-lg transition-all duration-300 transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+                      >
+                        <FilePen className="w-5 h-5" />
+                        <span>Sign a PDF</span>
+                      </button>
+                    )}
+                    {isShown('library') && (
+                      <button
+                        onClick={() => setIsLibraryOpen(true)}
+                        className="flex items-center space-x-2 bg-gradient-to-r from-violet-500 to-purple-600 hover:from-violet-600 hover:to-purple-700 text-white font-semibold py-3 px-6 rounded-xl shadow-lg transition-all duration-300 transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500"
+                      >
+                        <Library className="w-5 h-5" />
+                        <span>Save to Library</span>
+                      </button>
+                    )}
+                  </>
+                ) : (
+                  <>
+                    <div className="w-full flex flex-wrap items-center justify-center gap-4 text-sm">
+                      <div className="flex items-center gap-1 bg-gray-100 rounded-lg p-1">
+                        {ASPECT_PRESETS.map(({ id, label }) => (
+                          <button
+                            key={id}
+                            onClick={() => handleAspectChange(id)}
+                            className={`px-3 py-1.5 rounded-md font-medium transition-colors ${aspectPreset === id ? 'bg-white text-blue-600 shadow' : 'text-gray-600 hover:text-gray-900'}`}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                      {aspectPreset === 'custom' && (
+                        <div className="flex items-center gap-1 text-gray-700">
+                          <input
+                            type="number"
+                            min="1"
+                            value={customAspect.width}
+                            onChange={(e) => handleAspectChange('custom', { ...customAspect, width: Math.max(1, parseInt(e.target.value) || 1) })}
+                            className="w-14 rounded-md border border-gray-200 px-1.5 py-1 text-right font-mono"
+                          />
+                          <span>:</span>
+                          <input
+                            type="number"
+                            min="1"
+                            value={customAspect.height}
+                            onChange={(e) => handleAspectChange('custom', { ...customAspect, height: Math.max(1, parseInt(e.target.value) || 1) })}
+                            className="w-14 rounded-md border border-gray-200 px-1.5 py-1 text-right font-mono"
+                          />
+                        </div>
+                      )}
+                      <div className="flex items-center gap-2 text-gray-700">
+                        {[['x', 'X'], ['y', 'Y'], ['width', 'W'], ['height', 'H']].map(([field, label]) => (
+                          <label key={field} className="flex items-center gap-1 font-medium">
+                            {label}
+                            <input
+                              type="number"
+                              min={field === 'width' || field === 'height' ? 1 : 0}
+                              value={crop[field]}
+                              onChange={(e) => handleCropFieldChange(field, e.target.value)}
+                              className="w-20 rounded-md border border-gray-200 px-1.5 py-1 text-right font-mono"
+                            />
+                          </label>
+                        ))}
+                        <span className="text-gray-500">px</span>
+                      </div>
+                    </div>
+                    <button
+                      onClick={handleApplyCrop}
+                      className="flex items-center space-x-2 bg-gradient-to-r from-green-600 to-teal-600 hover:from-green-700 hover:to-teal-700 text-white font-semibold py-3 px-6 rounded-xl shadow-lg transition-all duration-300 transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-teal-500"
+                    >
+                      <Check className="w-5 h-5" />
+                      <span>Apply Crop</span>
+                    </button>
+                    <button
+                      onClick={() => {
+                        // Leaving crop mode re-renders with the recorded edits, so nothing is lost
+                        setIsCropping(false);
+                        setCrop({ x: 0, y: 0, width: 0, height: 0 }); // Reset crop area
+                      }}
+                      className="flex items-center space-x-2 bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700 text-white font-semibold py-3 px-6 rounded-xl shadow-lg transition-all duration-300 transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
+                    >
+                      <X className="w-5 h-5" />
+                      <span>Cancel</span>
+                    </button>
+                    <button
+                      onClick={() => {
+                        const bounds = getCropBounds();
+                        setCrop(fitAspect({ x: 0, y: 0, ...bounds }, cropRatio, bounds));
+                      }}
+                      className="flex items-center space-x-2 bg-gradient-to-r from-gray-500 to-gray-600 hover:from-gray-600 hover:to-gray-700 text-white font-semibold py-3 px-6 rounded-xl shadow-lg transition-all duration-300 transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-500"
+                    >
+                      <RotateCcw className="w-5 h-5" />
+                      <span>Reset Crop</span>
+                    </button>
+                    <button
+                      onClick={handleFitCropToInk}
+                      className="flex items-center space-x-2 bg-gradient-to-r from-amber-500 to-orange-600 hover:from-amber-600 hover:to-orange-700 text-white font-semibold py-3 px-6 rounded-xl shadow-lg transition-all duration-300 transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-500"
+                    >
+                      <Scissors className="w-5 h-5" />
+                      <span>Fit to Ink</span>
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+        </section>
+      )}
+
+      {/* Export Dialog */}
+      {exportResult && (
+        <ExportDialog processedImageUrl={exportResult.url} onExport={handleExport} onClose={() => setExportResult(null)} />
+      )}
+
+      {/* Signature Pad */}
+      {isSignaturePadOpen && (
+        <SignaturePad onUse={handleUseDrawing} onClose={() => setIsSignaturePadOpen(false)} />
+      )}
+
+      {/* Camera */}
+      {isCameraOpen && (
+        <CameraCapture onUse={handleUsePhoto} onClose={() => setIsCameraOpen(false)} />
+      )}
+
+      {/* Document Page Picker */}
+      {documentFile && (
+        <DocumentImport file={documentFile} onUse={handleUseDocumentPage} onClose={() => setDocumentFile(null)} />
+      )}
+
+      {/* Batch Mode */}
+      {batchFiles && (
+        <BatchPanel files={batchFiles} settings={settings} onClose={() => setBatchFiles(null)} />
+      )}
+
+      {/* SVG Export Panel */}
+      {isSvgPanelOpen && processedImageUrl && (
+        <SvgExportPanel processedImageUrl={processedImageUrl} onClose={() => setIsSvgPanelOpen(false)} />
+      )}
+
+      {/* Sign a PDF Panel */}
+      {isSignPdfOpen && processedImageUrl && (
+        <SignPdfPanel processedImageUrl={processedImageUrl} onClose={() => setIsSignPdfOpen(false)} />
+      )}
+
+      {/* Saved Signature Library */}
+      {isLibraryOpen && (
+        <LibraryPanel
+          current={imageFile && processedImageUrl && !isCropping ? { file: imageFile, settings, processedImageUrl } : null}
+          onOpen={handleOpenLibraryEntry}
+          onClose={() => setIsLibraryOpen(false)}
+        />
+      )}
+
+      {/* Loading Indicator */}
+      {isLoading && (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 backdrop-blur-sm">
+          <div className="bg-white rounded-3xl p-10 text-center shadow-2xl animate-fade-in-up">
+            <div className="animate-spin rounded-full h-16 w-16 border-4 border-blue-600 border-t-transparent mx-auto mb-6"></div>
+            <p className="text-gray-700 font-medium text-lg">Processing your signature...</p>
+            <p className="text-gray-500 text-sm mt-2">Please wait a moment.</p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SignatureRefiner;
@@ -0,0 +1,134 @@
+import React, { useEffect, useState } from 'react';
+import { Download, X, Spline } from 'lucide-react';
+import { vectorizeImage } from '../processing/vectorize.js';
+import { getImagePixels, loadImage } from '../utils/canvas.js';
+import { downloadBlob } from '../utils/download.js';
+
+/**
+ * Modal that vectorizes the refined signature into SVG, with a live preview
+ * and tolerance / smoothing controls.
+ * @param {Object} props - Component props.
+ * @param {string} props.processedImageUrl - URL of the refined (and possibly cropped) PNG.
+ * @param {Function} props.onClose - Called when the panel should close.
+ */
+const SvgExportPanel = ({ processedImageUrl, onClose }) => {
+  // Largest deviation (in pixels) allowed when simplifying outlines
+  const [tolerance, setTolerance] = useState(1);
+  // 0 gives straight segments, 1 fully smoothed curves
+  const [smoothing, setSmoothing] = useState(1);
+  // Latest vectorization result { svg, pathCount, pointCount }
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  /**
+   * Effect to re-trace the image whenever the source or the settings change.
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    loadImage(processedImageUrl)
+      .then((img) => {
+        if (cancelled) return;
+        setResult(vectorizeImage(getImagePixels(img), { tolerance, smoothing }));
+        setError('');
+      })
+      .catch(() => {
+        if (!cancelled) setError('Could not vectorize the signature.');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [processedImageUrl, tolerance, smoothing]);
+
+  /**
+   * Downloads the current SVG.
+   */
+  const handleDownloadSvg = () => {
+    if (!result) return;
+    downloadBlob(new Blob([result.svg], { type: 'image/svg+xml' }), 'refined_signature.svg');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-40 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-3xl shadow-2xl w-full max-w-3xl p-6 sm:p-8 space-y-6">
+        <div className="flex items-center justify-between">
+          <h2 className="text-2xl font-bold text-gray-900 flex items-center">
+            <Spline className="w-6 h-6 mr-2 text-indigo-600" />
+            Export as SVG
+          </h2>
+          <button onClick={onClose} className="p-2 rounded-full text-gray-500 hover:bg-gray-100" title="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="bg-gray-50 rounded-xl p-4 border-2 border-dashed border-gray-200 flex justify-center items-center h-64 overflow-hidden">
+          {result && (
+            <img
+              src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(result.svg)}`}
+              alt="Vectorized signature preview"
+              className="max-w-full max-h-full object-contain"
+            />
+          )}
+        </div>
+
+        <div className="grid sm:grid-cols-2 gap-6">
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label className="text-sm font-semibold text-gray-700">Tolerance</label>
+              <span className="font-mono text-indigo-600 text-sm">{tolerance.toFixed(1)}px</span>
+            </div>
+            <input
+              type="range"
+              min="0"
+              max="5"
+              step="0.1"
+              value={tolerance}
+              onChange={(e) => setTolerance(parseFloat(e.target.value))}
+              className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-indigo-500"
+            />
+            <p className="text-xs text-gray-500 mt-1">Higher values give simpler paths with fewer points.</p>
+          </div>
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label className="text-sm font-semibold text-gray-700">Smoothing</label>
+              <span className="font-mono text-indigo-600 text-sm">{smoothing.toFixed(2)}</span>
+            </div>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={smoothing}
+              onChange={(e) => setSmoothing(parseFloat(e.target.value))}
+              className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-indigo-500"
+            />
+            <p className="text-xs text-gray-500 mt-1">0 keeps straight segments; 1 rounds them into curves.</p>
+          </div>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-xl p-3 text-center">
+            <p className="text-red-700 text-sm font-medium">{error}</p>
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <p className="text-sm text-gray-500">
+            {result ? `${result.pathCount} outlines, ${result.pointCount} points` : 'Tracing...'}
+          </p>
+          <button
+            onClick={handleDownloadSvg}
+            disabled={!result}
+            className="flex items-center space-x-2 bg-gradient-to-r from-indigo-600 to-blue-600 hover:from-indigo-700 hover:to-blue-700 text-white font-semibold py-3 px-6 rounded-xl shadow-lg transition-all duration-300 transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+          >
+            <Download className="w-5 h-5" />
+            <span>Download SVG</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SvgExportPanel;
@@ -0,0 +1,193 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { ZoomIn, ZoomOut, Maximize2 } from 'lucide-react';
+import { FIT_VIEW, wheelZoomFactor, zoomAt } from '../editing/viewport.js';
+
+// Zoom multiplier for the +/- buttons
+const ZOOM_STEP = 1.5;
+
+/**
+ * Converts client coordinates to a point relative to the center of an element.
+ * @param {HTMLElement} element - The viewport element.
+ * @param {number} clientX - Client X coordinate.
+ * @param {number} clientY - Client Y coordinate.
+ * @returns {Object} { x, y } from the element's center.
+ */
+const pointFromCenter = (element, clientX, clientY) => {
+  const rect = element.getBoundingClientRect();
+  return { x: clientX - rect.left - rect.width / 2, y: clientY - rect.top - rect.height / 2 };
+};
+
+/**
+ * Box that zooms its content with the mouse wheel, pinch or buttons, and pans it by dragging.
+ * The content is moved with a CSS transform, and getBoundingClientRect includes transforms,
+ * so pointer handling inside the content (e.g. the crop tool) keeps working while zoomed.
+ * @param {Object} props - Component props.
+ * @param {React.ReactNode} props.children - Content, centered in the box.
+ * @param {boolean} props.canPan - Whether a plain drag pans. When false, drags go to the content
+ *   and panning needs the middle mouse button or Space+drag.
+ * @param {*} props.resetKey - Changing this value returns to the fitted view (e.g. a new image).
+ * @param {string} [props.className] - Classes for the box.
+ */
+const ZoomViewport = ({ children, canPan, resetKey, className = '' }) => {
+  // Current view { zoom, x, y }
+  const [view, setView] = useState(FIT_VIEW);
+  const [isPanning, setIsPanning] = useState(false);
+  const viewportRef = useRef(null);
+  const panRef = useRef(null); // { pointerId, clientX, clientY, x, y } where the pan started
+  const touchesRef = useRef(new Map()); // Active touch points by pointer id
+  const pinchRef = useRef(null); // { distance, center, view } where the pinch started
+  const spaceRef = useRef(false); // True while Space is held
+
+  /**
+   * Effect to return to the fitted view when the content is replaced.
+   */
+  useEffect(() => {
+    setView(FIT_VIEW);
+  }, [resetKey]);
+
+  /**
+   * Effect for mouse-wheel zoom about the cursor. Registered natively, because React's
+   * wheel listener is passive and could not stop the page from scrolling.
+   */
+  useEffect(() => {
+    const viewport = viewportRef.current;
+    const handleWheel = (event) => {
+      event.preventDefault();
+      const point = pointFromCenter(viewport, event.clientX, event.clientY);
+      setView((prev) => zoomAt(prev, prev.zoom * wheelZoomFactor(event.deltaY), point));
+    };
+    viewport.addEventListener('wheel', handleWheel, { passive: false });
+    return () => viewport.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  /**
+   * Effect to track the Space key, which turns a drag into a pan.
+   */
+  useEffect(() => {
+    const handleKey = (event) => {
+      if (event.code !== 'Space' || ['INPUT', 'TEXTAREA', 'SELECT', 'BUTTON'].includes(event.target.tagName)) return;
+      spaceRef.current = event.type === 'keydown';
+    };
+    window.addEventListener('keydown', handleKey);
+    window.addEventListener('keyup', handleKey);
+    return () => {
+      window.removeEventListener('keydown', handleKey);
+      window.removeEventListener('keyup', handleKey);
+    };
+  }, []);
+
+  /**
+   * Returns the distance between and the center of the first two touch points.
+   * @returns {Object} { distance, center } with center relative to the viewport center.
+   */
+  const measurePinch = () => {
+    const [a, b] = [...touchesRef.current.values()];
+    const center = pointFromCenter(viewportRef.current, (a.x + b.x) / 2, (a.y + b.y) / 2);
+    return { distance: Math.hypot(a.x - b.x, a.y - b.y) || 1, center };
+  };
+
+  /**
+   * Starts a pan, or a pinch when a second finger touches down.
+   */
+  const handlePointerDown = (event) => {
+    if (event.pointerType === 'touch') {
+      touchesRef.current.set(event.pointerId, { x: event.clientX, y: event.clientY });
+      if (touchesRef.current.size === 2) {
+        // A second finger turns any pan into a pinch
+        pinchRef.current = { ...measurePinch(), view };
+        panRef.current = null;
+        setIsPanning(false);
+        return;
+      }
+    }
+
+    if (event.target.closest('button')) return; // Zoom controls
+    const wantsPan = event.button === 1 || (event.button === 0 && (canPan || spaceRef.current));
+    if (!wantsPan || pinchRef.current) return;
+    // Cancelling pointerdown also keeps the matching mouse events away from the content
+    event.preventDefault();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    panRef.current = { pointerId: event.pointerId, clientX: event.clientX, clientY: event.clientY, x: view.x, y: view.y };
+    setIsPanning(true);
+  };
+
+  /**
+   * Updates the view while panning or pinching.
+   */
+  const handlePointerMove = (event) => {
+    if (touchesRef.current.has(event.pointerId)) {
+      touchesRef.current.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    }
+
+    const pinch = pinchRef.current;
+    if (pinch && touchesRef.current.size >= 2) {
+      const { distance, center } = measurePinch();
+      const zoomed = zoomAt(pinch.view, (pinch.view.zoom * distance) / pinch.distance, pinch.center);
+      // Moving both fingers together pans
+      setView({ ...zoomed, x: zoomed.x + center.x - pinch.center.x, y: zoomed.y + center.y - pinch.center.y });
+      return;
+    }
+
+    const pan = panRef.current;
+    if (pan && pan.pointerId === event.pointerId) {
+      setView((prev) => ({ ...prev, x: pan.x + event.clientX - pan.clientX, y: pan.y + event.clientY - pan.clientY }));
+    }
+  };
+
+  /**
+   * Ends the pan or pinch the pointer was part of.
+   */
+  const handlePointerUp = (event) => {
+    touchesRef.current.delete(event.pointerId);
+    if (touchesRef.current.size < 2) pinchRef.current = null;
+    if (panRef.current && panRef.current.pointerId === event.pointerId) {
+      panRef.current = null;
+      setIsPanning(false);
+    }
+  };
+
+  return (
+    <div
+      ref={viewportRef}
+      className={`relative overflow-hidden touch-none ${canPan ? (isPanning ? 'cursor-grabbing' : 'cursor-grab') : ''} ${className}`}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      onDoubleClick={() => canPan && setView(FIT_VIEW)}
+    >
+      <div
+        className="absolute inset-0 p-4 flex justify-center items-center"
+        style={{ transform: `translate(${view.x}px, ${view.y}px) scale(${view.zoom})`, transformOrigin: 'center' }}
+      >
+        {children}
+      </div>
+      <div className="absolute bottom-2 right-2 flex items-center space-x-1 bg-white/90 rounded-full shadow-md px-1 py-0.5 text-gray-600">
+        <button
+          title="Zoom out"
+          onClick={() => setView((prev) => zoomAt(prev, prev.zoom / ZOOM_STEP))}
+          className="p-1 rounded-full hover:bg-gray-100"
+        >
+          <ZoomOut className="w-4 h-4" />
+        </button>
+        <span className="font-mono text-xs w-12 text-center">{Math.round(view.zoom * 100)}%</span>
+        <button
+          title="Zoom in"
+          onClick={() => setView((prev) => zoomAt(prev, prev.zoom * ZOOM_STEP))}
+          className="p-1 rounded-full hover:bg-gray-100"
+        >
+          <ZoomIn className="w-4 h-4" />
+        </button>
+        <button
+          title="Fit to view"
+          onClick={() => setView(FIT_VIEW)}
+          className="p-1 rounded-full hover:bg-gray-100"
+        >
+          <Maximize2 className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ZoomViewport;
@@ -0,0 +1,91 @@
+/**
+ * Batch queue: many signature images refined with one set of shared settings,
+ * each item optionally overriding some of them and carrying its own crop.
+ */
+
+// Settings an item can override, with the labels shown in the batch panel
+export const BATCH_OVERRIDES = [
+  { key: 'thresholdMode', label: 'Threshold Mode' },
+  { key: 'luminanceThreshold', label: 'Background Removal' },
+  { key: 'alphaThreshold', label: 'Edge Sharpening' },
+  { key: 'rotation', label: 'Rotation' },
+];
+
+// Item states, in the order an item goes through them
+export const PENDING = 'pending';
+export const PROCESSING = 'processing';
+export const DONE = 'done';
+export const FAILED = 'failed';
+
+/**
+ * Creates a queue item for a file.
+ * @param {File} file - Source image.
+ * @param {string} id - Unique id within the queue.
+ * @returns {Object} { id, file, overrides, crop, status, error, blob }.
+ */
+export const createBatchItem = (file, id) => ({
+  id,
+  file,
+  overrides: {}, // Values from BATCH_OVERRIDES that differ from the shared settings
+  crop: null, // Crop rectangle in pixels of the rotated image, or null
+  status: PENDING,
+  error: null,
+  blob: null, // Refined PNG once done
+});
+
+/**
+ * Returns the pipeline options for an item: the shared settings, its overrides and its crop.
+ * Crops, perspective corners and touch-ups belong to one image, so those from the shared
+ * settings are not used.
+ * @param {Object} shared - Shared pipeline options.
+ * @param {Object} item - Queue item.
+ * @returns {Object} Pipeline options.
+ */
+export const getItemSettings = (shared, item) => ({
+  ...shared,
+  perspective: null,
+  touchUps: [],
+  ...item.overrides,
+  crop: item.crop,
+});
+
+/**
+ * Sets or clears one override of an item. A value equal to the shared one clears it,
+ * so the item follows the shared setting again.
+ * @param {Object} item - Queue item.
+ * @param {string} key - Setting key from BATCH_OVERRIDES.
+ * @param {*} value - New value, or undefined to clear.
+ * @param {Object} shared - Shared pipeline options.
+ * @returns {Object} Updated item, reset to pending so it is refined again.
+ */
+export const setItemOverride = (item, key, value, shared) => {
+  const overrides = { ...item.overrides };
+  delete overrides[key];
+  if (value !== undefined && value !== shared[key]) overrides[key] = value;
+  // A new rotation turns the image, so the old crop no longer fits
+  const crop = key === 'rotation' ? null : item.crop;
+  return { ...item, overrides, crop, status: PENDING, error: null, blob: null };
+};
+
+/**
+ * Builds the filenames used inside the ZIP: the source name with a "_refined.png"
+ * suffix, numbered when two sources share a name. The result depends only on the
+ * order of the queue, so the same batch always gives the same names.
+ * @param {Array<Object>} items - Queue items.
+ * @returns {Array<string>} One filename per item.
+ */
+export const getBatchFilenames = (items) => {
+  const used = new Set();
+  return items.map(({ file }) => {
+    const base = (file.name || '')
+      .replace(/\.[^.]*$/, '')
+      .trim()
+      .replace(/[\\/:*?"<>|]+/g, '_') || 'signature';
+    let name = `${base}_refined.png`;
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+      name = `${base}_refined_${n}.png`;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  });
+};
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DONE, PENDING, createBatchItem, getBatchFilenames, getItemSettings, setItemOverride } from './batch.js';
+
+const shared = { luminanceThreshold: 200, alphaThreshold: 50, rotation: 0, crop: { x: 1, y: 1, width: 5, height: 5 }, touchUps: [{ tool: 'erase' }], perspective: [{ x: 0, y: 0 }] };
+const file = (name) => ({ name });
+
+test('items use the shared settings with their own overrides and crop', () => {
+  const item = { ...createBatchItem(file('a.jpg'), '1'), overrides: { luminanceThreshold: 170 }, crop: { x: 0, y: 0, width: 10, height: 4 } };
+  assert.deepEqual(getItemSettings(shared, item), {
+    ...shared,
+    luminanceThreshold: 170,
+    crop: { x: 0, y: 0, width: 10, height: 4 },
+    touchUps: [],
+    perspective: null,
+  });
+  assert.equal(getItemSettings(shared, createBatchItem(file('b.jpg'), '2')).crop, null);
+});
+
+test('setItemOverride keeps only values that differ from the shared settings', () => {
+  const item = { ...createBatchItem(file('a.jpg'), '1'), status: DONE, blob: 'png' };
+  const tuned = setItemOverride(item, 'alphaThreshold', 80, shared);
+  assert.deepEqual(tuned.overrides, { alphaThreshold: 80 });
+  assert.equal(tuned.status, PENDING);
+  assert.equal(tuned.blob, null);
+  assert.deepEqual(setItemOverride(tuned, 'alphaThreshold', 50, shared).overrides, {});
+  assert.deepEqual(setItemOverride(tuned, 'alphaThreshold', undefined, shared).overrides, {});
+});
+
+test('changing the rotation of an item drops its crop', () => {
+  const item = { ...createBatchItem(file('a.jpg'), '1'), crop: { x: 0, y: 0, width: 3, height: 3 } };
+  assert.equal(setItemOverride(item, 'rotation', 90, shared).crop, null);
+  assert.deepEqual(setItemOverride(item, 'luminanceThreshold', 150, shared).crop, item.crop);
+});
+
+test('getBatchFilenames is predictable and unique', () => {
+  const items = ['Jane Doe.jpg', 'scan.png', 'SCAN.jpeg', 'a/b?.png', '.png'].map((name, i) => createBatchItem(file(name), String(i)));
+  assert.deepEqual(getBatchFilenames(items), [
+    'Jane Doe_refined.png',
+    'scan_refined.png',
+    'SCAN_refined_2.png',
+    'a_b__refined.png',
+    'signature_refined.png',
+  ]);
+});
@@ -0,0 +1,186 @@
+/**
+ * Geometry of the interactive crop box.
+ * All rectangles and points are in source-image pixels (the pixels of the refined
+ * image before any crop), so what is drawn is exactly what gets cropped.
+ */
+
+// Aspect ratio choices; ratio is width / height, null means free
+export const ASPECT_PRESETS = [
+  { id: 'free', label: 'Free', ratio: null },
+  { id: '3:1', label: '3:1', ratio: 3 },
+  { id: '4:1', label: '4:1', ratio: 4 },
+  { id: 'custom', label: 'Custom', ratio: null },
+];
+
+// Resize handles: four corners and four edge midpoints, named by compass direction
+export const HANDLES = ['nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w'];
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Returns the positions of the resize handles of a rectangle.
+ * @param {Object} rect - Crop rectangle { x, y, width, height }.
+ * @returns {Array<Object>} { id, x, y } for each handle in HANDLES.
+ */
+export const getHandlePoints = (rect) => {
+  const { x, y, width, height } = rect;
+  return HANDLES.map((id) => ({
+    id,
+    x: id.includes('w') ? x : id.includes('e') ? x + width : x + width / 2,
+    y: id.includes('n') ? y : id.includes('s') ? y + height : y + height / 2,
+  }));
+};
+
+/**
+ * Finds what a point on the image grabs.
+ * @param {Object} rect - Crop rectangle.
+ * @param {Object} point - Point { x, y }.
+ * @param {number} tolerance - Distance from a handle that still counts as grabbing it.
+ * @returns {string|null} A handle id, 'move' inside the box, or null outside it.
+ */
+export const hitTest = (rect, point, tolerance) => {
+  if (rect.width > 0 && rect.height > 0) {
+    const handle = getHandlePoints(rect).find(({ x, y }) =>
+      Math.abs(point.x - x) <= tolerance && Math.abs(point.y - y) <= tolerance);
+    if (handle) return handle.id;
+  }
+  if (point.x > rect.x && point.x < rect.x + rect.width && point.y > rect.y && point.y < rect.y + rect.height) {
+    return 'move';
+  }
+  return null;
+};
+
+/**
+ * Rounds a rectangle to whole pixels and keeps it inside the image.
+ * @param {Object} rect - Crop rectangle.
+ * @param {Object} bounds - Image size { width, height }.
+ * @returns {Object} Clamped rectangle in whole pixels.
+ */
+export const clampCrop = (rect, bounds) => {
+  const x = clamp(Math.round(rect.x), 0, bounds.width);
+  const y = clamp(Math.round(rect.y), 0, bounds.height);
+  return {
+    x,
+    y,
+    width: clamp(Math.round(rect.width), 0, bounds.width - x),
+    height: clamp(Math.round(rect.height), 0, bounds.height - y),
+  };
+};
+
+/**
+ * Moves a rectangle without resizing it, stopping at the image edges.
+ * @param {Object} rect - Crop rectangle.
+ * @param {number} dx - Horizontal offset.
+ * @param {number} dy - Vertical offset.
+ * @param {Object} bounds - Image size { width, height }.
+ * @returns {Object} Moved rectangle.
+ */
+export const moveCrop = (rect, dx, dy, bounds) => clampCrop({
+  ...rect,
+  x: clamp(rect.x + dx, 0, bounds.width - rect.width),
+  y: clamp(rect.y + dy, 0, bounds.height - rect.height),
+}, bounds);
+
+/**
+ * Resizes a rectangle by dragging one of its handles.
+ * The opposite side stays put (or, for edge handles with a fixed aspect ratio, the
+ * box stays centered on the other axis). Dragging past the opposite side flips the box.
+ * @param {Object} rect - Rectangle when the drag started.
+ * @param {string} handle - Handle id from HANDLES.
+ * @param {Object} point - Current pointer position { x, y }.
+ * @param {Object} bounds - Image size { width, height }.
+ * @param {number|null} [ratio] - Width / height to keep, or null for free resizing.
+ * @returns {Object} Resized rectangle.
+ */
+export const resizeCrop = (rect, handle, point, bounds, ratio = null) => {
+  const px = clamp(point.x, 0, bounds.width);
+  const py = clamp(point.y, 0, bounds.height);
+  const horizontal = handle.includes('e') || handle.includes('w');
+  const vertical = handle.includes('n') || handle.includes('s');
+
+  // The side that does not move, or the center on an axis the handle does not drag
+  const anchorX = handle.includes('w') ? rect.x + rect.width : handle.includes('e') ? rect.x : rect.x + rect.width / 2;
+  const anchorY = handle.includes('n') ? rect.y + rect.height : handle.includes('s') ? rect.y : rect.y + rect.height / 2;
+
+  let width = horizontal ? Math.abs(px - anchorX) : rect.width;
+  let height = vertical ? Math.abs(py - anchorY) : rect.height;
+
+  if (ratio) {
+    if (horizontal && vertical) {
+      // Largest box with the ratio that fits under the pointer
+      if (width > height * ratio) width = height * ratio;
+      else height = width / ratio;
+    } else if (horizontal) {
+      height = width / ratio;
+    } else {
+      width = height * ratio;
+    }
+
+    // Shrink, keeping the ratio, until the box fits in the image
+    const room = (anchor, isDragged, pointer, size) => {
+      if (isDragged) return pointer < anchor ? anchor : size - anchor;
+      return 2 * Math.min(anchor, size - anchor);
+    };
+    const scale = Math.min(
+      1,
+      width > 0 ? room(anchorX, horizontal, px, bounds.width) / width : 1,
+      height > 0 ? room(anchorY, vertical, py, bounds.height) / height : 1
+    );
+    width *= scale;
+    height *= scale;
+  }
+
+  const x = horizontal ? (px < anchorX ? anchorX - width : anchorX) : anchorX - width / 2;
+  const y = vertical ? (py < anchorY ? anchorY - height : anchorY) : anchorY - height / 2;
+  return clampCrop({ x, y, width, height }, bounds);
+};
+
+/**
+ * Reshapes a rectangle to an aspect ratio: the largest box with that ratio that
+ * fits inside it, sharing its center.
+ * @param {Object} rect - Crop rectangle.
+ * @param {number|null} ratio - Width / height, or null to leave the rectangle as it is.
+ * @param {Object} bounds - Image size { width, height }.
+ * @returns {Object} Reshaped rectangle.
+ */
+export const fitAspect = (rect, ratio, bounds) => {
+  if (!ratio) return clampCrop(rect, bounds);
+  const width = Math.min(rect.width, rect.height * ratio);
+  const height = width / ratio;
+  return clampCrop({
+    x: rect.x + (rect.width - width) / 2,
+    y: rect.y + (rect.height - height) / 2,
+    width,
+    height,
+  }, bounds);
+};
+
+/**
+ * Sets one field of a rectangle from a numeric input.
+ * Position changes move the box; size changes keep the top-left corner and,
+ * with a fixed ratio, update the other side to match.
+ * @param {Object} rect - Crop rectangle.
+ * @param {string} field - 'x', 'y', 'width' or 'height'.
+ * @param {number} value - New value in image pixels.
+ * @param {Object} bounds - Image size { width, height }.
+ * @param {number|null} [ratio] - Width / height to keep, or null.
+ * @returns {Object} Updated rectangle.
+ */
+export const setCropField = (rect, field, value, bounds, ratio = null) => {
+  if (!Number.isFinite(value)) return rect;
+  if (field === 'x') return moveCrop(rect, value - rect.x, 0, bounds);
+  if (field === 'y') return moveCrop(rect, 0, value - rect.y, bounds);
+
+  const maxWidth = bounds.width - rect.x;
+  const maxHeight = bounds.height - rect.y;
+  let width = field === 'width' ? clamp(value, 1, maxWidth) : rect.width;
+  let height = field === 'height' ? clamp(value, 1, maxHeight) : rect.height;
+  if (ratio) {
+    if (field === 'width') height = width / ratio;
+    else width = height * ratio;
+    const scale = Math.min(1, maxWidth / width, maxHeight / height);
+    width *= scale;
+    height *= scale;
+  }
+  return clampCrop({ ...rect, width, height }, bounds);
+};
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { clampCrop, fitAspect, getHandlePoints, hitTest, moveCrop, resizeCrop, setCropField } from './cropBox.js';
+
+const bounds = { width: 200, height: 100 };
+const rect = { x: 40, y: 20, width: 80, height: 40 };
+
+test('getHandlePoints places corner and edge handles', () => {
+  const points = Object.fromEntries(getHandlePoints(rect).map(({ id, x, y }) => [id, [x, y]]));
+  assert.deepEqual(points.nw, [40, 20]);
+  assert.deepEqual(points.n, [80, 20]);
+  assert.deepEqual(points.e, [120, 40]);
+  assert.deepEqual(points.se, [120, 60]);
+  assert.deepEqual(points.w, [40, 40]);
+});
+
+test('hitTest finds handles, the inside and the outside', () => {
+  assert.equal(hitTest(rect, { x: 42, y: 19 }, 4), 'nw');
+  assert.equal(hitTest(rect, { x: 80, y: 62 }, 4), 's');
+  assert.equal(hitTest(rect, { x: 70, y: 40 }, 4), 'move');
+  assert.equal(hitTest(rect, { x: 5, y: 5 }, 4), null);
+});
+
+test('clampCrop rounds and keeps the box inside the image', () => {
+  assert.deepEqual(clampCrop({ x: -5.4, y: 90.6, width: 300, height: 30 }, bounds), { x: 0, y: 91, width: 200, height: 9 });
+});
+
+test('moveCrop stops at the image edges', () => {
+  assert.deepEqual(moveCrop(rect, 500, -3, bounds), { x: 120, y: 17, width: 80, height: 40 });
+});
+
+test('edge handles resize one side only', () => {
+  assert.deepEqual(resizeCrop(rect, 'e', { x: 150, y: 0 }, bounds), { x: 40, y: 20, width: 110, height: 40 });
+  assert.deepEqual(resizeCrop(rect, 'n', { x: 0, y: 10 }, bounds), { x: 40, y: 10, width: 80, height: 50 });
+});
+
+test('dragging past the opposite side flips the box', () => {
+  assert.deepEqual(resizeCrop(rect, 'w', { x: 150, y: 0 }, bounds), { x: 120, y: 20, width: 30, height: 40 });
+});
+
+test('a new box can be drawn from a point', () => {
+  const start = { x: 100, y: 50, width: 0, height: 0 };
+  assert.deepEqual(resizeCrop(start, 'se', { x: 60, y: 70 }, bounds), { x: 60, y: 50, width: 40, height: 20 });
+});
+
+test('corner handles keep the aspect ratio inside the image', () => {
+  assert.deepEqual(resizeCrop(rect, 'se', { x: 190, y: 90 }, bounds, 3), { x: 40, y: 20, width: 150, height: 50 });
+  // Not enough room below the anchor for the full width: the box shrinks
+  assert.deepEqual(resizeCrop(rect, 'se', { x: 200, y: 100 }, bounds, 1), { x: 40, y: 20, width: 80, height: 80 });
+});
+
+test('edge handles with a ratio stay centered on the other axis', () => {
+  assert.deepEqual(resizeCrop(rect, 'e', { x: 160, y: 0 }, bounds, 4), { x: 40, y: 25, width: 120, height: 30 });
+});
+
+test('fitAspect reshapes around the center', () => {
+  assert.deepEqual(fitAspect(rect, 4, bounds), { x: 40, y: 30, width: 80, height: 20 });
+  assert.deepEqual(fitAspect(rect, null, bounds), rect);
+});
+
+test('setCropField updates one value and keeps the ratio', () => {
+  assert.deepEqual(setCropField(rect, 'x', 150, bounds), { x: 120, y: 20, width: 80, height: 40 });
+  assert.deepEqual(setCropField(rect, 'width', 60, bounds, 3), { x: 40, y: 20, width: 60, height: 20 });
+  assert.deepEqual(setCropField(rect, 'height', 500, bounds), { x: 40, y: 20, width: 80, height: 80 });
+  assert.equal(setCropField(rect, 'width', NaN, bounds), rect);
+});
@@ -0,0 +1,110 @@
+/**
+ * Non-destructive edit history.
+ * Every edit is recorded as an operation ({ label, key, changes }) on top of the
+ * settings the image was opened with; the current settings are rebuilt by replaying
+ * the operations, so the output can always be re-rendered from the original image.
+ */
+
+// Edits with the same key within this many milliseconds are merged (e.g. one slider drag)
+export const COALESCE_MS = 1000;
+
+/**
+ * Creates an empty history.
+ * @param {Object} base - Settings before any edit.
+ * @returns {Object} { base, operations, undone }, where undone holds the redo stack (last undone on top).
+ */
+export const createHistory = (base) => ({ base, operations: [], undone: [] });
+
+/**
+ * Replays operations over the base settings.
+ * @param {Object} history - History state.
+ * @param {number} [count] - Number of operations to replay; defaults to all of them.
+ * @returns {Object} Settings after the operations.
+ */
+export const selectSettings = (history, count = history.operations.length) =>
+  history.operations.slice(0, count).reduce((settings, operation) => ({ ...settings, ...operation.changes }), history.base);
+
+/**
+ * Lists every operation in order, including the undone ones that can still be redone.
+ * @param {Object} history - History state.
+ * @returns {Array<Object>} Applied operations followed by the redo stack, oldest first.
+ */
+export const getTimeline = (history) => [...history.operations, ...[...history.undone].reverse()];
+
+/**
+ * Checks whether a history was reached from another by an edit, undo, redo or jump,
+ * rather than replaced by a reset (a new image, or starting over). Edits keep the base
+ * settings object, while every reset brings a new one.
+ * @param {Object} previous - Earlier history state.
+ * @param {Object} next - Later history state.
+ * @returns {boolean} True if the settings were edited.
+ */
+export const isEdited = (previous, next) => previous !== next && previous.base === next.base;
+
+/**
+ * Compares two setting values, including plain objects such as the crop rectangle.
+ * @param {*} a - First value.
+ * @param {*} b - Second value.
+ * @returns {boolean} True if the values are equal.
+ */
+const isSameValue = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Records a new edit. Edits that change nothing are ignored, and an edit with the
+ * same key as the previous one shortly after it is merged into that operation.
+ * Any undone operations are discarded.
+ * @param {Object} state - History state.
+ * @param {Object} action - { label, changes, key?, time? }.
+ * @returns {Object} New history state.
+ */
+const applyOperation = (state, { label, changes, key = null, time = 0 }) => {
+  const current = selectSettings(state);
+  if (Object.keys(changes).every((name) => isSameValue(current[name], changes[name]))) {
+    return state;
+  }
+
+  const last = state.operations[state.operations.length - 1];
+  if (last && key && last.key === key && state.undone.length === 0 && time - last.time < COALESCE_MS) {
+    const merged = { ...last, label, changes: { ...last.changes, ...changes }, time };
+    return { ...state, operations: [...state.operations.slice(0, -1), merged] };
+  }
+
+  return { ...state, operations: [...state.operations, { label, key, changes, time }], undone: [] };
+};
+
+/**
+ * Moves to a point in the timeline: operations after it become redoable.
+ * @param {Object} state - History state.
+ * @param {number} index - Number of operations to keep applied (0 is the original).
+ * @returns {Object} New history state.
+ */
+const jumpTo = (state, index) => {
+  const timeline = getTimeline(state);
+  const count = Math.max(0, Math.min(index, timeline.length));
+  if (count === state.operations.length) return state;
+  return { ...state, operations: timeline.slice(0, count), undone: timeline.slice(count).reverse() };
+};
+
+/**
+ * Reducer for the edit history, for use with React's useReducer.
+ * @param {Object} state - History state.
+ * @param {Object} action - One of { type: 'apply', label, changes, key?, time? }, { type: 'undo' },
+ *   { type: 'redo' }, { type: 'jump', index } or { type: 'reset', base }.
+ * @returns {Object} New history state.
+ */
+export const historyReducer = (state, action) => {
+  switch (action.type) {
+    case 'apply':
+      return applyOperation(state, action);
+    case 'undo':
+      return jumpTo(state, state.operations.length - 1);
+    case 'redo':
+      return jumpTo(state, state.operations.length + 1);
+    case 'jump':
+      return jumpTo(state, action.index);
+    case 'reset':
+      return createHistory(action.base);
+    default:
+      return state;
+  }
+};
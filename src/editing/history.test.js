@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { COALESCE_MS, createHistory, getTimeline, historyReducer, isEdited, selectSettings } from './history.js';
+
+const base = { luminanceThreshold: 200, crop: null };
+
+// Applies a list of actions in order
+const run = (actions, state = createHistory(base)) => actions.reduce(historyReducer, state);
+
+const apply = (changes, extra = {}) => ({ type: 'apply', label: 'Edit', changes, ...extra });
+
+test('settings are rebuilt from the operations', () => {
+  const state = run([apply({ crop: { x: 1, y: 2, width: 3, height: 4 } }), apply({ luminanceThreshold: 150 })]);
+  assert.deepEqual(selectSettings(state), { luminanceThreshold: 150, crop: { x: 1, y: 2, width: 3, height: 4 } });
+  assert.deepEqual(selectSettings(state, 1), { luminanceThreshold: 200, crop: { x: 1, y: 2, width: 3, height: 4 } });
+});
+
+test('a crop survives a later threshold change', () => {
+  const crop = { x: 0, y: 0, width: 10, height: 10 };
+  const state = run([apply({ crop }), apply({ luminanceThreshold: 120 })]);
+  assert.deepEqual(selectSettings(state).crop, crop);
+});
+
+test('undo and redo move through the operations', () => {
+  let state = run([apply({ luminanceThreshold: 150 }), apply({ luminanceThreshold: 100 })]);
+  state = historyReducer(state, { type: 'undo' });
+  assert.equal(selectSettings(state).luminanceThreshold, 150);
+  state = historyReducer(state, { type: 'undo' });
+  assert.equal(selectSettings(state).luminanceThreshold, 200);
+  assert.equal(historyReducer(state, { type: 'undo' }), state);
+  state = historyReducer(state, { type: 'redo' });
+  assert.equal(selectSettings(state).luminanceThreshold, 150);
+});
+
+test('a new edit discards the redo stack', () => {
+  const state = run([apply({ luminanceThreshold: 150 }), { type: 'undo' }, apply({ luminanceThreshold: 90 })]);
+  assert.equal(state.undone.length, 0);
+  assert.equal(historyReducer(state, { type: 'redo' }), state);
+});
+
+test('jump keeps later operations redoable', () => {
+  let state = run([apply({ luminanceThreshold: 1 }), apply({ luminanceThreshold: 2 }), apply({ luminanceThreshold: 3 })]);
+  state = historyReducer(state, { type: 'jump', index: 1 });
+  assert.equal(selectSettings(state).luminanceThreshold, 1);
+  assert.equal(getTimeline(state).length, 3);
+  state = historyReducer(state, { type: 'jump', index: 3 });
+  assert.equal(selectSettings(state).luminanceThreshold, 3);
+});
+
+test('edits with the same key close together are merged', () => {
+  const state = run([
+    apply({ luminanceThreshold: 190 }, { key: 'luminance', time: 0, label: 'Threshold 190' }),
+    apply({ luminanceThreshold: 180 }, { key: 'luminance', time: 100, label: 'Threshold 180' }),
+    apply({ luminanceThreshold: 170 }, { key: 'luminance', time: 100 + COALESCE_MS, label: 'Threshold 170' }),
+  ]);
+  assert.deepEqual(state.operations.map(({ label }) => label), ['Threshold 180', 'Threshold 170']);
+});
+
+test('edits that change nothing are ignored', () => {
+  const state = createHistory(base);
+  assert.equal(historyReducer(state, apply({ luminanceThreshold: 200 })), state);
+  assert.equal(historyReducer(state, apply({ crop: null })), state);
+});
+
+test('reset starts a new history', () => {
+  const state = run([apply({ luminanceThreshold: 10 }), { type: 'reset', base: { luminanceThreshold: 50 } }]);
+  assert.deepEqual(state, createHistory({ luminanceThreshold: 50 }));
+});
+
+test('isEdited tells edits, undo and redo apart from resets', () => {
+  const start = createHistory(base);
+  const edited = historyReducer(start, apply({ luminanceThreshold: 10 }));
+  const undone = historyReducer(edited, { type: 'undo' });
+  assert.equal(isEdited(start, edited), true);
+  assert.equal(isEdited(edited, undone), true);
+  assert.equal(isEdited(undone, historyReducer(undone, { type: 'redo' })), true);
+  assert.equal(isEdited(start, start), false);
+  assert.equal(isEdited(edited, historyReducer(edited, { type: 'reset', base: { ...base } })), false);
+});
@@ -0,0 +1,96 @@
+/**
+ * Signatures placed on the pages of a PDF.
+ * A placement is { id, page, x, y, width, height, rotation }: the zero-based page index,
+ * the center of the signature and its size in PDF points as the page is displayed
+ * ((0, 0) at the top-left corner, y pointing down), and a clockwise rotation in degrees.
+ */
+
+// Default signature width, as a share of the page width
+const DEFAULT_WIDTH_SHARE = 0.25;
+
+// Smallest signature width in points, so a placement can always be grabbed again
+export const MIN_PLACEMENT_WIDTH = 12;
+
+// Rotations within this many degrees of a quarter turn snap to it
+const ROTATION_SNAP = 4;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Creates a placement in the middle of the lower half of a page, where signatures usually go.
+ * @param {string} id - Unique id.
+ * @param {number} page - Page index.
+ * @param {Object} pageSize - Displayed page size { width, height } in points.
+ * @param {number} aspect - Width / height of the signature image.
+ * @returns {Object} The placement.
+ */
+export const createPlacement = (id, page, pageSize, aspect) => {
+  let width = pageSize.width * DEFAULT_WIDTH_SHARE;
+  let height = width / aspect;
+  if (height > pageSize.height / 4) {
+    height = pageSize.height / 4;
+    width = height * aspect;
+  }
+  return { id, page, x: pageSize.width / 2, y: pageSize.height * 0.75, width, height, rotation: 0 };
+};
+
+/**
+ * Moves a placement, keeping its center on the page.
+ * @param {Object} placement - The placement.
+ * @param {number} dx - Horizontal offset in points.
+ * @param {number} dy - Vertical offset in points.
+ * @param {Object} pageSize - Displayed page size { width, height }.
+ * @returns {Object} The moved placement.
+ */
+export const movePlacement = (placement, dx, dy, pageSize) => ({
+  ...placement,
+  x: clamp(placement.x + dx, 0, pageSize.width),
+  y: clamp(placement.y + dy, 0, pageSize.height),
+});
+
+/**
+ * Scales a placement around its center, keeping the signature's aspect ratio.
+ * @param {Object} placement - The placement.
+ * @param {number} factor - Scale factor.
+ * @param {Object} pageSize - Displayed page size; the signature never grows wider than
+ *   the page's larger side.
+ * @returns {Object} The resized placement.
+ */
+export const resizePlacement = (placement, factor, pageSize) => {
+  const maxWidth = Math.max(pageSize.width, pageSize.height);
+  const width = clamp(placement.width * factor, MIN_PLACEMENT_WIDTH, maxWidth);
+  return { ...placement, width, height: placement.height * (width / placement.width) };
+};
+
+/**
+ * Sets the rotation of a placement, snapping to quarter turns when close to one.
+ * @param {Object} placement - The placement.
+ * @param {number} degrees - Clockwise rotation.
+ * @returns {Object} The rotated placement, with the rotation in [0, 360).
+ */
+export const rotatePlacement = (placement, degrees) => {
+  const quarter = Math.round(degrees / 90) * 90;
+  const snapped = Math.abs(degrees - quarter) <= ROTATION_SNAP ? quarter : Math.round(degrees);
+  return { ...placement, rotation: ((snapped % 360) + 360) % 360 };
+};
+
+/**
+ * Copies a placement to every other page at the same spot, e.g. for initials.
+ * Pages of another size get the copy at the same relative position.
+ * @param {Object} placement - The placement to copy.
+ * @param {Array<Object>} pageSizes - Displayed size of every page.
+ * @param {Function} createId - Returns a new unique id.
+ * @returns {Array<Object>} The new placements (none for the placement's own page).
+ */
+export const copyToAllPages = (placement, pageSizes, createId) => {
+  const source = pageSizes[placement.page];
+  return pageSizes.flatMap((size, page) => (page === placement.page
+    ? []
+    : [{
+      ...placement,
+      id: createId(),
+      page,
+      x: (placement.x / source.width) * size.width,
+      y: (placement.y / source.height) * size.height,
+    }]));
+};
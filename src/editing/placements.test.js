@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MIN_PLACEMENT_WIDTH, copyToAllPages, createPlacement, movePlacement, resizePlacement, rotatePlacement } from './placements.js';
+
+const letter = { width: 612, height: 792 };
+const placement = { id: 'a', page: 0, x: 300, y: 600, width: 150, height: 50, rotation: 0 };
+
+test('createPlacement puts a quarter-width signature in the lower half of the page', () => {
+  assert.deepEqual(createPlacement('a', 2, letter, 3), { id: 'a', page: 2, x: 306, y: 594, width: 153, height: 51, rotation: 0 });
+});
+
+test('createPlacement keeps tall signatures to a quarter of the page height', () => {
+  const { width, height } = createPlacement('a', 0, letter, 0.5);
+  assert.equal(height, 198);
+  assert.equal(width, 99);
+});
+
+test('movePlacement keeps the center on the page', () => {
+  assert.deepEqual(movePlacement(placement, 12, -20, letter), { ...placement, x: 312, y: 580 });
+  const moved = movePlacement(placement, 1000, 1000, letter);
+  assert.equal(moved.x, 612);
+  assert.equal(moved.y, 792);
+});
+
+test('resizePlacement keeps the aspect ratio and a grabbable size', () => {
+  assert.deepEqual(resizePlacement(placement, 2, letter), { ...placement, width: 300, height: 100 });
+  const tiny = resizePlacement(placement, 0.01, letter);
+  assert.equal(tiny.width, MIN_PLACEMENT_WIDTH);
+  assert.equal(tiny.height, MIN_PLACEMENT_WIDTH / 3);
+  assert.equal(resizePlacement(placement, 100, letter).width, 792);
+});
+
+test('rotatePlacement snaps to quarter turns and wraps around', () => {
+  assert.equal(rotatePlacement(placement, 12.4).rotation, 12);
+  assert.equal(rotatePlacement(placement, 88).rotation, 90);
+  assert.equal(rotatePlacement(placement, -3).rotation, 0);
+  assert.equal(rotatePlacement(placement, -30).rotation, 330);
+});
+
+test('copyToAllPages copies to the other pages at the same relative spot', () => {
+  let next = 0;
+  const copies = copyToAllPages(placement, [letter, letter, { width: 1224, height: 792 }], () => `copy${next++}`);
+  assert.deepEqual(copies, [
+    { ...placement, id: 'copy0', page: 1 },
+    { ...placement, id: 'copy1', page: 2, x: 600 },
+  ]);
+});
@@ -0,0 +1,241 @@
+/**
+ * Named settings presets for common capture conditions.
+ * A preset is { id, name, description?, builtIn?, settings } where settings holds only the
+ * background-removal values in PRESET_FIELDS: geometry, touch-ups, crop and ink color belong
+ * to one image and are left alone when a preset is applied.
+ * User presets are kept in localStorage and shared as JSON files in the same format.
+ */
+
+// Settings a preset may set, with the values each one accepts
+export const PRESET_FIELDS = {
+  flattenStrength: { min: 0, max: 100 },
+  thresholdMode: { values: ['manual', 'otsu', 'adaptive'] },
+  luminanceThreshold: { min: 0, max: 255 },
+  alphaThreshold: { min: 0, max: 255 },
+  adaptiveWindowSize: { min: 3, max: 255 },
+  adaptiveK: { min: 0, max: 1 },
+  edgeMode: { values: ['binary', 'soft'] },
+  rampWidth: { min: 1, max: 255 },
+  minSpeckArea: { min: 0, max: 100000 },
+  removeIsolated: { values: [true, false] },
+  isolationDistance: { min: 0, max: 10000 },
+};
+
+export const BUILT_IN_PRESETS = [
+  {
+    id: 'clean-scan',
+    name: 'Clean scan',
+    description: 'Flatbed scans on white paper with even lighting.',
+    builtIn: true,
+    settings: {
+      flattenStrength: 0,
+      thresholdMode: 'otsu',
+      luminanceThreshold: 200,
+      alphaThreshold: 50,
+      adaptiveWindowSize: 31,
+      adaptiveK: 0.2,
+      edgeMode: 'soft',
+      rampWidth: 24,
+      minSpeckArea: 8,
+      removeIsolated: false,
+      isolationDistance: 50,
+    },
+  },
+  {
+    id: 'phone-photo',
+    name: 'Phone photo',
+    description: 'Photos with shadows, uneven lighting and paper texture.',
+    builtIn: true,
+    settings: {
+      flattenStrength: 100,
+      thresholdMode: 'otsu',
+      luminanceThreshold: 200,
+      alphaThreshold: 50,
+      adaptiveWindowSize: 51,
+      adaptiveK: 0.2,
+      edgeMode: 'soft',
+      rampWidth: 32,
+      minSpeckArea: 40,
+      removeIsolated: true,
+      isolationDistance: 80,
+    },
+  },
+  {
+    id: 'faint-pencil',
+    name: 'Faint pencil',
+    description: 'Light pencil or thin ballpoint strokes that the defaults wash out.',
+    builtIn: true,
+    settings: {
+      flattenStrength: 60,
+      thresholdMode: 'manual',
+      luminanceThreshold: 228,
+      alphaThreshold: 50,
+      adaptiveWindowSize: 31,
+      adaptiveK: 0.2,
+      edgeMode: 'soft',
+      rampWidth: 64,
+      minSpeckArea: 4,
+      removeIsolated: false,
+      isolationDistance: 50,
+    },
+  },
+  {
+    id: 'already-transparent',
+    name: 'Already transparent',
+    description: 'PNGs that already have a transparent background; only near-white fringes are removed.',
+    builtIn: true,
+    settings: {
+      flattenStrength: 0,
+      thresholdMode: 'manual',
+      luminanceThreshold: 250,
+      alphaThreshold: 64,
+      adaptiveWindowSize: 31,
+      adaptiveK: 0.2,
+      edgeMode: 'soft',
+      rampWidth: 16,
+      minSpeckArea: 0,
+      removeIsolated: false,
+      isolationDistance: 50,
+    },
+  },
+];
+
+// Identifies shared preset files; bump the version when the format changes shape
+const EXPORT_FORMAT = 'signature-refiner-presets';
+const EXPORT_VERSION = 1;
+
+// localStorage key holding the user's presets
+const STORAGE_KEY = 'signature-refiner-presets';
+
+/**
+ * Creates an id for a user preset.
+ * @returns {string} Id, unique enough for one person's presets.
+ */
+const createPresetId = () => `user-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Picks the preset settings out of the full editor settings.
+ * @param {Object} settings - Editor settings.
+ * @returns {Object} Only the keys in PRESET_FIELDS that are set.
+ */
+export const pickPresetSettings = (settings) => Object.fromEntries(
+  Object.keys(PRESET_FIELDS).filter((key) => settings[key] !== undefined).map((key) => [key, settings[key]])
+);
+
+/**
+ * Creates a user preset from the current settings.
+ * @param {string} name - Preset name (surrounding spaces are dropped).
+ * @param {Object} settings - Editor settings.
+ * @returns {Object} The preset.
+ */
+export const createPreset = (name, settings) => ({ id: createPresetId(), name: name.trim(), settings: pickPresetSettings(settings) });
+
+/**
+ * Finds the first preset whose settings all match the current ones.
+ * @param {Object} settings - Editor settings.
+ * @param {Array<Object>} presets - Presets to look through.
+ * @returns {Object|null} The matching preset, or null.
+ */
+export const findMatchingPreset = (settings, presets) =>
+  presets.find((preset) => Object.entries(preset.settings).every(([key, value]) => settings[key] === value)) || null;
+
+/**
+ * Adds presets to a list; a preset replaces an existing one with the same name (ignoring case).
+ * @param {Array<Object>} presets - Current presets.
+ * @param {Array<Object>} added - Presets to add.
+ * @returns {Array<Object>} The new list, with replaced presets kept in their place.
+ */
+export const addPresets = (presets, added) => added.reduce((list, preset) => {
+  const index = list.findIndex((item) => item.name.toLowerCase() === preset.name.toLowerCase());
+  return index === -1 ? [...list, preset] : list.map((item, i) => (i === index ? preset : item));
+}, presets);
+
+/**
+ * Checks one preset read from a file.
+ * Unknown settings are dropped so files from newer versions still load.
+ * @param {Object} preset - { name, settings } as read from JSON.
+ * @returns {Object} A preset with a fresh id.
+ * @throws {Error} If the name is missing or a setting has a value it cannot take.
+ */
+const validatePreset = (preset) => {
+  const name = typeof preset?.name === 'string' ? preset.name.trim() : '';
+  if (!name || typeof preset.settings !== 'object' || preset.settings === null) {
+    throw new Error('A preset in this file has no name or settings.');
+  }
+
+  const settings = {};
+  Object.entries(PRESET_FIELDS).forEach(([key, field]) => {
+    const value = preset.settings[key];
+    if (value === undefined) return;
+    const isValid = field.values
+      ? field.values.includes(value)
+      : typeof value === 'number' && value >= field.min && value <= field.max;
+    if (!isValid) throw new Error(`"${name}" has an invalid value for ${key}.`);
+    settings[key] = value;
+  });
+  if (Object.keys(settings).length === 0) throw new Error(`"${name}" does not change any settings.`);
+
+  return { id: createPresetId(), name, settings };
+};
+
+/**
+ * Serializes presets for sharing.
+ * @param {Array<Object>} presets - Presets to share.
+ * @returns {string} JSON text.
+ */
+export const presetsToJson = (presets) => JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  presets: presets.map(({ name, settings }) => ({ name, settings })),
+}, null, 2);
+
+/**
+ * Reads presets shared with presetsToJson.
+ * @param {string} text - JSON text.
+ * @returns {Array<Object>} The presets, each with a fresh id.
+ * @throws {Error} If the text is not a preset file or a preset in it is invalid.
+ */
+export const parsePresetsJson = (text) => {
+  let file = null;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    // Reported below
+  }
+  if (file?.format !== EXPORT_FORMAT || !Array.isArray(file.presets)) {
+    throw new Error('This file is not a settings preset file.');
+  }
+  if (file.version > EXPORT_VERSION) {
+    throw new Error('These presets were saved by a newer version of the app.');
+  }
+  return file.presets.map(validatePreset);
+};
+
+/**
+ * Reads the user's presets.
+ * @param {Object} [storage] - Storage to read from (localStorage by default).
+ * @returns {Array<Object>} Presets, or an empty list if none are stored or they cannot be read.
+ */
+export const loadUserPresets = (storage = globalThis.localStorage) => {
+  try {
+    const text = storage?.getItem(STORAGE_KEY);
+    return text ? parsePresetsJson(text) : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Stores the user's presets.
+ * @param {Array<Object>} presets - All user presets.
+ * @param {Object} [storage] - Storage to write to (localStorage by default).
+ * @returns {boolean} False if the browser refused to store them (e.g. in private browsing).
+ */
+export const storeUserPresets = (presets, storage = globalThis.localStorage) => {
+  try {
+    storage.setItem(STORAGE_KEY, presetsToJson(presets));
+    return true;
+  } catch {
+    return false;
+  }
+};
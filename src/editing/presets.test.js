@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_OPTIONS } from '../processing/pipeline.js';
+import {
+  BUILT_IN_PRESETS,
+  PRESET_FIELDS,
+  addPresets,
+  createPreset,
+  findMatchingPreset,
+  loadUserPresets,
+  parsePresetsJson,
+  pickPresetSettings,
+  presetsToJson,
+  storeUserPresets,
+} from './presets.js';
+
+const createStorage = () => {
+  const items = new Map();
+  return { getItem: (key) => items.get(key) ?? null, setItem: (key, value) => items.set(key, value) };
+};
+
+test('built-in presets set every preset field to a valid value', () => {
+  BUILT_IN_PRESETS.forEach(({ name, settings }) => {
+    assert.deepEqual(Object.keys(settings).sort(), Object.keys(PRESET_FIELDS).sort(), name);
+    assert.doesNotThrow(() => parsePresetsJson(presetsToJson([{ name, settings }])), name);
+  });
+});
+
+test('createPreset keeps only the preset settings', () => {
+  const settings = { ...DEFAULT_OPTIONS, luminanceThreshold: 180, rotation: 90, crop: { x: 0, y: 0, width: 4, height: 4 } };
+  const preset = createPreset('  Office scanner ', settings);
+  assert.equal(preset.name, 'Office scanner');
+  assert.deepEqual(preset.settings, pickPresetSettings(settings));
+  assert.equal(preset.settings.luminanceThreshold, 180);
+  assert.equal('rotation' in preset.settings, false);
+  assert.equal('crop' in preset.settings, false);
+  assert.equal('inkColor' in preset.settings, false);
+});
+
+test('findMatchingPreset recognizes applied presets', () => {
+  const [clean, phone] = BUILT_IN_PRESETS;
+  assert.equal(findMatchingPreset({ ...DEFAULT_OPTIONS, ...phone.settings, rotation: 12 }, BUILT_IN_PRESETS), phone);
+  assert.equal(findMatchingPreset({ ...DEFAULT_OPTIONS, ...clean.settings, minSpeckArea: 9 }, BUILT_IN_PRESETS), null);
+});
+
+test('addPresets replaces presets with the same name in place', () => {
+  const a = { id: '1', name: 'Scanner', settings: { luminanceThreshold: 190 } };
+  const b = { id: '2', name: 'Photo', settings: { flattenStrength: 80 } };
+  const updated = { id: '3', name: 'scanner', settings: { luminanceThreshold: 170 } };
+  assert.deepEqual(addPresets([a, b], [updated]), [updated, b]);
+  assert.deepEqual(addPresets([a], [b]), [a, b]);
+});
+
+test('presets round-trip through JSON', () => {
+  const preset = createPreset('Shared', { ...DEFAULT_OPTIONS, thresholdMode: 'adaptive', adaptiveWindowSize: 45 });
+  const [parsed] = parsePresetsJson(presetsToJson([preset]));
+  assert.equal(parsed.name, 'Shared');
+  assert.deepEqual(parsed.settings, preset.settings);
+  assert.notEqual(parsed.id, undefined);
+});
+
+test('parsePresetsJson drops unknown settings and rejects invalid values', () => {
+  const file = (settings, version = 1) => JSON.stringify({ format: 'signature-refiner-presets', version, presets: [{ name: 'P', settings }] });
+  assert.deepEqual(parsePresetsJson(file({ alphaThreshold: 20, futureSetting: 3 }))[0].settings, { alphaThreshold: 20 });
+  assert.throws(() => parsePresetsJson(file({ alphaThreshold: 300 })), /invalid value for alphaThreshold/);
+  assert.throws(() => parsePresetsJson(file({ edgeMode: 'blurry' })), /invalid value for edgeMode/);
+  assert.throws(() => parsePresetsJson(file({ removeIsolated: 'yes' })), /invalid value for removeIsolated/);
+  assert.throws(() => parsePresetsJson(file({ futureSetting: 3 })), /does not change any settings/);
+  assert.throws(() => parsePresetsJson(file({ alphaThreshold: 20 }, 2)), /newer version/);
+  assert.throws(() => parsePresetsJson('{"presets": []}'), /not a settings preset file/);
+  assert.throws(() => parsePresetsJson('not json'), /not a settings preset file/);
+});
+
+test('user presets are stored and read back', () => {
+  const storage = createStorage();
+  assert.deepEqual(loadUserPresets(storage), []);
+  assert.equal(storeUserPresets([createPreset('Mine', { luminanceThreshold: 150 })], storage), true);
+  assert.deepEqual(loadUserPresets(storage).map(({ name, settings }) => ({ name, settings })), [{ name: 'Mine', settings: { luminanceThreshold: 150 } }]);
+
+  storage.setItem('signature-refiner-presets', 'corrupt');
+  assert.deepEqual(loadUserPresets(storage), []);
+  assert.equal(storeUserPresets([], { setItem: () => { throw new Error('Quota exceeded'); } }), false);
+});
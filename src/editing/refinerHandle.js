@@ -0,0 +1,45 @@
+/**
+ * The parts of the SignatureRefiner ref API that don't need React: the settings a reset
+ * starts from, and waiting for an image or a processing run that may be replaced by a
+ * newer one while it is awaited.
+ */
+import { DEFAULT_OPTIONS } from '../processing/pipeline.js';
+
+// Settings recorded in the edit history; the despeckle preview is a view toggle, not an edit
+export const INITIAL_SETTINGS = Object.fromEntries(
+  Object.entries(DEFAULT_OPTIONS).filter(([key]) => key !== 'despecklePreview')
+);
+
+/**
+ * Builds the settings an image is opened with, or the refiner is reset to.
+ * @param {Object} [initialSettings] - Settings chosen by the host app or saved with an image.
+ * @returns {Object} The settings, with defaults for options they don't set
+ *   (including options added since they were saved).
+ */
+export const getStartSettings = (initialSettings) => ({ ...INITIAL_SETTINGS, ...initialSettings });
+
+/**
+ * Creates a promise that is settled from outside, e.g. once an image has been decoded.
+ * @returns {Object} { promise, settle }; settle() resolves the promise (later calls do nothing).
+ */
+export const createPending = () => {
+  let settle;
+  const promise = new Promise((resolve) => {
+    settle = resolve;
+  });
+  return { promise, settle };
+};
+
+/**
+ * Waits until the task in a slot has finished, following any task that replaced it meanwhile.
+ * Failed and cancelled tasks count as finished.
+ * @param {Function} getTask - Returns the current task's promise, or null if there is none.
+ * @returns {Promise<void>} Settles once the task current at that moment has finished.
+ */
+export const waitForLatest = async (getTask) => {
+  let task;
+  do {
+    task = getTask();
+    await task?.catch(() => {});
+  } while (task !== getTask());
+};
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_OPTIONS } from '../processing/pipeline.js';
+import { INITIAL_SETTINGS, createPending, getStartSettings, waitForLatest } from './refinerHandle.js';
+
+test('the history settings leave out the despeckle preview', () => {
+  assert.equal('despecklePreview' in INITIAL_SETTINGS, false);
+  assert.equal(INITIAL_SETTINGS.luminanceThreshold, DEFAULT_OPTIONS.luminanceThreshold);
+});
+
+test('getStartSettings fills in defaults for missing settings', () => {
+  assert.deepEqual(getStartSettings(), INITIAL_SETTINGS);
+  assert.deepEqual(getStartSettings(null), INITIAL_SETTINGS);
+  const settings = getStartSettings({ luminanceThreshold: 150, edgeMode: 'soft' });
+  assert.equal(settings.luminanceThreshold, 150);
+  assert.equal(settings.edgeMode, 'soft');
+  assert.equal(settings.alphaThreshold, INITIAL_SETTINGS.alphaThreshold);
+});
+
+test('waitForLatest returns at once without a task', async () => {
+  await waitForLatest(() => null);
+});
+
+test('waitForLatest follows tasks that replace the one awaited', async () => {
+  const first = createPending();
+  const second = createPending();
+  let current = first.promise;
+  let done = false;
+  const waiting = waitForLatest(() => current).then(() => {
+    done = true;
+  });
+
+  current = second.promise;
+  first.settle();
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.equal(done, false, 'still waiting for the newer task');
+
+  second.settle();
+  await waiting;
+  assert.equal(done, true);
+});
+
+test('waitForLatest treats failed tasks as finished', async () => {
+  const cancelled = Promise.reject(new Error('Processing was cancelled.'));
+  await waitForLatest(() => cancelled);
+});
@@ -0,0 +1,35 @@
+/**
+ * Zoom and pan math for the preview viewport.
+ * A view is { zoom, x, y }: the content is scaled by zoom about its center and
+ * shifted by (x, y) CSS pixels.
+ */
+
+export const MIN_ZOOM = 0.5;
+export const MAX_ZOOM = 16;
+
+// The view that shows the whole image, fitted to the viewport
+export const FIT_VIEW = { zoom: 1, x: 0, y: 0 };
+
+/**
+ * Changes the zoom while keeping one point of the viewport fixed (e.g. under the cursor).
+ * @param {Object} view - Current view { zoom, x, y }.
+ * @param {number} zoom - Requested zoom; clamped to MIN_ZOOM..MAX_ZOOM.
+ * @param {Object} [point] - Fixed point { x, y }, relative to the viewport center.
+ * @returns {Object} New view.
+ */
+export const zoomAt = (view, zoom, point = { x: 0, y: 0 }) => {
+  const nextZoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+  const factor = nextZoom / view.zoom;
+  return {
+    zoom: nextZoom,
+    x: point.x - (point.x - view.x) * factor,
+    y: point.y - (point.y - view.y) * factor,
+  };
+};
+
+/**
+ * Zoom factor for one mouse-wheel event.
+ * @param {number} deltaY - WheelEvent.deltaY in pixels.
+ * @returns {number} Multiplier for the current zoom (above 1 zooms in).
+ */
+export const wheelZoomFactor = (deltaY) => Math.exp(-deltaY * 0.002);
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIT_VIEW, MAX_ZOOM, wheelZoomFactor, zoomAt } from './viewport.js';
+
+test('zoomAt keeps the point under the cursor fixed', () => {
+  const view = zoomAt({ zoom: 2, x: 10, y: -4 }, 4, { x: 50, y: 20 });
+  assert.deepEqual(view, { zoom: 4, x: -30, y: -28 });
+  // The content point under the cursor is the same before and after
+  assert.equal((50 - 10) / 2, (50 - view.x) / 4);
+});
+
+test('zoomAt about the center only scales the offset', () => {
+  assert.deepEqual(zoomAt({ zoom: 1, x: 8, y: 6 }, 2), { zoom: 2, x: 16, y: 12 });
+});
+
+test('zoomAt clamps the zoom', () => {
+  assert.equal(zoomAt(FIT_VIEW, 1000).zoom, MAX_ZOOM);
+});
+
+test('wheelZoomFactor zooms in when scrolling up', () => {
+  assert.ok(wheelZoomFactor(-100) > 1);
+  assert.ok(wheelZoomFactor(100) < 1);
+  assert.equal(wheelZoomFactor(0), 1);
+});
@@ -0,0 +1,7 @@
+/**
+ * Entry point of the embeddable build (`npm run build:lib`): the <SignatureRefiner> component
+ * plus the headless pieces a host app may want alongside it.
+ */
+export { default as SignatureRefiner } from './components/SignatureRefiner.jsx';
+export { DEFAULT_OPTIONS, runPipeline } from './processing/pipeline.js';
+export { BUILT_IN_PRESETS } from './editing/presets.js';
@@ -0,0 +1,129 @@
+/**
+ * Automatic threshold selection.
+ * Otsu picks one global luminance threshold from the image histogram; Sauvola
+ * computes a threshold per pixel from the mean and spread of its neighbourhood,
+ * which copes with uneven lighting across the page.
+ */
+import { getLuminance } from './luminance.js';
+
+/**
+ * Builds a 256-bin luminance histogram.
+ * @param {Uint8ClampedArray} data - RGBA pixel data.
+ * @param {number} alphaThreshold - Pixels more transparent than this are ignored.
+ * @returns {Uint32Array} Pixel count per rounded luminance value.
+ */
+export const buildHistogram = (data, alphaThreshold) => {
+  const histogram = new Uint32Array(256);
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] >= alphaThreshold) {
+      histogram[Math.round(getLuminance(data[i], data[i + 1], data[i + 2]))] += 1;
+    }
+  }
+  return histogram;
+};
+
+/**
+ * Finds the threshold that best separates a histogram into two classes (Otsu's method).
+ * Values at or below the threshold form the dark (ink) class.
+ * @param {Uint32Array} histogram - 256-bin histogram.
+ * @returns {number|null} Threshold (0-254), or null if the histogram has fewer than two levels.
+ */
+export const otsuThreshold = (histogram) => {
+  let total = 0;
+  let weightedTotal = 0;
+  for (let level = 0; level < 256; level++) {
+    total += histogram[level];
+    weightedTotal += level * histogram[level];
+  }
+
+  let backgroundWeight = 0;
+  let backgroundSum = 0;
+  let bestVariance = 0;
+  let bestThreshold = null;
+
+  for (let level = 0; level < 255; level++) {
+    backgroundWeight += histogram[level];
+    if (backgroundWeight === 0) continue;
+    const foregroundWeight = total - backgroundWeight;
+    if (foregroundWeight === 0) break;
+
+    backgroundSum += level * histogram[level];
+    const darkMean = backgroundSum / backgroundWeight;
+    const lightMean = (weightedTotal - backgroundSum) / foregroundWeight;
+    const betweenVariance = backgroundWeight * foregroundWeight * (darkMean - lightMean) ** 2;
+
+    if (betweenVariance > bestVariance) {
+      bestVariance = betweenVariance;
+      bestThreshold = level;
+    }
+  }
+
+  return bestThreshold;
+};
+
+/**
+ * Computes a Sauvola threshold for every pixel: T = m * (1 + k * (s / R - 1)),
+ * where m and s are the mean and standard deviation of the surrounding window.
+ * Uses running column and row sums, so memory stays proportional to the image width.
+ * @param {Float32Array} luminance - Luminance per pixel.
+ * @param {number} width - Image width.
+ * @param {number} height - Image height.
+ * @param {number} windowSize - Side of the square neighbourhood, in pixels.
+ * @param {number} [k] - Sensitivity; higher values lower the threshold.
+ * @param {number} [range] - Dynamic range of the standard deviation.
+ * @returns {Float32Array} Threshold per pixel.
+ */
+export const sauvolaThresholds = (luminance, width, height, windowSize, k = 0.2, range = 128) => {
+  const radius = Math.max(1, Math.floor(windowSize / 2));
+  const thresholds = new Float32Array(width * height);
+  const columnSum = new Float64Array(width);
+  const columnSquares = new Float64Array(width);
+
+  // Adds (sign = 1) or removes (sign = -1) one row from the running column sums
+  const updateColumns = (row, sign) => {
+    const offset = row * width;
+    for (let x = 0; x < width; x++) {
+      const value = luminance[offset + x];
+      columnSum[x] += sign * value;
+      columnSquares[x] += sign * value * value;
+    }
+  };
+
+  for (let row = 0; row <= Math.min(radius, height - 1); row++) {
+    updateColumns(row, 1);
+  }
+
+  for (let y = 0; y < height; y++) {
+    if (y > 0) {
+      if (y + radius < height) updateColumns(y + radius, 1);
+      if (y - radius - 1 >= 0) updateColumns(y - radius - 1, -1);
+    }
+    const rows = Math.min(height - 1, y + radius) - Math.max(0, y - radius) + 1;
+
+    let sum = 0;
+    let squares = 0;
+    for (let x = 0; x <= Math.min(radius, width - 1); x++) {
+      sum += columnSum[x];
+      squares += columnSquares[x];
+    }
+
+    for (let x = 0; x < width; x++) {
+      if (x > 0) {
+        if (x + radius < width) {
+          sum += columnSum[x + radius];
+          squares += columnSquares[x + radius];
+        }
+        if (x - radius - 1 >= 0) {
+          sum -= columnSum[x - radius - 1];
+          squares -= columnSquares[x - radius - 1];
+        }
+      }
+      const count = rows * (Math.min(width - 1, x + radius) - Math.max(0, x - radius) + 1);
+      const mean = sum / count;
+      const deviation = Math.sqrt(Math.max(0, squares / count - mean * mean));
+      thresholds[y * width + x] = mean * (1 + k * (deviation / range - 1));
+    }
+  }
+
+  return thresholds;
+};
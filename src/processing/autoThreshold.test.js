@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildHistogram, otsuThreshold, sauvolaThresholds } from './autoThreshold.js';
+
+test('buildHistogram skips pixels below the alpha threshold', () => {
+  const data = Uint8ClampedArray.from([0, 0, 0, 255, 255, 255, 255, 255, 0, 0, 0, 10]);
+  const histogram = buildHistogram(data, 50);
+  assert.equal(histogram[0], 1);
+  assert.equal(histogram[255], 1);
+  assert.equal(histogram.reduce((a, b) => a + b, 0), 2);
+});
+
+test('otsuThreshold splits a bimodal histogram between the peaks', () => {
+  const histogram = new Uint32Array(256);
+  histogram[40] = 100;
+  histogram[45] = 80;
+  histogram[210] = 500;
+  histogram[220] = 400;
+  const threshold = otsuThreshold(histogram);
+  assert.ok(threshold >= 45 && threshold < 210, `got ${threshold}`);
+});
+
+test('otsuThreshold returns null for a single level', () => {
+  const histogram = new Uint32Array(256);
+  histogram[128] = 10;
+  assert.equal(otsuThreshold(histogram), null);
+  assert.equal(otsuThreshold(new Uint32Array(256)), null);
+});
+
+test('sauvolaThresholds matches a brute-force window computation', () => {
+  const width = 7;
+  const height = 5;
+  const luminance = Float32Array.from({ length: width * height }, (_, i) => (i * 37) % 256);
+  const windowSize = 3;
+  const k = 0.3;
+  const thresholds = sauvolaThresholds(luminance, width, height, windowSize, k);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const values = [];
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx >= 0 && nx < width && ny >= 0 && ny < height) values.push(luminance[ny * width + nx]);
+        }
+      }
+      const mean = values.reduce((a, b) => a + b, 0) / values.length;
+      const deviation = Math.sqrt(values.reduce((a, b) => a + b * b, 0) / values.length - mean * mean);
+      const expected = mean * (1 + k * (deviation / 128 - 1));
+      assert.ok(Math.abs(thresholds[y * width + x] - expected) < 1e-3, `(${x}, ${y})`);
+    }
+  }
+});
@@ -0,0 +1,53 @@
+/**
+ * Bounding box helpers used by Auto Trim.
+ */
+
+/**
+ * Finds the tight bounding box of the non-transparent pixels.
+ * @param {Object} image - Image buffer { width, height, data }.
+ * @param {number} [minAlpha] - Pixels with at least this alpha count as ink.
+ * @returns {Object|null} { x, y, width, height }, or null if the image is empty.
+ */
+export const findInkBounds = (image, minAlpha = 1) => {
+  const { width, height, data } = image;
+  let minX = width;
+  let minY = height;
+  let maxX = -1;
+  let maxY = -1;
+
+  for (let y = 0; y < height; y++) {
+    const rowOffset = y * width * 4;
+    for (let x = 0; x < width; x++) {
+      if (data[rowOffset + x * 4 + 3] >= minAlpha) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        maxY = y;
+      }
+    }
+  }
+
+  if (maxX < 0) return null;
+  return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+};
+
+/**
+ * Grows a box by a padding and clamps it to the image.
+ * @param {Object} bounds - Box { x, y, width, height }.
+ * @param {number} padding - Padding amount.
+ * @param {string} unit - 'px' for pixels, or '%' for a percentage of the box size on each axis.
+ * @param {number} imageWidth - Image width to clamp to.
+ * @param {number} imageHeight - Image height to clamp to.
+ * @returns {Object} Padded box { x, y, width, height } in whole pixels.
+ */
+export const padBounds = (bounds, padding, unit, imageWidth, imageHeight) => {
+  const padX = Math.round(unit === '%' ? (bounds.width * padding) / 100 : padding);
+  const padY = Math.round(unit === '%' ? (bounds.height * padding) / 100 : padding);
+
+  const x = Math.max(0, bounds.x - padX);
+  const y = Math.max(0, bounds.y - padY);
+  const right = Math.min(imageWidth, bounds.x + bounds.width + padX);
+  const bottom = Math.min(imageHeight, bounds.y + bounds.height + padY);
+
+  return { x, y, width: right - x, height: bottom - y };
+};
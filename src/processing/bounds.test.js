@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findInkBounds, padBounds } from './bounds.js';
+import { createImage } from './pipeline.js';
+
+// Builds a transparent image with opaque pixels at the given coordinates
+const imageWithInk = (width, height, points) => {
+  const image = createImage(width, height);
+  points.forEach(([x, y]) => {
+    image.data[(y * width + x) * 4 + 3] = 255;
+  });
+  return image;
+};
+
+test('findInkBounds returns the tight box around opaque pixels', () => {
+  const image = imageWithInk(10, 8, [[2, 3], [6, 1], [4, 5]]);
+  assert.deepEqual(findInkBounds(image), { x: 2, y: 1, width: 5, height: 5 });
+});
+
+test('findInkBounds handles a single pixel', () => {
+  assert.deepEqual(findInkBounds(imageWithInk(4, 4, [[3, 0]])), { x: 3, y: 0, width: 1, height: 1 });
+});
+
+test('findInkBounds returns null for a fully transparent image', () => {
+  assert.equal(findInkBounds(createImage(5, 5)), null);
+});
+
+test('findInkBounds ignores pixels fainter than minAlpha', () => {
+  const image = imageWithInk(6, 6, [[1, 1]]);
+  image.data[(4 * 6 + 4) * 4 + 3] = 10;
+  assert.deepEqual(findInkBounds(image, 20), { x: 1, y: 1, width: 1, height: 1 });
+  assert.deepEqual(findInkBounds(image), { x: 1, y: 1, width: 4, height: 4 });
+});
+
+test('padBounds adds pixel padding and clamps to the image', () => {
+  const bounds = { x: 2, y: 10, width: 20, height: 5 };
+  assert.deepEqual(padBounds(bounds, 4, 'px', 100, 100), { x: 0, y: 6, width: 26, height: 13 });
+  assert.deepEqual(padBounds(bounds, 4, 'px', 24, 17), { x: 0, y: 6, width: 24, height: 11 });
+});
+
+test('padBounds treats percent padding relative to the box size', () => {
+  const bounds = { x: 50, y: 50, width: 40, height: 10 };
+  assert.deepEqual(padBounds(bounds, 10, '%', 200, 200), { x: 46, y: 49, width: 48, height: 12 });
+});
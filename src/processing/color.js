@@ -0,0 +1,29 @@
+/**
+ * Color helpers for ink recoloring.
+ */
+
+// Built-in ink colors offered next to "keep original" and the custom picker
+export const INK_PRESETS = [
+  { name: 'Black', value: '#000000' },
+  { name: 'Navy', value: '#000080' },
+  { name: 'Dark Blue', value: '#00008b' },
+];
+
+// inkColor value that keeps each pixel's own color instead of recoloring it
+export const ORIGINAL_INK = 'original';
+
+/**
+ * Parses a #rgb or #rrggbb color.
+ * @param {string} hex - Hex color string.
+ * @returns {Array<number>} [r, g, b] channels (0-255).
+ */
+export const parseHexColor = (hex) => {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex || '');
+  if (!match) {
+    throw new TypeError(`Invalid color "${hex}". Expected #rgb or #rrggbb.`);
+  }
+  const digits = match[1].length === 3
+    ? match[1].split('').map((digit) => digit + digit).join('')
+    : match[1];
+  return [0, 2, 4].map((offset) => parseInt(digits.slice(offset, offset + 2), 16));
+};
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { INK_PRESETS, parseHexColor } from './color.js';
+
+test('parseHexColor reads six-digit colors', () => {
+  assert.deepEqual(parseHexColor('#00008b'), [0, 0, 139]);
+  assert.deepEqual(parseHexColor('FFA500'), [255, 165, 0]);
+});
+
+test('parseHexColor expands three-digit colors', () => {
+  assert.deepEqual(parseHexColor('#fa0'), [255, 170, 0]);
+});
+
+test('parseHexColor rejects anything else', () => {
+  assert.throws(() => parseHexColor('blue'), TypeError);
+  assert.throws(() => parseHexColor('#12345'), TypeError);
+  assert.throws(() => parseHexColor(undefined), TypeError);
+});
+
+test('every preset is a valid color', () => {
+  INK_PRESETS.forEach(({ value }) => assert.equal(parseHexColor(value).length, 3));
+});
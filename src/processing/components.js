@@ -0,0 +1,104 @@
+/**
+ * Connected-component labelling of ink pixels.
+ */
+
+/**
+ * Labels 8-connected groups of non-transparent pixels.
+ * @param {Object} image - Image buffer { width, height, data }.
+ * @returns {Object} { labels, components } where labels holds a 1-based component
+ *   id per pixel (0 for transparent) and components[id - 1] is
+ *   { id, area, minX, minY, maxX, maxY }.
+ */
+export const labelComponents = (image) => {
+  const { width, height, data } = image;
+  const labels = new Int32Array(width * height);
+  const components = [];
+  const stack = [];
+
+  for (let start = 0; start < labels.length; start++) {
+    if (labels[start] !== 0 || data[start * 4 + 3] === 0) continue;
+
+    const id = components.length + 1;
+    const component = { id, area: 0, minX: width, minY: height, maxX: 0, maxY: 0 };
+    labels[start] = id;
+    stack.push(start);
+
+    // Iterative flood fill, so large strokes can't overflow the call stack
+    while (stack.length > 0) {
+      const p = stack.pop();
+      const x = p % width;
+      const y = (p - x) / width;
+      component.area += 1;
+      if (x < component.minX) component.minX = x;
+      if (x > component.maxX) component.maxX = x;
+      if (y < component.minY) component.minY = y;
+      if (y > component.maxY) component.maxY = y;
+
+      for (let dy = -1; dy <= 1; dy++) {
+        const ny = y + dy;
+        if (ny < 0 || ny >= height) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          if (nx < 0 || nx >= width || (dx === 0 && dy === 0)) continue;
+          const q = ny * width + nx;
+          if (labels[q] === 0 && data[q * 4 + 3] !== 0) {
+            labels[q] = id;
+            stack.push(q);
+          }
+        }
+      }
+    }
+
+    components.push(component);
+  }
+
+  return { labels, components };
+};
+
+/**
+ * Distance between the bounding boxes of two components (0 if they overlap).
+ * @param {Object} a - Box { minX, minY, maxX, maxY }.
+ * @param {Object} b - Box { minX, minY, maxX, maxY }.
+ * @returns {number} Euclidean gap in pixels.
+ */
+export const boxDistance = (a, b) => {
+  const dx = Math.max(0, a.minX - b.maxX, b.minX - a.maxX);
+  const dy = Math.max(0, a.minY - b.maxY, b.minY - a.maxY);
+  return Math.hypot(dx, dy);
+};
+
+/**
+ * Finds the main signature cluster: the largest component plus every component
+ * that lies within maxDistance of the cluster as it grows.
+ * @param {Array<Object>} components - Components from labelComponents.
+ * @param {number} maxDistance - Largest gap (in pixels) still considered part of the cluster.
+ * @returns {Set<number>} Ids of the components in the cluster.
+ */
+export const findMainCluster = (components, maxDistance) => {
+  const cluster = new Set();
+  if (components.length === 0) return cluster;
+
+  const remaining = [...components].sort((a, b) => b.area - a.area);
+  const largest = remaining.shift();
+  const box = { minX: largest.minX, minY: largest.minY, maxX: largest.maxX, maxY: largest.maxY };
+  cluster.add(largest.id);
+
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (let i = remaining.length - 1; i >= 0; i--) {
+      const component = remaining[i];
+      if (boxDistance(box, component) <= maxDistance) {
+        cluster.add(component.id);
+        box.minX = Math.min(box.minX, component.minX);
+        box.minY = Math.min(box.minY, component.minY);
+        box.maxX = Math.max(box.maxX, component.maxX);
+        box.maxY = Math.max(box.maxY, component.maxY);
+        remaining.splice(i, 1);
+        grew = true;
+      }
+    }
+  }
+
+  return cluster;
+};
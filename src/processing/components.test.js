@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { boxDistance, findMainCluster, labelComponents } from './components.js';
+import { createImage } from './pipeline.js';
+
+// Builds an image from rows of '#' (opaque) and '.' (transparent)
+const imageFromRows = (rows) => {
+  const image = createImage(rows[0].length, rows.length);
+  rows.forEach((row, y) => {
+    [...row].forEach((cell, x) => {
+      if (cell === '#') image.data[(y * row.length + x) * 4 + 3] = 255;
+    });
+  });
+  return image;
+};
+
+test('labelComponents groups 8-connected pixels', () => {
+  const { labels, components } = labelComponents(imageFromRows([
+    '##...',
+    '..#..',
+    '....#',
+    '#....',
+  ]));
+  assert.equal(components.length, 3);
+  assert.deepEqual(components.map((c) => c.area), [3, 1, 1]);
+  assert.equal(labels[0], labels[7]); // Diagonal neighbours share a label
+  assert.equal(labels[3], 0);
+});
+
+test('labelComponents records bounding boxes', () => {
+  const { components } = labelComponents(imageFromRows([
+    '.....',
+    '.###.',
+    '...#.',
+  ]));
+  assert.deepEqual(components[0], { id: 1, area: 4, minX: 1, minY: 1, maxX: 3, maxY: 2 });
+});
+
+test('boxDistance is zero for overlapping boxes', () => {
+  const a = { minX: 0, minY: 0, maxX: 10, maxY: 10 };
+  assert.equal(boxDistance(a, { minX: 5, minY: 5, maxX: 20, maxY: 20 }), 0);
+  assert.equal(boxDistance(a, { minX: 13, minY: 14, maxX: 20, maxY: 20 }), 5);
+});
+
+test('findMainCluster chains nearby components to the largest one', () => {
+  const components = [
+    { id: 1, area: 100, minX: 0, minY: 0, maxX: 20, maxY: 10 },
+    { id: 2, area: 10, minX: 25, minY: 0, maxX: 30, maxY: 10 },
+    { id: 3, area: 10, minX: 35, minY: 0, maxX: 40, maxY: 10 },
+    { id: 4, area: 50, minX: 200, minY: 200, maxX: 220, maxY: 210 },
+  ];
+  assert.deepEqual([...findMainCluster(components, 6)].sort(), [1, 2, 3]);
+  assert.deepEqual([...findMainCluster(components, 4)], [1]);
+  assert.equal(findMainCluster([], 10).size, 0);
+});
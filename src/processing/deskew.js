@@ -0,0 +1,104 @@
+/**
+ * Skew estimation for auto-straighten.
+ * Uses a projection profile: the ink is projected onto the vertical axis at a
+ * range of candidate angles, and the angle whose profile is most sharply peaked
+ * (the strokes line up into the fewest rows) is taken as the baseline angle.
+ */
+
+// Most ink pixels sampled per estimate; larger images are sampled with a stride
+const MAX_SAMPLES = 200000;
+
+/**
+ * Collects the coordinates of (a sample of) the ink pixels.
+ * @param {Object} image - Image buffer { width, height, data }.
+ * @returns {Object} { xs, ys, count } with coordinates relative to the image center.
+ */
+const sampleInk = (image) => {
+  const { width, height, data } = image;
+  let total = 0;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] > 0) total += 1;
+  }
+
+  const stride = Math.max(1, Math.ceil(total / MAX_SAMPLES));
+  const xs = new Float32Array(Math.ceil(total / stride));
+  const ys = new Float32Array(xs.length);
+  let seen = 0;
+  let count = 0;
+  for (let p = 0; p < width * height; p++) {
+    if (data[p * 4 + 3] === 0) continue;
+    if (seen % stride === 0) {
+      xs[count] = (p % width) - width / 2;
+      ys[count] = Math.floor(p / width) - height / 2;
+      count += 1;
+    }
+    seen += 1;
+  }
+
+  return { xs, ys, count };
+};
+
+/**
+ * Scores how sharply the ink lines up into rows when viewed at an angle.
+ * @param {Object} points - Sampled ink { xs, ys, count }.
+ * @param {number} degrees - Candidate baseline angle.
+ * @returns {number} Sum of squared row counts (higher is sharper).
+ */
+const profileScore = (points, degrees) => {
+  const radians = (degrees * Math.PI) / 180;
+  const sin = Math.sin(radians);
+  const cos = Math.cos(radians);
+  const rows = new Map();
+
+  for (let i = 0; i < points.count; i++) {
+    // Row of the point once the image is rotated back by the candidate angle
+    const row = Math.round(-points.xs[i] * sin + points.ys[i] * cos);
+    rows.set(row, (rows.get(row) || 0) + 1);
+  }
+
+  let score = 0;
+  rows.forEach((value) => {
+    score += value * value;
+  });
+  return score;
+};
+
+/**
+ * Finds the best-scoring angle in a range.
+ * @param {Object} points - Sampled ink.
+ * @param {number} from - First angle.
+ * @param {number} to - Last angle.
+ * @param {number} step - Angle step.
+ * @returns {number} Best angle.
+ */
+const searchAngle = (points, from, to, step) => {
+  let bestAngle = 0;
+  let bestScore = -1;
+  for (let angle = from; angle <= to + 1e-9; angle += step) {
+    const score = profileScore(points, angle);
+    // Prefer the angle closest to level when scores tie
+    if (score > bestScore || (score === bestScore && Math.abs(angle) < Math.abs(bestAngle))) {
+      bestScore = score;
+      bestAngle = angle;
+    }
+  }
+  return bestAngle;
+};
+
+/**
+ * Estimates how far the ink baseline is tilted.
+ * A positive result means the baseline runs downhill to the right (clockwise tilt),
+ * so rotating by the negative of the result levels it.
+ * @param {Object} image - Thresholded image buffer { width, height, data }.
+ * @param {number} [maxAngle] - Largest tilt considered, in degrees.
+ * @returns {number} Tilt in degrees, rounded to 0.1; 0 if there is no ink.
+ */
+export const estimateSkewAngle = (image, maxAngle = 20) => {
+  const points = sampleInk(image);
+  if (points.count < 2) return 0;
+
+  // Coarse search in whole degrees, then refine around the best candidate
+  const coarse = searchAngle(points, -maxAngle, maxAngle, 1);
+  const fine = searchAngle(points, coarse - 1, coarse + 1, 0.1);
+  return Math.round(fine * 10) / 10 || 0; // Avoid returning -0
+};
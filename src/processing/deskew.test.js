@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateSkewAngle } from './deskew.js';
+import { createImage } from './image.js';
+
+// Draws a 3px thick line across a transparent image at the given angle (clockwise, degrees)
+const tiltedLine = (degrees) => {
+  const width = 200;
+  const height = 120;
+  const image = createImage(width, height);
+  const slope = Math.tan((degrees * Math.PI) / 180);
+  for (let x = 20; x < 180; x++) {
+    const centerY = height / 2 + (x - width / 2) * slope;
+    for (let dy = -1; dy <= 1; dy++) {
+      const y = Math.round(centerY) + dy;
+      image.data[(y * width + x) * 4 + 3] = 255;
+    }
+  }
+  return image;
+};
+
+test('estimateSkewAngle finds a clockwise tilt', () => {
+  assert.ok(Math.abs(estimateSkewAngle(tiltedLine(6)) - 6) <= 0.5);
+});
+
+test('estimateSkewAngle finds a counter-clockwise tilt', () => {
+  assert.ok(Math.abs(estimateSkewAngle(tiltedLine(-3.5)) + 3.5) <= 0.5);
+});
+
+test('estimateSkewAngle returns 0 for level ink and for empty images', () => {
+  assert.equal(estimateSkewAngle(tiltedLine(0)), 0);
+  assert.equal(estimateSkewAngle(createImage(10, 10)), 0);
+});
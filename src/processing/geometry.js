@@ -0,0 +1,208 @@
+/**
+ * Geometric transforms on image buffers: flips and rotation about the center.
+ * Rotation uses y-down screen coordinates, so positive angles turn the image clockwise.
+ */
+import { createImage } from './image.js';
+
+/**
+ * Mirrors an image horizontally and/or vertically.
+ * @param {Object} image - Image buffer { width, height, data }.
+ * @param {boolean} horizontal - Mirror left to right.
+ * @param {boolean} vertical - Mirror top to bottom.
+ * @returns {Object} New image buffer.
+ */
+export const flipImage = (image, horizontal, vertical) => {
+  const { width, height, data } = image;
+  const output = createImage(width, height);
+
+  for (let y = 0; y < height; y++) {
+    const sourceY = vertical ? height - 1 - y : y;
+    for (let x = 0; x < width; x++) {
+      const sourceX = horizontal ? width - 1 - x : x;
+      const from = (sourceY * width + sourceX) * 4;
+      const to = (y * width + x) * 4;
+      output.data[to] = data[from];
+      output.data[to + 1] = data[from + 1];
+      output.data[to + 2] = data[from + 2];
+      output.data[to + 3] = data[from + 3];
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Returns the cosine and sine of an angle, exact for multiples of 90 degrees.
+ * @param {number} degrees - Angle in degrees.
+ * @returns {Array<number>} [cos, sin].
+ */
+const cosSin = (degrees) => {
+  const normalized = ((degrees % 360) + 360) % 360;
+  if (normalized === 0) return [1, 0];
+  if (normalized === 90) return [0, 1];
+  if (normalized === 180) return [-1, 0];
+  if (normalized === 270) return [0, -1];
+  const radians = (degrees * Math.PI) / 180;
+  return [Math.cos(radians), Math.sin(radians)];
+};
+
+/**
+ * Size of the canvas needed to hold an image rotated by an angle.
+ * @param {number} width - Source width.
+ * @param {number} height - Source height.
+ * @param {number} degrees - Rotation angle.
+ * @returns {Object} { width, height }.
+ */
+export const rotatedSize = (width, height, degrees) => {
+  const [cos, sin] = cosSin(degrees);
+  // Round away floating-point noise before taking the ceiling
+  const fit = (value) => Math.max(1, Math.ceil(Math.round(value * 1e6) / 1e6));
+  return {
+    width: fit(Math.abs(width * cos) + Math.abs(height * sin)),
+    height: fit(Math.abs(width * sin) + Math.abs(height * cos)),
+  };
+};
+
+/**
+ * Rotates an image about its center, growing the canvas so no corner is cut off.
+ * Uncovered areas become transparent. Uses bilinear interpolation on
+ * premultiplied colors so transparent neighbours don't darken the edges.
+ * @param {Object} image - Image buffer { width, height, data }.
+ * @param {number} degrees - Clockwise rotation angle.
+ * @returns {Object} New image buffer.
+ */
+export const rotateImage = (image, degrees) => {
+  const { width, height, data } = image;
+  const [cos, sin] = cosSin(degrees);
+  const size = rotatedSize(width, height, degrees);
+  const output = createImage(size.width, size.height);
+  const out = output.data;
+
+  const centerX = width / 2;
+  const centerY = height / 2;
+  const outCenterX = size.width / 2;
+  const outCenterY = size.height / 2;
+
+  for (let y = 0; y < size.height; y++) {
+    for (let x = 0; x < size.width; x++) {
+      // Map the output pixel center back into the source (inverse rotation)
+      const dx = x + 0.5 - outCenterX;
+      const dy = y + 0.5 - outCenterY;
+      const sourceX = dx * cos + dy * sin + centerX - 0.5;
+      const sourceY = -dx * sin + dy * cos + centerY - 0.5;
+
+      const x0 = Math.floor(sourceX);
+      const y0 = Math.floor(sourceY);
+      if (x0 < -1 || y0 < -1 || x0 >= width || y0 >= height) continue;
+      const fx = sourceX - x0;
+      const fy = sourceY - y0;
+
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (let corner = 0; corner < 4; corner++) {
+        const cx = x0 + (corner & 1);
+        const cy = y0 + (corner >> 1);
+        if (cx < 0 || cy < 0 || cx >= width || cy >= height) continue;
+        const weight = ((corner & 1) ? fx : 1 - fx) * ((corner >> 1) ? fy : 1 - fy);
+        if (weight === 0) continue;
+        const i = (cy * width + cx) * 4;
+        const alphaWeight = weight * data[i + 3];
+        r += data[i] * alphaWeight;
+        g += data[i + 1] * alphaWeight;
+        b += data[i + 2] * alphaWeight;
+        a += alphaWeight;
+      }
+
+      if (a > 0) {
+        const o = (y * size.width + x) * 4;
+        out[o] = Math.round(r / a);
+        out[o + 1] = Math.round(g / a);
+        out[o + 2] = Math.round(b / a);
+        out[o + 3] = Math.round(a);
+      }
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Rounds a rectangle to whole pixels and clamps it to an image, keeping at least
+ * one pixel on each axis.
+ * @param {Object} image - Image size { width, height }.
+ * @param {Object} rect - Rectangle { x, y, width, height }.
+ * @returns {Object} Clamped rectangle.
+ */
+export const clampRect = (image, rect) => {
+  const x = Math.min(Math.max(0, Math.round(rect.x)), image.width - 1);
+  const y = Math.min(Math.max(0, Math.round(rect.y)), image.height - 1);
+  return {
+    x,
+    y,
+    width: Math.max(1, Math.min(Math.round(rect.width), image.width - x)),
+    height: Math.max(1, Math.min(Math.round(rect.height), image.height - y)),
+  };
+};
+
+/**
+ * Copies a rectangle out of an image. The rectangle is clamped with clampRect.
+ * @param {Object} image - Image buffer { width, height, data }.
+ * @param {Object} rect - Rectangle { x, y, width, height } in image pixels.
+ * @returns {Object} New image buffer.
+ */
+export const cropImage = (image, rect) => {
+  const { width, data } = image;
+  const { x, y, width: cropWidth, height: cropHeight } = clampRect(image, rect);
+  const output = createImage(cropWidth, cropHeight);
+
+  for (let row = 0; row < cropHeight; row++) {
+    const from = ((y + row) * width + x) * 4;
+    output.data.set(data.subarray(from, from + cropWidth * 4), row * cropWidth * 4);
+  }
+
+  return output;
+};
+
+/**
+ * Maps a point of the source image to the flipped and rotated image, matching
+ * flipImage followed by rotateImage. Points are continuous coordinates
+ * (pixel (i, j) covers [i, i + 1) x [j, j + 1)).
+ * @param {Object} point - Point { x, y } in the source image.
+ * @param {number} width - Source width.
+ * @param {number} height - Source height.
+ * @param {Object} transform - { rotation, flipHorizontal, flipVertical }.
+ * @returns {Object} Point { x, y } in the transformed image.
+ */
+export const transformPoint = (point, width, height, { rotation = 0, flipHorizontal = false, flipVertical = false }) => {
+  const [cos, sin] = cosSin(rotation);
+  const size = rotatedSize(width, height, rotation);
+  const dx = (flipHorizontal ? width - point.x : point.x) - width / 2;
+  const dy = (flipVertical ? height - point.y : point.y) - height / 2;
+  return {
+    x: size.width / 2 + dx * cos - dy * sin,
+    y: size.height / 2 + dx * sin + dy * cos,
+  };
+};
+
+/**
+ * Maps a point of the transformed image back to the source image (the inverse of transformPoint).
+ * @param {Object} point - Point { x, y } in the transformed image.
+ * @param {number} width - Source width.
+ * @param {number} height - Source height.
+ * @param {Object} transform - { rotation, flipHorizontal, flipVertical }.
+ * @returns {Object} Point { x, y } in the source image.
+ */
+export const inverseTransformPoint = (point, width, height, { rotation = 0, flipHorizontal = false, flipVertical = false }) => {
+  const [cos, sin] = cosSin(rotation);
+  const size = rotatedSize(width, height, rotation);
+  const dx = point.x - size.width / 2;
+  const dy = point.y - size.height / 2;
+  const x = width / 2 + dx * cos + dy * sin;
+  const y = height / 2 - dx * sin + dy * cos;
+  return {
+    x: flipHorizontal ? width - x : x,
+    y: flipVertical ? height - y : y,
+  };
+};
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cropImage, flipImage, inverseTransformPoint, rotateImage, rotatedSize, transformPoint } from './geometry.js';
+import { createImage } from './image.js';
+
+// A 3x2 image whose red channel numbers the pixels 1..6 (row by row)
+const numbered = () => {
+  const image = createImage(3, 2);
+  for (let p = 0; p < 6; p++) {
+    image.data[p * 4] = p + 1;
+    image.data[p * 4 + 3] = 255;
+  }
+  return image;
+};
+
+const reds = (image) => [...image.data.filter((_, i) => i % 4 === 0)];
+
+test('flipImage mirrors horizontally and vertically', () => {
+  assert.deepEqual(reds(flipImage(numbered(), true, false)), [3, 2, 1, 6, 5, 4]);
+  assert.deepEqual(reds(flipImage(numbered(), false, true)), [4, 5, 6, 1, 2, 3]);
+  assert.deepEqual(reds(flipImage(numbered(), true, true)), [6, 5, 4, 3, 2, 1]);
+});
+
+test('rotateImage turns 90 degrees clockwise exactly', () => {
+  const rotated = rotateImage(numbered(), 90);
+  assert.equal(rotated.width, 2);
+  assert.equal(rotated.height, 3);
+  assert.deepEqual(reds(rotated), [4, 1, 5, 2, 6, 3]);
+  assert.ok([...rotated.data.filter((_, i) => i % 4 === 3)].every((alpha) => alpha === 255));
+});
+
+test('rotateImage handles 180 and -90 degrees', () => {
+  assert.deepEqual(reds(rotateImage(numbered(), 180)), [6, 5, 4, 3, 2, 1]);
+  assert.deepEqual(reds(rotateImage(numbered(), -90)), [3, 6, 2, 5, 1, 4]);
+});
+
+test('rotatedSize grows the canvas to fit the corners', () => {
+  assert.deepEqual(rotatedSize(100, 50, 0), { width: 100, height: 50 });
+  assert.deepEqual(rotatedSize(100, 50, 90), { width: 50, height: 100 });
+  assert.deepEqual(rotatedSize(100, 100, 45), { width: 142, height: 142 });
+});
+
+test('rotateImage leaves uncovered corners transparent', () => {
+  const image = createImage(10, 10);
+  image.data.fill(255);
+  const rotated = rotateImage(image, 45);
+  assert.equal(rotated.data[3], 0); // Top-left corner
+  const center = (7 * rotated.width + 7) * 4;
+  assert.deepEqual([...rotated.data.slice(center, center + 4)], [255, 255, 255, 255]);
+});
+
+test('cropImage copies the rectangle', () => {
+  const image = cropImage(numbered(), { x: 1, y: 0, width: 2, height: 2 });
+  assert.equal(image.width, 2);
+  assert.equal(image.height, 2);
+  assert.deepEqual(reds(image), [2, 3, 5, 6]);
+});
+
+test('cropImage clamps the rectangle to the image', () => {
+  const image = cropImage(numbered(), { x: 2, y: -4, width: 10, height: 10 });
+  assert.deepEqual([image.width, image.height], [1, 2]);
+  assert.deepEqual(reds(image), [3, 6]);
+});
+
+test('transformPoint follows a pixel through a flip and a 90 degree turn', () => {
+  // Pixel (0, 0) of a 3x2 image, mirrored to (2, 0), then turned clockwise into a 2x3 image
+  const point = transformPoint({ x: 0.5, y: 0.5 }, 3, 2, { rotation: 90, flipHorizontal: true });
+  assert.deepEqual(point, { x: 1.5, y: 2.5 });
+  const flipped = flipImage(numbered(), true, false);
+  const rotated = rotateImage(flipped, 90);
+  assert.equal(rotated.data[(2 * rotated.width + 1) * 4], 1);
+});
+
+test('inverseTransformPoint undoes transformPoint', () => {
+  const transform = { rotation: 33, flipHorizontal: false, flipVertical: true };
+  const point = transformPoint({ x: 12.5, y: 3 }, 40, 20, transform);
+  const back = inverseTransformPoint(point, 40, 20, transform);
+  assert.ok(Math.abs(back.x - 12.5) < 1e-9);
+  assert.ok(Math.abs(back.y - 3) < 1e-9);
+});
@@ -0,0 +1,141 @@
+/**
+ * Illumination flattening.
+ * Estimates how bright the paper is under every pixel (the background: shadows,
+ * gradients, a vignette) and divides it out, so paper comes out evenly white and a
+ * single threshold works across the whole photo.
+ */
+import { getLuminance } from './luminance.js';
+
+// Side of the downscaled blocks, as a share of the filter radius; the estimate is smooth anyway
+const BLOCKS_PER_RADIUS = 4;
+
+/**
+ * Picks a filter radius that is large compared to pen strokes but small compared to shadows.
+ * @param {number} width - Image width.
+ * @param {number} height - Image height.
+ * @returns {number} Radius in pixels.
+ */
+export const defaultFlattenRadius = (width, height) => Math.max(15, Math.round(Math.max(width, height) / 30));
+
+/**
+ * Runs a sliding-window filter along the rows, then the columns, of a map.
+ * @param {Float32Array} values - Map values (modified in place).
+ * @param {number} width - Map width.
+ * @param {number} height - Map height.
+ * @param {number} radius - Window radius in map pixels.
+ * @param {Function} reduce - (values in the window) => result, e.g. max or mean.
+ */
+const filterSeparable = (values, width, height, radius, reduce) => {
+  const pass = (length, count, index) => {
+    const line = new Float32Array(length);
+    for (let n = 0; n < count; n++) {
+      for (let i = 0; i < length; i++) line[i] = values[index(n, i)];
+      for (let i = 0; i < length; i++) {
+        values[index(n, i)] = reduce(line.subarray(Math.max(0, i - radius), Math.min(length, i + radius + 1)));
+      }
+    }
+  };
+  pass(width, height, (y, x) => y * width + x);
+  pass(height, width, (x, y) => y * width + x);
+};
+
+const maximum = (window) => {
+  let max = 0;
+  for (let i = 0; i < window.length; i++) if (window[i] > max) max = window[i];
+  return max;
+};
+
+const minimum = (window) => {
+  let min = 255;
+  for (let i = 0; i < window.length; i++) if (window[i] < min) min = window[i];
+  return min;
+};
+
+const mean = (window) => {
+  let sum = 0;
+  for (let i = 0; i < window.length; i++) sum += window[i];
+  return sum / window.length;
+};
+
+/**
+ * Estimates the paper brightness of an image: the brightest luminance in each block
+ * (ink is darker than the paper around it), a morphological closing (maximum, then
+ * minimum filter) to fill in pen strokes without moving the edges of shadows, and a
+ * light blur to smooth the blocks.
+ * @param {Object} image - Image buffer { width, height, data }.
+ * @param {number} radius - Filter radius in image pixels; strokes narrower than this are ignored.
+ * @returns {Object} { width, height, scale, data } where data holds the estimated luminance
+ *   per block of scale x scale image pixels. Fully transparent blocks count as white paper.
+ */
+export const estimateBackground = (image, radius) => {
+  const scale = Math.max(1, Math.floor(radius / BLOCKS_PER_RADIUS));
+  const width = Math.ceil(image.width / scale);
+  const height = Math.ceil(image.height / scale);
+  const data = new Float32Array(width * height).fill(-1);
+
+  for (let y = 0; y < image.height; y++) {
+    const row = Math.floor(y / scale) * width;
+    for (let x = 0; x < image.width; x++) {
+      const i = (y * image.width + x) * 4;
+      if (image.data[i + 3] === 0) continue; // Uncovered corners after a rotation
+      const luminance = getLuminance(image.data[i], image.data[i + 1], image.data[i + 2]);
+      const block = row + Math.floor(x / scale);
+      if (luminance > data[block]) data[block] = luminance;
+    }
+  }
+
+  for (let b = 0; b < data.length; b++) {
+    if (data[b] < 0) data[b] = 255; // No opaque pixel, e.g. the corners uncovered by a rotation
+  }
+
+  const blocks = Math.max(1, Math.round(radius / scale));
+  filterSeparable(data, width, height, blocks, maximum);
+  filterSeparable(data, width, height, blocks, minimum);
+  filterSeparable(data, width, height, 1, mean);
+  return { width, height, scale, data };
+};
+
+/**
+ * Reads the estimated background under an image pixel, interpolating between blocks.
+ * @param {Object} background - Result of estimateBackground.
+ * @param {number} x - Image x.
+ * @param {number} y - Image y.
+ * @returns {number} Estimated paper luminance.
+ */
+const sampleBackground = ({ width, height, scale, data }, x, y) => {
+  const bx = Math.min(Math.max((x + 0.5) / scale - 0.5, 0), width - 1);
+  const by = Math.min(Math.max((y + 0.5) / scale - 0.5, 0), height - 1);
+  const x0 = Math.floor(bx);
+  const y0 = Math.floor(by);
+  const x1 = Math.min(x0 + 1, width - 1);
+  const y1 = Math.min(y0 + 1, height - 1);
+  const fx = bx - x0;
+  const fy = by - y0;
+  const top = data[y0 * width + x0] * (1 - fx) + data[y0 * width + x1] * fx;
+  const bottom = data[y1 * width + x0] * (1 - fx) + data[y1 * width + x1] * fx;
+  return top * (1 - fy) + bottom * fy;
+};
+
+/**
+ * Divides the estimated background out of an image in place, so the paper becomes
+ * white everywhere and ink keeps its contrast to the paper around it.
+ * @param {Object} image - Image buffer { width, height, data }.
+ * @param {Object} background - Result of estimateBackground.
+ * @param {number} strength - 0 (unchanged) to 1 (full correction); values in between
+ *   only partly lift the shadows.
+ * @returns {Object} The same image buffer.
+ */
+export const flattenIllumination = (image, background, strength) => {
+  const data = image.data;
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < image.width; x++) {
+      const i = (y * image.width + x) * 4;
+      const paper = Math.max(1, sampleBackground(background, x, y));
+      const gain = 255 / (255 - strength * (255 - paper));
+      data[i] = data[i] * gain;
+      data[i + 1] = data[i + 1] * gain;
+      data[i + 2] = data[i + 2] * gain;
+    }
+  }
+  return image;
+};
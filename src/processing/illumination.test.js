@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateBackground, flattenIllumination } from './illumination.js';
+import { createImage } from './image.js';
+
+// A gray image whose paper level comes from paperAt(x, y), with a dark vertical pen stroke
+const photo = (width, height, paperAt, strokeX = -1) => {
+  const image = createImage(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const level = x === strokeX || x === strokeX + 1 ? 20 : paperAt(x, y);
+      image.data.fill(level, i, i + 3);
+      image.data[i + 3] = 255;
+    }
+  }
+  return image;
+};
+
+test('estimateBackground sees through pen strokes', () => {
+  const background = estimateBackground(photo(60, 40, () => 230, 30), 12);
+  assert.ok(background.data.every((value) => Math.abs(value - 230) < 1));
+});
+
+test('estimateBackground follows a shadow', () => {
+  const background = estimateBackground(photo(120, 40, (x) => (x < 60 ? 120 : 240)), 12);
+  const { width, scale } = background;
+  assert.ok(background.data[Math.floor(5 / scale)] < 140);
+  assert.ok(background.data[width - 1] > 235);
+});
+
+test('flattenIllumination makes the paper white and keeps the ink dark', () => {
+  const image = photo(120, 40, (x) => (x < 60 ? 120 : 240), 20);
+  flattenIllumination(image, estimateBackground(image, 12), 1);
+  const at = (x, y) => image.data[(y * 120 + x) * 4];
+  assert.ok(at(5, 20) > 240, `shadowed paper ${at(5, 20)}`);
+  assert.ok(at(110, 20) > 240, `lit paper ${at(110, 20)}`);
+  assert.ok(at(20, 20) < 60, `ink ${at(20, 20)}`);
+});
+
+test('strength 0 leaves the image alone', () => {
+  const image = photo(30, 30, () => 100, 10);
+  const before = new Uint8ClampedArray(image.data);
+  flattenIllumination(image, estimateBackground(image, 12), 0);
+  assert.deepEqual(image.data, before);
+});
@@ -0,0 +1,27 @@
+/**
+ * Image buffer helpers.
+ * An image buffer is any ImageData-shaped object: { width, height, data } with
+ * RGBA bytes in a Uint8ClampedArray.
+ */
+
+/**
+ * Creates an image buffer, allocating blank (transparent) pixels when no data is given.
+ * @param {number} width - Width in pixels.
+ * @param {number} height - Height in pixels.
+ * @param {Uint8ClampedArray} [data] - RGBA pixel data.
+ * @returns {Object} Image buffer { width, height, data }.
+ */
+export const createImage = (width, height, data) => {
+  const pixels = data || new Uint8ClampedArray(width * height * 4);
+  if (pixels.length !== width * height * 4) {
+    throw new RangeError(`Expected ${width * height * 4} bytes of pixel data, got ${pixels.length}.`);
+  }
+  return { width, height, data: pixels };
+};
+
+/**
+ * Copies an image buffer so stages can modify it without affecting the caller.
+ * @param {Object} image - Image buffer { width, height, data }.
+ * @returns {Object} New image buffer.
+ */
+export const cloneImage = (image) => createImage(image.width, image.height, new Uint8ClampedArray(image.data));
@@ -0,0 +1,26 @@
+/**
+ * Luminance helpers shared by the threshold stage and automatic threshold selection.
+ */
+
+/**
+ * Calculates the perceived brightness of a pixel.
+ * A common formula: 0.299*R + 0.587*G + 0.114*B
+ * @param {number} r - Red channel (0-255).
+ * @param {number} g - Green channel (0-255).
+ * @param {number} b - Blue channel (0-255).
+ * @returns {number} Luminance (0-255).
+ */
+export const getLuminance = (r, g, b) => 0.299 * r + 0.587 * g + 0.114 * b;
+
+/**
+ * Calculates the luminance of every pixel.
+ * @param {Uint8ClampedArray} data - RGBA pixel data.
+ * @returns {Float32Array} Luminance per pixel.
+ */
+export const computeLuminance = (data) => {
+  const luminance = new Float32Array(data.length / 4);
+  for (let p = 0; p < luminance.length; p++) {
+    luminance[p] = getLuminance(data[p * 4], data[p * 4 + 1], data[p * 4 + 2]);
+  }
+  return luminance;
+};
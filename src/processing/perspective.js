@@ -0,0 +1,274 @@
+/**
+ * Perspective correction.
+ * A photo of a page taken at an angle shows the paper as a quadrilateral; mapping
+ * that quad back to a rectangle (a homography) undoes the keystone distortion.
+ * Quads are four { x, y } points in image pixels, in the order top-left, top-right,
+ * bottom-right, bottom-left, with (0, 0) at the top-left corner of the image.
+ */
+import { createImage } from './image.js';
+import { buildHistogram, otsuThreshold } from './autoThreshold.js';
+import { getLuminance } from './luminance.js';
+
+// Largest side of the downscaled copy used to look for the paper
+const DETECT_SIZE = 400;
+
+// Smallest share of the image the paper must cover to be detected
+const MIN_PAPER_AREA = 0.2;
+
+/**
+ * Solves a linear system with Gaussian elimination and partial pivoting.
+ * @param {Array<Array<number>>} rows - Augmented matrix (modified in place).
+ * @returns {Array<number>|null} The solution, or null if the system is singular.
+ */
+const solve = (rows) => {
+  const n = rows.length;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-10) return null;
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = rows[row][col] / rows[col][col];
+      for (let k = col; k <= n; k++) rows[row][k] -= factor * rows[col][k];
+    }
+  }
+  return rows.map((row, i) => row[n] / row[i]);
+};
+
+/**
+ * Computes the homography that maps four points onto four others.
+ * @param {Array<Object>} from - Four { x, y } points.
+ * @param {Array<Object>} to - The four points they map to.
+ * @returns {Array<number>|null} Row-major 3x3 matrix (last entry 1), or null if three
+ *   of the points are in a line.
+ */
+export const computeHomography = (from, to) => {
+  const rows = [];
+  from.forEach(({ x, y }, i) => {
+    const { x: u, y: v } = to[i];
+    rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+    rows.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+  });
+  const h = solve(rows);
+  return h && [...h, 1];
+};
+
+/**
+ * Maps a point through a homography.
+ * @param {Array<number>} h - Row-major 3x3 matrix.
+ * @param {Object} point - Point { x, y }.
+ * @returns {Object} Mapped { x, y }.
+ */
+export const applyHomography = (h, { x, y }) => {
+  const w = h[6] * x + h[7] * y + h[8];
+  return { x: (h[0] * x + h[1] * y + h[2]) / w, y: (h[3] * x + h[4] * y + h[5]) / w };
+};
+
+/**
+ * Measures how much a homography stretches lengths around a point: the square root of
+ * the area scale of its local linear approximation.
+ * @param {Array<number>} h - Row-major 3x3 matrix.
+ * @param {Object} point - Point { x, y }.
+ * @returns {number} Scale factor (1 keeps lengths).
+ */
+export const getHomographyScale = (h, { x, y }) => {
+  const w = h[6] * x + h[7] * y + h[8];
+  const { x: u, y: v } = applyHomography(h, { x, y });
+  // Partial derivatives of the mapped point
+  const dudx = (h[0] - h[6] * u) / w;
+  const dudy = (h[1] - h[7] * u) / w;
+  const dvdx = (h[3] - h[6] * v) / w;
+  const dvdy = (h[4] - h[7] * v) / w;
+  return Math.sqrt(Math.abs(dudx * dvdy - dudy * dvdx));
+};
+
+/**
+ * Returns the size of the rectangle a quad is straightened into: the average
+ * length of its opposite sides.
+ * @param {Array<Object>} quad - Four corners.
+ * @returns {Object} { width, height } in whole pixels, at least 1.
+ */
+export const rectifiedSize = (quad) => {
+  const [tl, tr, br, bl] = quad;
+  const length = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+  return {
+    width: Math.max(1, Math.round((length(tl, tr) + length(bl, br)) / 2)),
+    height: Math.max(1, Math.round((length(tl, bl) + length(tr, br)) / 2)),
+  };
+};
+
+/**
+ * Checks that four corners form a convex quad in order, the only shape that can be
+ * straightened (crossed or folded corners would turn the image inside out).
+ * @param {Array<Object>} quad - Four corners.
+ * @returns {boolean} True if the quad is convex and not degenerate.
+ */
+export const isConvexQuad = (quad) => {
+  const turns = quad.map((a, i) => {
+    const b = quad[(i + 1) % 4];
+    const c = quad[(i + 2) % 4];
+    return (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+  });
+  return turns.every((turn) => turn > 0) || turns.every((turn) => turn < 0);
+};
+
+/**
+ * Describes how a quad is straightened.
+ * @param {Array<Object>} quad - Four corners in source pixels.
+ * @returns {Object|null} { width, height, toRectified, toSource } where the two
+ *   homographies map source points into the straightened image and back, or null
+ *   if the quad is not convex.
+ */
+export const getRectification = (quad) => {
+  if (!isConvexQuad(quad)) return null;
+  const { width, height } = rectifiedSize(quad);
+  const corners = [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+  const toRectified = computeHomography(quad, corners);
+  const toSource = computeHomography(corners, quad);
+  if (!toRectified || !toSource) return null;
+  return { width, height, toRectified, toSource };
+};
+
+/**
+ * Straightens the part of an image inside a quad into a rectangle.
+ * Areas that map outside the source become transparent. Uses bilinear interpolation
+ * on premultiplied colors, like rotateImage.
+ * @param {Object} image - Image buffer { width, height, data }.
+ * @param {Array<Object>} quad - Four corners in image pixels.
+ * @returns {Object|null} New image buffer, or null if the quad is degenerate.
+ */
+export const warpPerspective = (image, quad) => {
+  const rectification = getRectification(quad);
+  if (!rectification) return null;
+  const { width, height, data } = image;
+  const { toSource } = rectification;
+  const output = createImage(rectification.width, rectification.height);
+  const out = output.data;
+
+  for (let y = 0; y < output.height; y++) {
+    for (let x = 0; x < output.width; x++) {
+      // Map the output pixel center back into the source
+      const source = applyHomography(toSource, { x: x + 0.5, y: y + 0.5 });
+      const sourceX = source.x - 0.5;
+      const sourceY = source.y - 0.5;
+
+      const x0 = Math.floor(sourceX);
+      const y0 = Math.floor(sourceY);
+      if (!(x0 >= -1 && y0 >= -1 && x0 < width && y0 < height)) continue; // Also skips NaN
+      const fx = sourceX - x0;
+      const fy = sourceY - y0;
+
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (let corner = 0; corner < 4; corner++) {
+        const cx = x0 + (corner & 1);
+        const cy = y0 + (corner >> 1);
+        if (cx < 0 || cy < 0 || cx >= width || cy >= height) continue;
+        const weight = ((corner & 1) ? fx : 1 - fx) * ((corner >> 1) ? fy : 1 - fy);
+        if (weight === 0) continue;
+        const i = (cy * width + cx) * 4;
+        const alphaWeight = weight * data[i + 3];
+        r += data[i] * alphaWeight;
+        g += data[i + 1] * alphaWeight;
+        b += data[i + 2] * alphaWeight;
+        a += alphaWeight;
+      }
+
+      if (a > 0) {
+        const o = (y * output.width + x) * 4;
+        out[o] = Math.round(r / a);
+        out[o + 1] = Math.round(g / a);
+        out[o + 2] = Math.round(b / a);
+        out[o + 3] = Math.round(a);
+      }
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Looks for a sheet of paper in a photo: the largest bright region, which is
+ * usually the page against a darker desk. Its corners are the pixels furthest
+ * towards each corner of the image.
+ * @param {Object} image - Image buffer { width, height, data }.
+ * @returns {Array<Object>|null} The paper's corners in image pixels, or null if
+ *   no bright region covers enough of the image.
+ */
+export const detectQuad = (image) => {
+  // Work on a small copy; the outline of a page needs no detail
+  const scale = Math.max(1, Math.max(image.width, image.height) / DETECT_SIZE);
+  const width = Math.max(1, Math.round(image.width / scale));
+  const height = Math.max(1, Math.round(image.height / scale));
+  const small = createImage(width, height);
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(image.height - 1, Math.floor((y + 0.5) * scale));
+    for (let x = 0; x < width; x++) {
+      const sx = Math.min(image.width - 1, Math.floor((x + 0.5) * scale));
+      small.data.set(image.data.subarray((sy * image.width + sx) * 4, (sy * image.width + sx) * 4 + 4), (y * width + x) * 4);
+    }
+  }
+
+  const threshold = otsuThreshold(buildHistogram(small.data, 0));
+  if (threshold === null) return null;
+  const bright = new Uint8Array(width * height);
+  for (let p = 0; p < bright.length; p++) {
+    const i = p * 4;
+    bright[p] = small.data[i + 3] > 0 && getLuminance(small.data[i], small.data[i + 1], small.data[i + 2]) > threshold ? 1 : 0;
+  }
+
+  // Largest 4-connected bright region
+  const labels = new Int32Array(width * height);
+  let best = { label: 0, area: 0 };
+  const stack = [];
+  for (let start = 0, label = 1; start < bright.length; start++) {
+    if (!bright[start] || labels[start]) continue;
+    let area = 0;
+    labels[start] = label;
+    stack.push(start);
+    while (stack.length > 0) {
+      const p = stack.pop();
+      area += 1;
+      const x = p % width;
+      const neighbours = [x > 0 ? p - 1 : -1, x < width - 1 ? p + 1 : -1, p - width, p + width];
+      neighbours.forEach((n) => {
+        if (n >= 0 && n < bright.length && bright[n] && !labels[n]) {
+          labels[n] = label;
+          stack.push(n);
+        }
+      });
+    }
+    if (area > best.area) best = { label, area };
+    label += 1;
+  }
+  if (best.area < MIN_PAPER_AREA * width * height) return null;
+
+  // Extreme pixels along the diagonals: smallest x + y is the top-left corner, and so on
+  const corners = [
+    { score: (x, y) => -x - y, dx: 0, dy: 0 },
+    { score: (x, y) => x - y, dx: 1, dy: 0 },
+    { score: (x, y) => x + y, dx: 1, dy: 1 },
+    { score: (x, y) => -x + y, dx: 0, dy: 1 },
+  ].map((corner) => ({ ...corner, best: -Infinity, x: 0, y: 0 }));
+  for (let p = 0; p < labels.length; p++) {
+    if (labels[p] !== best.label) continue;
+    const x = p % width;
+    const y = (p - x) / width;
+    corners.forEach((corner) => {
+      const score = corner.score(x, y);
+      if (score > corner.best) Object.assign(corner, { best: score, x, y });
+    });
+  }
+
+  // Back to full-size pixels, at the outer edge of the corner pixel
+  return corners.map(({ x, y, dx, dy }) => ({
+    x: Math.min(image.width, Math.round((x + dx) * (image.width / width))),
+    y: Math.min(image.height, Math.round((y + dy) * (image.height / height))),
+  }));
+};
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyHomography, computeHomography, detectQuad, getHomographyScale, getRectification, isConvexQuad, rectifiedSize, warpPerspective } from './perspective.js';
+import { createImage } from './image.js';
+
+const square = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }];
+const trapezoid = [{ x: 20, y: 10 }, { x: 80, y: 10 }, { x: 100, y: 60 }, { x: 0, y: 60 }];
+
+const close = (actual, expected) => {
+  assert.ok(Math.abs(actual.x - expected.x) < 1e-6 && Math.abs(actual.y - expected.y) < 1e-6, `${JSON.stringify(actual)} != ${JSON.stringify(expected)}`);
+};
+
+// An image of the given gray level with a rectangle of another level
+const imageWithRect = (width, height, background, rect, level) => {
+  const image = createImage(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inside = x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height;
+      image.data.fill(inside ? level : background, (y * width + x) * 4, (y * width + x) * 4 + 3);
+      image.data[(y * width + x) * 4 + 3] = 255;
+    }
+  }
+  return image;
+};
+
+test('computeHomography maps each corner onto its target', () => {
+  const h = computeHomography(square, trapezoid);
+  square.forEach((point, i) => close(applyHomography(h, point), trapezoid[i]));
+  // The midpoint of the top edge stays on the top edge
+  close(applyHomography(h, { x: 0.5, y: 0 }), { x: 50, y: 10 });
+});
+
+test('getHomographyScale follows the local stretch', () => {
+  const doubled = computeHomography(square, square.map(({ x, y }) => ({ x: x * 2, y: y * 2 })));
+  assert.ok(Math.abs(getHomographyScale(doubled, { x: 0.3, y: 0.7 }) - 2) < 1e-6);
+  // The trapezoid is narrower at the top, so lengths there grow less
+  const h = computeHomography(square, trapezoid);
+  assert.ok(getHomographyScale(h, { x: 0.5, y: 0 }) < getHomographyScale(h, { x: 0.5, y: 1 }));
+});
+
+test('computeHomography rejects corners in a line', () => {
+  assert.equal(computeHomography(square, [{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 2 }, { x: 3, y: 3 }]), null);
+});
+
+test('rectifiedSize averages opposite sides', () => {
+  assert.deepEqual(rectifiedSize(trapezoid), { width: 80, height: 54 });
+});
+
+test('isConvexQuad rejects crossed corners', () => {
+  assert.equal(isConvexQuad(trapezoid), true);
+  assert.equal(isConvexQuad([trapezoid[0], trapezoid[2], trapezoid[1], trapezoid[3]]), false);
+  assert.equal(isConvexQuad([{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }, { x: 0, y: 1 }]), false);
+});
+
+test('getRectification maps the quad to the rectangle and back', () => {
+  const { width, height, toRectified, toSource } = getRectification(trapezoid);
+  close(applyHomography(toRectified, trapezoid[2]), { x: width, y: height });
+  const point = { x: 37, y: 41 };
+  close(applyHomography(toSource, applyHomography(toRectified, point)), point);
+});
+
+test('warping an axis-aligned quad is a crop', () => {
+  const image = imageWithRect(10, 8, 255, { x: 2, y: 3, width: 4, height: 2 }, 0);
+  const quad = [{ x: 2, y: 3 }, { x: 6, y: 3 }, { x: 6, y: 5 }, { x: 2, y: 5 }];
+  const output = warpPerspective(image, quad);
+  assert.deepEqual([output.width, output.height], [4, 2]);
+  assert.ok(output.data.every((value, i) => (i % 4 === 3 ? value === 255 : value === 0)));
+});
+
+test('detectQuad finds a bright page on a dark desk', () => {
+  const image = imageWithRect(200, 150, 40, { x: 30, y: 20, width: 120, height: 100 }, 235);
+  const quad = detectQuad(image);
+  const expected = [{ x: 30, y: 20 }, { x: 150, y: 20 }, { x: 150, y: 120 }, { x: 30, y: 120 }];
+  quad.forEach((corner, i) => {
+    assert.ok(Math.abs(corner.x - expected[i].x) <= 1 && Math.abs(corner.y - expected[i].y) <= 1, JSON.stringify(quad));
+  });
+});
+
+test('detectQuad gives up without a large bright region', () => {
+  assert.equal(detectQuad(imageWithRect(100, 100, 40, { x: 0, y: 0, width: 10, height: 10 }, 235)), null);
+  assert.equal(detectQuad(imageWithRect(10, 10, 128, { x: 0, y: 0, width: 0, height: 0 }, 0)), null);
+});
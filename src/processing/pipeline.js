@@ -0,0 +1,68 @@
+/**
+ * Headless signature refinement pipeline.
+ * Works on plain ImageData-shaped buffers ({ width, height, data }) so it can run
+ * in the browser, in a worker or under Node without touching the DOM.
+ */
+import { cloneImage } from './image.js';
+import { perspectiveStage } from './stages/perspective.js';
+import { transformStage } from './stages/transform.js';
+import { flattenStage } from './stages/flatten.js';
+import { thresholdStage } from './stages/threshold.js';
+import { despeckleStage } from './stages/despeckle.js';
+import { touchUpSourceStage, touchUpStage } from './stages/touchUp.js';
+import { cropStage } from './stages/crop.js';
+
+// Settings used when the caller does not provide a value
+export const DEFAULT_OPTIONS = {
+  perspective: null, // Quad of four { x, y } source-image corners straightened to a rectangle first, or null
+  rotation: 0, // Clockwise rotation in degrees, applied before thresholding
+  flipHorizontal: false,
+  flipVertical: false,
+  flattenStrength: 0, // Percent of the estimated shadows and lighting gradients divided out before thresholding
+  luminanceThreshold: 200, // Higher value means lighter colors are considered background
+  alphaThreshold: 50, // Lower value means more pixels are kept
+  thresholdMode: 'manual', // 'manual' (luminanceThreshold), 'otsu' (global auto) or 'adaptive' (Sauvola)
+  adaptiveWindowSize: 31, // Side of the neighbourhood used by adaptive mode, in pixels
+  adaptiveK: 0.2, // Sauvola sensitivity; higher values keep less ink
+  edgeMode: 'binary', // 'binary' (fully transparent or opaque) or 'soft' (anti-aliased alpha ramp)
+  rampWidth: 40, // Luminance range below the threshold over which soft edges fade in
+  inkColor: '#000000', // Color for ink pixels, or 'original' to keep the pen color
+  minSpeckArea: 0, // Ink components with fewer pixels are removed as specks (0 keeps everything)
+  removeIsolated: false, // Also remove ink far away from the main signature cluster
+  isolationDistance: 50, // Largest gap (in pixels) to the main cluster that is still kept
+  despecklePreview: false, // Paint pixels the despeckle stage would remove red instead of clearing them
+  touchUps: [], // Eraser and restore-brush strokes { tool, size, points } in source-image pixels
+  crop: null, // Crop rectangle { x, y, width, height } in pixels of the rotated image, or null
+  trim: null, // Auto Trim padding { padding, unit } applied after the crop, or null
+};
+
+// Stages run in this order; each receives the output of the previous one
+export const DEFAULT_STAGES = [perspectiveStage, transformStage, flattenStage, touchUpSourceStage, thresholdStage, despeckleStage, touchUpStage, cropStage];
+
+export { createImage, cloneImage } from './image.js';
+
+/**
+ * Runs the refinement stages over an image.
+ * The input is never modified.
+ * @param {Object} input - ImageData or any { width, height, data } object.
+ * @param {Object} [options] - Pipeline options, merged over DEFAULT_OPTIONS.
+ * @param {Array<Object>} [stages] - Ordered list of { name, apply(image, options, report, context), isEnabled?(options) } stages.
+ * @returns {Object} { image, report } where image is the output { width, height, data } buffer
+ *   and report collects values the stages chose (e.g. an automatic threshold). Stages can also
+ *   hand data to later stages through context ({ inputSize } to begin with), which is not returned.
+ */
+export const runPipeline = (input, options = {}, stages = DEFAULT_STAGES) => {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const report = {};
+  const context = { inputSize: { width: input.width, height: input.height } };
+  let image = cloneImage(input);
+
+  stages.forEach((stage) => {
+    if (stage.isEnabled && !stage.isEnabled(settings)) return; // Stage switched off by the options
+
+    // A stage may work in place or return a new buffer (e.g. when the size changes)
+    image = stage.apply(image, settings, report, context) || image;
+  });
+
+  return { image, report };
+};
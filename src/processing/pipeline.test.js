@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_OPTIONS, cloneImage, createImage, runPipeline } from './pipeline.js';
+import { imageFromPixels } from './testImages.js';
+
+test('createImage allocates transparent pixels', () => {
+  const image = createImage(2, 3);
+  assert.equal(image.data.length, 24);
+  assert.ok(image.data.every((value) => value === 0));
+});
+
+test('createImage rejects data of the wrong size', () => {
+  assert.throws(() => createImage(2, 2, new Uint8ClampedArray(4)), RangeError);
+});
+
+test('cloneImage copies the pixel data', () => {
+  const image = imageFromPixels([[1, 2, 3, 4]]);
+  const copy = cloneImage(image);
+  copy.data[0] = 99;
+  assert.equal(image.data[0], 1);
+});
+
+test('runPipeline does not modify its input', () => {
+  const input = imageFromPixels([[10, 10, 10, 255], [250, 250, 250, 255]]);
+  const before = [...input.data];
+  runPipeline(input);
+  assert.deepEqual([...input.data], before);
+});
+
+test('runPipeline applies the default thresholds', () => {
+  const { image } = runPipeline(imageFromPixels([[10, 10, 10, 255], [250, 250, 250, 255]]));
+  assert.deepEqual([...image.data], [0, 0, 0, 255, 250, 250, 250, 0]);
+  assert.equal(DEFAULT_OPTIONS.luminanceThreshold, 200);
+  assert.equal(DEFAULT_OPTIONS.alphaThreshold, 50);
+});
+
+test('runPipeline merges options over the defaults', () => {
+  const { image } = runPipeline(imageFromPixels([[220, 220, 220, 255]]), { luminanceThreshold: 230 });
+  assert.equal(image.data[3], 255);
+});
+
+test('runPipeline runs stages in order and accepts replacement buffers', () => {
+  const calls = [];
+  const stages = [
+    { name: 'first', apply: () => { calls.push('first'); return createImage(1, 1, new Uint8ClampedArray([1, 1, 1, 1])); } },
+    { name: 'second', apply: (image) => { calls.push(`second:${image.data[0]}`); } },
+  ];
+  const { image } = runPipeline(imageFromPixels([[0, 0, 0, 0], [0, 0, 0, 0]]), {}, stages);
+  assert.deepEqual(calls, ['first', 'second:1']);
+  assert.equal(image.width, 1);
+});
+
+test('runPipeline collects what the stages report', () => {
+  const stages = [{ name: 'reporter', apply: (image, options, report) => { report.seen = options.luminanceThreshold; } }];
+  const { report } = runPipeline(imageFromPixels([[0, 0, 0, 0]]), { luminanceThreshold: 42 }, stages);
+  assert.deepEqual(report, { seen: 42 });
+});
+
+test('runPipeline skips stages whose isEnabled returns false', () => {
+  const calls = [];
+  const stages = [
+    { name: 'off', isEnabled: (options) => options.flag, apply: () => { calls.push('off'); } },
+    { name: 'on', apply: () => { calls.push('on'); } },
+  ];
+  runPipeline(imageFromPixels([[0, 0, 0, 0]]), { flag: false }, stages);
+  assert.deepEqual(calls, ['on']);
+});
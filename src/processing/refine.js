@@ -0,0 +1,52 @@
+/**
+ * Canvas glue around the pipeline.
+ * Shared by the processing worker (OffscreenCanvas) and the main-thread fallback
+ * (HTMLCanvasElement), so both paths produce the same pixels.
+ */
+import { runPipeline } from './pipeline.js';
+import { encodePng } from '../utils/png.js';
+
+/**
+ * Encodes a canvas as an image blob (PNG by default), using whichever API the canvas supports.
+ * @param {OffscreenCanvas|HTMLCanvasElement} canvas - The canvas to encode.
+ * @param {string} [type] - Output MIME type.
+ * @param {number} [quality] - Quality (0-1) for lossy formats.
+ * @returns {Promise<Blob>} The encoded image.
+ */
+export const canvasToBlob = (canvas, type = 'image/png', quality) => {
+  if (canvas.convertToBlob) {
+    return canvas.convertToBlob({ type, quality });
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode image.'))), type, quality);
+  });
+};
+
+/**
+ * Reads the pixels of a decoded image by drawing it on a canvas.
+ * @param {CanvasImageSource} source - Decoded image.
+ * @param {Function} createCanvas - (width, height) => canvas factory.
+ * @returns {ImageData} The pixels.
+ */
+const readCanvasPixels = (source, createCanvas) => {
+  const { width, height } = source;
+  const ctx = createCanvas(width, height).getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0);
+  return ctx.getImageData(0, 0, width, height);
+};
+
+/**
+ * Reads the pixels of a decoded image, runs the pipeline and encodes the result.
+ * The PNG is written from the pipeline's own pixels rather than through a canvas, so it
+ * holds exactly what the command-line tool writes for the same pixels and settings.
+ * @param {CanvasImageSource|Object} source - Decoded image (ImageBitmap, HTMLImageElement, ...),
+ *   or pixels already read from the file as a { width, height, data } buffer (see readPngFile).
+ * @param {Object} options - Pipeline options.
+ * @param {Function} createCanvas - (width, height) => canvas factory.
+ * @returns {Promise<Object>} { image, report, blob } where image is the { width, height, data } output.
+ */
+export const refineSource = async (source, options, createCanvas) => {
+  const { image, report } = runPipeline(source.data ? source : readCanvasPixels(source, createCanvas), options);
+  const blob = new Blob([encodePng(image)], { type: 'image/png' });
+  return { image, report, blob };
+};
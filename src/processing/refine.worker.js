@@ -0,0 +1,25 @@
+/**
+ * Processing worker.
+ * Receives a transferred ImageBitmap (or pixels the main thread already decoded) plus
+ * pipeline options, refines it on an OffscreenCanvas and transfers the output pixels
+ * back to the main thread.
+ */
+import { refineSource } from './refine.js';
+
+const createCanvas = (width, height) => new OffscreenCanvas(width, height);
+
+self.onmessage = async (event) => {
+  const { id, source, options } = event.data;
+
+  try {
+    const { image, report, blob } = await refineSource(source, options, createCanvas);
+    source.close?.(); // Free the decoded input as soon as possible
+
+    self.postMessage(
+      { id, width: image.width, height: image.height, buffer: image.data.buffer, report, blob },
+      [image.data.buffer]
+    );
+  } catch (err) {
+    self.postMessage({ id, error: err.message || 'Processing failed.' });
+  }
+};
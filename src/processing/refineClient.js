@@ -0,0 +1,132 @@
+/**
+ * Main-thread handle for the processing worker.
+ * Only one job runs at a time: starting a new job cancels the one in flight, so
+ * rapid slider changes never queue up behind a slow 12MP image.
+ */
+import { refineSource } from './refine.js';
+import { createCanvas } from '../utils/canvas.js';
+
+/**
+ * Creates the error used to reject jobs that were superseded or cancelled.
+ * @returns {DOMException} An AbortError.
+ */
+const createCancelError = () => new DOMException('Processing was cancelled.', 'AbortError');
+
+/**
+ * Checks whether a rejection came from cancelling a job (which callers should ignore).
+ * @param {Error} error - The rejection reason.
+ * @returns {boolean} True if the job was cancelled.
+ */
+export const isCancelled = (error) => error?.name === 'AbortError';
+
+/**
+ * Checks whether this environment can run the pipeline in a worker.
+ * @returns {boolean} True if Worker, OffscreenCanvas and createImageBitmap are available.
+ */
+const supportsWorker = () => typeof Worker !== 'undefined'
+  && typeof OffscreenCanvas !== 'undefined'
+  && typeof createImageBitmap !== 'undefined';
+
+/**
+ * Creates a refine client.
+ * @returns {Object} { process(source, options), cancel(), dispose() }
+ */
+export const createRefineClient = () => {
+  const useWorker = supportsWorker();
+  let worker = null;
+  let pending = null; // { id, resolve, reject } for the job currently in the worker
+  let latestId = 0;
+
+  const handleMessage = (event) => {
+    const { id, error, width, height, buffer, report, blob } = event.data;
+    if (!pending || pending.id !== id) return; // Result of a job that was already cancelled
+
+    const { resolve, reject } = pending;
+    pending = null;
+    if (error) {
+      reject(new Error(error));
+    } else {
+      resolve({ image: { width, height, data: new Uint8ClampedArray(buffer) }, report, blob });
+    }
+  };
+
+  const handleError = (event) => {
+    // A crashed worker can't be reused; the next job spawns a fresh one
+    worker.terminate();
+    worker = null;
+    if (pending) {
+      pending.reject(new Error(event.message || 'Processing worker failed.'));
+      pending = null;
+    }
+  };
+
+  const getWorker = () => {
+    if (!worker) {
+      worker = new Worker(new URL('./refine.worker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = handleMessage;
+      worker.onerror = handleError;
+    }
+    return worker;
+  };
+
+  /**
+   * Cancels the job in flight, if any.
+   * A worker can't be interrupted in the middle of the pixel loop, so it is
+   * terminated and a new one is started by the next job.
+   */
+  const cancel = () => {
+    latestId += 1;
+    if (!pending) return;
+
+    worker?.terminate();
+    worker = null;
+    pending.reject(createCancelError());
+    pending = null;
+  };
+
+  /**
+   * Refines an image, cancelling any job still in flight.
+   * @param {CanvasImageSource|Object} source - Decoded image to refine, or its pixels as a
+   *   { width, height, data } buffer (copied to the worker, so the caller keeps its own).
+   * @param {Object} options - Pipeline options.
+   * @returns {Promise<Object>} { image, report, blob }; rejects with an AbortError if superseded.
+   */
+  const process = async (source, options) => {
+    cancel();
+    const id = latestId;
+
+    if (!useWorker) {
+      const result = await refineSource(source, options, createCanvas);
+      if (id !== latestId) throw createCancelError();
+      return result;
+    }
+
+    // Pixels decoded in JavaScript are copied to the worker; other images go as a transferred bitmap
+    let input = { width: source.width, height: source.height, data: source.data };
+    if (!source.data) {
+      // Raw values, like the pipeline's own PNG decoder: no color profile or gamma, no premultiplied alpha
+      input = await createImageBitmap(source, { colorSpaceConversion: 'none', premultiplyAlpha: 'none' });
+      if (id !== latestId) {
+        // Superseded while decoding
+        input.close();
+        throw createCancelError();
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      pending = { id, resolve, reject };
+      getWorker().postMessage({ id, source: input, options }, source.data ? [] : [input]);
+    });
+  };
+
+  /**
+   * Cancels any job and releases the worker.
+   */
+  const dispose = () => {
+    cancel();
+    worker?.terminate();
+    worker = null;
+  };
+
+  return { process, cancel, dispose };
+};
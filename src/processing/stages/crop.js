@@ -0,0 +1,41 @@
+/**
+ * Crop stage.
+ * Applies the recorded crop rectangle and Auto Trim last, so they are re-applied
+ * to every new render instead of being lost when a threshold changes.
+ */
+import { clampRect, cropImage } from '../geometry.js';
+import { findInkBounds, padBounds } from '../bounds.js';
+
+/**
+ * Crops to the rectangle, then trims to the ink.
+ * @param {Object} image - Image buffer { width, height, data }.
+ * @param {Object} options - Pipeline options.
+ * @param {Object|null} options.crop - Rectangle { x, y, width, height } in pixels of the transformed image.
+ * @param {Object|null} options.trim - Auto Trim padding { padding, unit } with unit 'px' or '%'.
+ * @param {Object} [report] - Pipeline report; receives the trim box (null if there was no ink to
+ *   trim to) and the region of the transformed image the output covers.
+ * @returns {Object} New image buffer.
+ */
+const applyCrop = (image, { crop, trim }, report = {}) => {
+  let region = crop ? clampRect(image, crop) : { x: 0, y: 0, width: image.width, height: image.height };
+  let output = crop ? cropImage(image, region) : image;
+
+  if (trim) {
+    const bounds = findInkBounds(output);
+    // An empty image is left as it is rather than shrunk to nothing
+    report.trim = bounds && padBounds(bounds, trim.padding, trim.unit, output.width, output.height);
+    if (report.trim) {
+      output = cropImage(output, report.trim);
+      region = { ...report.trim, x: region.x + report.trim.x, y: region.y + report.trim.y };
+    }
+  }
+
+  report.region = region;
+  return output;
+};
+
+export const cropStage = {
+  name: 'crop',
+  isEnabled: (options) => Boolean(options.crop || options.trim),
+  apply: applyCrop,
+};
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cropStage } from './crop.js';
+import { runPipeline } from '../pipeline.js';
+import { createImage } from '../image.js';
+
+// A white image with a black square of the given size at (x, y)
+const imageWithSquare = (width, height, x, y, size) => {
+  const image = createImage(width, height);
+  image.data.fill(255);
+  for (let row = y; row < y + size; row++) {
+    for (let col = x; col < x + size; col++) {
+      image.data.fill(0, (row * width + col) * 4, (row * width + col) * 4 + 3);
+    }
+  }
+  return image;
+};
+
+test('the stage is disabled without a crop or trim', () => {
+  assert.equal(cropStage.isEnabled({ crop: null, trim: null }), false);
+  assert.equal(cropStage.isEnabled({ crop: { x: 0, y: 0, width: 1, height: 1 }, trim: null }), true);
+  assert.equal(cropStage.isEnabled({ crop: null, trim: { padding: 0, unit: 'px' } }), true);
+});
+
+test('the crop survives a threshold change', () => {
+  const input = imageWithSquare(20, 10, 4, 2, 3);
+  const crop = { x: 2, y: 1, width: 8, height: 6 };
+  const dark = runPipeline(input, { crop, luminanceThreshold: 200 });
+  const light = runPipeline(input, { crop, luminanceThreshold: 100 });
+  assert.deepEqual([dark.image.width, dark.image.height], [8, 6]);
+  assert.deepEqual([light.image.width, light.image.height], [8, 6]);
+});
+
+test('trim runs after the crop and reports the padded box', () => {
+  const input = imageWithSquare(20, 10, 4, 2, 3);
+  const { image, report } = runPipeline(input, {
+    crop: { x: 2, y: 0, width: 10, height: 10 },
+    trim: { padding: 1, unit: 'px' },
+  });
+  assert.deepEqual(report.trim, { x: 1, y: 1, width: 5, height: 5 });
+  assert.deepEqual(report.region, { x: 3, y: 1, width: 5, height: 5 });
+  assert.deepEqual([image.width, image.height], [5, 5]);
+});
+
+test('trimming an empty image keeps it unchanged', () => {
+  const input = createImage(6, 4);
+  input.data.fill(255);
+  const { image, report } = runPipeline(input, { trim: { padding: 0, unit: 'px' } });
+  assert.equal(report.trim, null);
+  assert.deepEqual([image.width, image.height], [6, 4]);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { despeckleStage } from './despeckle.js';
+import { createImage } from '../pipeline.js';
+
+const imageFromRows = (rows) => {
+  const image = createImage(rows[0].length, rows.length);
+  rows.forEach((row, y) => {
+    [...row].forEach((cell, x) => {
+      if (cell === '#') image.data[(y * row.length + x) * 4 + 3] = 255;
+    });
+  });
+  return image;
+};
+
+// Turns an image back into rows of '#', 'R' (red preview) and '.'
+const rowsFromImage = (image) => {
+  const rows = [];
+  for (let y = 0; y < image.height; y++) {
+    let row = '';
+    for (let x = 0; x < image.width; x++) {
+      const i = (y * image.width + x) * 4;
+      if (image.data[i + 3] === 0) row += '.';
+      else row += image.data[i] === 255 ? 'R' : '#';
+    }
+    rows.push(row);
+  }
+  return rows;
+};
+
+const options = { minSpeckArea: 3, removeIsolated: false, isolationDistance: 5, despecklePreview: false };
+
+const scan = [
+  '####.....#',
+  '####......',
+  '..........',
+  '.#........',
+];
+
+test('components smaller than the minimum area are removed', () => {
+  const report = {};
+  const image = despeckleStage.apply(imageFromRows(scan), options, report);
+  assert.deepEqual(rowsFromImage(image), [
+    '####......',
+    '####......',
+    '..........',
+    '..........',
+  ]);
+  assert.deepEqual(report.despeckle, { components: 2, pixels: 2 });
+});
+
+test('preview mode paints removed pixels red instead', () => {
+  const image = despeckleStage.apply(imageFromRows(scan), { ...options, despecklePreview: true });
+  assert.deepEqual(rowsFromImage(image), [
+    '####.....R',
+    '####......',
+    '..........',
+    '.R........',
+  ]);
+});
+
+test('isolated components are removed when requested', () => {
+  const rows = [
+    '###.##.......###',
+    '###.##.......###',
+  ];
+  const image = despeckleStage.apply(imageFromRows(rows), { ...options, minSpeckArea: 1, removeIsolated: true });
+  assert.deepEqual(rowsFromImage(image), [
+    '###.##..........',
+    '###.##..........',
+  ]);
+});
+
+test('the stage is disabled unless a filter is on', () => {
+  assert.equal(despeckleStage.isEnabled({ minSpeckArea: 0, removeIsolated: false }), false);
+  assert.equal(despeckleStage.isEnabled({ minSpeckArea: 5, removeIsolated: false }), true);
+  assert.equal(despeckleStage.isEnabled({ minSpeckArea: 0, removeIsolated: true }), true);
+});
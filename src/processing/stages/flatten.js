@@ -0,0 +1,28 @@
+/**
+ * Flatten stage.
+ * Evens out shadows and lighting gradients across the paper before thresholding,
+ * so the shadowed side of a phone photo doesn't turn into a black blob.
+ */
+import { defaultFlattenRadius, estimateBackground, flattenIllumination } from '../illumination.js';
+
+/**
+ * Divides the estimated paper brightness out of the image in place.
+ * @param {Object} image - Image buffer { width, height, data }.
+ * @param {Object} options - Pipeline options.
+ * @param {number} options.flattenStrength - How much of the lighting to remove, in percent (0-100).
+ * @param {Object} [report] - Pipeline report; receives the estimated background as a small
+ *   grayscale map { width, height, data } for previewing.
+ * @returns {Object} The same image buffer.
+ */
+const applyFlatten = (image, options, report = {}) => {
+  const background = estimateBackground(image, defaultFlattenRadius(image.width, image.height));
+  flattenIllumination(image, background, Math.min(Math.max(options.flattenStrength, 0), 100) / 100);
+  report.flatten = { width: background.width, height: background.height, data: Uint8ClampedArray.from(background.data) };
+  return image;
+};
+
+export const flattenStage = {
+  name: 'flatten',
+  isEnabled: (options) => options.flattenStrength > 0,
+  apply: applyFlatten,
+};
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { flattenStage } from './flatten.js';
+import { runPipeline } from '../pipeline.js';
+import { createImage } from '../image.js';
+
+// Paper with a shadow over the left half (fading out over 30 pixels) and a one-pixel pen dot in each half
+const shadowedPage = () => {
+  const image = createImage(120, 40);
+  for (let y = 0; y < 40; y++) {
+    for (let x = 0; x < 120; x++) {
+      const i = (y * 120 + x) * 4;
+      const isInk = y === 20 && (x === 30 || x === 90);
+      const level = isInk ? 20 : 130 + 110 * Math.min(Math.max((x - 45) / 30, 0), 1);
+      image.data.fill(level, i, i + 3);
+      image.data[i + 3] = 255;
+    }
+  }
+  return image;
+};
+
+const inkPixels = ({ data }) => data.filter((value, i) => i % 4 === 3 && value > 0).length;
+
+test('the stage is off at strength 0', () => {
+  assert.equal(flattenStage.isEnabled({ flattenStrength: 0 }), false);
+  assert.equal(flattenStage.isEnabled({ flattenStrength: 60 }), true);
+});
+
+test('without flattening the shadow turns into ink', () => {
+  const { image } = runPipeline(shadowedPage(), { luminanceThreshold: 200 });
+  assert.ok(inkPixels(image) > 60 * 40);
+});
+
+test('flattening keeps only the pen marks', () => {
+  const { image, report } = runPipeline(shadowedPage(), { luminanceThreshold: 200, flattenStrength: 100 });
+  assert.equal(inkPixels(image), 2);
+  assert.ok(report.flatten.width > 0 && report.flatten.data.length === report.flatten.width * report.flatten.height);
+});
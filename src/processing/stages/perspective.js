@@ -0,0 +1,35 @@
+/**
+ * Perspective stage.
+ * Straightens the recorded quad (e.g. a page photographed at an angle) into a
+ * rectangle first, so the rotation, the thresholds and the crop all work on the
+ * corrected image.
+ */
+import { applyHomography, getHomographyScale, getRectification, warpPerspective } from '../perspective.js';
+
+/**
+ * Warps the quad to a rectangle and tells later stages how source points moved.
+ * @param {Object} image - Image buffer { width, height, data }.
+ * @param {Object} options - Pipeline options.
+ * @param {Array<Object>} options.perspective - Four { x, y } corners in source-image pixels
+ *   (top-left, top-right, bottom-right, bottom-left).
+ * @param {Object} report - Pipeline report (unused).
+ * @param {Object} context - Pipeline context; inputSize becomes the size of the straightened
+ *   image, mapSourcePoint maps source-image points into it and mapSourceScale gives how much
+ *   lengths around a source point are stretched (for touch-up strokes and their brush size).
+ * @returns {Object} New image buffer, or the input if the quad is degenerate.
+ */
+const applyPerspective = (image, { perspective }, report, context) => {
+  const rectification = getRectification(perspective);
+  const output = rectification && warpPerspective(image, perspective);
+  if (!output) return image;
+  context.inputSize = { width: output.width, height: output.height };
+  context.mapSourcePoint = (point) => applyHomography(rectification.toRectified, point);
+  context.mapSourceScale = (point) => getHomographyScale(rectification.toRectified, point);
+  return output;
+};
+
+export const perspectiveStage = {
+  name: 'perspective',
+  isEnabled: (options) => Boolean(options.perspective),
+  apply: applyPerspective,
+};
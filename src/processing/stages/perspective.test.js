@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { perspectiveStage } from './perspective.js';
+import { runPipeline } from '../pipeline.js';
+import { createImage } from '../image.js';
+import { ERASE } from '../strokes.js';
+
+// A white 20x12 page with a 3x3 ink square whose top-left pixel is (8, 4)
+const page = () => {
+  const image = createImage(20, 12);
+  image.data.fill(255);
+  [4, 5, 6].forEach((y) => [8, 9, 10].forEach((x) => image.data.fill(0, (y * 20 + x) * 4, (y * 20 + x) * 4 + 3)));
+  return image;
+};
+
+const quad = [{ x: 4, y: 2 }, { x: 16, y: 2 }, { x: 16, y: 10 }, { x: 4, y: 10 }];
+
+test('the stage is disabled without a quad', () => {
+  assert.equal(perspectiveStage.isEnabled({ perspective: null }), false);
+  assert.equal(perspectiveStage.isEnabled({ perspective: quad }), true);
+});
+
+test('the quad is straightened before thresholding', () => {
+  const { image } = runPipeline(page(), { perspective: quad });
+  assert.deepEqual([image.width, image.height], [12, 8]);
+  // The square moves by the quad's top-left corner
+  assert.equal(image.data[((2 * 12) + 4) * 4 + 3], 255);
+  assert.equal(image.data[3], 0);
+});
+
+test('touch-up strokes stay on the same source pixels', () => {
+  const input = page();
+  const touchUps = [{ tool: ERASE, size: 1, points: [[9.5, 5.5]] }];
+  const { image } = runPipeline(input, { perspective: quad, touchUps });
+  // Source (9, 5) is (5, 3) in the straightened image
+  assert.equal(image.data[((3 * 12) + 5) * 4 + 3], 0);
+  assert.equal(image.data[((2 * 12) + 4) * 4 + 3], 255);
+});
+
+test('the brush grows where the quad is stretched more', () => {
+  // All ink, and a quad whose narrow top edge is stretched to the average width
+  const ink = createImage(20, 12);
+  for (let i = 3; i < ink.data.length; i += 4) ink.data[i] = 255;
+  const trapezoid = [{ x: 6, y: 1 }, { x: 14, y: 1 }, { x: 19, y: 11 }, { x: 1, y: 11 }];
+  const erasedBy = (point) => {
+    const { image } = runPipeline(ink, { perspective: trapezoid, touchUps: [{ tool: ERASE, size: 3, points: [point] }] });
+    return image.data.filter((value, i) => i % 4 === 3 && value === 0).length;
+  };
+  // The top edge is stretched about 1.6 times and the bottom one shrunk to about 0.7
+  assert.ok(erasedBy([10, 2.5]) >= erasedBy([10, 9.5]) * 4);
+});
+
+test('a degenerate quad leaves the image as it is', () => {
+  const line = [{ x: 0, y: 0 }, { x: 5, y: 5 }, { x: 10, y: 10 }, { x: 15, y: 15 }];
+  const { image } = runPipeline(page(), { perspective: line });
+  assert.deepEqual([image.width, image.height], [20, 12]);
+});
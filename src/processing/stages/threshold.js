@@ -0,0 +1,120 @@
+/**
+ * Luminance / alpha threshold stage.
+ * Decides for every pixel whether it belongs to the signature (ink) or to the
+ * background, turning background pixels fully transparent and ink pixels opaque
+ * in the chosen ink color (pure black by default, or the pixel's own color).
+ * The luminance threshold is either the manual slider value, a global Otsu
+ * threshold, or a per-pixel adaptive (Sauvola) threshold.
+ * In 'soft' edge mode, pixels just below the threshold fade in over a ramp
+ * instead of snapping to opaque, which keeps stroke edges anti-aliased.
+ */
+import { buildHistogram, otsuThreshold, sauvolaThresholds } from '../autoThreshold.js';
+import { computeLuminance, getLuminance } from '../luminance.js';
+import { ORIGINAL_INK, parseHexColor } from '../color.js';
+
+/**
+ * Resolves the luminance threshold for each pixel according to the threshold mode.
+ * @param {Object} image - Image buffer { width, height, data }.
+ * @param {Object} options - Pipeline options.
+ * @param {Object} report - Pipeline report; receives the threshold auto modes chose.
+ * @returns {Function} (pixelIndex) => threshold.
+ */
+const resolveThreshold = (image, options, report) => {
+  const { thresholdMode, luminanceThreshold, alphaThreshold } = options;
+
+  if (thresholdMode === 'otsu') {
+    const threshold = otsuThreshold(buildHistogram(image.data, alphaThreshold));
+    // A flat image has nothing to separate; fall back to the manual value
+    const chosen = threshold === null ? luminanceThreshold : threshold;
+    report.threshold = { mode: 'otsu', value: chosen };
+    return () => chosen;
+  }
+
+  if (thresholdMode === 'adaptive') {
+    const thresholds = sauvolaThresholds(
+      computeLuminance(image.data),
+      image.width,
+      image.height,
+      options.adaptiveWindowSize,
+      options.adaptiveK
+    );
+    let total = 0;
+    for (let p = 0; p < thresholds.length; p++) total += thresholds[p];
+    report.threshold = { mode: 'adaptive', value: thresholds.length ? Math.round(total / thresholds.length) : luminanceThreshold };
+    return (p) => thresholds[p];
+  }
+
+  report.threshold = { mode: 'manual', value: luminanceThreshold };
+  return () => luminanceThreshold;
+};
+
+/**
+ * Works out the opacity of an ink pixel from its luminance: transparent above the threshold,
+ * fading in over the ramp below it, and opaque beyond.
+ * @param {number} luminance - Pixel luminance (0-255).
+ * @param {number} threshold - Luminance threshold at the pixel.
+ * @param {number} rampWidth - Width of the ramp (0 for hard edges).
+ * @returns {number} Alpha (0-255).
+ */
+export const getInkAlpha = (luminance, threshold, rampWidth) => {
+  if (luminance > threshold) return 0;
+  return luminance > threshold - rampWidth ? Math.round((255 * (threshold - luminance)) / rampWidth) : 255;
+};
+
+/**
+ * Gives the ramp width the options ask for.
+ * @param {Object} options - Pipeline options.
+ * @returns {number} Ramp width in luminance levels, 0 in binary edge mode.
+ */
+export const getRampWidth = (options) => (options.edgeMode === 'soft' ? Math.max(0, options.rampWidth) : 0);
+
+/**
+ * Applies the threshold to the image in place.
+ * @param {Object} image - Image buffer { width, height, data }.
+ * @param {Object} options - Pipeline options.
+ * @param {number} options.luminanceThreshold - Pixels lighter than this are background (0-255).
+ * @param {number} options.alphaThreshold - Pixels more transparent than this are background (0-255).
+ * @param {string} [options.thresholdMode] - 'manual', 'otsu' or 'adaptive'.
+ * @param {string} [options.edgeMode] - 'binary' (0 or 255 alpha) or 'soft' (alpha ramp).
+ * @param {number} [options.rampWidth] - Luminance range below the threshold over which soft edges fade in.
+ * @param {string} [options.inkColor] - '#rrggbb' to recolor ink, or 'original' to keep each pixel's color.
+ * @param {Object} [report] - Pipeline report.
+ * @param {Object} [context] - Pipeline context; receives thresholdAt, the threshold of each pixel.
+ * @returns {Object} The same image buffer.
+ */
+const applyThreshold = (image, options, report = {}, context = {}) => {
+  const data = image.data; // Pixel data array (R, G, B, A for each pixel)
+  const { alphaThreshold } = options;
+  const rampWidth = getRampWidth(options);
+  const thresholdAt = resolveThreshold(image, options, report);
+  context.thresholdAt = thresholdAt;
+  const keepColor = options.inkColor === ORIGINAL_INK;
+  const [inkR, inkG, inkB] = keepColor ? [0, 0, 0] : parseHexColor(options.inkColor || '#000000');
+
+  for (let p = 0, i = 0; i < data.length; p++, i += 4) {
+    const luminance = getLuminance(data[i], data[i + 1], data[i + 2]);
+    const threshold = thresholdAt(p);
+
+    // If the pixel is very light (high luminance) OR very transparent (low alpha),
+    // consider it background and make it fully transparent.
+    if (luminance > threshold || data[i + 3] < alphaThreshold) {
+      data[i + 3] = 0;
+    } else {
+      // Otherwise, it's part of the signature, paint it in the ink color (or leave its color alone).
+      // Fully opaque, unless it lies on the soft ramp just below the threshold.
+      if (!keepColor) {
+        data[i] = inkR;
+        data[i + 1] = inkG;
+        data[i + 2] = inkB;
+      }
+      data[i + 3] = getInkAlpha(luminance, threshold, rampWidth);
+    }
+  }
+
+  return image;
+};
+
+export const thresholdStage = {
+  name: 'threshold',
+  apply: applyThreshold,
+};
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { thresholdStage } from './threshold.js';
+import { getLuminance } from '../luminance.js';
+import { imageFromPixels } from '../testImages.js';
+
+const options = { luminanceThreshold: 200, alphaThreshold: 50, thresholdMode: 'manual' };
+
+test('getLuminance weights the channels by perceived brightness', () => {
+  assert.equal(getLuminance(0, 0, 0), 0);
+  assert.equal(Math.round(getLuminance(255, 255, 255)), 255);
+  assert.ok(getLuminance(0, 255, 0) > getLuminance(255, 0, 0));
+  assert.ok(getLuminance(255, 0, 0) > getLuminance(0, 0, 255));
+});
+
+test('light pixels become transparent', () => {
+  const image = thresholdStage.apply(imageFromPixels([[250, 250, 250, 255]]), options);
+  assert.equal(image.data[3], 0);
+});
+
+test('dark pixels become opaque pure black', () => {
+  const image = thresholdStage.apply(imageFromPixels([[40, 60, 120, 200]]), options);
+  assert.deepEqual([...image.data], [0, 0, 0, 255]);
+});
+
+test('pixels below the alpha threshold become transparent even when dark', () => {
+  const image = thresholdStage.apply(imageFromPixels([[0, 0, 0, 49], [0, 0, 0, 50]]), options);
+  assert.equal(image.data[3], 0);
+  assert.equal(image.data[7], 255);
+});
+
+test('a pixel exactly at the luminance threshold is kept as ink', () => {
+  const image = thresholdStage.apply(imageFromPixels([[200, 200, 200, 255], [201, 201, 201, 255]]), options);
+  assert.equal(image.data[3], 255);
+  assert.equal(image.data[7], 0);
+});
+
+test('luminance threshold 0 keeps only pure black', () => {
+  const image = thresholdStage.apply(imageFromPixels([[0, 0, 0, 255], [1, 1, 1, 255]]), {
+    ...options,
+    luminanceThreshold: 0,
+  });
+  assert.equal(image.data[3], 255);
+  assert.equal(image.data[7], 0);
+});
+
+test('otsu mode separates ink from paper and reports the chosen threshold', () => {
+  const report = {};
+  // Mid-grey paper that the default manual threshold (200) would turn into ink
+  const image = thresholdStage.apply(
+    imageFromPixels([[150, 150, 150, 255], [150, 150, 150, 255], [30, 30, 30, 255]]),
+    { ...options, thresholdMode: 'otsu' },
+    report
+  );
+  assert.deepEqual([...image.data.filter((_, i) => i % 4 === 3)], [0, 0, 255]);
+  assert.equal(report.threshold.mode, 'otsu');
+  assert.ok(report.threshold.value >= 30 && report.threshold.value < 150);
+});
+
+test('otsu mode falls back to the manual threshold on a flat image', () => {
+  const report = {};
+  thresholdStage.apply(imageFromPixels([[120, 120, 120, 255]]), { ...options, thresholdMode: 'otsu' }, report);
+  assert.deepEqual(report.threshold, { mode: 'otsu', value: 200 });
+});
+
+test('adaptive mode keeps ink on both sides of a lighting gradient', () => {
+  // Left half lit (paper 230, ink 120), right half in shadow (paper 110, ink 20)
+  const width = 40;
+  const pixels = [];
+  for (let x = 0; x < width; x++) {
+    const shadow = x >= width / 2;
+    const ink = x % 5 === 2;
+    const value = shadow ? (ink ? 20 : 110) : (ink ? 120 : 230);
+    pixels.push([value, value, value, 255]);
+  }
+  const report = {};
+  const image = thresholdStage.apply(
+    imageFromPixels(pixels),
+    { ...options, thresholdMode: 'adaptive', adaptiveWindowSize: 9, adaptiveK: 0.2 },
+    report
+  );
+  for (let x = 0; x < width; x++) {
+    if (Math.abs(x - width / 2) <= 4) continue; // The window straddles both halves at the boundary
+    assert.equal(image.data[x * 4 + 3], x % 5 === 2 ? 255 : 0, `pixel ${x}`);
+  }
+  assert.equal(report.threshold.mode, 'adaptive');
+});
+
+test('soft edge mode ramps alpha between the low and high thresholds', () => {
+  const image = thresholdStage.apply(
+    imageFromPixels([[100, 100, 100, 255], [160, 160, 160, 255], [180, 180, 180, 255], [199, 199, 199, 255], [210, 210, 210, 255]]),
+    { ...options, edgeMode: 'soft', rampWidth: 40 }
+  );
+  const alphas = [...image.data.filter((_, i) => i % 4 === 3)];
+  assert.equal(alphas[0], 255); // Well below the ramp
+  assert.equal(alphas[1], 255); // Exactly at the low end (200 - 40)
+  assert.ok(alphas[2] > 100 && alphas[2] < 155, `got ${alphas[2]}`); // Half-way along the ramp
+  assert.ok(alphas[3] > 0 && alphas[3] < 20, `got ${alphas[3]}`); // Just below the threshold
+  assert.equal(alphas[4], 0); // Background
+});
+
+test('soft edge mode still outputs black ink', () => {
+  const image = thresholdStage.apply(imageFromPixels([[180, 170, 190, 255]]), { ...options, edgeMode: 'soft', rampWidth: 40 });
+  assert.deepEqual([...image.data.slice(0, 3)], [0, 0, 0]);
+});
+
+test('binary edge mode ignores the ramp width', () => {
+  const image = thresholdStage.apply(imageFromPixels([[199, 199, 199, 255]]), { ...options, edgeMode: 'binary', rampWidth: 40 });
+  assert.equal(image.data[3], 255);
+});
+
+test('ink pixels are painted in the chosen ink color', () => {
+  const image = thresholdStage.apply(imageFromPixels([[40, 60, 120, 255], [250, 250, 250, 255]]), { ...options, inkColor: '#000080' });
+  assert.deepEqual([...image.data.slice(0, 4)], [0, 0, 128, 255]);
+  assert.equal(image.data[7], 0);
+});
+
+test('original ink mode keeps the pen color', () => {
+  const image = thresholdStage.apply(imageFromPixels([[40, 60, 120, 200]]), { ...options, inkColor: 'original' });
+  assert.deepEqual([...image.data], [40, 60, 120, 255]);
+});
@@ -0,0 +1,91 @@
+/**
+ * Touch-up stages.
+ * Apply the eraser and restore-brush strokes the user painted by hand. Strokes are
+ * stored in source-image pixels, so they stay on the same spot of the signature when
+ * the thresholds, rotation or crop change. Two stages are needed because restoring ink
+ * reads the original pixels, which the threshold stage overwrites.
+ */
+import { cloneImage } from '../image.js';
+import { transformPoint } from '../geometry.js';
+import { getLuminance } from '../luminance.js';
+import { ORIGINAL_INK, parseHexColor } from '../color.js';
+import { getInkAlpha, getRampWidth } from './threshold.js';
+import { MASK_ERASE, MASK_RESTORE, RESTORE, rasterizeStrokes } from '../strokes.js';
+
+const hasTouchUps = (options) => Boolean(options.touchUps && options.touchUps.length > 0);
+
+/**
+ * Rasterizes the strokes onto the transformed image and keeps a copy of its pixels
+ * for the restore brush. Runs after the transform stage and before thresholding.
+ * @param {Object} image - Image buffer { width, height, data }.
+ * @param {Object} options - Pipeline options.
+ * @param {Array<Object>} options.touchUps - Strokes { tool, size, points } in source-image pixels.
+ * @param {Object} report - Pipeline report (unused).
+ * @param {Object} context - Pipeline context (inputSize and, after perspective correction,
+ *   mapSourcePoint and mapSourceScale); receives touchUpMask and, if needed, touchUpSource.
+ */
+const prepareTouchUps = (image, options, report, context) => {
+  const { width, height } = context.inputSize || image;
+  // Strokes follow the perspective correction, if any, then the flips and rotation
+  // Flips and rotation keep lengths, but the perspective correction stretches the brush unevenly
+  const mapSourcePoint = context.mapSourcePoint || ((point) => point);
+  const mapSourceScale = context.mapSourceScale || (() => 1);
+  context.touchUpMask = rasterizeStrokes(options.touchUps, image.width, image.height, ([x, y]) => {
+    const point = transformPoint(mapSourcePoint({ x, y }), width, height, options);
+    return [point.x, point.y, mapSourceScale({ x, y })];
+  });
+  if (options.touchUps.some(({ tool }) => tool === RESTORE)) {
+    context.touchUpSource = cloneImage(image);
+  }
+};
+
+/**
+ * Erases masked pixels and restores ink under the restore brush. The restored ink takes
+ * the ink color, with the opacity the threshold stage gives the original pixel (including
+ * its soft-edge ramp), so the paper under the brush stays transparent.
+ * @param {Object} image - Image buffer { width, height, data }, after thresholding.
+ * @param {Object} options - Pipeline options.
+ * @param {string} options.inkColor - '#rrggbb' or 'original'.
+ * @param {Object} report - Pipeline report (unused).
+ * @param {Object} context - Pipeline context with touchUpMask, touchUpSource and thresholdAt.
+ * @returns {Object} The same image buffer.
+ */
+const applyTouchUps = (image, options, report, context) => {
+  const { touchUpMask: mask, touchUpSource: source } = context;
+  if (!mask) return image;
+  const data = image.data;
+  const keepColor = options.inkColor === ORIGINAL_INK;
+  const [inkR, inkG, inkB] = keepColor ? [0, 0, 0] : parseHexColor(options.inkColor || '#000000');
+  const thresholdAt = context.thresholdAt || (() => options.luminanceThreshold);
+  const rampWidth = getRampWidth(options);
+
+  for (let p = 0, i = 0; p < mask.length; p++, i += 4) {
+    if (mask[p] === MASK_ERASE) {
+      data[i + 3] = 0;
+    } else if (mask[p] === MASK_RESTORE) {
+      const original = source.data;
+      const ink = getInkAlpha(getLuminance(original[i], original[i + 1], original[i + 2]), thresholdAt(p), rampWidth);
+      const alpha = original[i + 3] < options.alphaThreshold ? 0 : Math.round((ink * original[i + 3]) / 255);
+      if (alpha > data[i + 3]) {
+        data[i] = keepColor ? original[i] : inkR;
+        data[i + 1] = keepColor ? original[i + 1] : inkG;
+        data[i + 2] = keepColor ? original[i + 2] : inkB;
+        data[i + 3] = alpha;
+      }
+    }
+  }
+
+  return image;
+};
+
+export const touchUpSourceStage = {
+  name: 'touchUpSource',
+  isEnabled: hasTouchUps,
+  apply: prepareTouchUps,
+};
+
+export const touchUpStage = {
+  name: 'touchUp',
+  isEnabled: hasTouchUps,
+  apply: applyTouchUps,
+};
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { touchUpStage } from './touchUp.js';
+import { runPipeline } from '../pipeline.js';
+import { createImage } from '../image.js';
+import { ERASE, RESTORE } from '../strokes.js';
+
+// A 4x1 image: black, mid gray (above the threshold used below), black, white
+const strip = () => createImage(4, 1, Uint8ClampedArray.from([
+  0, 0, 0, 255,
+  128, 128, 128, 255,
+  0, 0, 0, 255,
+  255, 255, 255, 255,
+]));
+
+const alphas = (image) => [...image.data.filter((_, i) => i % 4 === 3)];
+
+test('the stage is disabled without strokes', () => {
+  assert.equal(touchUpStage.isEnabled({ touchUps: [] }), false);
+  assert.equal(touchUpStage.isEnabled({ touchUps: [{ tool: ERASE, size: 1, points: [[0, 0]] }] }), true);
+});
+
+test('the eraser clears ink whatever the threshold', () => {
+  const touchUps = [{ tool: ERASE, size: 1, points: [[0.5, 0.5]] }];
+  assert.deepEqual(alphas(runPipeline(strip(), { luminanceThreshold: 100, touchUps }).image), [0, 0, 255, 0]);
+  assert.deepEqual(alphas(runPipeline(strip(), { luminanceThreshold: 200, touchUps }).image), [0, 255, 255, 0]);
+});
+
+test('the restore brush brings back ink the eraser removed', () => {
+  const erase = { tool: ERASE, size: 1, points: [[0.5, 0.5], [1.5, 0.5]] };
+  const restore = { tool: RESTORE, size: 1, points: [[1.5, 0.5], [3.5, 0.5]] };
+  const { image } = runPipeline(strip(), { luminanceThreshold: 200, inkColor: '#000080', touchUps: [erase, restore] });
+  // Gray comes back in the ink color; the erased black stays gone and white paper stays transparent
+  assert.deepEqual(alphas(image), [0, 255, 255, 0]);
+  assert.deepEqual([...image.data.subarray(4, 7)], [0, 0, 128]);
+});
+
+test('paper under the restore brush stays clear', () => {
+  // Scanned paper a little lighter than the threshold, and a faint stroke on the soft ramp
+  const paper = createImage(2, 1, Uint8ClampedArray.from([215, 215, 215, 255, 190, 190, 190, 255]));
+  const touchUps = [{ tool: RESTORE, size: 4, points: [[1, 0.5]] }];
+  const { image } = runPipeline(paper, { luminanceThreshold: 200, edgeMode: 'soft', rampWidth: 40, touchUps });
+  assert.deepEqual(alphas(image), [0, 64]);
+});
+
+test('strokes follow the image when it is rotated', () => {
+  // The first pixel ends up at the top of a 1x4 image after turning 90 degrees clockwise
+  const touchUps = [{ tool: ERASE, size: 1, points: [[0.5, 0.5]] }];
+  const { image } = runPipeline(strip(), { rotation: 90, luminanceThreshold: 100, touchUps });
+  assert.equal(image.height, 4);
+  assert.deepEqual(alphas(image), [0, 0, 255, 0]);
+});
@@ -0,0 +1,32 @@
+/**
+ * Transform stage.
+ * Flips and rotates the source image before thresholding, so the threshold and
+ * every later stage (and any crop) work on the straightened image.
+ */
+import { flipImage, rotateImage } from '../geometry.js';
+
+/**
+ * Applies the flips, then the rotation.
+ * @param {Object} image - Image buffer { width, height, data }.
+ * @param {Object} options - Pipeline options.
+ * @param {number} options.rotation - Clockwise rotation in degrees.
+ * @param {boolean} options.flipHorizontal - Mirror left to right.
+ * @param {boolean} options.flipVertical - Mirror top to bottom.
+ * @returns {Object} New image buffer.
+ */
+const applyTransform = (image, { rotation, flipHorizontal, flipVertical }) => {
+  let output = image;
+  if (flipHorizontal || flipVertical) {
+    output = flipImage(output, flipHorizontal, flipVertical);
+  }
+  if (rotation % 360 !== 0) {
+    output = rotateImage(output, rotation);
+  }
+  return output;
+};
+
+export const transformStage = {
+  name: 'transform',
+  isEnabled: (options) => options.rotation % 360 !== 0 || options.flipHorizontal || options.flipVertical,
+  apply: applyTransform,
+};
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { transformStage } from './transform.js';
+import { runPipeline } from '../pipeline.js';
+import { createImage } from '../image.js';
+
+const options = { rotation: 0, flipHorizontal: false, flipVertical: false };
+
+test('the stage is disabled without rotation or flips', () => {
+  assert.equal(transformStage.isEnabled(options), false);
+  assert.equal(transformStage.isEnabled({ ...options, rotation: 360 }), false);
+  assert.equal(transformStage.isEnabled({ ...options, rotation: 1.5 }), true);
+  assert.equal(transformStage.isEnabled({ ...options, flipVertical: true }), true);
+});
+
+test('rotation happens before thresholding in the pipeline', () => {
+  // A dark pixel at the left of a white 2x1 image ends up at the top after a 90 degree turn
+  const input = createImage(2, 1, Uint8ClampedArray.from([0, 0, 0, 255, 255, 255, 255, 255]));
+  const { image } = runPipeline(input, { rotation: 90 });
+  assert.equal(image.width, 1);
+  assert.equal(image.height, 2);
+  assert.deepEqual([...image.data], [0, 0, 0, 255, 255, 255, 255, 0]);
+});
+
+test('corners uncovered by rotation are removed as background', () => {
+  const input = createImage(20, 20);
+  input.data.fill(0);
+  for (let i = 3; i < input.data.length; i += 4) input.data[i] = 255; // Opaque black
+  const { image } = runPipeline(input, { rotation: 30 });
+  assert.equal(image.data[3], 0);
+});
@@ -0,0 +1,67 @@
+/**
+ * Rasterizes touch-up strokes into a per-pixel mask.
+ */
+
+// Touch-up tools; the mask stores the tool of the last stroke over each pixel
+export const ERASE = 'erase';
+export const RESTORE = 'restore';
+export const MASK_ERASE = 1;
+export const MASK_RESTORE = 2;
+
+/**
+ * Squared distance from a point to a line segment.
+ * @param {number} px - Point X.
+ * @param {number} py - Point Y.
+ * @param {Array<number>} a - Segment start [x, y].
+ * @param {Array<number>} b - Segment end [x, y].
+ * @returns {number} Squared distance.
+ */
+const segmentDistanceSquared = (px, py, a, b) => {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.min(1, Math.max(0, ((px - a[0]) * dx + (py - a[1]) * dy) / lengthSquared));
+  const ex = px - (a[0] + t * dx);
+  const ey = py - (a[1] + t * dy);
+  return ex * ex + ey * ey;
+};
+
+/**
+ * Paints strokes into a mask. A pixel is covered when its center lies within half the
+ * brush size of the stroke's path; later strokes win over earlier ones.
+ * @param {Array<Object>} strokes - Strokes { tool, size, points: [[x, y], ...] }.
+ * @param {number} width - Mask width.
+ * @param {number} height - Mask height.
+ * @param {Function} [mapPoint] - Converts a stroke point [x, y] to mask coordinates (e.g. through a rotation),
+ *   optionally as [x, y, scale] where scale stretches the brush size at that point.
+ * @returns {Uint8Array} One entry per pixel: 0, MASK_ERASE or MASK_RESTORE.
+ */
+export const rasterizeStrokes = (strokes, width, height, mapPoint = (point) => point) => {
+  const mask = new Uint8Array(width * height);
+
+  strokes.forEach(({ tool, size, points }) => {
+    if (points.length === 0) return;
+    const value = tool === RESTORE ? MASK_RESTORE : MASK_ERASE;
+    const mapped = points.map(mapPoint);
+
+    // A single point is painted as a dot
+    const segments = mapped.length === 1 ? [[mapped[0], mapped[0]]] : mapped.slice(1).map((point, i) => [mapped[i], point]);
+    segments.forEach(([a, b]) => {
+      // Points are close together along a stroke, so the brush size of a segment is the average of its ends
+      const radius = (size / 2) * (((a[2] ?? 1) + (b[2] ?? 1)) / 2);
+      const minX = Math.max(0, Math.floor(Math.min(a[0], b[0]) - radius));
+      const maxX = Math.min(width - 1, Math.ceil(Math.max(a[0], b[0]) + radius));
+      const minY = Math.max(0, Math.floor(Math.min(a[1], b[1]) - radius));
+      const maxY = Math.min(height - 1, Math.ceil(Math.max(a[1], b[1]) + radius));
+      for (let y = minY; y <= maxY; y++) {
+        for (let x = minX; x <= maxX; x++) {
+          if (segmentDistanceSquared(x + 0.5, y + 0.5, a, b) <= radius * radius) {
+            mask[y * width + x] = value;
+          }
+        }
+      }
+    });
+  });
+
+  return mask;
+};
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ERASE, MASK_ERASE, MASK_RESTORE, RESTORE, rasterizeStrokes } from './strokes.js';
+
+// Turns a mask into rows of '.', 'E' (erase) and 'R' (restore)
+const maskRows = (mask, width) => {
+  const symbols = ['.', 'E', 'R'];
+  const rows = [];
+  for (let i = 0; i < mask.length; i += width) {
+    rows.push([...mask.subarray(i, i + width)].map((value) => symbols[value]).join(''));
+  }
+  return rows;
+};
+
+test('a single point paints a dot', () => {
+  const mask = rasterizeStrokes([{ tool: ERASE, size: 2, points: [[2.5, 2.5]] }], 5, 5);
+  assert.deepEqual(maskRows(mask, 5), ['.....', '..E..', '.EEE.', '..E..', '.....']);
+});
+
+test('a line paints every pixel along its path', () => {
+  const mask = rasterizeStrokes([{ tool: RESTORE, size: 1, points: [[0.5, 1.5], [5.5, 1.5]] }], 6, 3);
+  assert.deepEqual(maskRows(mask, 6), ['......', 'RRRRRR', '......']);
+});
+
+test('later strokes win over earlier ones', () => {
+  const mask = rasterizeStrokes([
+    { tool: RESTORE, size: 1, points: [[0.5, 0.5], [2.5, 0.5]] },
+    { tool: ERASE, size: 1, points: [[1.5, 0.5]] },
+  ], 3, 1);
+  assert.deepEqual([...mask], [MASK_RESTORE, MASK_ERASE, MASK_RESTORE]);
+});
+
+test('points are mapped before painting', () => {
+  const mask = rasterizeStrokes([{ tool: ERASE, size: 1, points: [[0.5, 0.5]] }], 3, 1, ([x, y]) => [x + 2, y]);
+  assert.deepEqual(maskRows(mask, 3), ['..E']);
+});
+
+test('a scale from the mapping widens the brush at that point', () => {
+  const mask = rasterizeStrokes([{ tool: ERASE, size: 1, points: [[2.5, 0.5]] }], 5, 1, ([x, y]) => [x, y, 3]);
+  assert.deepEqual(maskRows(mask, 5), ['.EEE.']);
+});
@@ -0,0 +1,11 @@
+/**
+ * Image fixtures shared by the processing tests.
+ */
+import { createImage } from './image.js';
+
+/**
+ * Builds a single-row image from a list of pixels.
+ * @param {Array<Array<number>>} pixels - [r, g, b, a] values, left to right.
+ * @returns {Object} Image buffer { width, height, data }.
+ */
+export const imageFromPixels = (pixels) => createImage(pixels.length, 1, Uint8ClampedArray.from(pixels.flat()));
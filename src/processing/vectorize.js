@@ -0,0 +1,248 @@
+/**
+ * Bitmap to SVG vectorization.
+ * Traces the outlines of the ink along pixel edges, simplifies each outline
+ * with Ramer-Douglas-Peucker and smooths it into cubic Bézier curves, keeping
+ * sharp corners where the outline turns abruptly (similar in spirit to potrace).
+ */
+
+// Directions along pixel edges: right, down, left, up (clockwise in y-down coordinates)
+const STEPS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+
+// Outlines turning more sharply than this (in degrees) keep a hard corner
+const CORNER_ANGLE = 80;
+
+/**
+ * Builds a binary ink mask.
+ * @param {Object} image - Image buffer { width, height, data }.
+ * @param {number} [minAlpha] - Pixels at least this opaque count as ink.
+ * @returns {Uint8Array} 1 for ink, 0 for background, per pixel.
+ */
+export const createInkMask = (image, minAlpha = 128) => {
+  const mask = new Uint8Array(image.width * image.height);
+  for (let p = 0; p < mask.length; p++) {
+    mask[p] = image.data[p * 4 + 3] >= minAlpha ? 1 : 0;
+  }
+  return mask;
+};
+
+/**
+ * Traces the boundaries between ink and background into closed outlines.
+ * Outer outlines run clockwise and holes counter-clockwise, so they can be
+ * filled with either fill rule.
+ * @param {Uint8Array} mask - Ink mask from createInkMask.
+ * @param {number} width - Mask width.
+ * @param {number} height - Mask height.
+ * @returns {Array<Array<Array<number>>>} Outlines as lists of [x, y] pixel-corner points.
+ */
+export const traceOutlines = (mask, width, height) => {
+  const stride = width + 1;
+  // Bit d set at a corner means an unvisited boundary edge leaves it in direction d
+  const edges = new Uint8Array(stride * (height + 1));
+  const isInk = (x, y) => x >= 0 && y >= 0 && x < width && y < height && mask[y * width + x] === 1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!isInk(x, y)) continue;
+      // Keep the ink on the right-hand side of every edge
+      if (!isInk(x, y - 1)) edges[y * stride + x] |= 1; // Top edge, heading right
+      if (!isInk(x + 1, y)) edges[y * stride + x + 1] |= 2; // Right edge, heading down
+      if (!isInk(x, y + 1)) edges[(y + 1) * stride + x + 1] |= 4; // Bottom edge, heading left
+      if (!isInk(x - 1, y)) edges[(y + 1) * stride + x] |= 8; // Left edge, heading up
+    }
+  }
+
+  const outlines = [];
+  for (let start = 0; start < edges.length; start++) {
+    while (edges[start] !== 0) {
+      const startDirection = Math.log2(edges[start] & -edges[start]);
+      const outline = [];
+      let vertex = start;
+      let direction = startDirection;
+
+      for (;;) {
+        outline.push([vertex % stride, Math.floor(vertex / stride)]);
+        edges[vertex] &= ~(1 << direction);
+        vertex += STEPS[direction][0] + STEPS[direction][1] * stride;
+
+        // Prefer turning right, then straight, then left. At corners where two
+        // outlines touch diagonally this keeps them apart.
+        const turns = [(direction + 1) % 4, direction, (direction + 3) % 4];
+        const available = edges[vertex] | (vertex === start ? 1 << startDirection : 0);
+        const next = turns.find((turn) => available & (1 << turn));
+        if (next === undefined || (vertex === start && next === startDirection)) break;
+        direction = next;
+      }
+
+      outlines.push(outline);
+    }
+  }
+
+  return outlines;
+};
+
+/**
+ * Distance from a point to the line through two points.
+ * @param {Array<number>} point - [x, y].
+ * @param {Array<number>} a - Line start.
+ * @param {Array<number>} b - Line end.
+ * @returns {number} Distance in pixels.
+ */
+const distanceToLine = (point, a, b) => {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const length = Math.hypot(dx, dy);
+  if (length === 0) return Math.hypot(point[0] - a[0], point[1] - a[1]);
+  return Math.abs(dy * point[0] - dx * point[1] + b[0] * a[1] - b[1] * a[0]) / length;
+};
+
+/**
+ * Ramer-Douglas-Peucker simplification of an open polyline.
+ * @param {Array<Array<number>>} points - Polyline points.
+ * @param {number} tolerance - Largest allowed deviation in pixels.
+ * @returns {Array<Array<number>>} Simplified polyline (keeps both ends).
+ */
+const simplifyPolyline = (points, tolerance) => {
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+  const ranges = [[0, points.length - 1]];
+
+  while (ranges.length > 0) {
+    const [first, last] = ranges.pop();
+    let farthest = -1;
+    let farthestDistance = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToLine(points[i], points[first], points[last]);
+      if (distance > farthestDistance) {
+        farthest = i;
+        farthestDistance = distance;
+      }
+    }
+    if (farthest !== -1) {
+      keep[farthest] = 1;
+      ranges.push([first, farthest], [farthest, last]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+};
+
+/**
+ * Simplifies a closed outline, splitting it at two far-apart points first.
+ * @param {Array<Array<number>>} outline - Closed outline points.
+ * @param {number} tolerance - Largest allowed deviation in pixels.
+ * @returns {Array<Array<number>>} Simplified closed outline.
+ */
+export const simplifyOutline = (outline, tolerance) => {
+  if (outline.length <= 4 || tolerance <= 0) return outline;
+
+  let split = 0;
+  let splitDistance = -1;
+  outline.forEach((point, i) => {
+    const distance = Math.hypot(point[0] - outline[0][0], point[1] - outline[0][1]);
+    if (distance > splitDistance) {
+      split = i;
+      splitDistance = distance;
+    }
+  });
+
+  const first = simplifyPolyline(outline.slice(0, split + 1), tolerance);
+  const second = simplifyPolyline([...outline.slice(split), outline[0]], tolerance);
+  const simplified = [...first, ...second.slice(1, -1)];
+  return simplified.length >= 3 ? simplified : outline;
+};
+
+/**
+ * Formats a coordinate with at most two decimals.
+ * @param {number} value - Coordinate.
+ * @returns {string} Compact number.
+ */
+const formatNumber = (value) => String(Math.round(value * 100) / 100);
+
+/**
+ * Converts a closed polygon into SVG path commands, smoothing it with
+ * Catmull-Rom style Bézier curves except at sharp corners.
+ * @param {Array<Array<number>>} points - Closed polygon points.
+ * @param {number} smoothing - 0 for straight lines, 1 for full Catmull-Rom curves.
+ * @returns {string} Path data for one closed subpath.
+ */
+export const outlineToPath = (points, smoothing) => {
+  const n = points.length;
+  const commands = [`M${formatNumber(points[0][0])} ${formatNumber(points[0][1])}`];
+
+  if (smoothing <= 0) {
+    for (let i = 1; i < n; i++) {
+      commands.push(`L${formatNumber(points[i][0])} ${formatNumber(points[i][1])}`);
+    }
+    return `${commands.join('')}Z`;
+  }
+
+  // Tangent at each point, zeroed at sharp corners so they stay crisp
+  const tangents = points.map((point, i) => {
+    const previous = points[(i - 1 + n) % n];
+    const next = points[(i + 1) % n];
+    const inAngle = Math.atan2(point[1] - previous[1], point[0] - previous[0]);
+    const outAngle = Math.atan2(next[1] - point[1], next[0] - point[0]);
+    let turn = Math.abs(outAngle - inAngle) * (180 / Math.PI);
+    if (turn > 180) turn = 360 - turn;
+    if (turn > CORNER_ANGLE) return [0, 0];
+    return [((next[0] - previous[0]) * smoothing) / 6, ((next[1] - previous[1]) * smoothing) / 6];
+  });
+
+  for (let i = 0; i < n; i++) {
+    const from = points[i];
+    const to = points[(i + 1) % n];
+    const c1 = [from[0] + tangents[i][0], from[1] + tangents[i][1]];
+    const c2 = [to[0] - tangents[(i + 1) % n][0], to[1] - tangents[(i + 1) % n][1]];
+    commands.push(`C${[...c1, ...c2, ...to].map(formatNumber).join(' ')}`);
+  }
+  return `${commands.join('')}Z`;
+};
+
+/**
+ * Averages the color of the ink pixels, used as the SVG fill.
+ * @param {Object} image - Image buffer { width, height, data }.
+ * @param {Uint8Array} mask - Ink mask.
+ * @returns {string} '#rrggbb' color (black if there is no ink).
+ */
+export const averageInkColor = (image, mask) => {
+  const totals = [0, 0, 0];
+  let count = 0;
+  for (let p = 0; p < mask.length; p++) {
+    if (!mask[p]) continue;
+    totals[0] += image.data[p * 4];
+    totals[1] += image.data[p * 4 + 1];
+    totals[2] += image.data[p * 4 + 2];
+    count += 1;
+  }
+  if (count === 0) return '#000000';
+  return `#${totals.map((total) => Math.round(total / count).toString(16).padStart(2, '0')).join('')}`;
+};
+
+/**
+ * Vectorizes the ink of a refined image into an SVG document.
+ * @param {Object} image - Refined image buffer { width, height, data }.
+ * @param {Object} [options] - Vectorization options.
+ * @param {number} [options.tolerance] - Largest outline deviation in pixels (higher is simpler).
+ * @param {number} [options.smoothing] - 0 for straight segments up to 1 for fully smoothed curves.
+ * @param {string} [options.color] - Fill color; defaults to the average ink color.
+ * @param {number} [options.minAlpha] - Pixels at least this opaque count as ink.
+ * @returns {Object} { svg, pathData, fill, pathCount, pointCount } where pathData is the
+ *   `d` attribute of the single SVG path, in image pixels.
+ */
+export const vectorizeImage = (image, { tolerance = 1, smoothing = 1, color, minAlpha = 128 } = {}) => {
+  const { width, height } = image;
+  const mask = createInkMask(image, minAlpha);
+  const outlines = traceOutlines(mask, width, height).map((outline) => simplifyOutline(outline, tolerance));
+  const fill = color || averageInkColor(image, mask);
+  const pathData = outlines.map((outline) => outlineToPath(outline, smoothing)).join('');
+  const pointCount = outlines.reduce((sum, outline) => sum + outline.length, 0);
+
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    pathData ? `<path fill="${fill}" fill-rule="evenodd" d="${pathData}"/>` : '',
+    '</svg>',
+  ].join('');
+
+  return { svg, pathData, fill, pathCount: outlines.length, pointCount };
+};
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  averageInkColor,
+  createInkMask,
+  outlineToPath,
+  simplifyOutline,
+  traceOutlines,
+  vectorizeImage,
+} from './vectorize.js';
+import { createImage } from './image.js';
+
+// Builds a mask and its size from rows of '#' (ink) and '.' (background)
+const maskFromRows = (rows) => ({
+  mask: Uint8Array.from(rows.join('').split('').map((cell) => (cell === '#' ? 1 : 0))),
+  width: rows[0].length,
+  height: rows.length,
+});
+
+// Signed area of a polygon; positive for clockwise outlines in y-down coordinates
+const signedArea = (points) => points.reduce((sum, [x, y], i) => {
+  const [nx, ny] = points[(i + 1) % points.length];
+  return sum + (x * ny - nx * y);
+}, 0) / 2;
+
+test('traceOutlines follows the edges of a single pixel', () => {
+  const { mask, width, height } = maskFromRows(['#']);
+  assert.deepEqual(traceOutlines(mask, width, height), [[[0, 0], [1, 0], [1, 1], [0, 1]]]);
+});
+
+test('traceOutlines returns a clockwise outer outline and a counter-clockwise hole', () => {
+  const { mask, width, height } = maskFromRows([
+    '###',
+    '#.#',
+    '###',
+  ]);
+  const outlines = traceOutlines(mask, width, height);
+  assert.equal(outlines.length, 2);
+  const areas = outlines.map(signedArea).sort((a, b) => a - b);
+  assert.deepEqual(areas, [-1, 9]);
+});
+
+test('traceOutlines keeps diagonally touching pixels apart', () => {
+  const { mask, width, height } = maskFromRows([
+    '#.',
+    '.#',
+  ]);
+  const outlines = traceOutlines(mask, width, height);
+  assert.equal(outlines.length, 2);
+  outlines.forEach((outline) => assert.equal(signedArea(outline), 1));
+});
+
+test('simplifyOutline collapses straight runs', () => {
+  const { mask, width, height } = maskFromRows(['########', '########']);
+  const [outline] = traceOutlines(mask, width, height);
+  assert.equal(outline.length, 20);
+  const simplified = simplifyOutline(outline, 0.5);
+  assert.equal(simplified.length, 4);
+  assert.equal(signedArea(simplified), 16);
+});
+
+test('outlineToPath writes lines without smoothing and curves with it', () => {
+  const square = [[0, 0], [4, 0], [4, 4], [0, 4]];
+  assert.equal(outlineToPath(square, 0), 'M0 0L4 0L4 4L0 4Z');
+  // Right angles stay sharp corners, so the curves degenerate to straight segments
+  assert.equal(outlineToPath(square, 1), 'M0 0C0 0 4 0 4 0C4 0 4 4 4 4C4 4 0 4 0 4C0 4 0 0 0 0Z');
+  const octagon = [[2, 0], [4, 0], [6, 2], [6, 4], [4, 6], [2, 6], [0, 4], [0, 2]];
+  assert.ok(outlineToPath(octagon, 1).startsWith('M2 0C2.67 -0.33 3.33 -0.33 4 0C'));
+});
+
+test('createInkMask and averageInkColor read the refined pixels', () => {
+  const image = createImage(3, 1, Uint8ClampedArray.from([0, 0, 128, 255, 0, 0, 0, 0, 0, 0, 64, 200]));
+  const mask = createInkMask(image);
+  assert.deepEqual([...mask], [1, 0, 1]);
+  assert.equal(averageInkColor(image, mask), '#000060');
+});
+
+test('vectorizeImage produces an SVG with the image size and ink color', () => {
+  const image = createImage(4, 2);
+  for (let p = 0; p < 8; p++) {
+    image.data.set([0, 0, 139, 255], p * 4);
+  }
+  const { svg, pathData, fill, pathCount } = vectorizeImage(image, { tolerance: 1, smoothing: 0 });
+  assert.equal(pathCount, 1);
+  assert.equal(pathData, 'M0 0L4 0L4 2L0 2Z');
+  assert.equal(fill, '#00008b');
+  assert.ok(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" width="4" height="2" viewBox="0 0 4 2">'));
+  assert.ok(svg.includes('fill="#00008b"'));
+  assert.ok(svg.includes('d="M0 0L4 0L4 2L0 2Z"'));
+});
+
+test('vectorizeImage of an empty image has no path', () => {
+  const { svg, pathCount } = vectorizeImage(createImage(2, 2));
+  assert.equal(pathCount, 0);
+  assert.ok(!svg.includes('<path'));
+});
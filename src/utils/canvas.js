@@ -0,0 +1,78 @@
+/**
+ * Small DOM helpers for loading images and reading their pixels.
+ */
+import { rotatedSize } from '../processing/geometry.js';
+
+/**
+ * Loads an image from a URL (data URL, object URL, ...).
+ * @param {string} url - Image URL.
+ * @returns {Promise<HTMLImageElement>} The decoded image.
+ */
+export const loadImage = (url) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error('Could not load image.'));
+  img.src = url;
+});
+
+/**
+ * Decodes an image file (or any image Blob).
+ * @param {Blob} file - Image file.
+ * @returns {Promise<HTMLImageElement>} The decoded image.
+ */
+export const loadImageFile = async (file) => {
+  const url = URL.createObjectURL(file);
+  try {
+    return await loadImage(url);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+/**
+ * Creates a detached canvas of the given size.
+ * @param {number} width - Canvas width.
+ * @param {number} height - Canvas height.
+ * @returns {HTMLCanvasElement} The canvas.
+ */
+export const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+/**
+ * Reads the pixels of a decoded image.
+ * @param {CanvasImageSource} source - Image to read (must expose width and height).
+ * @returns {ImageData} The pixels.
+ */
+export const getImagePixels = (source) => {
+  const canvas = createCanvas(source.width, source.height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0);
+  return ctx.getImageData(0, 0, source.width, source.height);
+};
+
+/**
+ * Draws the source image with the same flips and rotation as the refine pipeline,
+ * cut to the region of the rotated image the refined output covers, so the original
+ * lines up pixel for pixel with the refined result.
+ * @param {HTMLCanvasElement} canvas - Target canvas; resized to the region.
+ * @param {CanvasImageSource} source - Original image (must expose width and height).
+ * @param {Object} geometry - { rotation, flipHorizontal, flipVertical, region } where region
+ *   is the { x, y, width, height } box reported by the pipeline.
+ */
+export const drawAlignedSource = (canvas, source, { rotation, flipHorizontal, flipVertical, region }) => {
+  const size = rotatedSize(source.width, source.height, rotation);
+  canvas.width = region.width;
+  canvas.height = region.height;
+
+  const ctx = canvas.getContext('2d');
+  ctx.save();
+  ctx.translate(size.width / 2 - region.x, size.height / 2 - region.y);
+  ctx.rotate((rotation * Math.PI) / 180);
+  ctx.scale(flipHorizontal ? -1 : 1, flipVertical ? -1 : 1);
+  ctx.drawImage(source, -source.width / 2, -source.height / 2);
+  ctx.restore();
+};
@@ -0,0 +1,44 @@
+/**
+ * Helpers for getting images in by drag-and-drop or paste, and out through the clipboard.
+ */
+
+/**
+ * Collects the files carried by a drop or paste.
+ * Screenshot tools put the image on the clipboard as an unnamed file, which gets a
+ * name here so it can be shown and saved like an uploaded one.
+ * @param {DataTransfer|null} transfer - event.dataTransfer or event.clipboardData.
+ * @returns {Array<File>} The files, in order; empty if there are none (e.g. pasted text).
+ */
+export const getTransferFiles = (transfer) => {
+  if (!transfer) return [];
+  let files = [...(transfer.files || [])];
+  if (files.length === 0 && transfer.items) {
+    // Some browsers only expose pasted images through items
+    files = [...transfer.items]
+      .filter((item) => item.kind === 'file')
+      .map((item) => item.getAsFile())
+      .filter(Boolean);
+  }
+  return files.map((file) => (file.name ? file : new File([file], 'pasted_image.png', { type: file.type })));
+};
+
+/**
+ * Checks whether a drag carries files (rather than text or a link).
+ * @param {DataTransfer|null} transfer - event.dataTransfer.
+ * @returns {boolean} True if files are being dragged.
+ */
+export const hasTransferFiles = (transfer) => Boolean(transfer?.types && [...transfer.types].includes('Files'));
+
+/**
+ * Puts a PNG on the system clipboard, where Word, Google Docs and most editors can paste it
+ * with its transparency.
+ * @param {Blob|Promise<Blob>} png - The image, or a promise for it. Passing a promise keeps
+ *   the click that started the copy valid in Safari while the image is fetched.
+ * @returns {Promise<void>} Resolves once the clipboard holds the image.
+ */
+export const copyPngToClipboard = async (png) => {
+  if (typeof ClipboardItem === 'undefined' || !navigator.clipboard?.write) {
+    throw new Error('This browser cannot copy images to the clipboard.');
+  }
+  await navigator.clipboard.write([new ClipboardItem({ 'image/png': png })]);
+};
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTransferFiles, hasTransferFiles } from './clipboard.js';
+
+const png = (name) => new File(['png'], name, { type: 'image/png' });
+
+test('getTransferFiles reads dropped files in order', () => {
+  const files = [png('a.png'), new File(['text'], 'notes.txt', { type: 'text/plain' })];
+  assert.deepEqual(getTransferFiles({ files, items: [] }), files);
+});
+
+test('getTransferFiles falls back to file items and names unnamed pastes', () => {
+  const items = [
+    { kind: 'string', getAsFile: () => null },
+    { kind: 'file', getAsFile: () => png('') },
+  ];
+  const [file, ...rest] = getTransferFiles({ files: [], items });
+  assert.equal(rest.length, 0);
+  assert.equal(file.name, 'pasted_image.png');
+  assert.equal(file.type, 'image/png');
+});
+
+test('getTransferFiles is empty for text and missing transfers', () => {
+  assert.deepEqual(getTransferFiles({ files: [], items: [{ kind: 'string', getAsFile: () => null }] }), []);
+  assert.deepEqual(getTransferFiles(null), []);
+});
+
+test('hasTransferFiles only accepts file drags', () => {
+  assert.equal(hasTransferFiles({ types: ['Files'] }), true);
+  assert.equal(hasTransferFiles({ types: ['text/plain'] }), false);
+  assert.equal(hasTransferFiles(null), false);
+});
@@ -0,0 +1,30 @@
+/**
+ * CRC-32 (IEEE 802.3), as used by PNG chunks and ZIP entries.
+ */
+
+// Lookup table for the reflected polynomial 0xEDB88320
+const TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Computes the CRC-32 of some bytes.
+ * @param {Uint8Array} bytes - Input bytes.
+ * @param {number} [crc] - Running CRC from a previous call, to checksum data in pieces.
+ * @returns {number} Unsigned 32-bit checksum.
+ */
+export const crc32 = (bytes, crc = 0) => {
+  let c = (crc ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < bytes.length; i++) {
+    c = TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+};
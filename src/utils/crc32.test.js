@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32 } from './crc32.js';
+
+const bytes = (text) => new TextEncoder().encode(text);
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(bytes('123456789')), 0xcbf43926);
+  assert.equal(crc32(new Uint8Array(0)), 0);
+});
+
+test('crc32 can be computed in pieces', () => {
+  assert.equal(crc32(bytes('6789'), crc32(bytes('12345'))), 0xcbf43926);
+});
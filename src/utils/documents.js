@@ -0,0 +1,152 @@
+/**
+ * Importing a page of a scanned document (PDF or multi-page TIFF) as a source image.
+ * Everything runs in the browser: PDFs are rendered with pdf.js, TIFFs decoded with UTIF.
+ */
+import { createCanvas } from './canvas.js';
+
+// Resolutions offered for rasterizing a page, in dots per inch
+export const DOCUMENT_DPI_OPTIONS = [72, 150, 200, 300, 600];
+
+export const DEFAULT_DOCUMENT_DPI = 200;
+
+// Largest page the browser is asked to draw; bigger canvases fail silently on iOS Safari
+export const MAX_PAGE_PIXELS = 4096 * 4096;
+
+// PDF sizes are in points, 72 to the inch
+const PDF_POINTS_PER_INCH = 72;
+
+/**
+ * Tells whether a file is a document to pick a page from, rather than a plain image.
+ * Checks the extension too, since PDFs and TIFFs often arrive without a MIME type.
+ * @param {File} file - The file.
+ * @returns {string|null} 'pdf', 'tiff', or null for anything else.
+ */
+export const getDocumentKind = (file) => {
+  const name = file.name.toLowerCase();
+  if (file.type === 'application/pdf' || name.endsWith('.pdf')) return 'pdf';
+  if (file.type === 'image/tiff' || /\.tiff?$/.test(name)) return 'tiff';
+  return null;
+};
+
+/**
+ * Works out the pixel size of a page rendered at a resolution.
+ * Pages without a known resolution (some TIFFs) are kept at their own pixel size.
+ * @param {Object} page - Page { width, height, dpi } where width and height are in the
+ *   page's own units (pixels for TIFF, points for PDF) and dpi is units per inch, or null.
+ * @param {number} dpi - Wanted resolution.
+ * @returns {Object} { width, height, scale, isLimited } where scale converts page units to
+ *   pixels and isLimited is true if the page had to be rendered smaller than asked.
+ */
+export const getRenderSize = (page, dpi) => {
+  let scale = page.dpi ? dpi / page.dpi : 1;
+  const pixels = page.width * page.height * scale * scale;
+  const isLimited = pixels > MAX_PAGE_PIXELS;
+  if (isLimited) scale *= Math.sqrt(MAX_PAGE_PIXELS / pixels);
+  return {
+    width: Math.max(1, Math.floor(page.width * scale)),
+    height: Math.max(1, Math.floor(page.height * scale)),
+    scale,
+    isLimited,
+  };
+};
+
+/**
+ * Works out the pixel size of a page thumbnail.
+ * @param {Object} page - Page { width, height, dpi }.
+ * @param {number} maxSide - Longest side of the thumbnail in pixels.
+ * @returns {Object} { width, height, scale } like getRenderSize.
+ */
+export const getThumbnailSize = (page, maxSide) => {
+  const scale = Math.min(1, maxSide / Math.max(page.width, page.height));
+  return {
+    width: Math.max(1, Math.round(page.width * scale)),
+    height: Math.max(1, Math.round(page.height * scale)),
+    scale,
+  };
+};
+
+/**
+ * Names the image made from a document page, e.g. 'contract_page2.png'.
+ * @param {string} fileName - Name of the document.
+ * @param {number} index - Zero-based page index.
+ * @returns {string} File name of the page image.
+ */
+export const getPageFileName = (fileName, index) => {
+  const base = fileName.replace(/\.[^.]+$/, '') || 'document';
+  return `${base}_page${index + 1}.png`;
+};
+
+/**
+ * Opens a PDF with pdf.js, which is only loaded once a PDF is opened.
+ * @param {ArrayBuffer} data - File contents.
+ * @returns {Promise<Object>} { pages, render, close }.
+ */
+const openPdf = async (data) => {
+  const [pdfjs, { default: workerUrl }] = await Promise.all([
+    import('pdfjs-dist'),
+    import('pdfjs-dist/build/pdf.worker.min.mjs?url'),
+  ]);
+  pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+  const pdf = await pdfjs.getDocument({ data }).promise;
+
+  const pages = [];
+  for (let n = 1; n <= pdf.numPages; n++) {
+    const { width, height } = (await pdf.getPage(n)).getViewport({ scale: 1 });
+    pages.push({ width, height, dpi: PDF_POINTS_PER_INCH });
+  }
+
+  const render = async (index, { width, height, scale }) => {
+    const page = await pdf.getPage(index + 1);
+    const canvas = createCanvas(width, height);
+    const viewport = page.getViewport({ scale });
+    await page.render({ canvas, viewport }).promise; // Paper is filled in white
+    return canvas;
+  };
+
+  return { pages, render, close: () => pdf.destroy() };
+};
+
+/**
+ * Opens a multi-page TIFF; the decoder is only loaded once a TIFF is opened.
+ * @param {ArrayBuffer} data - File contents.
+ * @returns {Promise<Object>} { pages, render, close }.
+ */
+const openTiff = async (data) => {
+  const { readTiffPages } = await import('./tiff.js');
+  const tiffPages = readTiffPages(data);
+  const pages = tiffPages.map(({ width, height, dpi }) => ({ width, height, dpi }));
+
+  const render = async (index, { width, height }) => {
+    const image = tiffPages[index].decode();
+    const full = createCanvas(image.width, image.height);
+    full.getContext('2d').putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+    if (width === image.width && height === image.height) return full;
+
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(full, 0, 0, width, height);
+    return canvas;
+  };
+
+  return { pages, render, close: () => {} };
+};
+
+/**
+ * Opens a PDF or TIFF file for picking a page.
+ * @param {File} file - The document.
+ * @returns {Promise<Object>} { pages, render, close } where pages lists { width, height, dpi }
+ *   per page, render(index, size) resolves to a canvas with the page drawn at a size from
+ *   getRenderSize or getThumbnailSize, and close() frees the document.
+ * @throws {Error} If the file cannot be read.
+ */
+export const openDocument = async (file) => {
+  const data = await file.arrayBuffer();
+  if (getDocumentKind(file) === 'tiff') return openTiff(data);
+  try {
+    return await openPdf(data);
+  } catch (err) {
+    if (err?.name === 'PasswordException') throw new Error('This PDF is password protected.');
+    throw new Error('Could not read the PDF file.');
+  }
+};
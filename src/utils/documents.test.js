@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_PAGE_PIXELS, getDocumentKind, getPageFileName, getRenderSize, getThumbnailSize } from './documents.js';
+
+const file = (name, type = '') => new File(['data'], name, { type });
+
+test('getDocumentKind recognises PDFs and TIFFs by type or extension', () => {
+  assert.equal(getDocumentKind(file('scan.pdf', 'application/pdf')), 'pdf');
+  assert.equal(getDocumentKind(file('SCAN.PDF')), 'pdf');
+  assert.equal(getDocumentKind(file('fax.tif')), 'tiff');
+  assert.equal(getDocumentKind(file('fax', 'image/tiff')), 'tiff');
+  assert.equal(getDocumentKind(file('signature.png', 'image/png')), null);
+});
+
+test('getRenderSize converts PDF points to pixels at the chosen resolution', () => {
+  // US Letter is 612 x 792 points
+  assert.deepEqual(getRenderSize({ width: 612, height: 792, dpi: 72 }, 150), { width: 1275, height: 1650, scale: 150 / 72, isLimited: false });
+});
+
+test('getRenderSize resamples TIFF pages and keeps those without a resolution', () => {
+  assert.equal(getRenderSize({ width: 2400, height: 3000, dpi: 300 }, 200).width, 1600);
+  assert.deepEqual(getRenderSize({ width: 800, height: 600, dpi: null }, 300), { width: 800, height: 600, scale: 1, isLimited: false });
+});
+
+test('getRenderSize stays within the largest drawable canvas', () => {
+  const { width, height, isLimited } = getRenderSize({ width: 612, height: 792, dpi: 72 }, 600);
+  assert.equal(isLimited, true);
+  assert.ok(width * height <= MAX_PAGE_PIXELS);
+  assert.ok(Math.abs(width / height - 612 / 792) < 0.01);
+});
+
+test('getThumbnailSize fits the longest side and never enlarges', () => {
+  assert.deepEqual(getThumbnailSize({ width: 612, height: 792, dpi: 72 }, 198), { width: 153, height: 198, scale: 0.25 });
+  assert.deepEqual(getThumbnailSize({ width: 50, height: 20, dpi: null }, 160), { width: 50, height: 20, scale: 1 });
+});
+
+test('getPageFileName numbers pages from one', () => {
+  assert.equal(getPageFileName('contract.signed.pdf', 1), 'contract.signed_page2.png');
+  assert.equal(getPageFileName('.pdf', 0), 'document_page1.png');
+});
@@ -0,0 +1,29 @@
+/**
+ * Helpers to save generated files from the browser.
+ */
+
+/**
+ * Downloads a URL through a temporary link.
+ * @param {string} url - Data URL or object URL to download.
+ * @param {string} filename - Suggested filename.
+ */
+export const downloadUrl = (url, filename) => {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+};
+
+/**
+ * Downloads a Blob, releasing its object URL afterwards.
+ * @param {Blob} blob - File contents.
+ * @param {string} filename - Suggested filename.
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  downloadUrl(url, filename);
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,158 @@
+/**
+ * Export of the refined signature in different formats and sizes.
+ */
+import { parseHexColor } from '../processing/color.js';
+import { setJpegDpi, setPngDpi } from './imageMetadata.js';
+import { canvasToBlob } from '../processing/refine.js';
+import { createCanvas } from './canvas.js';
+
+// Formats offered by the export dialog. Formats without transparency get a background color.
+export const EXPORT_FORMATS = [
+  { id: 'png', label: 'PNG', mimeType: 'image/png', extension: 'png', transparent: true },
+  { id: 'webp', label: 'WebP', mimeType: 'image/webp', extension: 'webp', transparent: true },
+  { id: 'jpeg', label: 'JPEG', mimeType: 'image/jpeg', extension: 'jpg', transparent: false },
+  { id: 'pdf', label: 'PDF', mimeType: 'application/pdf', extension: 'pdf', transparent: false },
+];
+
+// Physical units offered for the print size
+export const UNITS_PER_INCH = { in: 1, cm: 2.54, mm: 25.4 };
+
+// Quality used for the lossy formats
+const LOSSY_QUALITY = 0.92;
+
+/**
+ * Looks up a format by id.
+ * @param {string} id - Format id ('png', 'webp', 'jpeg' or 'pdf').
+ * @returns {Object} Format description.
+ */
+export const getExportFormat = (id) => {
+  const format = EXPORT_FORMATS.find((candidate) => candidate.id === id);
+  if (!format) {
+    throw new TypeError(`Unknown export format "${id}".`);
+  }
+  return format;
+};
+
+/**
+ * Works out the output size in pixels.
+ * @param {Object} size - Requested size.
+ * @param {string} size.mode - 'pixels' (width/height in pixels) or 'physical' (width/height in units at dpi).
+ * @param {number} size.width - Target width.
+ * @param {number} size.height - Target height.
+ * @param {string} [size.unit] - 'in', 'cm' or 'mm' in physical mode.
+ * @param {number} size.dpi - Print resolution in dots per inch.
+ * @returns {Object} { width, height } in whole pixels (at least 1).
+ */
+export const computeExportSize = ({ mode, width, height, unit = 'in', dpi }) => {
+  const toPixels = (value) => {
+    const pixels = mode === 'physical' ? (value / UNITS_PER_INCH[unit]) * dpi : value;
+    return Math.max(1, Math.round(pixels));
+  };
+  return { width: toPixels(width), height: toPixels(height) };
+};
+
+/**
+ * Converts a pixel size to a physical size.
+ * @param {number} pixels - Size in pixels.
+ * @param {string} unit - 'in', 'cm' or 'mm'.
+ * @param {number} dpi - Dots per inch.
+ * @returns {number} Size in the unit, rounded to two decimals.
+ */
+export const pixelsToUnit = (pixels, unit, dpi) => Math.round(((pixels / dpi) * UNITS_PER_INCH[unit]) * 100) / 100;
+
+/**
+ * Builds a safe download filename with the right extension.
+ * @param {string} name - User-entered name (any extension is replaced).
+ * @param {string} formatId - Export format id.
+ * @returns {string} Filename.
+ */
+export const buildFilename = (name, formatId) => {
+  const { extension } = getExportFormat(formatId);
+  const base = (name || '')
+    .trim()
+    .replace(/\.(png|webp|jpe?g|pdf|svg)$/i, '')
+    .replace(/[\\/:*?"<>|]+/g, '_');
+  return `${base || 'refined_signature'}.${extension}`;
+};
+
+/**
+ * Draws the signature onto a canvas of the export size.
+ * @param {CanvasImageSource} source - Refined signature image.
+ * @param {number} width - Output width.
+ * @param {number} height - Output height.
+ * @param {string|null} background - '#rrggbb' fill, or null to keep transparency.
+ * @returns {HTMLCanvasElement} The canvas.
+ */
+const drawExportCanvas = (source, width, height, background) => {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  if (background) {
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, width, height);
+  }
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(source, 0, 0, width, height);
+  return canvas;
+};
+
+/**
+ * Wraps a PNG into a single-page PDF sized to the print size.
+ * @param {Uint8Array} png - Encoded page image.
+ * @param {number} width - Image width in pixels.
+ * @param {number} height - Image height in pixels.
+ * @param {number} dpi - Dots per inch.
+ * @returns {Promise<Uint8Array>} PDF bytes.
+ */
+const createPdf = async (png, width, height, dpi) => {
+  const { PDFDocument } = await import('pdf-lib');
+  const pdf = await PDFDocument.create();
+  const image = await pdf.embedPng(png);
+  // PDF pages are measured in points (72 per inch)
+  const pageWidth = (width / dpi) * 72;
+  const pageHeight = (height / dpi) * 72;
+  const page = pdf.addPage([pageWidth, pageHeight]);
+  page.drawImage(image, { x: 0, y: 0, width: pageWidth, height: pageHeight });
+  return pdf.save();
+};
+
+/**
+ * Renders the signature in the requested format and size.
+ * A PNG at the refined image's own size is the refined PNG itself (with the DPI set),
+ * since redrawing it on a canvas would change the color of semi-transparent pixels.
+ * @param {CanvasImageSource} source - Refined signature image.
+ * @param {Object} settings - Export settings.
+ * @param {string} settings.format - Format id.
+ * @param {number} settings.width - Output width in pixels.
+ * @param {number} settings.height - Output height in pixels.
+ * @param {number} settings.dpi - Print resolution stored in the file.
+ * @param {string} settings.background - '#rrggbb' used by formats without transparency.
+ * @param {Uint8Array} [png] - The refined PNG that source was decoded from.
+ * @returns {Promise<Blob>} The encoded file.
+ */
+export const renderExport = async (source, { format, width, height, dpi, background }, png = null) => {
+  const { mimeType, transparent } = getExportFormat(format);
+  parseHexColor(background); // Validate before drawing
+  if (format === 'png' && png && width === source.width && height === source.height) {
+    return new Blob([setPngDpi(png, dpi)], { type: mimeType });
+  }
+  const canvas = drawExportCanvas(source, width, height, transparent ? null : background);
+
+  if (format === 'pdf') {
+    const png = new Uint8Array(await (await canvasToBlob(canvas, 'image/png')).arrayBuffer());
+    return new Blob([await createPdf(png, width, height, dpi)], { type: mimeType });
+  }
+
+  const blob = await canvasToBlob(canvas, mimeType, LOSSY_QUALITY);
+  if (format === 'webp' && blob.type !== 'image/webp') {
+    throw new Error('This browser cannot encode WebP images.');
+  }
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  if (format === 'png') {
+    return new Blob([setPngDpi(bytes, dpi)], { type: mimeType });
+  }
+  if (format === 'jpeg') {
+    return new Blob([setJpegDpi(bytes, dpi)], { type: mimeType });
+  }
+  return blob;
+};
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildFilename, computeExportSize, getExportFormat, pixelsToUnit, renderExport } from './exportImage.js';
+import { getPngDpi } from './imageMetadata.js';
+import { encodePng } from './png.js';
+import { createImage } from '../processing/image.js';
+
+test('computeExportSize passes pixel sizes through', () => {
+  assert.deepEqual(computeExportSize({ mode: 'pixels', width: 640.4, height: 200, dpi: 300 }), { width: 640, height: 200 });
+});
+
+test('computeExportSize converts physical sizes at the chosen DPI', () => {
+  assert.deepEqual(computeExportSize({ mode: 'physical', width: 2, height: 0.5, unit: 'in', dpi: 300 }), { width: 600, height: 150 });
+  assert.deepEqual(computeExportSize({ mode: 'physical', width: 5.08, height: 2.54, unit: 'cm', dpi: 150 }), { width: 300, height: 150 });
+  assert.deepEqual(computeExportSize({ mode: 'physical', width: 25.4, height: 12.7, unit: 'mm', dpi: 96 }), { width: 96, height: 48 });
+});
+
+test('computeExportSize never returns an empty image', () => {
+  assert.deepEqual(computeExportSize({ mode: 'pixels', width: 0, height: -5, dpi: 300 }), { width: 1, height: 1 });
+});
+
+test('pixelsToUnit is the inverse of the physical conversion', () => {
+  assert.equal(pixelsToUnit(600, 'in', 300), 2);
+  assert.equal(pixelsToUnit(300, 'cm', 150), 5.08);
+});
+
+test('buildFilename adds the format extension and strips unsafe characters', () => {
+  assert.equal(buildFilename('contract sig', 'png'), 'contract sig.png');
+  assert.equal(buildFilename('initials.png', 'jpeg'), 'initials.jpg');
+  assert.equal(buildFilename('a/b:c', 'pdf'), 'a_b_c.pdf');
+  assert.equal(buildFilename('  ', 'webp'), 'refined_signature.webp');
+});
+
+test('getExportFormat rejects unknown formats', () => {
+  assert.equal(getExportFormat('jpeg').extension, 'jpg');
+  assert.throws(() => getExportFormat('gif'), TypeError);
+});
+
+test('a PNG at the refined size is the refined PNG with the DPI set', async () => {
+  const png = encodePng(createImage(4, 3));
+  const blob = await renderExport({ width: 4, height: 3 }, { format: 'png', width: 4, height: 3, dpi: 300, background: '#ffffff' }, png);
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  assert.equal(blob.type, 'image/png');
+  assert.equal(getPngDpi(bytes), 300);
+  assert.deepEqual(bytes.subarray(0, 33), png.subarray(0, 33)); // Signature and header are untouched
+});
@@ -0,0 +1,124 @@
+/**
+ * Writes print resolution (DPI) metadata into encoded images, so a signature
+ * exported at e.g. 300 DPI prints at the intended physical size.
+ * Browsers' canvas encoders don't do this themselves.
+ */
+import { crc32 } from './crc32.js';
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+const INCHES_PER_METER = 39.3701;
+
+/**
+ * Reads a big-endian unsigned 32-bit integer.
+ * @param {Uint8Array} bytes - Buffer.
+ * @param {number} offset - Byte offset.
+ * @returns {number} Value.
+ */
+const readUint32 = (bytes, offset) => (
+  ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0
+);
+
+/**
+ * Writes a big-endian unsigned 32-bit integer.
+ * @param {Uint8Array} bytes - Buffer.
+ * @param {number} offset - Byte offset.
+ * @param {number} value - Value.
+ */
+const writeUint32 = (bytes, offset, value) => {
+  bytes[offset] = (value >>> 24) & 0xff;
+  bytes[offset + 1] = (value >>> 16) & 0xff;
+  bytes[offset + 2] = (value >>> 8) & 0xff;
+  bytes[offset + 3] = value & 0xff;
+};
+
+/**
+ * Builds a PNG pHYs chunk for a resolution.
+ * @param {number} dpi - Dots per inch.
+ * @returns {Uint8Array} Complete chunk (length, type, data, CRC).
+ */
+const createPhysChunk = (dpi) => {
+  const chunk = new Uint8Array(21);
+  const pixelsPerMeter = Math.round(dpi * INCHES_PER_METER);
+  writeUint32(chunk, 0, 9);
+  chunk.set([112, 72, 89, 115], 4); // 'pHYs'
+  writeUint32(chunk, 8, pixelsPerMeter);
+  writeUint32(chunk, 12, pixelsPerMeter);
+  chunk[16] = 1; // Unit: meter
+  writeUint32(chunk, 17, crc32(chunk.subarray(4, 17)));
+  return chunk;
+};
+
+/**
+ * Sets the pHYs (physical pixel size) chunk of a PNG, replacing any existing one.
+ * @param {Uint8Array} png - Encoded PNG.
+ * @param {number} dpi - Dots per inch.
+ * @returns {Uint8Array} New PNG bytes.
+ */
+export const setPngDpi = (png, dpi) => {
+  if (!PNG_SIGNATURE.every((value, i) => png[i] === value)) {
+    throw new TypeError('Not a PNG file.');
+  }
+
+  const parts = [png.subarray(0, 8)];
+  let offset = 8;
+  while (offset < png.length) {
+    const length = readUint32(png, offset);
+    const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+    const end = offset + 12 + length;
+    if (type !== 'pHYs') {
+      parts.push(png.subarray(offset, end));
+    }
+    if (type === 'IHDR') {
+      // pHYs must come before the image data; right after the header is always valid
+      parts.push(createPhysChunk(dpi));
+    }
+    offset = end;
+  }
+
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach((part) => {
+    output.set(part, position);
+    position += part.length;
+  });
+  return output;
+};
+
+/**
+ * Reads the resolution stored in a PNG's pHYs chunk.
+ * @param {Uint8Array} png - Encoded PNG.
+ * @returns {number|null} Dots per inch (rounded), or null if not set in meters.
+ */
+export const getPngDpi = (png) => {
+  let offset = 8;
+  while (offset < png.length) {
+    const length = readUint32(png, offset);
+    const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+    if (type === 'pHYs' && png[offset + 16] === 1) {
+      return Math.round(readUint32(png, offset + 8) / INCHES_PER_METER);
+    }
+    offset += 12 + length;
+  }
+  return null;
+};
+
+/**
+ * Sets the density fields of a JPEG's JFIF header (if it has one).
+ * @param {Uint8Array} jpeg - Encoded JPEG.
+ * @param {number} dpi - Dots per inch.
+ * @returns {Uint8Array} The same bytes, updated in place.
+ */
+export const setJpegDpi = (jpeg, dpi) => {
+  // SOI followed by an APP0 segment with the 'JFIF\0' identifier
+  const isJfif = jpeg[0] === 0xff && jpeg[1] === 0xd8 && jpeg[2] === 0xff && jpeg[3] === 0xe0
+    && String.fromCharCode(...jpeg.subarray(6, 11)) === 'JFIF\0';
+  if (!isJfif) return jpeg;
+
+  const density = Math.min(0xffff, Math.round(dpi));
+  jpeg[13] = 1; // Units: dots per inch
+  jpeg[14] = density >> 8;
+  jpeg[15] = density & 0xff;
+  jpeg[16] = density >> 8;
+  jpeg[17] = density & 0xff;
+  return jpeg;
+};
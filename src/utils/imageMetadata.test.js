@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPngDpi, setJpegDpi, setPngDpi } from './imageMetadata.js';
+import { crc32 } from './crc32.js';
+
+// Smallest valid PNG: 1x1 transparent pixel
+const TINY_PNG = Uint8Array.from(atob(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg=='
+), (c) => c.charCodeAt(0));
+
+// Lists the chunk types of a PNG
+const chunkTypes = (png) => {
+  const types = [];
+  let offset = 8;
+  while (offset < png.length) {
+    const length = new DataView(png.buffer, png.byteOffset).getUint32(offset);
+    types.push(String.fromCharCode(...png.subarray(offset + 4, offset + 8)));
+    offset += 12 + length;
+  }
+  return types;
+};
+
+test('setPngDpi inserts a pHYs chunk after IHDR', () => {
+  const png = setPngDpi(TINY_PNG, 300);
+  assert.deepEqual(chunkTypes(png), ['IHDR', 'pHYs', 'IDAT', 'IEND']);
+  assert.equal(getPngDpi(png), 300);
+  assert.equal(getPngDpi(TINY_PNG), null);
+});
+
+test('setPngDpi writes a valid chunk checksum', () => {
+  const png = setPngDpi(TINY_PNG, 72);
+  const start = 8 + 25; // Signature + IHDR chunk
+  const view = new DataView(png.buffer, png.byteOffset);
+  assert.equal(view.getUint32(start + 17), crc32(png.subarray(start + 4, start + 17)));
+});
+
+test('setPngDpi replaces an existing pHYs chunk', () => {
+  const png = setPngDpi(setPngDpi(TINY_PNG, 72), 600);
+  assert.deepEqual(chunkTypes(png), ['IHDR', 'pHYs', 'IDAT', 'IEND']);
+  assert.equal(getPngDpi(png), 600);
+});
+
+test('setPngDpi rejects other files', () => {
+  assert.throws(() => setPngDpi(new Uint8Array(16), 300), TypeError);
+});
+
+test('setJpegDpi updates the JFIF density', () => {
+  const jpeg = Uint8Array.from([
+    0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01,
+    0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00,
+  ]);
+  setJpegDpi(jpeg, 300);
+  assert.deepEqual([...jpeg.subarray(13, 18)], [1, 0x01, 0x2c, 0x01, 0x2c]);
+});
+
+test('setJpegDpi leaves non-JFIF data alone', () => {
+  const data = Uint8Array.from([0xff, 0xd8, 0xff, 0xe1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+  assert.deepEqual(setJpegDpi(data.slice(), 300), data);
+});
@@ -0,0 +1,69 @@
+/**
+ * Geometry for hand-drawn signature strokes: smoothing and pressure-sensitive width.
+ * A stroke is a list of points { x, y, pressure }.
+ */
+
+// Pressure reported by devices without pressure sensing while a button is down
+export const DEFAULT_PRESSURE = 0.5;
+
+/**
+ * Line width for a pressure reading. Mice and fingers report DEFAULT_PRESSURE and
+ * draw at the base width; pens vary from half to one and a half times it.
+ * @param {number} pressure - Pointer pressure (0-1).
+ * @param {number} baseWidth - Width at normal pressure.
+ * @returns {number} Line width.
+ */
+export const strokeWidth = (pressure, baseWidth) => baseWidth * (0.5 + Math.min(1, Math.max(0, pressure)));
+
+/**
+ * Splits a stroke into quadratic Bézier pieces that pass through the midpoints
+ * between samples and use the samples as control points, which smooths out the
+ * corners of the raw polyline.
+ * @param {Array<Object>} points - Stroke samples { x, y, pressure }.
+ * @param {number} baseWidth - Width at normal pressure.
+ * @returns {Array<Object>} Pieces { from, control, to, width }; a single sample gives one dot-sized piece.
+ */
+export const strokeSegments = (points, baseWidth) => {
+  if (points.length === 0) return [];
+  if (points.length === 1) {
+    const [point] = points;
+    return [{ from: point, control: point, to: point, width: strokeWidth(point.pressure, baseWidth) }];
+  }
+
+  const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, pressure: (a.pressure + b.pressure) / 2 });
+  const segments = [];
+  let from = points[0];
+  for (let i = 1; i < points.length - 1; i++) {
+    const to = midpoint(points[i], points[i + 1]);
+    segments.push({ from, control: points[i], to, width: strokeWidth(points[i].pressure, baseWidth) });
+    from = to;
+  }
+  // Finish exactly on the last sample
+  const last = points[points.length - 1];
+  segments.push({ from, control: midpoint(from, last), to: last, width: strokeWidth(last.pressure, baseWidth) });
+  return segments;
+};
+
+/**
+ * Draws strokes onto a 2D canvas context.
+ * @param {CanvasRenderingContext2D} ctx - Target context.
+ * @param {Array<Array<Object>>} strokes - Strokes to draw.
+ * @param {number} baseWidth - Width at normal pressure.
+ * @param {string} [color] - Ink color.
+ */
+export const drawStrokes = (ctx, strokes, baseWidth, color = '#000000') => {
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  strokes.forEach((stroke) => {
+    strokeSegments(stroke, baseWidth).forEach(({ from, control, to, width }) => {
+      ctx.lineWidth = width;
+      ctx.beginPath();
+      ctx.moveTo(from.x, from.y);
+      ctx.quadraticCurveTo(control.x, control.y, to.x, to.y);
+      ctx.stroke();
+    });
+  });
+  ctx.restore();
+};
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PRESSURE, strokeSegments, strokeWidth } from './inkStroke.js';
+
+const point = (x, y, pressure = DEFAULT_PRESSURE) => ({ x, y, pressure });
+
+test('strokeWidth follows pressure around the base width', () => {
+  assert.equal(strokeWidth(DEFAULT_PRESSURE, 4), 4);
+  assert.equal(strokeWidth(0, 4), 2);
+  assert.equal(strokeWidth(1, 4), 6);
+  assert.equal(strokeWidth(3, 4), 6);
+});
+
+test('a single sample becomes a dot', () => {
+  const [segment] = strokeSegments([point(5, 5)], 4);
+  assert.deepEqual(segment.from, segment.to);
+  assert.equal(segment.width, 4);
+});
+
+test('segments join at midpoints and end on the last sample', () => {
+  const segments = strokeSegments([point(0, 0), point(10, 0), point(10, 10), point(20, 10)], 4);
+  assert.equal(segments.length, 3);
+  assert.deepEqual(segments[0].from, point(0, 0));
+  assert.deepEqual(segments[0].control, point(10, 0));
+  assert.deepEqual(segments[0].to, point(10, 5));
+  assert.deepEqual(segments[1].from, segments[0].to);
+  assert.deepEqual(segments[2].to, point(20, 10));
+});
+
+test('segment widths use the pressure of their samples', () => {
+  const segments = strokeSegments([point(0, 0, 0), point(5, 0, 1), point(10, 0, 0)], 2);
+  assert.equal(segments[0].width, 3);
+  assert.equal(segments[1].width, 1);
+});
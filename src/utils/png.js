@@ -0,0 +1,256 @@
+/**
+ * PNG decoder and encoder shared by the web app and the command-line tool.
+ * Browser canvases store colors premultiplied by alpha and apply gamma and color
+ * profiles, so reading or writing PNGs through a canvas changes semi-transparent and
+ * profiled pixels. These work on the raw RGBA bytes with the same code everywhere, so
+ * the same file always gives the same pixels, and the same pixels the same file.
+ */
+import { unzlibSync, zlibSync } from 'fflate';
+import { crc32 } from './crc32.js';
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+const BYTES_PER_PIXEL = 4;
+const COLOR_TYPE_RGBA = 6;
+const FILTER_SUB = 1; // Each byte is stored as the difference to the same channel of the pixel on its left
+
+// Channels of each color type: gray, RGB, palette, gray + alpha, RGBA
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 passes: [start x, start y, step x, step y]
+const ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+/**
+ * Builds a PNG chunk.
+ * @param {string} type - Four-letter chunk type.
+ * @param {Uint8Array} data - Chunk data.
+ * @returns {Uint8Array} Complete chunk (length, type, data, CRC).
+ */
+const createChunk = (type, data) => {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set([...type].map((char) => char.charCodeAt(0)), 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+};
+
+/**
+ * Filters the rows of an image for compression.
+ * @param {Object} image - Image buffer { width, height, data }.
+ * @returns {Uint8Array} Scanlines, each starting with its filter type.
+ */
+const filterRows = ({ width, height, data }) => {
+  const stride = width * BYTES_PER_PIXEL;
+  const rows = new Uint8Array(height * (stride + 1));
+  for (let y = 0; y < height; y++) {
+    const start = y * stride;
+    const out = y * (stride + 1);
+    rows[out] = FILTER_SUB;
+    for (let i = 0; i < stride; i++) {
+      const left = i < BYTES_PER_PIXEL ? 0 : data[start + i - BYTES_PER_PIXEL];
+      rows[out + 1 + i] = (data[start + i] - left) & 0xff;
+    }
+  }
+  return rows;
+};
+
+/**
+ * Encodes an image as an 8-bit RGBA PNG.
+ * @param {Object} image - Image buffer { width, height, data } with straight (not premultiplied) alpha.
+ * @returns {Uint8Array} The encoded file.
+ */
+export const encodePng = (image) => {
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, image.width);
+  view.setUint32(4, image.height);
+  header[8] = 8; // Bits per channel
+  header[9] = COLOR_TYPE_RGBA;
+  // Compression, filter method and interlacing stay zero
+
+  const parts = [
+    Uint8Array.from(PNG_SIGNATURE),
+    createChunk('IHDR', header),
+    createChunk('IDAT', zlibSync(filterRows(image))),
+    createChunk('IEND', new Uint8Array(0)),
+  ];
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach((part) => {
+    output.set(part, position);
+    position += part.length;
+  });
+  return output;
+};
+
+/**
+ * Undoes the filter of one scanline in place.
+ * @param {number} type - Filter type 0-4.
+ * @param {Uint8Array} row - Filtered bytes of the row.
+ * @param {Uint8Array|null} previous - Unfiltered previous row of the same pass, or null.
+ * @param {number} bpp - Bytes per complete pixel (at least 1).
+ * @throws {Error} If the filter type is unknown.
+ */
+const unfilterRow = (type, row, previous, bpp) => {
+  for (let i = 0; i < row.length; i++) {
+    const left = i >= bpp ? row[i - bpp] : 0;
+    const up = previous ? previous[i] : 0;
+    const upLeft = previous && i >= bpp ? previous[i - bpp] : 0;
+    let predictor;
+    if (type === 0) predictor = 0;
+    else if (type === 1) predictor = left;
+    else if (type === 2) predictor = up;
+    else if (type === 3) predictor = (left + up) >> 1;
+    else if (type === 4) {
+      const p = left + up - upLeft;
+      const pa = Math.abs(p - left);
+      const pb = Math.abs(p - up);
+      const pc = Math.abs(p - upLeft);
+      predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+    } else {
+      throw new Error('This PNG file is damaged.');
+    }
+    row[i] = (row[i] + predictor) & 0xff;
+  }
+};
+
+/**
+ * Checks whether a file starts like a PNG.
+ * @param {Uint8Array} bytes - File contents.
+ * @returns {boolean} True for PNG files.
+ */
+export const isPng = (bytes) => PNG_SIGNATURE.every((value, i) => bytes[i] === value);
+
+/**
+ * Decodes a PNG file into 8-bit RGBA, ignoring gamma and color profiles.
+ * Every color type, bit depth and interlacing is read; 16-bit samples are rounded to 8 bits
+ * and tRNS transparency is applied.
+ * @param {Uint8Array} bytes - File contents.
+ * @returns {Object} Image buffer { width, height, data }.
+ * @throws {Error} If the file is not a PNG or is damaged.
+ */
+export const decodePng = (bytes) => {
+  if (!isPng(bytes)) throw new Error('Not a PNG file.');
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const compressed = [];
+  for (let offset = 8; offset + 8 <= bytes.length;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: view.getUint32(offset + 8),
+        height: view.getUint32(offset + 12),
+        depth: data[8],
+        colorType: data[9],
+        interlaced: data[12] === 1,
+      };
+    } else if (type === 'PLTE') palette = data;
+    else if (type === 'tRNS') transparency = data;
+    else if (type === 'IDAT') compressed.push(data);
+    else if (type === 'IEND') break;
+    offset += 12 + length;
+  }
+  const channels = header && CHANNELS[header.colorType];
+  if (!channels || ![1, 2, 4, 8, 16].includes(header.depth) || compressed.length === 0 || (header.colorType === 3 && !palette)) {
+    throw new Error('This PNG file is damaged.');
+  }
+
+  const joined = new Uint8Array(compressed.reduce((sum, part) => sum + part.length, 0));
+  compressed.reduce((position, part) => {
+    joined.set(part, position);
+    return position + part.length;
+  }, 0);
+  let raw;
+  try {
+    raw = unzlibSync(joined);
+  } catch {
+    throw new Error('This PNG file is damaged.');
+  }
+
+  const { width, height, depth, colorType } = header;
+  const output = new Uint8ClampedArray(width * height * 4);
+  const bitsPerPixel = channels * depth;
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const maxSample = (1 << Math.min(depth, 8)) - 1;
+  const transparentSample = transparency && colorType !== 3
+    ? Array.from({ length: colorType === 0 ? 1 : 3 }, (_, c) => (transparency[c * 2] << 8) | transparency[c * 2 + 1])
+    : null;
+
+  // Reads sample c of pixel x from an unfiltered row, at full precision (up to 16 bits)
+  const readSample = (row, x, c) => {
+    if (depth === 16) return (row[(x * channels + c) * 2] << 8) | row[(x * channels + c) * 2 + 1];
+    if (depth === 8) return row[x * channels + c];
+    const bit = x * bitsPerPixel;
+    return (row[bit >> 3] >> (8 - depth - (bit & 7))) & maxSample;
+  };
+  // Scales a sample to 8 bits
+  const to8 = (value) => (depth === 16 ? Math.round((value * 255) / 65535) : depth === 8 ? value : Math.round((value * 255) / maxSample));
+
+  const passes = header.interlaced ? ADAM7 : [[0, 0, 1, 1]];
+  let position = 0;
+  passes.forEach(([startX, startY, stepX, stepY]) => {
+    const passWidth = Math.ceil((width - startX) / stepX);
+    const passHeight = Math.ceil((height - startY) / stepY);
+    if (passWidth <= 0 || passHeight <= 0) return;
+    const stride = Math.ceil((passWidth * bitsPerPixel) / 8);
+    let previous = null;
+    for (let py = 0; py < passHeight; py++) {
+      if (position + 1 + stride > raw.length) throw new Error('This PNG file is damaged.');
+      const row = raw.subarray(position + 1, position + 1 + stride);
+      unfilterRow(raw[position], row, previous, bpp);
+      position += 1 + stride;
+      previous = row;
+
+      const y = startY + py * stepY;
+      for (let px = 0; px < passWidth; px++) {
+        const i = (y * width + startX + px * stepX) * 4;
+        if (colorType === 3) {
+          const index = readSample(row, px, 0);
+          output[i] = palette[index * 3];
+          output[i + 1] = palette[index * 3 + 1];
+          output[i + 2] = palette[index * 3 + 2];
+          output[i + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+          continue;
+        }
+        const isColor = colorType === 2 || colorType === 6;
+        const r = readSample(row, px, 0);
+        const g = isColor ? readSample(row, px, 1) : r;
+        const b = isColor ? readSample(row, px, 2) : r;
+        let alpha = 255;
+        if (colorType === 4 || colorType === 6) {
+          alpha = to8(readSample(row, px, channels - 1));
+        } else if (transparentSample && r === transparentSample[0] && (!isColor || (g === transparentSample[1] && b === transparentSample[2]))) {
+          alpha = 0;
+        }
+        output[i] = to8(r);
+        output[i + 1] = to8(g);
+        output[i + 2] = to8(b);
+        output[i + 3] = alpha;
+      }
+    }
+  });
+
+  return { width, height, data: output };
+};
+
+/**
+ * Reads the pixels of an image file the way the refiner does: PNGs with decodePng, so the
+ * web app and the command-line tool start from the same pixels.
+ * @param {Blob} file - Image file.
+ * @returns {Promise<Object|null>} Image buffer { width, height, data }, or null if the file is
+ *   not a PNG (or cannot be decoded here) and the browser should decode it.
+ */
+export const readPngFile = async (file) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  if (!isPng(bytes)) return null;
+  try {
+    return decodePng(bytes);
+  } catch {
+    return null; // Let the browser try, and report the error if it can't either
+  }
+};
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { zlibSync } from 'fflate';
+import { createImage } from '../processing/image.js';
+import { crc32 } from './crc32.js';
+import { decodePng, encodePng } from './png.js';
+
+// Soft stroke edges: the same dark blue at falling opacity, plus a fully transparent pixel
+const softEdge = () => createImage(2, 2, Uint8ClampedArray.from([
+  30, 58, 138, 255, 30, 58, 138, 131,
+  30, 58, 138, 7, 200, 10, 90, 0,
+]));
+
+/**
+ * Builds a PNG chunk for the hand-made test files.
+ */
+const chunk = (type, data) => {
+  const bytes = new Uint8Array(12 + data.length);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, data.length);
+  bytes.set([...type].map((char) => char.charCodeAt(0)), 4);
+  bytes.set(data, 8);
+  view.setUint32(8 + data.length, crc32(bytes.subarray(4, 8 + data.length)));
+  return [...bytes];
+};
+
+/**
+ * Builds a PNG from scanlines that already hold their filter byte.
+ */
+const buildPng = ({ width, height, depth, colorType, interlaced = 0 }, scanlines, extra = []) => {
+  const header = new Uint8Array(13);
+  new DataView(header.buffer).setUint32(0, width);
+  new DataView(header.buffer).setUint32(4, height);
+  header.set([depth, colorType, 0, 0, interlaced], 8);
+  return Uint8Array.from([
+    137, 80, 78, 71, 13, 10, 26, 10,
+    ...chunk('IHDR', header),
+    ...extra.flat(),
+    ...chunk('IDAT', zlibSync(Uint8Array.from(scanlines.flat()))),
+    ...chunk('IEND', []),
+  ]);
+};
+
+const pixels = (image) => [...image.data];
+
+test('encodePng and decodePng keep the colors of semi-transparent pixels', () => {
+  assert.deepEqual(decodePng(encodePng(softEdge())), softEdge());
+});
+
+test('encodePng writes the same bytes for the same pixels', () => {
+  assert.deepEqual(encodePng(softEdge()), encodePng(softEdge()));
+});
+
+test('encodePng round-trips every row and channel', () => {
+  const image = createImage(5, 3);
+  image.data.forEach((_, i) => {
+    image.data[i] = (i * 37) % 256;
+  });
+  assert.deepEqual(decodePng(encodePng(image)), image);
+});
+
+test('decodePng ignores gamma and color profiles', () => {
+  const png = encodePng(softEdge());
+  const gamma = chunk('gAMA', [0, 0, 0xb1, 0x8f]); // 1/2.2
+  const withGamma = Uint8Array.from([...png.subarray(0, 33), ...gamma, ...png.subarray(33)]);
+  assert.deepEqual(decodePng(withGamma), softEdge());
+});
+
+test('decodePng reads low bit depths and palettes', () => {
+  assert.deepEqual(pixels(decodePng(buildPng({ width: 3, height: 1, depth: 1, colorType: 0 }, [[0, 0b10100000]]))), [
+    255, 255, 255, 255, 0, 0, 0, 255, 255, 255, 255, 255,
+  ]);
+  const palette = chunk('PLTE', [10, 20, 30, 40, 50, 60]);
+  const transparency = chunk('tRNS', [0]);
+  assert.deepEqual(pixels(decodePng(buildPng({ width: 2, height: 1, depth: 2, colorType: 3 }, [[0, 0b01000000]], [palette, transparency]))), [
+    40, 50, 60, 255, 10, 20, 30, 0,
+  ]);
+});
+
+test('decodePng scales 16-bit samples and applies a transparent color', () => {
+  const transparency = chunk('tRNS', [0x80, 0x00]);
+  const png = buildPng({ width: 2, height: 1, depth: 16, colorType: 0 }, [[0, 0x80, 0x00, 0xff, 0xff]], [transparency]);
+  assert.deepEqual(pixels(decodePng(png)), [128, 128, 128, 0, 255, 255, 255, 255]);
+});
+
+test('decodePng undoes the Up and Average filters', () => {
+  const png = buildPng({ width: 2, height: 3, depth: 8, colorType: 0 }, [[0, 10, 20], [2, 5, 5], [3, 4, 4]]);
+  assert.deepEqual(pixels(decodePng(png)).filter((_, i) => i % 4 === 0), [10, 20, 15, 25, 11, 22]);
+});
+
+test('decodePng reads interlaced images', () => {
+  // Gray levels 0-8 in reading order, stored row by row in the Adam7 passes that hold pixels
+  const png = buildPng({ width: 3, height: 3, depth: 8, colorType: 0, interlaced: 1 }, [[0, 0], [0, 2], [0, 6, 8], [0, 1], [0, 7], [0, 3, 4, 5]]);
+  assert.deepEqual(pixels(decodePng(png)).filter((_, i) => i % 4 === 0), [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+});
+
+test('decodePng refuses other and damaged files', () => {
+  assert.throws(() => decodePng(new Uint8Array([0xff, 0xd8, 0xff])), /Not a PNG/);
+  assert.throws(() => decodePng(encodePng(softEdge()).subarray(0, 40)), /damaged/);
+});
@@ -0,0 +1,88 @@
+/**
+ * Writes placed signatures into a PDF with pdf-lib, entirely in the browser.
+ * Placements are measured on the page as displayed (see src/editing/placements.js);
+ * this module converts them to PDF user space, which starts at the bottom-left of the
+ * unrotated page and has y pointing up.
+ */
+import { parseHexColor } from '../processing/color.js';
+
+/**
+ * Names the signed copy of a document, e.g. 'contract_signed.pdf'.
+ * @param {string} fileName - Name of the original PDF.
+ * @returns {string} File name for the signed PDF.
+ */
+export const getSignedFileName = (fileName) => `${fileName.replace(/\.pdf$/i, '') || 'document'}_signed.pdf`;
+
+/**
+ * Converts a point on the displayed page to PDF user space.
+ * @param {Object} point - Point { x, y } in points, (0, 0) at the top-left of the page as shown.
+ * @param {Object} box - Visible page area { x, y, width, height } (the crop box) in user space.
+ * @param {number} rotation - Clockwise page rotation (/Rotate), a multiple of 90.
+ * @returns {Object} { x, y } in user space.
+ */
+export const toPdfPoint = ({ x, y }, box, rotation) => {
+  switch (((rotation % 360) + 360) % 360) {
+    case 90:
+      return { x: box.x + y, y: box.y + x };
+    case 180:
+      return { x: box.x + box.width - x, y: box.y + y };
+    case 270:
+      return { x: box.x + box.width - y, y: box.y + box.height - x };
+    default:
+      return { x: box.x + x, y: box.y + box.height - y };
+  }
+};
+
+/**
+ * Works out where the corners of a placed signature end up in user space.
+ * @param {Object} placement - Placement { x, y, width, height, rotation }.
+ * @param {Object} box - Visible page area in user space.
+ * @param {number} pageRotation - Clockwise page rotation.
+ * @returns {Object} { bottomLeft, topLeft, angle } where angle is the counterclockwise
+ *   rotation of the signature in user space, in degrees.
+ */
+export const getPdfPlacement = (placement, box, pageRotation) => {
+  const center = toPdfPoint(placement, box, pageRotation);
+  // Turning the page clockwise on screen turns everything on it the same way
+  const angle = pageRotation - placement.rotation;
+  const radians = (angle * Math.PI) / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const offset = (u, v) => ({ x: center.x + u * cos - v * sin, y: center.y + u * sin + v * cos });
+  const halfWidth = placement.width / 2;
+  const halfHeight = placement.height / 2;
+  return { bottomLeft: offset(-halfWidth, -halfHeight), topLeft: offset(-halfWidth, halfHeight), angle };
+};
+
+/**
+ * Stamps a signature onto the pages of a PDF.
+ * @param {ArrayBuffer|Uint8Array} pdfBytes - The document.
+ * @param {Object} signature - { png, vector } where png holds the refined PNG bytes and vector,
+ *   if given, is { pathData, fill, width, height } from vectorizeImage; vector signatures are
+ *   drawn as filled paths instead of an image.
+ * @param {Array<Object>} placements - Where to put the signature.
+ * @returns {Promise<Uint8Array>} The signed document.
+ * @throws {Error} If the PDF cannot be read or is encrypted.
+ */
+export const signPdf = async (pdfBytes, signature, placements) => {
+  const { PDFDocument, degrees, rgb } = await import('pdf-lib');
+  const pdf = await PDFDocument.load(pdfBytes);
+  const pages = pdf.getPages();
+  const image = signature.vector ? null : await pdf.embedPng(signature.png);
+  const color = signature.vector && rgb(...parseHexColor(signature.vector.fill).map((channel) => channel / 255));
+
+  placements.forEach((placement) => {
+    const page = pages[placement.page];
+    if (!page) return;
+    const { bottomLeft, topLeft, angle } = getPdfPlacement(placement, page.getCropBox(), page.getRotation().angle);
+    if (signature.vector) {
+      const { pathData, width } = signature.vector;
+      // Paths are drawn from their top-left corner with y pointing down, like in the SVG
+      page.drawSvgPath(pathData, { ...topLeft, scale: placement.width / width, rotate: degrees(angle), color });
+    } else {
+      page.drawImage(image, { ...bottomLeft, width: placement.width, height: placement.height, rotate: degrees(angle) });
+    }
+  });
+
+  return pdf.save();
+};
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDFDocument, PDFName, PDFRawStream, decodePDFRawStream, degrees } from 'pdf-lib';
+import { getPdfPlacement, getSignedFileName, signPdf, toPdfPoint } from './signPdf.js';
+
+// Smallest valid PNG: 1x1 transparent pixel
+const TINY_PNG = Uint8Array.from(atob(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg=='
+), (c) => c.charCodeAt(0));
+
+const box = { x: 10, y: 20, width: 200, height: 100 };
+
+const round = ({ x, y }) => ({ x: Math.round(x * 1000) / 1000, y: Math.round(y * 1000) / 1000 });
+
+// A two-page document; the second page is shown turned a quarter clockwise
+const createPdf = async () => {
+  const pdf = await PDFDocument.create();
+  pdf.addPage([200, 100]);
+  pdf.addPage([200, 100]).setRotation(degrees(90));
+  return pdf.save();
+};
+
+// Text of a page's content streams
+const readContent = (page) => {
+  const contents = page.node.Contents();
+  const streams = contents instanceof PDFRawStream ? [contents] : contents.asArray().map((ref) => page.doc.context.lookup(ref));
+  return streams.map((stream) => new TextDecoder().decode(decodePDFRawStream(stream).decode())).join('\n');
+};
+
+// Images used by a page
+const countImages = (page) => {
+  const xObjects = page.node.Resources().lookup(PDFName.of('XObject'));
+  return xObjects ? xObjects.keys().length : 0;
+};
+
+test('toPdfPoint maps the displayed top-left corner for every page rotation', () => {
+  assert.deepEqual(toPdfPoint({ x: 0, y: 0 }, box, 0), { x: 10, y: 120 });
+  assert.deepEqual(toPdfPoint({ x: 0, y: 0 }, box, 90), { x: 10, y: 20 });
+  assert.deepEqual(toPdfPoint({ x: 0, y: 0 }, box, 180), { x: 210, y: 20 });
+  assert.deepEqual(toPdfPoint({ x: 0, y: 0 }, box, 270), { x: 210, y: 120 });
+  assert.deepEqual(toPdfPoint({ x: 0, y: 0 }, box, -90), { x: 210, y: 120 });
+});
+
+test('toPdfPoint maps points across a quarter-turned page', () => {
+  // Shown 100 wide and 200 tall; the top-right corner is the top-left of the unrotated page
+  assert.deepEqual(toPdfPoint({ x: 100, y: 0 }, box, 90), { x: 10, y: 120 });
+  assert.deepEqual(toPdfPoint({ x: 100, y: 200 }, box, 270), { x: 10, y: 20 });
+});
+
+test('getPdfPlacement finds the corners of an upright signature', () => {
+  const placement = { x: 100, y: 50, width: 60, height: 20, rotation: 0 };
+  const { bottomLeft, topLeft, angle } = getPdfPlacement(placement, box, 0);
+  assert.equal(angle, 0);
+  assert.deepEqual(round(bottomLeft), { x: 80, y: 60 });
+  assert.deepEqual(round(topLeft), { x: 80, y: 80 });
+});
+
+test('getPdfPlacement turns signatures with the page and the placement', () => {
+  const placement = { x: 50, y: 100, width: 60, height: 20, rotation: 90 };
+  // Turned a quarter clockwise on a page turned a quarter clockwise: upright in user space
+  const { bottomLeft, angle } = getPdfPlacement(placement, box, 90);
+  assert.equal(angle, 0);
+  assert.deepEqual(round(bottomLeft), { x: 80, y: 60 });
+
+  const quarter = getPdfPlacement({ x: 100, y: 50, width: 60, height: 20, rotation: 90 }, box, 0);
+  assert.equal(quarter.angle, -90);
+  // Clockwise on screen, the bottom-left corner of the image ends up at the top-left
+  assert.deepEqual(round(quarter.bottomLeft), { x: 100, y: 100 });
+});
+
+test('signPdf embeds the signature image once and draws it on each placement', async () => {
+  const signed = await signPdf(await createPdf(), { png: TINY_PNG }, [
+    { page: 0, x: 100, y: 50, width: 60, height: 20, rotation: 0 },
+    { page: 1, x: 50, y: 100, width: 60, height: 20, rotation: 0 },
+    { page: 5, x: 0, y: 0, width: 60, height: 20, rotation: 0 },
+  ]);
+  const pdf = await PDFDocument.load(signed);
+  const [first, second] = pdf.getPages();
+  assert.equal(countImages(first), 1);
+  assert.equal(countImages(second), 1);
+  assert.match(readContent(first), /1 0 0 1 70 40 cm\n1 0 0 1 0 0 cm\n60 0 0 20 0 0 cm/);
+  assert.equal(second.getRotation().angle, 90);
+});
+
+test('signPdf draws vector signatures as filled paths in the ink color', async () => {
+  const vector = { pathData: 'M0 0L4 0L4 2L0 2Z', fill: '#ff0000', width: 4, height: 2 };
+  const signed = await signPdf(await createPdf(), { png: TINY_PNG, vector }, [
+    { page: 0, x: 100, y: 50, width: 60, height: 30, rotation: 0 },
+  ]);
+  const page = (await PDFDocument.load(signed)).getPage(0);
+  const content = readContent(page);
+  assert.equal(countImages(page), 0);
+  assert.match(content, /1 0 0 rg/);
+  assert.match(content, /15 0 0 -15 0 0 cm/);
+  assert.match(content, /\nf\n/);
+});
+
+test('getSignedFileName marks the copy as signed', () => {
+  assert.equal(getSignedFileName('Contract.PDF'), 'Contract_signed.pdf');
+  assert.equal(getSignedFileName('scan'), 'scan_signed.pdf');
+  assert.equal(getSignedFileName('.pdf'), 'document_signed.pdf');
+});
@@ -0,0 +1,200 @@
+/**
+ * Local library of saved signatures, kept in IndexedDB so it survives reloads.
+ * An entry is { id, name, createdAt, updatedAt, settings, source, sourceName, output, thumbnail }:
+ * the source image (a Blob) and the settings it was refined with, so it can be opened
+ * for editing again, plus the refined PNG and a small PNG thumbnail of it.
+ * Libraries move between machines as a ZIP with a library.json manifest and the images.
+ */
+import { createZip, readZip } from './zip.js';
+
+const DB_NAME = 'signature-refiner';
+const DB_VERSION = 1;
+const STORE = 'signatures';
+
+// Identifies exported libraries; bump the version when the manifest changes shape
+const EXPORT_FORMAT = 'signature-refiner-library';
+const EXPORT_VERSION = 1;
+const MANIFEST_NAME = 'library.json';
+
+/**
+ * Creates an id for a new entry.
+ * @returns {string} Id, unique enough for one person's library.
+ */
+const createEntryId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Creates a library entry.
+ * @param {Object} fields - { name, source, sourceName, settings, output, thumbnail }.
+ * @param {Date} [now] - Creation time.
+ * @returns {Object} The entry.
+ */
+export const createLibraryEntry = ({ name, source, sourceName, settings, output, thumbnail }, now = new Date()) => ({
+  id: createEntryId(),
+  name: name.trim(),
+  createdAt: now.toISOString(),
+  updatedAt: now.toISOString(),
+  settings,
+  source,
+  sourceName,
+  output,
+  thumbnail,
+});
+
+/**
+ * Renames an entry.
+ * @param {Object} entry - The entry.
+ * @param {string} name - New name (surrounding spaces are dropped).
+ * @param {Date} [now] - Time of the change.
+ * @returns {Object} The renamed entry.
+ */
+export const renameLibraryEntry = (entry, name, now = new Date()) => ({ ...entry, name: name.trim(), updatedAt: now.toISOString() });
+
+/**
+ * Suggests a name that is not taken yet: 'Signature 1', 'Signature 2', ...
+ * @param {Array<Object>} entries - Entries in the library.
+ * @returns {string} The name.
+ */
+export const getDefaultEntryName = (entries) => {
+  const taken = new Set(entries.map((entry) => entry.name.toLowerCase()));
+  let n = entries.length + 1;
+  while (taken.has(`signature ${n}`)) n += 1;
+  return `Signature ${n}`;
+};
+
+/**
+ * Orders entries with the most recently changed first.
+ * @param {Array<Object>} entries - Entries.
+ * @returns {Array<Object>} A sorted copy.
+ */
+export const sortLibraryEntries = (entries) => [...entries].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+/**
+ * Runs one request against the signature store.
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {Function} action - (store) => IDBRequest, or an array of requests.
+ * @returns {Promise<*>} Result of the (first) request once the transaction completes.
+ */
+const withStore = (mode, action) => new Promise((resolve, reject) => {
+  const open = indexedDB.open(DB_NAME, DB_VERSION);
+  open.onupgradeneeded = () => open.result.createObjectStore(STORE, { keyPath: 'id' });
+  open.onerror = () => reject(open.error);
+  open.onsuccess = () => {
+    const db = open.result;
+    const transaction = db.transaction(STORE, mode);
+    const requests = [].concat(action(transaction.objectStore(STORE)));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(requests[0]?.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  };
+});
+
+/**
+ * Reads every saved signature.
+ * @returns {Promise<Array<Object>>} Entries, most recently changed first.
+ */
+export const listSignatures = async () => sortLibraryEntries(await withStore('readonly', (store) => store.getAll()));
+
+/**
+ * Saves entries, replacing any with the same id.
+ * @param {Array<Object>} entries - Entries to save.
+ * @returns {Promise<void>} Resolves once they are stored.
+ */
+export const saveSignatures = async (entries) => {
+  await withStore('readwrite', (store) => entries.map((entry) => store.put(entry)));
+};
+
+/**
+ * Deletes a saved signature.
+ * @param {string} id - Entry id.
+ * @returns {Promise<void>} Resolves once it is gone.
+ */
+export const deleteSignature = async (id) => {
+  await withStore('readwrite', (store) => store.delete(id));
+};
+
+/**
+ * Returns the extension of a file name, e.g. '.jpg', or '.png' if there is none.
+ * @param {string} name - File name.
+ * @returns {string} Extension including the dot.
+ */
+const getExtension = (name) => /\.[a-z0-9]+$/i.exec(name)?.[0].toLowerCase() || '.png';
+
+/**
+ * Packs entries into a ZIP for moving them to another machine.
+ * @param {Array<Object>} entries - Entries to export.
+ * @param {Date} [now] - Export time.
+ * @returns {Promise<Uint8Array>} The archive.
+ */
+export const exportLibrary = async (entries, now = new Date()) => {
+  const files = [];
+  const addFile = async (name, blob) => {
+    files.push({ name, data: new Uint8Array(await blob.arrayBuffer()) });
+    return name;
+  };
+
+  const signatures = [];
+  for (const { source, output, thumbnail, ...fields } of entries) {
+    const folder = `signatures/${fields.id}`;
+    signatures.push({
+      ...fields,
+      source: await addFile(`${folder}/source${getExtension(fields.sourceName)}`, source),
+      sourceType: source.type,
+      output: await addFile(`${folder}/refined.png`, output),
+      thumbnail: thumbnail ? await addFile(`${folder}/thumbnail.png`, thumbnail) : null,
+    });
+  }
+
+  const manifest = { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: now.toISOString(), signatures };
+  return createZip([{ name: MANIFEST_NAME, data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) }, ...files], now);
+};
+
+/**
+ * Checks that a manifest entry has the fields the library relies on, so one broken entry
+ * can't make every later listing fail.
+ * @param {Object} entry - Entry as read from library.json.
+ * @returns {boolean} True if the entry can be stored.
+ */
+const isManifestEntry = (entry) => typeof entry?.id === 'string' && entry.id !== ''
+  && ['name', 'createdAt', 'updatedAt', 'sourceName', 'source', 'output'].every((key) => typeof entry[key] === 'string')
+  && !Number.isNaN(Date.parse(entry.updatedAt))
+  && typeof entry.settings === 'object' && entry.settings !== null && !Array.isArray(entry.settings);
+
+/**
+ * Unpacks a library exported with exportLibrary.
+ * Entries keep their ids, so importing the same export twice updates instead of duplicating.
+ * @param {Uint8Array} bytes - The archive.
+ * @returns {Promise<Array<Object>>} The entries.
+ * @throws {Error} If the file is not an exported library, has an incomplete entry or misses images.
+ */
+export const importLibrary = async (bytes) => {
+  const files = new Map((await readZip(bytes)).map(({ name, data }) => [name, data]));
+  let manifest = null;
+  try {
+    manifest = JSON.parse(new TextDecoder().decode(files.get(MANIFEST_NAME)));
+  } catch {
+    // Reported below
+  }
+  if (manifest?.format !== EXPORT_FORMAT || !Array.isArray(manifest.signatures) || !manifest.signatures.every(isManifestEntry)) {
+    throw new Error('This file is not an exported signature library.');
+  }
+  if (manifest.version > EXPORT_VERSION) {
+    throw new Error('This library was exported by a newer version of the app.');
+  }
+
+  const readImage = (path, type = 'image/png') => {
+    if (!files.has(path)) throw new Error(`The library is missing ${path}.`);
+    return new Blob([files.get(path)], { type });
+  };
+
+  return manifest.signatures.map(({ source, sourceType, output, thumbnail, ...fields }) => ({
+    ...fields,
+    source: readImage(source, sourceType),
+    output: readImage(output),
+    thumbnail: thumbnail ? readImage(thumbnail) : null,
+  }));
+};
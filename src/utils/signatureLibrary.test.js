@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createLibraryEntry,
+  exportLibrary,
+  getDefaultEntryName,
+  importLibrary,
+  renameLibraryEntry,
+  sortLibraryEntries,
+} from './signatureLibrary.js';
+import { createZip, readZip } from './zip.js';
+
+const blob = (text, type = 'image/png') => new Blob([text], { type });
+const text = (value) => value.text();
+
+const entry = createLibraryEntry({
+  name: '  Full signature ',
+  source: blob('jpeg bytes', 'image/jpeg'),
+  sourceName: 'scan.JPG',
+  settings: { luminanceThreshold: 210, crop: { x: 1, y: 2, width: 30, height: 10 } },
+  output: blob('refined'),
+  thumbnail: blob('thumb'),
+}, new Date('2026-01-02T03:04:05Z'));
+
+test('createLibraryEntry trims the name and stamps the time', () => {
+  assert.equal(entry.name, 'Full signature');
+  assert.equal(entry.createdAt, '2026-01-02T03:04:05.000Z');
+  assert.equal(entry.updatedAt, entry.createdAt);
+  assert.match(entry.id, /^[a-z0-9]+-[a-z0-9]+$/);
+  assert.notEqual(createLibraryEntry({ ...entry }).id, entry.id);
+});
+
+test('renameLibraryEntry keeps everything but the name and change time', () => {
+  const renamed = renameLibraryEntry(entry, ' Initials ', new Date('2026-02-01T00:00:00Z'));
+  assert.equal(renamed.name, 'Initials');
+  assert.equal(renamed.updatedAt, '2026-02-01T00:00:00.000Z');
+  assert.equal(renamed.createdAt, entry.createdAt);
+  assert.equal(renamed.source, entry.source);
+});
+
+test('getDefaultEntryName skips names already taken', () => {
+  assert.equal(getDefaultEntryName([]), 'Signature 1');
+  assert.equal(getDefaultEntryName([{ name: 'Initials' }, { name: 'signature 3' }]), 'Signature 4');
+});
+
+test('sortLibraryEntries puts the latest change first', () => {
+  const older = { name: 'a', updatedAt: '2025-01-01T00:00:00.000Z' };
+  const newer = { name: 'b', updatedAt: '2026-01-01T00:00:00.000Z' };
+  assert.deepEqual(sortLibraryEntries([older, newer]), [newer, older]);
+});
+
+test('exportLibrary writes a manifest next to the images', async () => {
+  const files = await readZip(await exportLibrary([entry], new Date('2026-03-01T00:00:00Z')));
+  assert.deepEqual(files.map(({ name }) => name), [
+    'library.json',
+    `signatures/${entry.id}/source.jpg`,
+    `signatures/${entry.id}/refined.png`,
+    `signatures/${entry.id}/thumbnail.png`,
+  ]);
+  const manifest = JSON.parse(new TextDecoder().decode(files[0].data));
+  assert.equal(manifest.format, 'signature-refiner-library');
+  assert.equal(manifest.signatures[0].name, 'Full signature');
+  assert.equal(manifest.signatures[0].sourceType, 'image/jpeg');
+  assert.deepEqual(manifest.signatures[0].settings, entry.settings);
+});
+
+test('importLibrary restores exported entries with their images and settings', async () => {
+  const [restored] = await importLibrary(await exportLibrary([{ ...entry, thumbnail: null }]));
+  assert.equal(restored.id, entry.id);
+  assert.equal(restored.name, entry.name);
+  assert.equal(restored.sourceName, 'scan.JPG');
+  assert.deepEqual(restored.settings, entry.settings);
+  assert.equal(restored.source.type, 'image/jpeg');
+  assert.equal(await text(restored.source), 'jpeg bytes');
+  assert.equal(await text(restored.output), 'refined');
+  assert.equal(restored.thumbnail, null);
+});
+
+test('importLibrary rejects other archives and missing images', async () => {
+  const encode = (value) => new TextEncoder().encode(value);
+  await assert.rejects(importLibrary(createZip([{ name: 'notes.txt', data: encode('hi') }])), /not an exported signature library/);
+
+  const signature = { id: 'a', name: 'A', createdAt: '2026-01-02T03:04:05Z', updatedAt: '2026-01-02T03:04:05Z', settings: {}, sourceName: 'a.png', source: 'gone.png', output: 'gone.png' };
+  const manifest = { format: 'signature-refiner-library', version: 1, signatures: [signature] };
+  await assert.rejects(importLibrary(createZip([{ name: 'library.json', data: encode(JSON.stringify(manifest)) }])), /missing gone\.png/);
+  await assert.rejects(importLibrary(createZip([{ name: 'library.json', data: encode(JSON.stringify({ ...manifest, version: 2 })) }])), /newer version/);
+});
+
+test('importLibrary rejects entries the library could not list', async () => {
+  const encode = (value) => new TextEncoder().encode(value);
+  const files = await readZip(await exportLibrary([entry]));
+  const manifest = JSON.parse(new TextDecoder().decode(files.find(({ name }) => name === 'library.json').data));
+  const broken = [
+    { ...manifest.signatures[0], updatedAt: undefined },
+    { ...manifest.signatures[0], name: 42 },
+    { ...manifest.signatures[0], id: '' },
+    { ...manifest.signatures[0], settings: null },
+  ];
+  const others = files.filter(({ name }) => name !== 'library.json');
+  for (const signature of broken) {
+    const data = encode(JSON.stringify({ ...manifest, signatures: [signature] }));
+    await assert.rejects(importLibrary(createZip([{ name: 'library.json', data }, ...others])), /not an exported signature library/);
+  }
+});
@@ -0,0 +1,53 @@
+/**
+ * Multi-page TIFF reading, as produced by office scanners and fax software.
+ * Decoding is done in JavaScript (UTIF), since most browsers cannot show TIFFs.
+ */
+import UTIF from 'utif';
+
+// ResolutionUnit values (tag 296)
+const UNIT_INCH = 2;
+const UNIT_CENTIMETER = 3;
+
+/**
+ * Reads the scan resolution of a TIFF page.
+ * @param {Object} ifd - Decoded image file directory.
+ * @returns {number|null} Dots per inch, or null if the file doesn't say.
+ */
+export const getTiffDpi = (ifd) => {
+  const resolution = ifd.t282?.[0];
+  const unit = ifd.t296?.[0] ?? UNIT_INCH;
+  if (!resolution || !Number.isFinite(resolution)) return null;
+  if (unit === UNIT_INCH) return resolution;
+  if (unit === UNIT_CENTIMETER) return resolution * 2.54;
+  return null; // Only an aspect ratio
+};
+
+/**
+ * Lists the pages of a TIFF file without decoding their pixels.
+ * Reduced-resolution copies some scanners store next to each page are skipped.
+ * @param {ArrayBuffer} buffer - File contents.
+ * @returns {Array<Object>} Pages { width, height, dpi, decode } where decode() returns the
+ *   page as an RGBA image buffer { width, height, data }.
+ * @throws {Error} If the file is not a TIFF or has no pages.
+ */
+export const readTiffPages = (buffer) => {
+  let ifds;
+  try {
+    ifds = UTIF.decode(buffer);
+  } catch {
+    throw new Error('Could not read the TIFF file.');
+  }
+  const pages = ifds.filter((ifd) => ifd.t256 && ifd.t257 && !((ifd.t254?.[0] ?? 0) & 1));
+  if (pages.length === 0) throw new Error('The TIFF file has no pages.');
+
+  return pages.map((ifd) => ({
+    width: ifd.t256[0],
+    height: ifd.t257[0],
+    dpi: getTiffDpi(ifd),
+    decode: () => {
+      UTIF.decodeImage(buffer, ifd, ifds);
+      const rgba = UTIF.toRGBA8(ifd);
+      return { width: ifd.width, height: ifd.height, data: new Uint8ClampedArray(rgba.buffer, rgba.byteOffset, rgba.length) };
+    },
+  }));
+};
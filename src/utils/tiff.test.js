@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTiffDpi, readTiffPages } from './tiff.js';
+
+/**
+ * Writes an uncompressed little-endian TIFF with one 8-bit grayscale strip per page.
+ * @param {Array<Object>} pages - Pages { width, height, pixels, dpi?, unit?, subfile? }.
+ * @returns {ArrayBuffer} The file.
+ */
+const writeTiff = (pages) => {
+  const bytes = [];
+  const u16 = (value) => bytes.push(value & 0xff, value >> 8);
+  const u32 = (value) => bytes.push(value & 0xff, (value >> 8) & 0xff, (value >> 16) & 0xff, value >>> 24);
+  const patch32 = (at, value) => {
+    const start = bytes.length;
+    u32(value);
+    bytes.splice(at, 4, ...bytes.splice(start, 4));
+  };
+
+  bytes.push(0x49, 0x49);
+  u16(42);
+  let nextPointer = bytes.length;
+  u32(0);
+  pages.forEach(({ width, height, pixels, dpi = 300, unit = 2, subfile = 0 }) => {
+    const pixelOffset = bytes.length;
+    bytes.push(...pixels);
+    const resolutionOffset = bytes.length;
+    u32(dpi);
+    u32(1);
+
+    patch32(nextPointer, bytes.length);
+    const entries = [
+      [254, 4, subfile], [256, 3, width], [257, 3, height], [258, 3, 8], [259, 3, 1], [262, 3, 1],
+      [273, 4, pixelOffset], [277, 3, 1], [278, 3, height], [279, 4, pixels.length],
+      [282, 5, resolutionOffset], [283, 5, resolutionOffset], [296, 3, unit],
+    ];
+    u16(entries.length);
+    entries.forEach(([tag, type, value]) => {
+      u16(tag);
+      u16(type);
+      u32(1);
+      if (type === 3) {
+        u16(value);
+        u16(0);
+      } else {
+        u32(value);
+      }
+    });
+    nextPointer = bytes.length;
+    u32(0);
+  });
+  return new Uint8Array(bytes).buffer;
+};
+
+test('readTiffPages lists every page with its size and resolution', () => {
+  const buffer = writeTiff([
+    { width: 2, height: 1, pixels: [0, 255], dpi: 200 },
+    { width: 3, height: 2, pixels: [10, 20, 30, 40, 50, 60], dpi: 100, unit: 3 },
+  ]);
+  const pages = readTiffPages(buffer);
+  assert.deepEqual(pages.map(({ width, height, dpi }) => ({ width, height, dpi })), [
+    { width: 2, height: 1, dpi: 200 },
+    { width: 3, height: 2, dpi: 254 },
+  ]);
+});
+
+test('readTiffPages decodes a page to RGBA', () => {
+  const buffer = writeTiff([
+    { width: 1, height: 1, pixels: [7] },
+    { width: 2, height: 1, pixels: [0, 255] },
+  ]);
+  const image = readTiffPages(buffer)[1].decode();
+  assert.equal(image.width, 2);
+  assert.equal(image.height, 1);
+  assert.deepEqual([...image.data], [0, 0, 0, 255, 255, 255, 255, 255]);
+});
+
+test('readTiffPages skips reduced-resolution copies', () => {
+  const buffer = writeTiff([
+    { width: 2, height: 1, pixels: [0, 255] },
+    { width: 1, height: 1, pixels: [128], subfile: 1 },
+  ]);
+  assert.equal(readTiffPages(buffer).length, 1);
+});
+
+test('readTiffPages rejects files that are not TIFFs', () => {
+  assert.throws(() => readTiffPages(new TextEncoder().encode('%PDF-1.7').buffer), /TIFF/);
+});
+
+test('getTiffDpi converts centimeters and ignores missing resolutions', () => {
+  assert.equal(getTiffDpi({ t282: [300] }), 300);
+  assert.equal(getTiffDpi({ t282: [118.11], t296: [3] }), 118.11 * 2.54);
+  assert.equal(getTiffDpi({ t282: [72], t296: [1] }), null);
+  assert.equal(getTiffDpi({}), null);
+});
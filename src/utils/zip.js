@@ -0,0 +1,135 @@
+/**
+ * Minimal ZIP writer for bundling exported files into one download, and a reader
+ * for archives coming back in.
+ * Entries are stored without compression: PNGs are already deflated, so
+ * compressing them again would cost time for almost no gain.
+ */
+import { crc32 } from './crc32.js';
+
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const UTF8_FLAG = 0x0800; // Filenames are UTF-8
+const VERSION = 20; // 2.0, the version that introduced folders and stored entries
+
+/**
+ * Converts a date to the MS-DOS time and date fields used by ZIP headers.
+ * @param {Date} date - Modification date (local time, 2-second resolution).
+ * @returns {Object} { time, date } as 16-bit values.
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: (Math.max(date.getFullYear() - 1980, 0) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * Builds a ZIP archive.
+ * @param {Array<Object>} entries - Files { name, data } with data as a Uint8Array.
+ * @param {Date} [modified] - Modification date recorded for every entry.
+ * @returns {Uint8Array} The archive bytes.
+ */
+export const createZip = (entries, modified = new Date()) => {
+  const encoder = new TextEncoder();
+  const dos = toDosDateTime(modified);
+  const files = entries.map(({ name, data }) => ({ name: encoder.encode(name), data, crc: crc32(data) }));
+
+  const localSize = files.reduce((sum, file) => sum + LOCAL_HEADER_SIZE + file.name.length + file.data.length, 0);
+  const centralSize = files.reduce((sum, file) => sum + CENTRAL_HEADER_SIZE + file.name.length, 0);
+  const bytes = new Uint8Array(localSize + centralSize + END_OF_CENTRAL_DIRECTORY_SIZE);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+
+  // Fields shared by the local and central headers, from "version needed" to the name length
+  const writeCommonFields = (file, at) => {
+    view.setUint16(at, VERSION, true);
+    view.setUint16(at + 2, UTF8_FLAG, true);
+    view.setUint16(at + 4, 0, true); // Stored
+    view.setUint16(at + 6, dos.time, true);
+    view.setUint16(at + 8, dos.date, true);
+    view.setUint32(at + 10, file.crc, true);
+    view.setUint32(at + 14, file.data.length, true); // Compressed size
+    view.setUint32(at + 18, file.data.length, true); // Uncompressed size
+    view.setUint16(at + 22, file.name.length, true);
+  };
+
+  files.forEach((file) => {
+    file.offset = offset;
+    view.setUint32(offset, 0x04034b50, true);
+    writeCommonFields(file, offset + 4);
+    bytes.set(file.name, offset + LOCAL_HEADER_SIZE);
+    bytes.set(file.data, offset + LOCAL_HEADER_SIZE + file.name.length);
+    offset += LOCAL_HEADER_SIZE + file.name.length + file.data.length;
+  });
+
+  const centralOffset = offset;
+  files.forEach((file) => {
+    view.setUint32(offset, 0x02014b50, true);
+    view.setUint16(offset + 4, VERSION, true); // Version made by
+    writeCommonFields(file, offset + 6);
+    // Extra field, comment, disk number and attributes stay zero
+    view.setUint32(offset + 42, file.offset, true);
+    bytes.set(file.name, offset + CENTRAL_HEADER_SIZE);
+    offset += CENTRAL_HEADER_SIZE + file.name.length;
+  });
+
+  view.setUint32(offset, 0x06054b50, true);
+  view.setUint16(offset + 8, files.length, true); // Entries on this disk
+  view.setUint16(offset + 10, files.length, true); // Entries in total
+  view.setUint32(offset + 12, centralSize, true);
+  view.setUint32(offset + 16, centralOffset, true);
+  return bytes;
+};
+
+/**
+ * Inflates raw deflate data with the browser's built-in decompressor.
+ * @param {Uint8Array} data - Compressed bytes.
+ * @returns {Promise<Uint8Array>} Decompressed bytes.
+ */
+const inflateRaw = async (data) => {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Reads a ZIP archive through its central directory.
+ * Stored and deflated entries are supported, which covers archives written by createZip
+ * and those re-packed by the zip tools built into operating systems.
+ * @param {Uint8Array} bytes - The archive.
+ * @returns {Promise<Array<Object>>} Files { name, data } in archive order; folders are skipped.
+ * @throws {Error} If the bytes are not a ZIP archive, use another compression method, or fail
+ *   their checksum.
+ */
+export const readZip = async (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  // The end record sits at the very end, unless the archive has a comment
+  let end = bytes.length - END_OF_CENTRAL_DIRECTORY_SIZE;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end -= 1;
+  if (end < 0) throw new Error('Not a ZIP file.');
+
+  const decoder = new TextDecoder();
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('The ZIP file is damaged.');
+    const method = view.getUint16(offset + 10, true);
+    const crc = view.getUint32(offset + 16, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const local = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + CENTRAL_HEADER_SIZE, offset + CENTRAL_HEADER_SIZE + nameLength));
+    offset += CENTRAL_HEADER_SIZE + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    if (name.endsWith('/')) continue;
+
+    // The local header may carry a different extra field than the central one
+    const start = local + LOCAL_HEADER_SIZE + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    const stored = bytes.subarray(start, start + compressedSize);
+    let data;
+    if (method === 0) data = stored;
+    else if (method === 8) data = await inflateRaw(stored);
+    else throw new Error(`"${name}" uses an unsupported compression method.`);
+    if (crc32(data) !== crc) throw new Error(`"${name}" is damaged.`);
+    files.push({ name, data });
+  }
+  return files;
+};
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createZip, readZip } from './zip.js';
+import { crc32 } from './crc32.js';
+
+const bytes = (text) => new TextEncoder().encode(text);
+
+/**
+ * Reads the entries back through the central directory, the way unzip tools do.
+ */
+const readCentralDirectory = (zip) => {
+  const view = new DataView(zip.buffer);
+  const end = zip.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(offset, true), 0x02014b50);
+    const crc = view.getUint32(offset + 16, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const local = view.getUint32(offset + 42, true);
+    const name = new TextDecoder().decode(zip.subarray(offset + 46, offset + 46 + nameLength));
+    assert.equal(view.getUint32(local, true), 0x04034b50);
+    const start = local + 30 + view.getUint16(local + 26, true);
+    entries.push({ name, crc, data: zip.subarray(start, start + size) });
+    offset += 46 + nameLength;
+  }
+  return entries;
+};
+
+test('createZip stores each file under its name', () => {
+  const zip = createZip([
+    { name: 'jane_doe_refined.png', data: bytes('first') },
+    { name: 'ünïcode.png', data: bytes('second file') },
+  ]);
+  const entries = readCentralDirectory(zip);
+  assert.deepEqual(entries.map(({ name }) => name), ['jane_doe_refined.png', 'ünïcode.png']);
+  assert.deepEqual([...entries[1].data], [...bytes('second file')]);
+  assert.equal(entries[0].crc, crc32(bytes('first')));
+});
+
+test('createZip records the modification date in DOS format', () => {
+  const zip = createZip([{ name: 'a.png', data: bytes('a') }], new Date(2024, 4, 17, 13, 45, 30));
+  const view = new DataView(zip.buffer);
+  assert.equal(view.getUint16(10, true), (13 << 11) | (45 << 5) | 15);
+  assert.equal(view.getUint16(12, true), (44 << 9) | (5 << 5) | 17);
+});
+
+test('an empty archive is just the end record', () => {
+  assert.equal(createZip([]).length, 22);
+});
+
+test('readZip reads back what createZip wrote', async () => {
+  const zip = createZip([{ name: 'library.json', data: bytes('{}') }, { name: 'images/ü.png', data: bytes('png') }]);
+  const files = await readZip(zip);
+  assert.deepEqual(files.map(({ name, data }) => [name, new TextDecoder().decode(data)]), [
+    ['library.json', '{}'],
+    ['images/ü.png', 'png'],
+  ]);
+});
+
+test('readZip inflates deflated entries', async () => {
+  const text = bytes('signature '.repeat(50));
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  const deflated = new Uint8Array(await new Response(stream).arrayBuffer());
+  const zip = createZip([{ name: 'notes.txt', data: deflated }]);
+  // Mark the entry as deflated with the CRC and size of the original text
+  const view = new DataView(zip.buffer);
+  const central = view.getUint32(zip.length - 6, true);
+  [4 + 4, central + 6 + 4].forEach((at) => {
+    view.setUint16(at, 8, true);
+    view.setUint32(at + 6, crc32(text), true);
+    view.setUint32(at + 14, text.length, true);
+  });
+  const [file] = await readZip(zip);
+  assert.deepEqual(file.data, text);
+});
+
+test('readZip rejects other files and damaged entries', async () => {
+  await assert.rejects(readZip(bytes('not a zip file at all, just some text')), /Not a ZIP/);
+  const zip = createZip([{ name: 'a.txt', data: bytes('abc') }]);
+  zip[30 + 'a.txt'.length] = 'x'.charCodeAt(0);
+  await assert.rejects(readZip(zip), /damaged/);
+});
@@ -2,6 +2,14 @@ import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
 // https://vite.dev/config/
-export default defineConfig({
+export default defineConfig(({ mode }) => ({
   plugins: [react()],
-})
+  // `vite build --mode lib` packages the embeddable component; React comes from the host app
+  build: mode === 'lib'
+    ? {
+      outDir: 'dist/lib',
+      lib: { entry: 'src/index.js', formats: ['es'], fileName: 'signature-refiner' },
+      rollupOptions: { external: ['react', 'react-dom', 'react/jsx-runtime'] },
+    }
+    : {},
+}))